@@ -12,6 +12,7 @@ module.exports = [
         process: 'readonly',
         __dirname: 'readonly',
         __filename: 'readonly',
+        Buffer: 'readonly',
         console: 'readonly',
         // Jest globals
         jest: 'readonly',
@@ -0,0 +1,394 @@
+/**
+ * Adapter Utilities
+ *
+ * This module holds the record handling shared by the database adapters:
+ * - The list of columns written to the people table
+ * - Converting normalized people to rows of column values
+ * - Splitting rows into batches for multi-row statements
+ * - Encoding rows for the bulk-load text formats (COPY / LOAD DATA)
+ * - Helpers for the append / upsert / replace import modes
+ * - The columns promoted out of additional_data, written after the others
+ * - The table and columns of a table schema, written instead of people's
+ * - Saving the before-images of the rows an upsert overwrites
+ * - Recording the progress of an import after each committed chunk
+ */
+
+const { logger } = require('../logger');
+const { schemaColumnNames, hasSchemaKey, toSchemaValues } = require('../table-schema');
+
+/**
+ * Columns written for each person, in insert order
+ */
+const PEOPLE_COLUMNS = [
+  'external_id', 'first_name', 'last_name', 'birth_date', 'status', 'additional_data', 'batch_id', 'source_row_number'
+];
+
+/**
+ * Columns overwritten when an upsert matches an existing external_id
+ */
+const UPSERT_COLUMNS = PEOPLE_COLUMNS.filter(column => column !== 'external_id');
+
+/**
+ * Columns recording where a row comes from: the import batch that last
+ * wrote it and its row in the source sheet
+ */
+const PROVENANCE_COLUMNS = ['batch_id', 'source_row_number'];
+
+/**
+ * Columns compared by an upsert to tell updated rows from unchanged ones
+ *
+ * A row whose data is unchanged keeps the provenance of the import that
+ * last changed it.
+ */
+const COMPARED_COLUMNS = UPSERT_COLUMNS.filter(column => !PROVENANCE_COLUMNS.includes(column));
+
+/**
+ * Resolve the columns a save writes: those of PEOPLE_COLUMNS, followed by
+ * the extra fields promoted to columns of their own (see promoted-columns.js)
+ *
+ * @param {Object} options - Save options { promotedColumns }
+ * @returns {Object} - { all, upsert, compared }: the lists PEOPLE_COLUMNS, UPSERT_COLUMNS and
+ *   COMPARED_COLUMNS extended with the promoted columns
+ */
+function resolvePeopleColumns(options = {}) {
+  const promoted = options.promotedColumns || [];
+  return {
+    all: [...PEOPLE_COLUMNS, ...promoted],
+    upsert: [...UPSERT_COLUMNS, ...promoted],
+    compared: [...COMPARED_COLUMNS, ...promoted]
+  };
+}
+
+/**
+ * Supported import modes
+ * - append: insert every row
+ * - upsert: insert new external IDs, update existing ones
+ * - replace: empty the people table, then insert every row
+ */
+const IMPORT_MODES = ['append', 'upsert', 'replace'];
+
+/**
+ * Default number of rows per multi-row statement
+ */
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Name of the unique index on people.external_id used by upserts
+ */
+const EXTERNAL_ID_INDEX = 'idx_people_external_id';
+
+/**
+ * Convert people to rows of column values, skipping unidentifiable records
+ *
+ * @param {Array} people - Array of normalized people objects
+ * @param {Object} options - Preparation options
+ * @param {number} options.batchId - Import batch written to people.batch_id (default: NULL)
+ * @param {Array<number>} options.rowNumbers - Source row number of each person, written to
+ *   people.source_row_number (default: NULL)
+ * @param {Array<string>} options.promotedColumns - Extra fields written to columns of their own, as text,
+ *   after the PEOPLE_COLUMNS values rather than in additional_data (default: none)
+ * @param {Object} options.schema - Table schema whose columns are written instead of PEOPLE_COLUMNS
+ *   (see table-schema.js), optional
+ * @param {string} options.dateFormat - Date format hint for the date columns of a table schema
+ * @returns {Object} - { records: [{ person, values }], skipped }
+ */
+function prepareRecords(people, options = {}) {
+  const batchId = options.batchId || null;
+  const rowNumbers = options.rowNumbers || [];
+  const promotedColumns = options.promotedColumns || [];
+  const records = [];
+  let skipped = 0;
+
+  people.forEach((person, index) => {
+    // Extract known fields
+    const {
+      external_id,
+      first_name,
+      last_name,
+      birth_date,
+      status,
+      ...additionalData
+    } = person;
+
+    // A schema table takes the values of its own columns, followed by the provenance columns; only its key is required
+    if (options.schema) {
+      if (!hasSchemaKey(options.schema, person)) {
+        logger.warn(`Skipping record without a value for the key ${options.schema.key}`, { person: JSON.stringify(person) });
+        skipped++;
+        return;
+      }
+      records.push({ person, values: [...toSchemaValues(options.schema, person, options), batchId, rowNumbers[index] || null] });
+      return;
+    }
+
+    // Skip records that don't have enough identifying information
+    if (!birth_date && !external_id && !(first_name && last_name)) {
+      logger.warn('Skipping record with insufficient identifying information', { person: JSON.stringify(person) });
+      skipped++;
+      return;
+    }
+
+    // Promoted fields leave additional_data for their own columns
+    const promotedValues = promotedColumns.map((column) => {
+      const value = additionalData[column];
+      delete additionalData[column];
+      return value === undefined || value === null || value === '' ? null : String(value);
+    });
+
+    // Store any additional fields as JSON, keeping the types of their values
+    const additionalDataJson = Object.keys(additionalData).length > 0
+      ? JSON.stringify(additionalData)
+      : null;
+
+    // Missing IDs are stored as NULL so that they never collide on the unique index,
+    // and missing dates as NULL since the column is a DATE
+    records.push({
+      person,
+      values: [
+        external_id || null,
+        first_name || '',
+        last_name || '',
+        birth_date || null,
+        status || '',
+        additionalDataJson,
+        batchId,
+        rowNumbers[index] || null,
+        ...promotedValues
+      ]
+    });
+  });
+
+  return { records, skipped };
+}
+
+/**
+ * Split an array into batches
+ *
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum batch size
+ * @returns {Array<Array>} - Batches of items
+ */
+function toBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Split records so that no external_id appears twice in the same group
+ *
+ * A single upsert statement cannot insert and then update the same key, so
+ * repeated IDs within a batch are pushed to a later group, preserving order.
+ *
+ * @param {Array} records - Records from prepareRecords
+ * @returns {Array<Array>} - Groups of records with unique external IDs
+ */
+function splitOnDuplicateKeys(records) {
+  const groups = [];
+
+  records.forEach((record) => {
+    const key = record.values[0];
+    let group = groups.find(candidate => key === null || !candidate.keys.has(key));
+
+    if (!group) {
+      group = { keys: new Set(), records: [] };
+      groups.push(group);
+    }
+
+    if (key !== null) {
+      group.keys.add(key);
+    }
+    group.records.push(record);
+  });
+
+  return groups.map(group => group.records);
+}
+
+/**
+ * Validate an import mode
+ *
+ * @param {string} mode - Import mode (defaults to append)
+ * @returns {string} - Validated import mode
+ */
+function resolveImportMode(mode) {
+  const resolved = mode || 'append';
+  if (!IMPORT_MODES.includes(resolved)) {
+    throw new Error(`Invalid import mode: ${mode}. Expected one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Add write counts ({ inserted, updated, unchanged, errors }) to running totals
+ *
+ * @param {Object} totals - Running totals, updated in place
+ * @param {Object} counts - Counts to add
+ * @returns {Object} - The running totals
+ */
+function addCounts(totals, counts) {
+  Object.keys(counts).forEach((key) => {
+    totals[key] = (totals[key] || 0) + counts[key];
+  });
+  return totals;
+}
+
+/**
+ * Resolve the table a save writes to: people, or a staging table that a
+ * replace-style load fills before it is swapped in (see people-staging.js)
+ *
+ * @param {Object} options - Save options { table }
+ * @param {string} mode - Resolved import mode
+ * @returns {string} - Table name
+ */
+function resolveTargetTable(options, mode) {
+  const table = options.table || 'people';
+  if (table !== 'people' && mode === 'upsert') {
+    throw new Error(`Upserts write to the people table and cannot target ${table}`);
+  }
+  return table;
+}
+
+/**
+ * Resolve where a save writes: the table, the column upserts match on, the
+ * columns and whether upserts save before-images for rollbacks
+ *
+ * Only the people table has before-images; a table schema brings its own
+ * table, key and columns (see table-schema.js).
+ *
+ * @param {Object} options - Save options { table, promotedColumns, schema }
+ * @param {string} mode - Resolved import mode
+ * @returns {Object} - { table, key, columns: { all, upsert, compared }, beforeImages }
+ */
+function resolveTarget(options, mode) {
+  const { schema } = options;
+  if (!schema) {
+    return { table: resolveTargetTable(options, mode), key: 'external_id', columns: resolvePeopleColumns(options), beforeImages: true };
+  }
+  if (mode === 'upsert' && !schema.key) {
+    throw new Error(`Upserts into ${schema.table} need a key column in its schema`);
+  }
+
+  const all = schemaColumnNames(schema);
+  const upsert = all.filter(column => column !== schema.key);
+  return {
+    table: schema.table,
+    key: schema.key,
+    columns: { all, upsert, compared: upsert.filter(column => !PROVENANCE_COLUMNS.includes(column)) },
+    beforeImages: false
+  };
+}
+
+/**
+ * Build the statement saving the current values of the people an upsert is
+ * about to write, so that its import batch can be rolled back
+ *
+ * Only the first image of a person is kept per batch: the row as it was
+ * before the batch. Rows the upsert leaves unchanged are saved too; they
+ * keep their own batch_id, so a rollback never restores them.
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @param {number} idCount - Number of external IDs bound after the batch id
+ * @param {Object} options - Statement options
+ * @param {string} options.keyColumn - Column the bound IDs are matched on (default: external_id)
+ * @param {Array<string>} options.columns - Columns saved (default: PEOPLE_COLUMNS, see resolvePeopleColumns)
+ * @returns {string} - SQL statement
+ */
+function buildBeforeImageSql(dialect, idCount, options = {}) {
+  const keyColumn = options.keyColumn || 'external_id';
+  const columns = (options.columns || PEOPLE_COLUMNS).join(', ');
+  const placeholders = Array.from({ length: idCount + 1 }, (_, index) => (dialect === 'postgres' ? `$${index + 1}` : '?'));
+  const insert = {
+    sqlite: 'INSERT OR IGNORE INTO',
+    mysql: 'INSERT IGNORE INTO',
+    postgres: 'INSERT INTO'
+  }[dialect];
+
+  // PostgreSQL cannot infer the type of a bare parameter in a select list
+  const batchId = dialect === 'postgres' ? `${placeholders[0]}::integer` : placeholders[0];
+
+  return `${insert} import_before_images (import_batch_id, person_id, ${columns})
+    SELECT ${batchId}, id, ${columns} FROM people
+    WHERE ${keyColumn} IN (${placeholders.slice(1).join(', ')})${dialect === 'postgres' ? ' ON CONFLICT DO NOTHING' : ''}`;
+}
+
+/**
+ * Build the statement recording the last source row of a committed chunk
+ * in import_progress (see migration 007), keyed on the batch and sheet
+ *
+ * Parameters: batch id, sheet, source SHA-256, last row number.
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @returns {string} - SQL statement
+ */
+function buildCheckpointSql(dialect) {
+  const insert = 'INSERT INTO import_progress (batch_id, sheet, source_sha256, last_row_number)';
+  if (dialect === 'mysql') {
+    return `${insert} VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE last_row_number = VALUES(last_row_number), updated_at = CURRENT_TIMESTAMP`;
+  }
+
+  const values = dialect === 'postgres' ? '($1, $2, $3, $4)' : '(?, ?, ?, ?)';
+  return `${insert} VALUES ${values}
+    ON CONFLICT (batch_id, sheet) DO UPDATE SET last_row_number = excluded.last_row_number, updated_at = CURRENT_TIMESTAMP`;
+}
+
+/**
+ * Parameters of the checkpoint statement for the options of a save
+ *
+ * @param {Object} options - Save options { batchId, sourceSha256, checkpoint: { sheet, lastRow } }
+ * @returns {Array|null} - Parameters of buildCheckpointSql, or null when there is nothing to record
+ */
+function checkpointParams(options) {
+  if (!options.batchId || !options.checkpoint) {
+    return null;
+  }
+  return [options.batchId, options.checkpoint.sheet || '', options.sourceSha256 || null, options.checkpoint.lastRow];
+}
+
+/**
+ * Encode a row in the tab-separated text format used by PostgreSQL COPY
+ * and MySQL LOAD DATA (backslash escapes, \N for NULL)
+ *
+ * @param {Array} values - Column values
+ * @returns {string} - Encoded line, including the trailing newline
+ */
+function toTextFormatLine(values) {
+  return values.map((value) => {
+    if (value === null || value === undefined) {
+      return '\\N';
+    }
+    if (typeof value === 'boolean') {
+      return value ? '1' : '0';
+    }
+
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\t/g, '\\t')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }).join('\t') + '\n';
+}
+
+module.exports = {
+  PEOPLE_COLUMNS,
+  UPSERT_COLUMNS,
+  PROVENANCE_COLUMNS,
+  COMPARED_COLUMNS,
+  IMPORT_MODES,
+  DEFAULT_BATCH_SIZE,
+  EXTERNAL_ID_INDEX,
+  prepareRecords,
+  toBatches,
+  splitOnDuplicateKeys,
+  resolveImportMode,
+  addCounts,
+  resolveTargetTable,
+  resolvePeopleColumns,
+  resolveTarget,
+  buildBeforeImageSql,
+  buildCheckpointSql,
+  checkpointParams,
+  toTextFormatLine
+};
@@ -2,16 +2,38 @@
  * MySQL Database Adapter
  * 
  * This module provides MySQL database functionality including:
- * - Initializing the database and creating tables
+ * - Opening the database and running statements for the migrations
  * - Saving people data to the database
  * - Handling database transactions and error recovery
  */
 
 const mysql = require('mysql2/promise');
+const { Readable } = require('stream');
 const { logger } = require('../logger');
+const {
+  PROVENANCE_COLUMNS,
+  DEFAULT_BATCH_SIZE,
+  prepareRecords,
+  toBatches,
+  splitOnDuplicateKeys,
+  resolveImportMode,
+  addCounts,
+  resolveTarget,
+  buildBeforeImageSql,
+  buildCheckpointSql,
+  checkpointParams,
+  toTextFormatLine
+} = require('./adapter-utils');
 
 /**
- * Initialize the MySQL database connection and create tables if they don't exist
+ * Dialect name used to select migration steps
+ */
+const dialect = 'mysql';
+
+/**
+ * Open the MySQL database connection
+ * 
+ * The schema is created and upgraded by the migrations (see src/migrator.js).
  * 
  * @param {Object} config - MySQL connection configuration
  * @returns {Promise<Object>} - Database connection object
@@ -31,26 +53,15 @@ async function initializeDatabase(config) {
       password: config.password || 'test_password',
       database: config.database,
       multipleStatements: true,
+      // Report rows actually changed, so that upserts can tell updated rows from unchanged ones
+      flags: ['-FOUND_ROWS'],
+      // Return DATE columns as ISO strings rather than Dates at local midnight
+      dateStrings: ['DATE'],
       authPlugins: {
         mysql_native_password: () => ({ default: true })
       }
     });
     
-    
-    // Create the people table if it doesn't exist
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS people (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        external_id VARCHAR(255),
-        first_name VARCHAR(255),
-        last_name VARCHAR(255),
-        birth_date VARCHAR(50),
-        status VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        additional_data JSON
-      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
-    `);
-    
     logger.info('MySQL database initialized successfully');
     return connection;
   } catch (error) {
@@ -60,97 +71,264 @@ async function initializeDatabase(config) {
   }
 }
 
+/**
+ * Run a statement that returns no rows
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>} - Result header { affectedRows, insertId, ... }
+ */
+async function execute(connection, sql, params = []) {
+  const [result] = await connection.query(sql, params);
+  return result;
+}
+
+/**
+ * Run a query and resolve with its rows
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array<Object>>} - Result rows
+ */
+async function query(connection, sql, params = []) {
+  const [rows] = await connection.query(sql, params);
+  return rows;
+}
+
+/**
+ * Count how many of the records' keys already exist
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {Array} records - Records from prepareRecords
+ * @param {Object} target - Table and key the records are upserted on
+ * @returns {Promise<number>} - Number of existing keys
+ */
+async function countExisting(connection, records, target) {
+  const ids = records.map(record => record.values[0]).filter(id => id !== null);
+  if (ids.length === 0) {
+    return 0;
+  }
+  
+  const [rows] = await connection.query(`SELECT COUNT(*) AS count FROM ${target.table} WHERE ${target.key} IN (?)`, [ids]);
+  return Number(rows[0].count);
+}
+
+/**
+ * Save the before-images of the existing people a group of records upserts
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {Array} records - Records with unique external IDs
+ * @param {number} batchId - Import batch writing the records (nothing is saved without one)
+ * @param {Array<string>} columns - Columns saved
+ * @returns {Promise<void>}
+ */
+async function saveBeforeImages(connection, records, batchId, columns) {
+  const ids = records.map(record => record.values[0]).filter(id => id !== null);
+  if (batchId && ids.length > 0) {
+    await connection.query(buildBeforeImageSql(dialect, ids.length, { columns }), [batchId, ...ids]);
+  }
+}
+
+/**
+ * Write a group of records with one statement
+ * 
+ * In upsert mode MySQL reports 1 affected row per insert, 2 per update and
+ * 0 for rows left as they were; with the number of existing IDs known up
+ * front this gives the inserted, updated and unchanged counts. The
+ * provenance columns are assigned first, and only when another column
+ * differs, so that unchanged rows still report 0.
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {Array} records - Records with unique external IDs
+ * @param {string} mode - Import mode
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go { table, key, columns, beforeImages } (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged }
+ */
+async function writeRecords(connection, records, mode, batchId, target) {
+  const sql = `INSERT INTO ${target.table} (${target.columns.all.join(', ')}) VALUES ?`;
+  const values = [records.map(record => record.values)];
+  
+  if (mode !== 'upsert') {
+    await connection.query(sql, values);
+    return { inserted: records.length, updated: 0, unchanged: 0 };
+  }
+  
+  const existing = await countExisting(connection, records, target);
+  if (target.beforeImages) {
+    await saveBeforeImages(connection, records, batchId, target.columns.all);
+  }
+  const changed = target.columns.compared.map(column => `NOT (${column} <=> VALUES(${column}))`).join(' OR ');
+  const assignments = [
+    ...PROVENANCE_COLUMNS.map(column => `${column} = IF(${changed}, VALUES(${column}), ${column})`),
+    ...target.columns.compared.map(column => `${column} = VALUES(${column})`)
+  ].join(', ');
+  const [result] = await connection.query(`${sql} ON DUPLICATE KEY UPDATE ${assignments}`, values);
+  const inserted = records.length - existing;
+  const updated = (result.affectedRows - inserted) / 2;
+  
+  return { inserted, updated, unchanged: existing - updated };
+}
+
+/**
+ * Write a batch of records with multi-row statements, falling back to one
+ * row per statement when one fails so that errors are counted per row
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {Array} batch - Records from prepareRecords
+ * @param {string} mode - Import mode
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, errors }
+ */
+async function insertBatch(connection, batch, mode, batchId, target) {
+  const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
+  const groups = mode === 'upsert' ? splitOnDuplicateKeys(batch) : [batch];
+  
+  for (const group of groups) {
+    try {
+      addCounts(totals, await writeRecords(connection, group, mode, batchId, target));
+      continue;
+    } catch (error) {
+      logger.warn('Multi-row insert failed, retrying rows individually', { error: error.message });
+    }
+    
+    for (const record of group) {
+      try {
+        addCounts(totals, await writeRecords(connection, [record], mode, batchId, target));
+      } catch (error) {
+        logger.error('Error inserting record', { 
+          error: error.message, 
+          person: JSON.stringify(record.person)
+        });
+        totals.errors++;
+      }
+    }
+  }
+  
+  return totals;
+}
+
+/**
+ * Load a batch of records with LOAD DATA LOCAL INFILE
+ * 
+ * The rows are streamed to the server in tab-separated form. LOAD DATA LOCAL
+ * turns row errors into warnings, so rows the server did not load are
+ * counted as errors.
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {Array} batch - Records from prepareRecords
+ * @param {Object} target - Table to load into and its columns { table, columns }
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, errors }
+ */
+async function loadDataBatch(connection, batch, target) {
+  const [result] = await connection.query({
+    sql: `LOAD DATA LOCAL INFILE 'people.tsv' INTO TABLE ${target.table} CHARACTER SET utf8mb4 FIELDS TERMINATED BY '\\t' ESCAPED BY '\\\\' LINES TERMINATED BY '\\n' (${target.columns.all.join(', ')})`,
+    infileStreamFactory: () => Readable.from(batch.map(record => toTextFormatLine(record.values)))
+  });
+  
+  const inserted = result.affectedRows;
+  if (result.warningStatus > 0) {
+    logger.warn(`LOAD DATA reported ${result.warningStatus} warnings`);
+  }
+  
+  return { inserted, updated: 0, unchanged: 0, errors: batch.length - inserted };
+}
+
 /**
  * Save people data to the MySQL database
  * 
+ * Rows are written with multi-row INSERT statements inside one transaction,
+ * or with LOAD DATA LOCAL INFILE when `options.loadData` is set and the
+ * server allows it. In upsert mode, rows whose external_id already exists
+ * update that row; LOAD DATA is not used for upserts. With a batchId, those
+ * rows are first copied to import_before_images for rollbacks. With a
+ * checkpoint, the last source row of the chunk is recorded in
+ * import_progress in the same transaction.
+ * 
  * @param {Object} connection - MySQL connection object
  * @param {Array} people - Array of people objects to save
+ * @param {Object} options - Save options
+ * @param {number} options.batchSize - Number of rows per statement
+ * @param {boolean} options.loadData - Whether to use LOAD DATA LOCAL INFILE
+ * @param {string} options.mode - Import mode: append (default) or upsert
+ * @param {number} options.batchId - Import batch recorded on each row
+ * @param {string} options.table - Table to insert into: people (default) or a staging table, not for upserts
+ * @param {Array<number>} options.rowNumbers - Source row number of each person
+ * @param {Array<string>} options.promotedColumns - Extra fields written to columns of their own
+ * @param {Object} options.schema - Table schema to write instead of people (see table-schema.js), optional
+ * @param {string} options.dateFormat - Date format hint for the date columns of a table schema
+ * @param {string} options.sourceSha256 - SHA-256 of the import source, for the checkpoint
+ * @param {Object} options.checkpoint - Position of the chunk in the source { sheet, lastRow }, optional
+ * @param {boolean} options.inTransaction - Write inside the caller's open transaction, which the caller
+ *   commits or rolls back (used by atomic imports)
  * @returns {Promise<Object>} - Result of the save operation
  */
-async function saveToDatabase(connection, people) {
+async function saveToDatabase(connection, people, options = {}) {
   try {
     if (!Array.isArray(people) || people.length === 0) {
       logger.warn('No people data to save');
-      return { inserted: 0 };
+      return { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0 };
     }
     
     logger.info(`Preparing to save ${people.length} records to MySQL database`);
     
-    // Start a transaction
-    await connection.beginTransaction();
+    const mode = resolveImportMode(options.mode);
+    const target = resolveTarget(options, mode);
+    const { records, skipped } = prepareRecords(people, options);
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    let useLoadData = Boolean(options.loadData) && mode !== 'upsert';
     
-    let inserted = 0;
-    let errors = 0;
+    // Start a transaction (unless the caller holds one open)
+    if (!options.inTransaction) {
+      await connection.beginTransaction();
+    }
     
-    // Prepare the insert statement
-    const stmt = `
-      INSERT INTO people (
-        external_id, first_name, last_name, birth_date, status, additional_data
-      ) VALUES (?, ?, ?, ?, ?, ?)
-    `;
+    const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
     
-    // Process each person in batches
-    const batchSize = 100;
-    for (let i = 0; i < people.length; i += batchSize) {
-      const batch = people.slice(i, i + batchSize);
-      const promises = batch.map(async (person) => {
+    for (const batch of toBatches(records, batchSize)) {
+      let result = null;
+      
+      if (useLoadData) {
         try {
-          // Extract known fields
-          const {
-            external_id,
-            first_name,
-            last_name,
-            birth_date,
-            status,
-            ...additionalData
-          } = person;
-          
-          // Skip records that don't have enough identifying information
-          if (!birth_date && !external_id && !(first_name && last_name)) {
-            logger.warn('Skipping record with insufficient identifying information');
-            logger.info(person);
-            return;
-          }
-          
-          // Store any additional fields as JSON
-          const additionalDataJson = Object.keys(additionalData).length > 0 
-            ? JSON.stringify(additionalData) 
-            : null;
-          
-          // Execute the insert
-          const [result] = await connection.execute(stmt, [
-            external_id || '',
-            first_name || '',
-            last_name || '',
-            birth_date || '',
-            status || '',
-            additionalDataJson
-          ]);
-          
-          inserted++;
+          result = await loadDataBatch(connection, batch, target);
         } catch (error) {
-          logger.error('Error inserting record', { 
-            error: error.message, 
-            person: JSON.stringify(person)
-          });
-          errors++;
+          // Typically local_infile is disabled on the server
+          logger.warn('LOAD DATA LOCAL INFILE failed, falling back to multi-row INSERT', { error: error.message });
+          useLoadData = false;
         }
-      });
+      }
       
-      await Promise.all(promises);
+      if (!result) {
+        result = await insertBatch(connection, batch, mode, options.batchId, target);
+      }
+      
+      addCounts(totals, result);
     }
     
-    // Commit the transaction
-    await connection.commit();
+    // Record how far the import got, with the rows of this chunk
+    const checkpoint = checkpointParams(options);
+    if (checkpoint) {
+      await connection.execute(buildCheckpointSql(dialect), checkpoint);
+    }
     
-    logger.info(`Successfully saved ${inserted} records to MySQL database (${errors} errors)`);
-    return { inserted, errors };
+    // Commit the transaction (the caller commits its own)
+    if (!options.inTransaction) {
+      await connection.commit();
+    }
+    
+    logger.info(`Successfully saved ${totals.inserted} records to MySQL database (${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.errors} errors)`);
+    return { ...totals, skipped };
   } catch (error) {
     logger.error('Error saving to MySQL database', { error: error.message });
     
-    // Rollback the transaction
+    // Rollback the transaction (the caller rolls back its own)
     try {
-      await connection.rollback();
+      if (!options.inTransaction) {
+        await connection.rollback();
+      }
     } catch (rollbackError) {
       logger.error('Error rolling back transaction', { error: rollbackError.message });
     }
@@ -159,6 +337,19 @@ async function saveToDatabase(connection, people) {
   }
 }
 
+/**
+ * Delete every row of the people table, or of a schema table (used by the replace import mode)
+ * 
+ * @param {Object} connection - MySQL connection object
+ * @param {string} table - Table to clear (default: people)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function clearPeople(connection, table = 'people') {
+  const [result] = await connection.execute(`DELETE FROM ${table}`);
+  logger.info(`Deleted ${result.affectedRows} existing records from MySQL database`);
+  return result.affectedRows;
+}
+
 /**
  * Close the MySQL database connection
  * 
@@ -206,8 +397,12 @@ async function closeAllConnections() {
 }
 
 module.exports = {
+  dialect,
   initializeDatabase,
+  execute,
+  query,
   saveToDatabase,
+  clearPeople,
   closeDatabase,
   closeAllConnections
 }; 
\ No newline at end of file
@@ -2,19 +2,53 @@
  * PostgreSQL Database Adapter
  * 
  * This module provides PostgreSQL database functionality including:
- * - Initializing the database and creating tables
+ * - Opening the database and running statements for the migrations
  * - Saving people data to the database
  * - Handling database transactions and error recovery
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
+const { Readable, pipeline: pipelineCallback } = require('stream');
+const { promisify } = require('util');
 const { logger } = require('../logger');
+const {
+  DEFAULT_BATCH_SIZE,
+  prepareRecords,
+  toBatches,
+  splitOnDuplicateKeys,
+  resolveImportMode,
+  addCounts,
+  resolveTarget,
+  buildBeforeImageSql,
+  buildCheckpointSql,
+  checkpointParams,
+  toTextFormatLine
+} = require('./adapter-utils');
+
+const pipeline = promisify(pipelineCallback);
+
+// Return DATE columns as ISO strings rather than Dates at local midnight
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
+
+/**
+ * Maximum number of bound parameters in a single PostgreSQL statement
+ */
+const POSTGRES_MAX_PARAMETERS = 65535;
 
 // Store connection pools to reuse them
 const pools = new Map();
 
 /**
- * Initialize the PostgreSQL database connection and create tables if they don't exist
+ * Dialect name used to select migration steps
+ */
+const dialect = 'postgres';
+
+/**
+ * Open a PostgreSQL connection from a pool
+ * 
+ * The schema is created and upgraded by the migrations (see src/migrator.js).
  * 
  * @param {Object} config - PostgreSQL connection configuration
  * @returns {Promise<Object>} - Database connection object
@@ -47,29 +81,10 @@ async function initializeDatabase(config) {
     // Get a client from the pool
     const client = await pool.connect();
     
-    try {
-      // Create the people table if it doesn't exist
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS people (
-          id SERIAL PRIMARY KEY,
-          external_id VARCHAR(255),
-          first_name VARCHAR(255),
-          last_name VARCHAR(255),
-          birth_date VARCHAR(50),
-          status VARCHAR(50),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          additional_data JSONB
-        )
-      `);
-      
-      logger.info('PostgreSQL database initialized successfully');
-      
-      // Return the client and pool for later use
-      return { client, pool };
-    } catch (error) {
-      client.release();
-      throw error;
-    }
+    logger.info('PostgreSQL database initialized successfully');
+    
+    // Return the client and pool for later use
+    return { client, pool };
   } catch (error) {
     logger.error('Error initializing PostgreSQL database', { error: error.message });
     logger.error(error);
@@ -77,99 +92,285 @@ async function initializeDatabase(config) {
   }
 }
 
+/**
+ * Run a statement that returns no rows
+ * 
+ * @param {Object} connection - PostgreSQL connection object { client, pool }
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>} - Query result { rowCount, ... }
+ */
+async function execute(connection, sql, params = []) {
+  return connection.client.query(sql, params);
+}
+
+/**
+ * Run a query and resolve with its rows
+ * 
+ * @param {Object} connection - PostgreSQL connection object { client, pool }
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array<Object>>} - Result rows
+ */
+async function query(connection, sql, params = []) {
+  const result = await connection.client.query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Build a multi-row upsert statement keyed on the target's key (external_id for people)
+ * 
+ * Rows whose values are all unchanged are left alone and return nothing;
+ * the others return whether they were inserted (xmax = 0) or updated.
+ * 
+ * @param {number} rowCount - Number of rows in the statement
+ * @param {Object} target - Table, key and columns written (default: people, see resolveTarget)
+ * @returns {string} - SQL statement
+ */
+function buildUpsertSql(rowCount, target = resolveTarget({}, 'upsert')) {
+  const { table, key, columns } = target;
+  const rows = [];
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * columns.all.length;
+    rows.push(`(${columns.all.map((_, index) => `$${offset + index + 1}`).join(', ')})`);
+  }
+  
+  const assignments = columns.upsert.map(column => `${column} = EXCLUDED.${column}`).join(', ');
+  const current = columns.compared.map(column => `${table}.${column}`).join(', ');
+  const incoming = columns.compared.map(column => `EXCLUDED.${column}`).join(', ');
+  
+  return `INSERT INTO ${table} (${columns.all.join(', ')}) VALUES ${rows.join(', ')}
+    ON CONFLICT (${key}) DO UPDATE SET ${assignments}
+    WHERE (${current}) IS DISTINCT FROM (${incoming})
+    RETURNING (xmax = 0) AS inserted`;
+}
+
+/**
+ * Save the before-images of the existing people a group of records upserts
+ * 
+ * @param {Object} client - PostgreSQL client
+ * @param {Array} records - Records with unique external IDs
+ * @param {number} batchId - Import batch writing the records (nothing is saved without one)
+ * @param {Array<string>} columns - Columns saved
+ * @returns {Promise<void>}
+ */
+async function saveBeforeImages(client, records, batchId, columns) {
+  const ids = records.map(record => record.values[0]).filter(id => id !== null);
+  if (batchId && ids.length > 0) {
+    await client.query(buildBeforeImageSql(dialect, ids.length, { columns }), [batchId, ...ids]);
+  }
+}
+
+/**
+ * Upsert a group of records with unique external IDs in one statement
+ * 
+ * @param {Object} client - PostgreSQL client
+ * @param {Array} records - Records with unique external IDs
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go { table, key, columns, beforeImages } (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged }
+ */
+async function upsertRecords(client, records, batchId, target) {
+  if (target.beforeImages) {
+    await saveBeforeImages(client, records, batchId, target.columns.all);
+  }
+  const result = await client.query(buildUpsertSql(records.length, target), records.flatMap(record => record.values));
+  const inserted = result.rows.filter(row => row.inserted).length;
+  const updated = result.rows.length - inserted;
+  
+  return { inserted, updated, unchanged: records.length - result.rows.length };
+}
+
+/**
+ * Upsert a batch of records, retrying row by row under savepoints when a
+ * multi-row statement fails so that errors are counted per row
+ * 
+ * @param {Object} client - PostgreSQL client
+ * @param {Array} batch - Records from prepareRecords
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, errors }
+ */
+async function upsertBatch(client, batch, batchId, target) {
+  const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
+  
+  for (const group of splitOnDuplicateKeys(batch)) {
+    await client.query('SAVEPOINT people_batch');
+    
+    try {
+      addCounts(totals, await upsertRecords(client, group, batchId, target));
+      await client.query('RELEASE SAVEPOINT people_batch');
+      continue;
+    } catch (error) {
+      logger.warn('Multi-row upsert failed, retrying rows individually', { error: error.message });
+      await client.query('ROLLBACK TO SAVEPOINT people_batch');
+    }
+    
+    for (const record of group) {
+      await client.query('SAVEPOINT people_row');
+      try {
+        addCounts(totals, await upsertRecords(client, [record], batchId, target));
+        await client.query('RELEASE SAVEPOINT people_row');
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT people_row');
+        logger.error('Error inserting record', { 
+          error: error.message, 
+          person: JSON.stringify(record.person)
+        });
+        totals.errors++;
+      }
+    }
+  }
+  
+  return totals;
+}
+
+/**
+ * Stream a batch of records into the people (or staging) table with COPY FROM STDIN
+ * 
+ * @param {Object} client - PostgreSQL client
+ * @param {Array} batch - Records from prepareRecords
+ * @param {Object} target - Table to copy into and its columns { table, columns }
+ * @returns {Promise<number>} - Number of rows copied
+ */
+async function copyBatch(client, batch, target) {
+  const stream = client.query(copyFrom(`COPY ${target.table} (${target.columns.all.join(', ')}) FROM STDIN`));
+  await pipeline(Readable.from(batch.map(record => toTextFormatLine(record.values))), stream);
+  return stream.rowCount;
+}
+
+/**
+ * Insert records one per statement, each under its own savepoint so that a
+ * failing row does not abort the surrounding transaction
+ * 
+ * @param {Object} client - PostgreSQL client
+ * @param {Array} batch - Records from prepareRecords
+ * @param {Object} target - Table to insert into and its columns { table, columns }
+ * @returns {Promise<Object>} - { inserted, errors }
+ */
+async function insertRows(client, batch, target) {
+  const insertQuery = `
+    INSERT INTO ${target.table} (${target.columns.all.join(', ')})
+    VALUES (${target.columns.all.map((_, index) => `$${index + 1}`).join(', ')})
+  `;
+  
+  let inserted = 0;
+  let errors = 0;
+  
+  for (const record of batch) {
+    await client.query('SAVEPOINT people_row');
+    try {
+      await client.query(insertQuery, record.values);
+      await client.query('RELEASE SAVEPOINT people_row');
+      inserted++;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT people_row');
+      logger.error('Error inserting record', { 
+        error: error.message, 
+        person: JSON.stringify(record.person)
+      });
+      errors++;
+    }
+  }
+  
+  return { inserted, errors };
+}
+
 /**
  * Save people data to the PostgreSQL database
  * 
+ * Rows are bulk-loaded with COPY FROM STDIN inside one transaction. A COPY
+ * fails as a whole when any row is rejected, so a failing batch is rolled
+ * back to its savepoint and retried row by row to count errors per row.
+ * In upsert mode, rows are written with INSERT ... ON CONFLICT instead, and
+ * rows whose external_id already exists update that row. With a batchId,
+ * those rows are first copied to import_before_images for rollbacks.
+ * With a checkpoint, the last source row of the chunk is recorded in
+ * import_progress in the same transaction.
+ * 
  * @param {Object} connection - PostgreSQL connection object { client, pool }
  * @param {Array} people - Array of people objects to save
+ * @param {Object} options - Save options
+ * @param {number} options.batchSize - Number of rows per COPY or upsert statement
+ * @param {string} options.mode - Import mode: append (default) or upsert
+ * @param {number} options.batchId - Import batch recorded on each row
+ * @param {string} options.table - Table to insert into: people (default) or a staging table, not for upserts
+ * @param {Array<number>} options.rowNumbers - Source row number of each person
+ * @param {Array<string>} options.promotedColumns - Extra fields written to columns of their own
+ * @param {Object} options.schema - Table schema to write instead of people (see table-schema.js), optional
+ * @param {string} options.dateFormat - Date format hint for the date columns of a table schema
+ * @param {string} options.sourceSha256 - SHA-256 of the import source, for the checkpoint
+ * @param {Object} options.checkpoint - Position of the chunk in the source { sheet, lastRow }, optional
+ * @param {boolean} options.inTransaction - Write inside the caller's open transaction, which the caller
+ *   commits or rolls back (used by atomic imports)
  * @returns {Promise<Object>} - Result of the save operation
  */
-async function saveToDatabase(connection, people) {
-  const { client, pool } = connection;
+async function saveToDatabase(connection, people, options = {}) {
+  const { client } = connection;
   
   try {
     if (!Array.isArray(people) || people.length === 0) {
       logger.warn('No people data to save');
-      return { inserted: 0 };
+      return { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0 };
     }
     
     logger.info(`Preparing to save ${people.length} records to PostgreSQL database`);
     
-    // Start a transaction
-    await client.query('BEGIN');
+    const mode = resolveImportMode(options.mode);
+    const target = resolveTarget(options, mode);
+    const { records, skipped } = prepareRecords(people, options);
+    let batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    if (mode === 'upsert') {
+      batchSize = Math.min(batchSize, Math.floor(POSTGRES_MAX_PARAMETERS / target.columns.all.length));
+    }
     
-    let inserted = 0;
-    let errors = 0;
+    // Start a transaction (unless the caller holds one open)
+    if (!options.inTransaction) {
+      await client.query('BEGIN');
+    }
     
-    // Prepare the insert statement
-    const insertQuery = `
-      INSERT INTO people (
-        external_id, first_name, last_name, birth_date, status, additional_data
-      ) VALUES ($1, $2, $3, $4, $5, $6)
-    `;
+    const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
     
-    // Process each person in batches
-    const batchSize = 100;
-    for (let i = 0; i < people.length; i += batchSize) {
-      const batch = people.slice(i, i + batchSize);
-      const promises = batch.map(async (person) => {
-        try {
-          // Extract known fields
-          const {
-            external_id,
-            first_name,
-            last_name,
-            birth_date,
-            status,
-            ...additionalData
-          } = person;
-          
-          // Skip records that don't have enough identifying information
-          if (!birth_date && !external_id && !(first_name && last_name)) {
-            logger.warn('Skipping record with insufficient identifying information');
-            logger.info(person);
-            return;
-          }
-          
-          // Store any additional fields as JSON
-          const additionalDataJson = Object.keys(additionalData).length > 0 
-            ? JSON.stringify(additionalData) 
-            : null;
-          
-          // Execute the insert
-          await client.query(insertQuery, [
-            external_id || '',
-            first_name || '',
-            last_name || '',
-            birth_date || '',
-            status || '',
-            additionalDataJson
-          ]);
-          
-          inserted++;
-        } catch (error) {
-          logger.error('Error inserting record', { 
-            error: error.message, 
-            person: JSON.stringify(person)
-          });
-          errors++;
-        }
-      });
+    for (const batch of toBatches(records, batchSize)) {
+      if (mode === 'upsert') {
+        addCounts(totals, await upsertBatch(client, batch, options.batchId, target));
+        continue;
+      }
+      
+      await client.query('SAVEPOINT people_batch');
       
-      await Promise.all(promises);
+      try {
+        totals.inserted += await copyBatch(client, batch, target);
+        await client.query('RELEASE SAVEPOINT people_batch');
+      } catch (error) {
+        logger.warn('COPY failed, retrying rows individually', { error: error.message });
+        await client.query('ROLLBACK TO SAVEPOINT people_batch');
+        
+        addCounts(totals, await insertRows(client, batch, target));
+      }
     }
     
-    // Commit the transaction
-    await client.query('COMMIT');
+    // Record how far the import got, with the rows of this chunk
+    const checkpoint = checkpointParams(options);
+    if (checkpoint) {
+      await client.query(buildCheckpointSql(dialect), checkpoint);
+    }
     
-    logger.info(`Successfully saved ${inserted} records to PostgreSQL database (${errors} errors)`);
-    return { inserted, errors };
+    // Commit the transaction (the caller commits its own)
+    if (!options.inTransaction) {
+      await client.query('COMMIT');
+    }
+    
+    logger.info(`Successfully saved ${totals.inserted} records to PostgreSQL database (${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.errors} errors)`);
+    return { ...totals, skipped };
   } catch (error) {
     logger.error('Error saving to PostgreSQL database', { error: error.message });
     
-    // Rollback the transaction
+    // Rollback the transaction (the caller rolls back its own)
     try {
-      await client.query('ROLLBACK');
+      if (!options.inTransaction) {
+        await client.query('ROLLBACK');
+      }
     } catch (rollbackError) {
       logger.error('Error rolling back transaction', { error: rollbackError.message });
     }
@@ -178,6 +379,19 @@ async function saveToDatabase(connection, people) {
   }
 }
 
+/**
+ * Delete every row of the people table, or of a schema table (used by the replace import mode)
+ * 
+ * @param {Object} connection - PostgreSQL connection object { client, pool }
+ * @param {string} table - Table to clear (default: people)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function clearPeople(connection, table = 'people') {
+  const result = await connection.client.query(`DELETE FROM ${table}`);
+  logger.info(`Deleted ${result.rowCount} existing records from PostgreSQL database`);
+  return result.rowCount;
+}
+
 /**
  * Close the database connection
  * 
@@ -273,8 +487,12 @@ async function terminateAllPools() {
 }
 
 module.exports = {
+  dialect,
   initializeDatabase,
+  execute,
+  query,
   saveToDatabase,
+  clearPeople,
   closeDatabase,
   closeAllPools,
   terminateAllPools
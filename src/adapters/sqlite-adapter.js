@@ -2,17 +2,48 @@
  * SQLite Database Adapter
  * 
  * This module provides SQLite database functionality including:
- * - Initializing the database and creating tables
+ * - Opening the database and running statements for the migrations
  * - Saving people data to the database
  * - Handling database transactions and error recovery
  */
 
 const sqlite3 = require('sqlite3');
+const fs = require('fs');
 const path = require('path');
 const { logger } = require('../logger');
+const {
+  PEOPLE_COLUMNS,
+  DEFAULT_BATCH_SIZE,
+  prepareRecords,
+  toBatches,
+  splitOnDuplicateKeys,
+  resolveImportMode,
+  addCounts,
+  resolveTarget,
+  buildBeforeImageSql,
+  buildCheckpointSql,
+  checkpointParams
+} = require('./adapter-utils');
 
 /**
- * Initialize the SQLite database connection and create tables if they don't exist
+ * Dialect name used to select migration steps
+ */
+const dialect = 'sqlite';
+
+/**
+ * Resolve the path of the SQLite database file
+ * 
+ * @param {string} dbPath - Path given in the options, optional
+ * @returns {string} - dbPath, else DB_PATH, else data/people.db
+ */
+function resolveDatabasePath(dbPath) {
+  return dbPath || process.env.DB_PATH || path.join(__dirname, '..', '..', 'data', 'people.db');
+}
+
+/**
+ * Open the SQLite database connection
+ * 
+ * The schema is created and upgraded by the migrations (see src/migrator.js).
  * 
  * @param {string} dbPath - Path to the SQLite database file
  * @returns {Promise<Object>} - Database connection object
@@ -20,7 +51,7 @@ const { logger } = require('../logger');
 async function initializeDatabase(dbPath) {
   return new Promise((resolve, reject) => {
     try {
-      const finalDbPath = dbPath || process.env.DB_PATH || path.join(__dirname, '..', '..', 'data', 'people.db');
+      const finalDbPath = resolveDatabasePath(dbPath);
       logger.info(`Initializing SQLite database at: ${finalDbPath}`);
       
       // Create a new database connection
@@ -31,97 +62,7 @@ async function initializeDatabase(dbPath) {
         }
         
         logger.info('Connected to the SQLite database');
-        
-        // Check if the people table exists
-        db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='people'", (err, row) => {
-          if (err) {
-            logger.error('Error checking if table exists', { error: err.message });
-            return reject(new Error(`Failed to check if table exists: ${err.message}`));
-          }
-          
-          if (row) {
-            // Table exists, check if we need to add new columns
-            logger.info('People table already exists, checking for schema updates');
-            
-            // Get the current table schema
-            db.all("PRAGMA table_info(people)", (err, columns) => {
-              if (err) {
-                logger.error('Error getting table schema', { error: err.message });
-                return reject(new Error(`Failed to get table schema: ${err.message}`));
-              }
-              
-              // Check which columns we need to add
-              const existingColumns = columns.map(col => col.name);
-              const requiredColumns = [
-                'external_id', 'first_name', 'last_name', 'birth_date', 'status', 'created_at', 'additional_data'
-              ];
-              
-              const missingColumns = requiredColumns.filter(col => !existingColumns.includes(col));
-              
-              if (missingColumns.length === 0) {
-                logger.info('Table schema is up to date');
-                return resolve(db);
-              }
-              
-              logger.info(`Adding ${missingColumns.length} missing columns to people table`);
-              
-              // Add each missing column
-              const addColumnPromises = missingColumns.map(column => {
-                return new Promise((resolveColumn, rejectColumn) => {
-                  let type = 'TEXT';
-                  if (column === 'created_at') {
-                    type = 'TEXT DEFAULT CURRENT_TIMESTAMP';
-                  }
-                  
-                  const sql = `ALTER TABLE people ADD COLUMN ${column} ${type}`;
-                  db.run(sql, (err) => {
-                    if (err) {
-                      logger.error(`Error adding column ${column}`, { error: err.message });
-                      return rejectColumn(err);
-                    }
-                    logger.info(`Added column ${column} to people table`);
-                    resolveColumn();
-                  });
-                });
-              });
-              
-              // Execute all column additions
-              Promise.all(addColumnPromises)
-                .then(() => {
-                  logger.info('Table schema updated successfully');
-                  resolve(db);
-                })
-                .catch(err => {
-                  logger.error('Error updating table schema', { error: err.message });
-                  reject(new Error(`Failed to update table schema: ${err.message}`));
-                });
-            });
-          } else {
-            // Table doesn't exist, create it
-            logger.info('Creating people table');
-            
-            db.run(`
-              CREATE TABLE IF NOT EXISTS people (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                external_id TEXT,
-                first_name TEXT,
-                last_name TEXT,
-                birth_date TEXT,
-                status TEXT,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                additional_data TEXT
-              )
-            `, (err) => {
-              if (err) {
-                logger.error('Error creating people table', { error: err.message });
-                return reject(new Error(`Failed to create people table: ${err.message}`));
-              }
-              
-              logger.info('SQLite database initialized successfully');
-              resolve(db);
-            });
-          }
-        });
+        resolve(db);
       });
     } catch (error) {
       logger.error('Unexpected error initializing SQLite database', { error: error.message });
@@ -130,112 +71,326 @@ async function initializeDatabase(dbPath) {
   });
 }
 
+/**
+ * Copy a database file into an open database, such as a throwaway in-memory
+ * one for a dry run
+ * 
+ * The file is only read, with the SQLite backup API. A missing file leaves
+ * the database empty.
+ * 
+ * @param {Object} db - SQLite database connection object receiving the copy
+ * @param {string} dbPath - Path to the SQLite database file to copy
+ * @returns {Promise<void>}
+ */
+async function copyDatabase(db, dbPath) {
+  const source = resolveDatabasePath(dbPath);
+  if (!fs.existsSync(source)) {
+    logger.info(`No SQLite database at ${source}; starting from an empty database`);
+    return;
+  }
+  
+  await new Promise((resolve, reject) => {
+    const backup = db.backup(source, 'main', 'main', false, (err) => {
+      if (err) {
+        return reject(new Error(`Failed to copy SQLite database ${source}: ${err.message}`));
+      }
+      
+      backup.step(-1, (stepErr) => {
+        if (stepErr) {
+          return reject(new Error(`Failed to copy SQLite database ${source}: ${stepErr.message}`));
+        }
+        backup.finish();
+        resolve();
+      });
+    });
+  });
+  logger.info(`Copied SQLite database ${source} into a throwaway database`);
+}
+
+/**
+ * Run a statement that returns no rows
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>} - { changes, lastID }
+ */
+function execute(db, sql, params = []) {
+  return run(db, sql, params);
+}
+
+/**
+ * Run a query and resolve with its rows
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array<Object>>} - Result rows
+ */
+function query(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Maximum number of bound parameters in a single SQLite statement
+ */
+const SQLITE_MAX_VARIABLES = 32766;
+
+/**
+ * Run a statement and resolve with its result
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>} - { changes, lastID }
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+/**
+ * Build a multi-row INSERT statement for the people table
+ * 
+ * @param {number} rowCount - Number of rows in the statement
+ * @param {string} table - Table to insert into (default: people)
+ * @param {Array<string>} columns - Columns written (default: PEOPLE_COLUMNS)
+ * @returns {string} - SQL statement
+ */
+function buildInsertSql(rowCount, table = 'people', columns = PEOPLE_COLUMNS) {
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  return `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${new Array(rowCount).fill(placeholders).join(', ')}`;
+}
+
+/**
+ * Build a multi-row upsert statement keyed on the target's key (external_id for people)
+ * 
+ * Rows whose values are all unchanged are left alone, so they are not
+ * counted as changes.
+ * 
+ * @param {number} rowCount - Number of rows in the statement
+ * @param {Object} target - Table, key and columns written (default: people, see resolveTarget)
+ * @returns {string} - SQL statement
+ */
+function buildUpsertSql(rowCount, target = resolveTarget({}, 'upsert')) {
+  const { table, key, columns } = target;
+  const assignments = columns.upsert.map(column => `${column} = excluded.${column}`).join(', ');
+  const changed = columns.compared.map(column => `${table}.${column} IS NOT excluded.${column}`).join(' OR ');
+  return `${buildInsertSql(rowCount, table, columns.all)} ON CONFLICT (${key}) DO UPDATE SET ${assignments} WHERE ${changed}`;
+}
+
+/**
+ * Count how many of the records' keys already exist
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {Array} records - Records from prepareRecords
+ * @param {Object} target - Table and key the records are upserted on
+ * @returns {Promise<number>} - Number of existing keys
+ */
+function countExisting(db, records, target) {
+  const ids = records.map(record => record.values[0]).filter(id => id !== null);
+  if (ids.length === 0) {
+    return Promise.resolve(0);
+  }
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) AS count FROM ${target.table} WHERE ${target.key} IN (${ids.map(() => '?').join(', ')})`,
+      ids,
+      (err, row) => (err ? reject(err) : resolve(row.count))
+    );
+  });
+}
+
+/**
+ * Save the before-images of the existing people a group of records upserts
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {Array} records - Records with unique external IDs
+ * @param {number} batchId - Import batch writing the records (nothing is saved without one)
+ * @param {Array<string>} columns - Columns saved
+ * @returns {Promise<void>}
+ */
+async function saveBeforeImages(db, records, batchId, columns) {
+  const ids = records.map(record => record.values[0]).filter(id => id !== null);
+  if (batchId && ids.length > 0) {
+    await run(db, buildBeforeImageSql(dialect, ids.length, { columns }), [batchId, ...ids]);
+  }
+}
+
+/**
+ * Write a group of records with one statement
+ * 
+ * In upsert mode the existing IDs are counted first; the statement's change
+ * count then tells inserted rows apart from updated and unchanged ones.
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {Array} records - Records with unique external IDs
+ * @param {string} mode - Import mode
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go { table, key, columns, beforeImages } (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged }
+ */
+async function writeRecords(db, records, mode, batchId, target) {
+  const params = records.flatMap(record => record.values);
+  
+  if (mode !== 'upsert') {
+    await run(db, buildInsertSql(records.length, target.table, target.columns.all), params);
+    return { inserted: records.length, updated: 0, unchanged: 0 };
+  }
+  
+  const existing = await countExisting(db, records, target);
+  if (target.beforeImages) {
+    await saveBeforeImages(db, records, batchId, target.columns.all);
+  }
+  const { changes } = await run(db, buildUpsertSql(records.length, target), params);
+  const inserted = records.length - existing;
+  const updated = changes - inserted;
+  
+  return { inserted, updated, unchanged: existing - updated };
+}
+
+/**
+ * Write a batch of records, falling back to one row per statement when the
+ * multi-row statement fails so that errors are counted per row
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {Array} batch - Records from prepareRecords
+ * @param {string} mode - Import mode
+ * @param {number} batchId - Import batch writing the records, for the before-images
+ * @param {Object} target - Where the records go (see resolveTarget)
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, errors }
+ */
+async function insertBatch(db, batch, mode, batchId, target) {
+  const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
+  const groups = mode === 'upsert' ? splitOnDuplicateKeys(batch) : [batch];
+  
+  for (const group of groups) {
+    try {
+      addCounts(totals, await writeRecords(db, group, mode, batchId, target));
+      continue;
+    } catch (error) {
+      logger.warn('Multi-row insert failed, retrying rows individually', { error: error.message });
+    }
+    
+    for (const record of group) {
+      try {
+        addCounts(totals, await writeRecords(db, [record], mode, batchId, target));
+      } catch (error) {
+        logger.error('Error inserting record', { 
+          error: error.message, 
+          person: JSON.stringify(record.person)
+        });
+        totals.errors++;
+      }
+    }
+  }
+  
+  return totals;
+}
+
 /**
  * Save people data to the SQLite database
  * 
+ * Rows are written with multi-row INSERT statements inside one transaction.
+ * In upsert mode, rows whose external_id already exists update that row;
+ * with a batchId, those rows are first copied to import_before_images for
+ * rollbacks. With a checkpoint, the last source row of the chunk is
+ * recorded in import_progress in the same transaction.
+ * 
  * @param {Object} db - SQLite database connection object
  * @param {Array} people - Array of people objects to save
+ * @param {Object} options - Save options
+ * @param {number} options.batchSize - Number of rows per INSERT statement
+ * @param {string} options.mode - Import mode: append (default) or upsert
+ * @param {number} options.batchId - Import batch recorded on each row
+ * @param {string} options.table - Table to insert into: people (default) or a staging table, not for upserts
+ * @param {Array<number>} options.rowNumbers - Source row number of each person
+ * @param {Array<string>} options.promotedColumns - Extra fields written to columns of their own
+ * @param {Object} options.schema - Table schema to write instead of people (see table-schema.js), optional
+ * @param {string} options.dateFormat - Date format hint for the date columns of a table schema
+ * @param {string} options.sourceSha256 - SHA-256 of the import source, for the checkpoint
+ * @param {Object} options.checkpoint - Position of the chunk in the source { sheet, lastRow }, optional
+ * @param {boolean} options.inTransaction - Write inside the caller's open transaction, which the caller
+ *   commits or rolls back (used by atomic imports)
  * @returns {Promise<Object>} - Result of the save operation
  */
-async function saveToDatabase(db, people) {
-  return new Promise((resolve, reject) => {
+async function saveToDatabase(db, people, options = {}) {
+  if (!Array.isArray(people) || people.length === 0) {
+    logger.warn('No people data to save');
+    return { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0 };
+  }
+  
+  logger.info(`Preparing to save ${people.length} records to SQLite database`);
+  
+  const mode = resolveImportMode(options.mode);
+  const target = resolveTarget(options, mode);
+  const { records, skipped } = prepareRecords(people, options);
+  const maxBatchSize = Math.floor(SQLITE_MAX_VARIABLES / target.columns.all.length);
+  const batchSize = Math.min(options.batchSize || DEFAULT_BATCH_SIZE, maxBatchSize);
+  const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0 };
+  const ownTransaction = !options.inTransaction;
+  
+  try {
+    if (ownTransaction) {
+      await run(db, 'BEGIN TRANSACTION');
+    }
+  } catch (error) {
+    logger.error('Error starting transaction', { error: error.message });
+    throw new Error(`Failed to save to SQLite database: ${error.message}`);
+  }
+  
+  try {
+    for (const batch of toBatches(records, batchSize)) {
+      addCounts(totals, await insertBatch(db, batch, mode, options.batchId, target));
+    }
+    
+    // Record how far the import got, with the rows of this chunk
+    const checkpoint = checkpointParams(options);
+    if (checkpoint) {
+      await run(db, buildCheckpointSql(dialect), checkpoint);
+    }
+    
+    if (ownTransaction) {
+      await run(db, 'COMMIT');
+    }
+  } catch (error) {
+    logger.error('Error saving to SQLite database', { error: error.message });
+    
     try {
-      if (!Array.isArray(people) || people.length === 0) {
-        logger.warn('No people data to save');
-        return resolve({ inserted: 0 });
+      if (ownTransaction) {
+        await run(db, 'ROLLBACK');
       }
-      
-      logger.info(`Preparing to save ${people.length} records to SQLite database`);
-      
-      // Start a transaction
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-        
-        // Prepare the insert statement
-        const stmt = db.prepare(`
-          INSERT INTO people (
-            external_id, first_name, last_name, birth_date, status, additional_data
-          ) VALUES (?, ?, ?, ?, ?, ?)
-        `);
-        
-        let inserted = 0;
-        let errors = 0;
-        
-        // Insert each person
-        people.forEach((person) => {
-          try {
-            // Extract known fields
-            const {
-              external_id,
-              first_name,
-              last_name,
-              birth_date,
-              status,
-              ...additionalData
-            } = person;
-            
-            // Skip records that don't have enough identifying information
-            if (!birth_date && !external_id && !(first_name && last_name)) {
-              logger.warn('Skipping record with insufficient identifying information');
-              logger.info(person);
-              return;
-            }
-            
-            // Store any additional fields as JSON
-            const additionalDataJson = Object.keys(additionalData).length > 0 
-              ? JSON.stringify(additionalData) 
-              : null;
-            
-            // Execute the insert
-            stmt.run(
-              external_id || '',
-              first_name || '',
-              last_name || '',
-              birth_date || '',
-              status || '',
-              additionalDataJson,
-              function(err) {
-                if (err) {
-                  logger.error('Error inserting record', { 
-                    error: err.message, 
-                    person: JSON.stringify(person)
-                  });
-                  errors++;
-                } else {
-                  inserted++;
-                }
-              }
-            );
-          } catch (error) {
-            logger.error('Error processing record for insert', { 
-              error: error.message,
-              person: JSON.stringify(person)
-            });
-            errors++;
-          }
-        });
-        
-        // Finalize the statement
-        stmt.finalize();
-        
-        // Commit the transaction
-        db.run('COMMIT', function(err) {
-          if (err) {
-            logger.error('Error committing transaction', { error: err.message });
-            db.run('ROLLBACK');
-            return reject(new Error(`Failed to commit transaction: ${err.message}`));
-          }
-          
-          logger.info(`Successfully saved ${inserted} records to SQLite database (${errors} errors)`);
-          resolve({ inserted, errors });
-        });
-      });
-    } catch (error) {
-      logger.error('Unexpected error saving to SQLite database', { error: error.message });
-      db.run('ROLLBACK');
-      reject(new Error(`Failed to save to SQLite database: ${error.message}`));
+    } catch (rollbackError) {
+      logger.error('Error rolling back transaction', { error: rollbackError.message });
     }
-  });
+    
+    throw new Error(`Failed to save to SQLite database: ${error.message}`);
+  }
+  
+  logger.info(`Successfully saved ${totals.inserted} records to SQLite database (${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.errors} errors)`);
+  return { ...totals, skipped };
+}
+
+/**
+ * Delete every row of the people table, or of a schema table (used by the replace import mode)
+ * 
+ * @param {Object} db - SQLite database connection object
+ * @param {string} table - Table to clear (default: people)
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function clearPeople(db, table = 'people') {
+  const { changes } = await run(db, `DELETE FROM ${table}`);
+  logger.info(`Deleted ${changes} existing records from SQLite database`);
+  return changes;
 }
 
 /**
@@ -259,7 +414,12 @@ async function closeDatabase(db) {
 }
 
 module.exports = {
+  dialect,
   initializeDatabase,
+  copyDatabase,
+  execute,
+  query,
   saveToDatabase,
+  clearPeople,
   closeDatabase
 }; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Export Command
+ *
+ * Implements `excel-to-db export --out=<file>`: writes the people table to
+ * an XLSX, CSV or JSON-lines file.
+ * - --format=<fmt>     xlsx, csv or ndjson (default: from the --out extension, else csv); xlsx is limited
+ *                      to exporter.MAX_XLSX_ROWS rows
+ * - --lang=<language>  write the headers of a mapping language pack (fr, ru, ...) instead of field names
+ * - --mapping=<files>  mapping files layered over the built-in ones, for --lang
+ * - --page-size=<n>    rows read per query (default: 1000)
+ * - --batch=<id>       export the rows of one import batch with the headers and column order of its source file
+ */
+
+const { getConnection, closeConnection } = require('../database');
+const { exportPeople, exportBatch } = require('../exporter');
+const { loadHeaderMapper } = require('../header-mapping');
+
+/**
+ * Parse the --page-size option
+ *
+ * @param {Object} args - Parsed command line arguments
+ * @returns {number|undefined} - Page size
+ */
+function parsePageSize(args) {
+  if (args['page-size'] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(args['page-size']);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid --page-size value: ${args['page-size']}`);
+  }
+  return value;
+}
+
+/**
+ * Parse the --batch option
+ *
+ * @param {Object} args - Parsed command line arguments
+ * @returns {number|undefined} - Import batch id
+ */
+function parseBatchId(args) {
+  if (args.batch === undefined) {
+    return undefined;
+  }
+
+  const value = Number(args.batch);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid --batch value: ${args.batch}`);
+  }
+  if (args.lang !== undefined) {
+    throw new Error('--lang cannot be combined with --batch, which writes the original headers');
+  }
+  return value;
+}
+
+/**
+ * Export the people table of the configured database
+ *
+ * @param {Object} options - Command options
+ * @param {Object} options.args - Parsed command line arguments
+ * @param {Object} options.dbOptions - Database options for getConnection
+ * @param {string} options.connectionId - Connection ID
+ * @returns {Promise<Object>} - Result printed as JSON by the CLI
+ */
+async function runExport(options = {}) {
+  const args = options.args || {};
+  if (typeof args.out !== 'string') {
+    throw new Error('Missing --out=<file>. Usage: excel-to-db export --out=people.xlsx [--format=xlsx|csv|ndjson] [--lang=fr] [--batch=<id>]');
+  }
+
+  const pageSize = parsePageSize(args);
+  const batchId = parseBatchId(args);
+  let headers;
+  if (typeof args.lang === 'string') {
+    const files = typeof args.mapping === 'string' ? args.mapping.split(',') : undefined;
+    headers = loadHeaderMapper({ files }).headersFor(args.lang);
+  }
+
+  const connectionId = options.connectionId || 'default';
+  const db = await getConnection(connectionId, options.dbOptions);
+
+  try {
+    const result = batchId
+      ? await exportBatch(db, args.out, { format: args.format, batchId, pageSize })
+      : await exportPeople(db, args.out, { format: args.format, headers, pageSize });
+    return { success: true, command: 'export', ...result };
+  } finally {
+    await closeConnection(connectionId);
+  }
+}
+
+module.exports = {
+  runExport
+};
@@ -0,0 +1,84 @@
+/**
+ * Migrate Command
+ *
+ * Implements `excel-to-db migrate up|down|status`:
+ * - up:     apply pending migrations (optionally only up to --to=<version>)
+ * - down:   revert the latest migration (or --steps=<n>, or down to --to=<version>)
+ * - status: list the migrations and whether each one has been applied
+ */
+
+const { getConnection, closeConnection } = require('../database');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../migrator');
+const { logger } = require('../logger');
+
+const ACTIONS = ['up', 'down', 'status'];
+
+/**
+ * Parse an optional non-negative integer option
+ *
+ * @param {Object} args - Parsed command line arguments
+ * @param {string} name - Option name
+ * @returns {number|undefined} - Parsed value
+ */
+function parseVersionOption(args, name) {
+  if (args[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(args[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid --${name} value: ${args[name]}`);
+  }
+  return value;
+}
+
+/**
+ * Run a migrate action against the configured database
+ *
+ * @param {string} action - up, down or status
+ * @param {Object} options - Command options
+ * @param {Object} options.args - Parsed command line arguments
+ * @param {Object} options.dbOptions - Database options for getConnection
+ * @param {string} options.connectionId - Connection ID
+ * @returns {Promise<Object>} - Result printed as JSON by the CLI
+ */
+async function runMigrate(action, options = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown migrate action: ${action || '(none)'}. Usage: excel-to-db migrate up|down|status`);
+  }
+
+  const args = options.args || {};
+  const to = parseVersionOption(args, 'to');
+  const steps = parseVersionOption(args, 'steps');
+  const connectionId = options.connectionId || 'default';
+
+  // Connect without applying migrations, so that status and down see the database as it is
+  const db = await getConnection(connectionId, { ...options.dbOptions, migrate: false });
+
+  try {
+    const result = { success: true, command: `migrate ${action}` };
+
+    if (action === 'up') {
+      result.applied = await migrateUp(db, { to });
+    } else if (action === 'down') {
+      result.reverted = await migrateDown(db, { to, steps });
+    }
+
+    const status = await getMigrationStatus(db);
+    result.currentVersion = status.currentVersion;
+    result.pending = status.pending;
+
+    if (action === 'status') {
+      result.migrations = status.migrations;
+    }
+
+    logger.info(`Database schema is at version ${status.currentVersion} (${status.pending} pending)`);
+    return result;
+  } finally {
+    await closeConnection(connectionId);
+  }
+}
+
+module.exports = {
+  runMigrate
+};
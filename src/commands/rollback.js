@@ -0,0 +1,43 @@
+/**
+ * Rollback Command
+ *
+ * Implements `excel-to-db rollback <batch-id>`: undoes an import batch,
+ * deleting the people it inserted and restoring the people it updated.
+ * - --force  also roll back a batch still marked running (an interrupted
+ *            import) or a replace-mode batch
+ */
+
+const { getConnection, closeConnection } = require('../database');
+const { rollbackImportBatch } = require('../import-batches');
+
+/**
+ * Roll back an import batch of the configured database
+ *
+ * @param {string} batch - Batch id given on the command line
+ * @param {Object} options - Command options
+ * @param {Object} options.args - Parsed command line arguments
+ * @param {Object} options.dbOptions - Database options for getConnection
+ * @param {string} options.connectionId - Connection ID
+ * @returns {Promise<Object>} - Result printed as JSON by the CLI
+ */
+async function runRollback(batch, options = {}) {
+  const batchId = Number(batch);
+  if (!Number.isInteger(batchId) || batchId < 1) {
+    throw new Error(`Invalid batch id: ${batch || '(none)'}. Usage: excel-to-db rollback <batch-id> [--force]`);
+  }
+
+  const args = options.args || {};
+  const connectionId = options.connectionId || 'default';
+  const db = await getConnection(connectionId, options.dbOptions);
+
+  try {
+    const result = await rollbackImportBatch(db, batchId, { force: args.force === true });
+    return { success: true, command: 'rollback', ...result };
+  } finally {
+    await closeConnection(connectionId);
+  }
+}
+
+module.exports = {
+  runRollback
+};
@@ -13,6 +13,10 @@ const { logger } = require('./logger');
 const sqliteAdapter = require('./adapters/sqlite-adapter');
 const mysqlAdapter = require('./adapters/mysql-adapter');
 const postgresAdapter = require('./adapters/postgres-adapter');
+const { migrateUp, findPendingMigrations } = require('./migrator');
+const { normalizePersonDate } = require('./date-normalizer');
+const { getDefaultHeaderMapper } = require('./header-mapping');
+const { splitFullName } = require('./name-parser');
 
 // Store active database connections
 const activeConnections = new Map();
@@ -44,6 +48,10 @@ function getAdapter(dbType) {
  * @param {string} options.type - Database type ('sqlite', 'mysql', or 'postgres')
  * @param {string} options.path - Path to SQLite database file (for SQLite only)
  * @param {Object} options.config - Database connection config (for MySQL and PostgreSQL)
+ * @param {boolean} options.migrate - Apply pending migrations on connect (default: true)
+ * @param {boolean} options.dryRun - Open the database for a dry run: a SQLite database is copied to a
+ *   throwaway in-memory database (connection.inMemoryCopy), where the migrations are applied; other
+ *   databases are not migrated, and must have no pending migrations
  * @returns {Promise<Object>} - Database connection object with adapter methods
  */
 async function getConnection(connectionId = 'default', options = {}) {
@@ -89,7 +97,12 @@ async function getConnection(connectionId = 'default', options = {}) {
   } else {
     // For SQLite, we just need a path
     const dbPath = options.path || process.env.DB_PATH;
-    connection = await adapter.initializeDatabase(dbPath);
+    if (options.dryRun) {
+      connection = await adapter.initializeDatabase(':memory:');
+      await adapter.copyDatabase(connection, dbPath);
+    } else {
+      connection = await adapter.initializeDatabase(dbPath);
+    }
   }
   
   // Create a connection object that includes the adapter methods
@@ -97,10 +110,24 @@ async function getConnection(connectionId = 'default', options = {}) {
     connection,
     adapter,
     type: dbType,
+    dialect: adapter.dialect,
+    inMemoryCopy: Boolean(options.dryRun) && adapter === sqliteAdapter,
     
     // Add adapter methods directly to the connection object
-    async saveToDatabase(people) {
-      return adapter.saveToDatabase(connection, people);
+    async execute(sql, params = []) {
+      return adapter.execute(connection, sql, params);
+    },
+    
+    async query(sql, params = []) {
+      return adapter.query(connection, sql, params);
+    },
+    
+    async saveToDatabase(people, saveOptions = {}) {
+      return adapter.saveToDatabase(connection, people, saveOptions);
+    },
+    
+    async clearPeople(table) {
+      return adapter.clearPeople(connection, table);
     },
     
     async close() {
@@ -108,6 +135,25 @@ async function getConnection(connectionId = 'default', options = {}) {
     }
   };
   
+  // Bring the schema up to date before the connection is used (a dry run only reads the database,
+  // so its schema must already be up to date unless it works on an in-memory copy)
+  const planOnly = Boolean(options.dryRun) && !connectionObject.inMemoryCopy;
+  if (options.migrate !== false) {
+    try {
+      if (planOnly) {
+        const pending = await findPendingMigrations(connectionObject);
+        if (pending.length > 0) {
+          throw new Error(`The database has ${pending.length} pending migrations; run "migrate up" before a dry run`);
+        }
+      } else {
+        await migrateUp(connectionObject);
+      }
+    } catch (error) {
+      await adapter.closeDatabase(connection);
+      throw error;
+    }
+  }
+  
   // Store the connection
   activeConnections.set(connectionId, connectionObject);
   
@@ -221,98 +267,74 @@ async function closeAllConnections(forceClose = true) {
  * 
  * @param {Object} db - Database connection object
  * @param {Array} people - Array of people objects to save
+ * @param {Object} options - Save options passed to the adapter
+ * @param {number} options.batchSize - Number of rows per multi-row statement or bulk load
+ * @param {boolean} options.loadData - Use LOAD DATA LOCAL INFILE (MySQL only)
+ * @param {string} options.dateFormat - Date format hint for ambiguous birth dates (e.g. dd/mm/yyyy)
+ * @param {Object} options.mapper - Header mapper used to normalize field names (default: the built-in mappings)
+ * @param {string} options.nameLanguage - Strategy used to split full names (default: from their script)
  * @returns {Promise<Object>} - Result of the save operation
  */
-async function saveToDatabase(db, people) {
-  // Normalize field names for all people
-  const normalizedPeople = people.map(normalizePersonFields);
+async function saveToDatabase(db, people, options = {}) {
+  // Normalize field names and birth dates for all people
+  const normalizedPeople = people.map(person =>
+    normalizePersonDate(normalizePersonFields(person, { mapper: options.mapper, nameLanguage: options.nameLanguage }), { dateFormat: options.dateFormat }).person
+  );
   
   if (db.saveToDatabase) {
-    return db.saveToDatabase(normalizedPeople);
+    return db.saveToDatabase(normalizedPeople, options);
   }
   
   // Fallback for backward compatibility
   const adapter = db.adapter || sqliteAdapter;
-  return adapter.saveToDatabase(db.connection || db, normalizedPeople);
+  return adapter.saveToDatabase(db.connection || db, normalizedPeople, options);
 }
 
 /**
  * Normalize person field names to ensure consistency
  * 
+ * Field names are looked up in the same header mappings the Excel parser
+ * uses. Unknown fields are kept as they are; ignored fields are dropped.
+ * A full name is split into last and first names by the name parser.
+ * 
  * @param {Object} person - Person object with potentially inconsistent field names
+ * @param {Object} options - Normalization options
+ * @param {Object} options.mapper - Header mapper (default: the built-in mappings)
+ * @param {string} options.nameLanguage - Strategy used to split a full name (default: from its script,
+ *   see name-parser.js)
  * @returns {Object} - Person object with normalized field names
  */
-function normalizePersonFields(person) {
+function normalizePersonFields(person, options = {}) {
+  const mapper = options.mapper || getDefaultHeaderMapper();
   const normalized = { ...person };
   
-  // Map of common field name variations to standardized names
-  const fieldMappings = {
-    // External ID variations
-    'id': 'external_id',
-    'ID': 'external_id',
-    'identifier': 'external_id',
-    'Identifier': 'external_id',
-    'External ID': 'external_id',
-    'External Id': 'external_id',
-    'EXTERNAL_ID': 'external_id',
-    
-    // Name variations
-    'Name': 'name',
-    'NAME': 'name',
-    
-    // First name variations
-    'First Name': 'first_name',
-    'FirstName': 'first_name',
-    'firstname': 'first_name',
-    'firstName': 'first_name',
-    'FIRST_NAME': 'first_name',
-    'prenom': 'first_name',
-    
-    // Last name variations
-    'Last Name': 'last_name',
-    'LastName': 'last_name',
-    'lastname': 'last_name',
-    'lastName': 'last_name',
-    'LAST_NAME': 'last_name',
-    'nom': 'last_name',
-    
-    // Birth date variations
-    'Birth Date': 'birth_date',
-    'BirthDate': 'birth_date',
-    'birthdate': 'birth_date',
-    'birthDate': 'birth_date',
-    'BIRTH_DATE': 'birth_date',
-    'date_of_birth': 'birth_date',
-    'Date of Birth': 'birth_date',
-    'DOB': 'birth_date',
-    
-    // Status variations
-    'Status': 'status',
-    'STATUS': 'status',
-    'statut': 'status'
-  };
-  
   // Apply mappings
   Object.entries(person).forEach(([key, value]) => {
-    // If this key has a mapping, use the standardized field name
-    if (fieldMappings[key]) {
-      normalized[fieldMappings[key]] = value;
+    const field = mapper.lookup(key);
+    
+    if (field === null) {
+      // Explicitly ignored column
+      delete normalized[key];
+    } else if (field) {
+      // If this key has a mapping, use the standardized field name
+      normalized[field] = value;
       // Only delete the original key if it's different from the mapped key
-      if (key !== fieldMappings[key]) {
+      if (key !== field) {
         delete normalized[key];
       }
     }
   });
   
   // Handle special case: if we have name but not first_name and last_name
+  // (name itself is kept as it was, and ends up in additional_data)
   if (normalized.name && (!normalized.first_name || !normalized.last_name)) {
-    const nameParts = normalized.name.trim().split(/\s+/);
-    if (nameParts.length >= 2) {
+    const parts = splitFullName(normalized.name, { language: options.nameLanguage });
+    if (parts) {
       if (!normalized.last_name) {
-        normalized.last_name = nameParts[0];
+        normalized.last_name = parts.last_name;
       }
       if (!normalized.first_name) {
-        normalized.first_name = nameParts.slice(1).join(' ');
+        normalized.first_name = parts.first_name;
       }
     }
   }
@@ -0,0 +1,286 @@
+/**
+ * Date Normalizer Module
+ *
+ * This module converts the date values found in spreadsheets to ISO dates
+ * (YYYY-MM-DD) for storage in DATE columns:
+ * - JS Date objects (date-formatted cells)
+ * - Excel serial numbers (1900 date system), as numbers or numeric strings;
+ *   text holding a plausible year alone ("1980") is refused instead
+ * - ISO dates, optionally followed by a time
+ * - Day, month and year separated by "/", "." or "-" (dd/mm/yyyy, mm/dd/yyyy, dd.mm.yyyy, ...)
+ * - Dates already turned into text by Date#toString ("Tue Mar 04 1980 00:00:00 GMT+0100")
+ *
+ * When the day and the month could be swapped (04/09/1972), the order comes
+ * from the date format hint, and defaults to day first. Values that only make
+ * sense in one order (03/13/1971) are read in that order whatever the hint.
+ */
+
+/**
+ * Supported component orders for --date-format hints
+ */
+const DATE_ORDERS = ['dmy', 'mdy', 'ymd'];
+
+/**
+ * Order used for ambiguous values when no hint is given
+ */
+const DEFAULT_DATE_ORDER = 'dmy';
+
+/**
+ * Excel serial day 0 (1899-12-30, which absorbs the 1900 leap year bug for
+ * serials after 60)
+ */
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * Days between the 1900 and 1904 date systems
+ */
+const DATE_1904_OFFSET = 1462;
+
+/**
+ * Largest valid Excel serial (9999-12-31)
+ */
+const MAX_EXCEL_SERIAL = 2958465;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Four-digit text in this range is a year without month and day rather than
+ * an Excel serial (1800 would be 1904-12-04)
+ */
+const MIN_BARE_YEAR = 1800;
+const MAX_BARE_YEAR = 2100;
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a --date-format hint such as "dd/mm/yyyy", "mm-dd-yyyy" or "yyyy.mm.dd"
+ *
+ * @param {string} format - Date format hint
+ * @returns {string} - Component order (dmy, mdy or ymd)
+ */
+function parseDateFormat(format) {
+  if (!format) {
+    return DEFAULT_DATE_ORDER;
+  }
+
+  const tokens = String(format).toLowerCase().match(/d+|m+|y+/g) || [];
+  const order = tokens.map(token => token[0]).join('');
+
+  if (tokens.length !== 3 || !DATE_ORDERS.includes(order)) {
+    throw new Error(`Invalid date format: ${format}. Expected a pattern such as dd/mm/yyyy, mm/dd/yyyy or yyyy-mm-dd`);
+  }
+
+  return order;
+}
+
+/**
+ * Format year, month and day as an ISO date if they form a real calendar date
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string|null} - ISO date, or null if the date does not exist
+ */
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Expand a two-digit year to the closest past century
+ *
+ * @param {number} year - Year as written
+ * @param {number} digits - Number of digits written
+ * @returns {number} - Full year
+ */
+function expandYear(year, digits) {
+  if (digits > 2) {
+    return year;
+  }
+
+  const currentYear = new Date().getFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  return century + year > currentYear ? century - 100 + year : century + year;
+}
+
+/**
+ * Convert a Date to an ISO date using its local calendar day
+ *
+ * Dates are rounded to the nearest day first: spreadsheet libraries can
+ * produce dates a few seconds before midnight for historical time zones.
+ *
+ * @param {Date} date - Date object
+ * @returns {string|null} - ISO date, or null for an invalid Date
+ */
+function formatDate(date) {
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  const rounded = new Date(date.getTime() + MS_PER_DAY / 2);
+  rounded.setHours(0, 0, 0, 0);
+  return toIsoDate(rounded.getFullYear(), rounded.getMonth() + 1, rounded.getDate());
+}
+
+/**
+ * Convert an Excel serial date to a JS Date
+ *
+ * The returned date has the same local calendar fields as the Excel value,
+ * which matches what SheetJS produces with `cellDates: true`.
+ *
+ * @param {number} serial - Excel serial day number
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {Date} - Corresponding date
+ */
+function excelSerialToDate(serial, date1904 = false) {
+  const value = date1904 ? serial + DATE_1904_OFFSET : serial;
+  const days = Math.floor(value);
+  const milliseconds = Math.round((value - days) * MS_PER_DAY);
+
+  // Excel treats 1900 as a leap year, so serials after 60 are off by one day
+  const epoch = days > 60 ? EXCEL_EPOCH : EXCEL_EPOCH + MS_PER_DAY;
+  const utc = new Date(epoch + days * MS_PER_DAY + milliseconds);
+
+  return new Date(
+    utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+    utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds(), utc.getUTCMilliseconds()
+  );
+}
+
+/**
+ * Convert an Excel serial number to an ISO date
+ *
+ * @param {number} serial - Excel serial (fractions are times of day and are ignored)
+ * @returns {string|null} - ISO date, or null when out of range
+ */
+function fromExcelSerial(serial) {
+  if (!(serial >= 1 && serial <= MAX_EXCEL_SERIAL)) {
+    return null;
+  }
+
+  const date = excelSerialToDate(Math.floor(serial));
+  return toIsoDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+/**
+ * Read day, month and year written as three numbers
+ *
+ * @param {Array<string>} parts - The three numbers as written
+ * @param {string} order - Preferred order for ambiguous values
+ * @returns {string|null} - ISO date, or null if no order gives a real date
+ */
+function fromParts(parts, order) {
+  if (parts[0].length === 4 || (order === 'ymd' && parts[2].length === 2)) {
+    return toIsoDate(expandYear(Number(parts[0]), parts[0].length), Number(parts[1]), Number(parts[2]));
+  }
+
+  const year = expandYear(Number(parts[2]), parts[2].length);
+  const first = Number(parts[0]);
+  const second = Number(parts[1]);
+
+  const dayFirst = toIsoDate(year, second, first);
+  const monthFirst = toIsoDate(year, first, second);
+
+  if (dayFirst && monthFirst) {
+    return order === 'mdy' ? monthFirst : dayFirst;
+  }
+  return dayFirst || monthFirst;
+}
+
+/**
+ * Normalize a date value to an ISO date
+ *
+ * @param {*} value - Cell value (Date, number or string)
+ * @param {Object} options - Normalization options
+ * @param {string} options.dateFormat - Date format hint for ambiguous values (e.g. dd/mm/yyyy)
+ * @returns {Object} - { date } with an ISO date or null for empty values, or { error } when unparseable
+ */
+function normalizeDate(value, options = {}) {
+  const order = parseDateFormat(options.dateFormat);
+
+  if (value === undefined || value === null || value === '') {
+    return { date: null };
+  }
+
+  if (value instanceof Date) {
+    const date = formatDate(value);
+    return date ? { date } : { error: 'Invalid date' };
+  }
+
+  if (typeof value === 'number') {
+    const date = fromExcelSerial(value);
+    return date ? { date } : { error: `Excel serial out of range: ${value}` };
+  }
+
+  const text = String(value).trim();
+  if (text === '') {
+    return { date: null };
+  }
+
+  let date = null;
+  let match;
+
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(text))) {
+    // ISO date, possibly with a time
+    date = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  } else if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(text))) {
+    // Compact ISO date (yyyymmdd)
+    date = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  } else if (/^\d{4}$/.test(text) && Number(text) >= MIN_BARE_YEAR && Number(text) <= MAX_BARE_YEAR) {
+    return { error: `Partial date (year only): ${text}` };
+  } else if (/^\d{1,7}(\.\d+)?$/.test(text)) {
+    // Excel serial read as text
+    date = fromExcelSerial(Number(text));
+  } else if ((match = /^(\d{1,2}|\d{4})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{2}|\d{4})\.?$/.exec(text))) {
+    // Three numbers: day, month and year in some order
+    date = fromParts(match.slice(1), order);
+  } else if ((match = /^[A-Za-z]{3} ([A-Za-z]{3}) (\d{2}) (\d{4})\b/.exec(text))) {
+    // Output of Date#toString: keep the calendar day as written
+    const month = MONTH_ABBREVIATIONS.indexOf(match[1].toLowerCase()) + 1;
+    date = month > 0 ? toIsoDate(Number(match[3]), month, Number(match[2])) : null;
+  }
+
+  return date ? { date } : { error: `Unrecognized date: ${text}` };
+}
+
+/**
+ * Normalize the birth_date of a person
+ *
+ * Unparseable values are removed from birth_date and kept as
+ * birth_date_raw, so that they end up in additional_data.
+ *
+ * @param {Object} person - Normalized person object
+ * @param {Object} options - Options for normalizeDate
+ * @returns {Object} - { person, error } where error is set for unparseable dates
+ */
+function normalizePersonDate(person, options = {}) {
+  if (!person || !('birth_date' in person)) {
+    return { person, error: null };
+  }
+
+  const result = normalizeDate(person.birth_date, options);
+  if (result.error) {
+    const { birth_date: raw, ...rest } = person;
+    return { person: { ...rest, birth_date: null, birth_date_raw: String(raw) }, error: result.error };
+  }
+
+  return { person: { ...person, birth_date: result.date }, error: null };
+}
+
+module.exports = {
+  DATE_ORDERS,
+  parseDateFormat,
+  normalizeDate,
+  normalizePersonDate,
+  formatDate,
+  excelSerialToDate,
+  fromExcelSerial
+};
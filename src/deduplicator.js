@@ -0,0 +1,401 @@
+/**
+ * Deduplicator Module
+ *
+ * This module finds people that appear more than once, within the imported
+ * file or against the people already in the database. The files are typed
+ * by hand, so the same person often comes twice with small differences
+ * ("EL AMRANI Mohamed" and "El-Amrani Mohammed", same birth date). People
+ * are therefore compared on match keys of normalized values:
+ *
+ * - A key lists fields joined by "+", e.g. external_id or name+birth_date;
+ *   two people match on a key when every field of the key is filled in and
+ *   equal for both
+ * - "name" stands for the last and first names together, in any order,
+ *   ignoring case, accents and punctuation
+ * - Names can also be compared by sound (the Soundex code of each word) or
+ *   by edit distance. Edit distance is only measured between people sharing
+ *   the other fields of the key, so such a key needs a field besides name
+ *
+ * The import pipeline applies a policy to each duplicate:
+ * - keep-first: the person seen first is kept, the duplicate is dropped
+ * - merge: the duplicate fills in the empty fields of the person seen first
+ * - reject: the duplicate goes to the rejects file
+ *
+ * The keys of every person seen are kept in memory for the whole import,
+ * along with those of the people already in the database.
+ */
+
+const { resolvePeopleColumns, buildBeforeImageSql } = require('./adapters/adapter-utils');
+const { foldHeader, editDistance } = require('./header-mapping');
+const { logger } = require('./logger');
+
+/**
+ * Policies applied to duplicates
+ */
+const DEDUP_POLICIES = ['keep-first', 'merge', 'reject'];
+
+/**
+ * Ways of comparing names
+ */
+const MATCH_METHODS = ['exact', 'phonetic', 'edit-distance'];
+
+/**
+ * Fields a match key can use
+ */
+const KEY_FIELDS = ['external_id', 'name', 'first_name', 'last_name', 'birth_date'];
+
+/**
+ * Match keys used when none are configured
+ */
+const DEFAULT_KEYS = ['external_id', 'name+birth_date'];
+
+/**
+ * Largest edit distance between two matching names, by default
+ */
+const DEFAULT_MAX_DISTANCE = 2;
+
+/**
+ * Columns of a person already written that a merge fills in
+ */
+const MERGED_COLUMNS = ['external_id', 'first_name', 'last_name', 'birth_date', 'status'];
+
+/**
+ * Number of existing people read per query
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Parse match keys ("external_id", "name+birth_date", ...)
+ *
+ * @param {Array<string>} keys - Match keys (default: external_id, name+birth_date)
+ * @returns {Array<Array<string>>} - Fields of each key
+ */
+function parseMatchKeys(keys) {
+  const parsed = (keys && keys.length > 0 ? keys : DEFAULT_KEYS).map(key => String(key).split('+').map(field => field.trim()));
+
+  parsed.forEach((fields) => {
+    fields.forEach((field) => {
+      if (!KEY_FIELDS.includes(field)) {
+        throw new Error(`Invalid match key field: ${field || '(empty)'}. Expected one of: ${KEY_FIELDS.join(', ')}`);
+      }
+    });
+  });
+  return parsed;
+}
+
+/**
+ * Soundex code of a word: its first letter and the sound groups of the next consonants
+ *
+ * @param {string} word - Folded word (see header-mapping.foldHeader)
+ * @returns {string} - Code such as M530, or the word itself when it has no letters
+ */
+function soundex(word) {
+  const letters = word.replace(/[^a-z]/g, '');
+  if (!letters) {
+    return word;
+  }
+
+  const groups = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let code = letters[0].toUpperCase();
+  let previous = groups[letters[0]];
+
+  for (const letter of letters.slice(1)) {
+    const group = groups[letter];
+    if (group && group !== previous) {
+      code += group;
+    }
+    // h and w do not separate letters of the same group; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = group;
+    }
+  }
+  return `${code}000`.slice(0, 4);
+}
+
+/**
+ * Check whether a value counts as missing
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Words of a person's full name, folded and sorted so that their order does not matter
+ *
+ * @param {Object} person - Normalized person
+ * @returns {Array<string>} - Words
+ */
+function nameWords(person) {
+  const fullName = [person.last_name, person.first_name].filter(value => !isEmpty(value)).join(' ') || person.name || '';
+  return foldHeader(fullName).split(' ').filter(Boolean).sort();
+}
+
+/**
+ * Fill the empty fields of a person with those of its duplicate
+ *
+ * @param {Object} kept - Person kept, updated in place
+ * @param {Object} duplicate - Duplicate person
+ * @returns {Object} - The person kept
+ */
+function mergePeople(kept, duplicate) {
+  Object.entries(duplicate).forEach(([field, value]) => {
+    if (isEmpty(kept[field]) && !isEmpty(value)) {
+      kept[field] = value;
+    }
+  });
+
+  // An unreadable birth date is superseded by a readable one
+  if (!isEmpty(kept.birth_date)) {
+    delete kept.birth_date_raw;
+  }
+  return kept;
+}
+
+/**
+ * Create a deduplicator
+ *
+ * @param {Object} options - Deduplication options
+ * @param {string} options.policy - keep-first, merge or reject (default: keep-first)
+ * @param {Array<string>} options.keys - Match keys (default: external_id, name+birth_date)
+ * @param {string} options.match - How names are compared: exact, phonetic or edit-distance (default: exact)
+ * @param {number} options.maxDistance - Largest edit distance between matching names (default: 2)
+ * @param {string} options.mode - Import mode; in upsert mode a row sharing the external_id of an existing
+ *   person updates that person and is not a duplicate of it
+ * @returns {Object} - Deduplicator { policy, loadExisting(db), check(entry, person), release(), fill(db, kept, person, options) }
+ */
+function createDeduplicator(options = {}) {
+  const policy = options.policy || 'keep-first';
+  if (!DEDUP_POLICIES.includes(policy)) {
+    throw new Error(`Invalid duplicate policy: ${policy}. Expected one of: ${DEDUP_POLICIES.join(', ')}`);
+  }
+  const match = options.match || 'exact';
+  if (!MATCH_METHODS.includes(match)) {
+    throw new Error(`Invalid name matching: ${match}. Expected one of: ${MATCH_METHODS.join(', ')}`);
+  }
+  const maxDistance = options.maxDistance !== undefined ? options.maxDistance : DEFAULT_MAX_DISTANCE;
+
+  const keys = parseMatchKeys(options.keys).map((fields) => {
+    const fuzzy = match === 'edit-distance' && fields.includes('name');
+    if (fuzzy && fields.length === 1) {
+      throw new Error('Edit-distance matching compares names among people sharing the other fields of a key; use a key such as name+birth_date');
+    }
+    // Exact keys index people by value; fuzzy keys by the fields other than name, whose names are then compared
+    return { label: fields.join('+'), fields, fuzzy, index: new Map() };
+  });
+
+  // Records seen since the last release, whose person can still be merged into in memory
+  let pending = [];
+
+  /**
+   * Normalized value of a key field, or null when the person lacks it
+   */
+  const fieldValue = (person, field) => {
+    if (field === 'name') {
+      const words = nameWords(person);
+      if (words.length === 0) {
+        return null;
+      }
+      return match === 'phonetic' ? words.map(soundex).sort().join(' ') : words.join(' ');
+    }
+    if (isEmpty(person[field])) {
+      return null;
+    }
+    return field === 'external_id' || field === 'birth_date' ? String(person[field]).trim() : foldHeader(person[field]);
+  };
+
+  /**
+   * Index value of a person for a key ({ block, name } for fuzzy keys), or null when a field is missing
+   */
+  const keyValue = (key, person) => {
+    const values = {};
+    for (const field of key.fields) {
+      const value = fieldValue(person, field);
+      if (value === null) {
+        return null;
+      }
+      values[field] = value;
+    }
+
+    const block = JSON.stringify(key.fields.filter(field => !key.fuzzy || field !== 'name').map(field => values[field]));
+    return key.fuzzy ? { block, name: values.name } : { block };
+  };
+
+  /**
+   * Index a record under every key its person has
+   */
+  const remember = (record, person) => {
+    keys.forEach((key) => {
+      const value = keyValue(key, person);
+      if (value === null) {
+        return;
+      }
+      const candidates = key.index.get(value.block) || [];
+      candidates.push({ name: value.name, record });
+      key.index.set(value.block, candidates);
+    });
+  };
+
+  /**
+   * Records indexed under a key that match a person
+   */
+  const lookup = (key, person) => {
+    const value = keyValue(key, person);
+    if (value === null) {
+      return [];
+    }
+    return (key.index.get(value.block) || [])
+      .filter(candidate => !key.fuzzy || editDistance(candidate.name, value.name) <= maxDistance)
+      .map(candidate => candidate.record);
+  };
+
+  /**
+   * Whether a person updates the record rather than duplicating it (upsert of an existing external_id)
+   */
+  const updates = (record, person) => options.mode === 'upsert' && record.id !== undefined &&
+    !isEmpty(person.external_id) && record.external_id === String(person.external_id).trim();
+
+  return {
+    policy,
+
+    /**
+     * Index the people already in the database
+     *
+     * @param {Object} db - Database connection object
+     * @returns {Promise<number>} - Number of people indexed
+     */
+    async loadExisting(db) {
+      const param = db.dialect === 'postgres' ? '$1' : '?';
+      let lastId = 0;
+      let count = 0;
+
+      for (;;) {
+        const rows = await db.query(
+          `SELECT id, external_id, first_name, last_name, birth_date FROM people WHERE id > ${param} ORDER BY id LIMIT ${PAGE_SIZE}`,
+          [lastId]
+        );
+        rows.forEach((row) => {
+          remember({
+            id: Number(row.id),
+            external_id: isEmpty(row.external_id) ? null : String(row.external_id).trim(),
+            last_name: row.last_name
+          }, row);
+        });
+
+        count += rows.length;
+        if (rows.length < PAGE_SIZE) {
+          break;
+        }
+        lastId = rows[rows.length - 1].id;
+      }
+
+      logger.info(`Indexed ${count} existing people for duplicate detection`);
+      return count;
+    },
+
+    /**
+     * Look for a person seen before; a person seen for the first time is remembered
+     *
+     * @param {Object} entry - Parsed row { rowNumber, sheet }
+     * @param {Object} person - Normalized person
+     * @returns {Object|null} - { key, kept } where kept is the record of the person seen first:
+     *   { rowNumber, sheet } for a row of the file (with its person while it can be merged in memory)
+     *   or { id } for a person of the database; null when the person is not a duplicate
+     */
+    check(entry, person) {
+      for (const key of keys) {
+        const kept = lookup(key, person).find(record => !updates(record, person));
+        if (kept) {
+          return { key: key.label, kept };
+        }
+      }
+
+      const record = {
+        rowNumber: entry.rowNumber,
+        sheet: entry.sheet,
+        external_id: isEmpty(person.external_id) ? null : String(person.external_id).trim(),
+        last_name: person.last_name,
+        person
+      };
+      remember(record, person);
+      pending.push(record);
+      return null;
+    },
+
+    /**
+     * Forget the persons of the records checked so far, once they are handed to the database
+     */
+    release() {
+      pending.forEach((record) => {
+        delete record.person;
+      });
+      pending = [];
+    },
+
+    /**
+     * Fill in the empty columns of a person already written with those of its duplicate
+     *
+     * A person of the database keeps its before-image, and is marked as
+     * written by the import batch, so that a rollback of the batch restores
+     * it. A row of the file is found by its external_id, else by its batch
+     * and source row.
+     *
+     * @param {Object} db - Database connection object
+     * @param {Object} kept - Record of the person kept (see check)
+     * @param {Object} person - Duplicate person
+     * @param {Object} fillOptions - { table (default: people), batchId, promotedColumns: extra fields
+     *   with columns of their own, filled in as well }
+     * @returns {Promise<boolean>} - False when the row could not be identified
+     */
+    async fill(db, kept, person, fillOptions = {}) {
+      const table = fillOptions.table || 'people';
+      const batchId = fillOptions.batchId || null;
+      const promotedColumns = fillOptions.promotedColumns || [];
+      const columns = [...MERGED_COLUMNS, ...promotedColumns].filter(column => !isEmpty(person[column]));
+      if (columns.length === 0) {
+        return true;
+      }
+
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return db.dialect === 'postgres' ? `$${params.length}` : '?';
+      };
+      const empty = column => (column === 'birth_date' ? `${column} IS NULL` : `(${column} IS NULL OR ${column} = '')`);
+
+      const assignments = columns.map(column => `${column} = CASE WHEN ${empty(column)} THEN ${param(String(person[column]))} ELSE ${column} END`);
+      if (batchId) {
+        assignments.push(`batch_id = ${param(batchId)}`);
+      }
+
+      let identity;
+      if (kept.id !== undefined) {
+        identity = `id = ${param(kept.id)}`;
+      } else if (kept.external_id) {
+        identity = `external_id = ${param(kept.external_id)}`;
+      } else if (batchId) {
+        identity = `batch_id = ${param(batchId)} AND source_row_number = ${param(kept.rowNumber)} AND last_name = ${param(kept.last_name || '')}`;
+      } else {
+        return false;
+      }
+
+      if (kept.id !== undefined && batchId) {
+        await db.execute(buildBeforeImageSql(db.dialect, 1, { keyColumn: 'id', columns: resolvePeopleColumns({ promotedColumns }).all }), [batchId, kept.id]);
+      }
+      await db.execute(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${identity} AND (${columns.map(empty).join(' OR ')})`, params);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  DEDUP_POLICIES,
+  MATCH_METHODS,
+  KEY_FIELDS,
+  parseMatchKeys,
+  soundex,
+  mergePeople,
+  createDeduplicator
+};
@@ -0,0 +1,116 @@
+/**
+ * Dry Run Module
+ *
+ * A dry run (--dry-run) parses, maps, normalizes, validates and
+ * deduplicates every row like an import, and reports the same totals,
+ * without committing anything to the database:
+ * - A SQLite database is copied to a throwaway in-memory database (see
+ *   database.getConnection), where the whole import runs as usual
+ * - A MySQL or PostgreSQL database is only read: the rows go to a planning
+ *   connection (createPlanningConnection), which works out what each write
+ *   would do from the keys already in the target table
+ *
+ * The plan follows the adapters: rows without identifying information are
+ * skipped, rows with a new (or empty) key are inserted, and rows whose key
+ * exists already, in the table or earlier in the file, are updated in
+ * upsert mode and refused by the unique index otherwise. The replace mode
+ * starts from an empty table. An upsert cannot tell unchanged rows from
+ * updated ones without writing them, so the plan counts them as updated.
+ */
+
+const { prepareRecords, resolveImportMode, resolveTarget } = require('./adapters/adapter-utils');
+const { logger } = require('./logger');
+
+/**
+ * Number of keys looked up per query
+ */
+const LOOKUP_BATCH_SIZE = 1000;
+
+/**
+ * Read which of a list of keys already exist in the target table
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} target - Table and key of the writes (see adapter-utils.resolveTarget)
+ * @param {Array<string>} keys - Keys to look up
+ * @returns {Promise<Set<string>>} - Keys found, as strings
+ */
+async function findExistingKeys(db, target, keys) {
+  const existing = new Set();
+
+  for (let start = 0; start < keys.length; start += LOOKUP_BATCH_SIZE) {
+    const batch = keys.slice(start, start + LOOKUP_BATCH_SIZE);
+    const placeholders = batch.map((_, index) => (db.dialect === 'postgres' ? `$${index + 1}` : '?'));
+    const rows = await db.query(
+      `SELECT ${target.key} AS key_value FROM ${target.table} WHERE ${target.key} IN (${placeholders.join(', ')})`,
+      batch
+    );
+    rows.forEach(row => existing.add(String(row.key_value)));
+  }
+
+  return existing;
+}
+
+/**
+ * Create a connection that plans the writes of an import instead of making them
+ *
+ * Reads go to the database; statements (such as the fills of merged
+ * duplicates) are not executed.
+ *
+ * @param {Object} db - Database connection object, only read
+ * @param {Object} options - Planning options
+ * @param {boolean} options.empty - The target table starts empty: replace mode, or a schema table that
+ *   does not exist yet
+ * @returns {Object} - Connection object whose saveToDatabase returns the totals the writes would reach
+ */
+function createPlanningConnection(db, options = {}) {
+  const empty = Boolean(options.empty);
+  // Keys written by earlier chunks of the file
+  const seen = new Set();
+
+  return {
+    ...db,
+
+    async execute(sql) {
+      logger.debug('Dry run: statement not executed', { sql });
+      return {};
+    },
+
+    async clearPeople() {
+      return 0;
+    },
+
+    async saveToDatabase(people, saveOptions = {}) {
+      const mode = resolveImportMode(saveOptions.mode);
+      const target = resolveTarget(saveOptions, mode);
+      const { records, skipped } = prepareRecords(people, saveOptions);
+      const totals = { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped };
+
+      // The key comes first in the values of a record; a schema table may have none
+      const keyOf = record => (target.key && record.values[0] !== null ? String(record.values[0]) : null);
+      const keys = [...new Set(records.map(keyOf).filter(key => key !== null && !seen.has(key)))];
+      const existing = empty || keys.length === 0 ? new Set() : await findExistingKeys(db, target, keys);
+
+      records.forEach((record) => {
+        const key = keyOf(record);
+        if (key === null || (!existing.has(key) && !seen.has(key))) {
+          totals.inserted++;
+        } else if (mode === 'upsert') {
+          totals.updated++;
+        } else {
+          logger.error('Record would be refused: its key already exists', { key, person: JSON.stringify(record.person) });
+          totals.errors++;
+        }
+        if (key !== null) {
+          seen.add(key);
+        }
+      });
+
+      logger.info(`Dry run: ${totals.inserted} records would be inserted, ${totals.updated} updated, ${totals.errors} refused`);
+      return totals;
+    }
+  };
+}
+
+module.exports = {
+  createPlanningConnection
+};
@@ -3,249 +3,164 @@
  * 
  * This module is responsible for parsing Excel files and converting them
  * to a structured format that can be saved to the database.
+ * Besides .xlsx workbooks it reads legacy .xls and OpenDocument (.ods)
+ * workbooks, CSV/TSV files and JSON-lines dumps, all through the same
+ * header mapping.
  * It supports multiple languages including French, English, Russian, Arabic, and Chinese.
  */
 
+const path = require('path');
 const XLSX = require('xlsx');
+const { readRows, listSheets } = require('./xlsx-stream-reader');
+const { readDelimitedRows, readJsonLines } = require('./text-reader');
+const { detectInputFormat } = require('./input-format');
 const { logger } = require('./logger');
+const { formatDate } = require('./date-normalizer');
+const { getDefaultHeaderMapper, buildMappingReport, foldHeader } = require('./header-mapping');
+const { schemaKeyField } = require('./table-schema');
 
 /**
- * Map of common header names in different languages to standardized field names
+ * Read a workbook from a file path or from an in-memory buffer (e.g. stdin)
+ * 
+ * @param {string|Buffer} source - Path to the Excel file or its contents
+ * @param {Object} options - Options passed through to SheetJS
+ * @returns {Object} - SheetJS workbook
  */
-const HEADER_MAPPINGS = {
-  // French
-  'matricule': 'external_id',
-  'identifiant': 'external_id',
-  'id_fr': 'external_id',
-  'nom': 'last_name',
-  'prenom': 'first_name',
-  'nom et prenom': 'name',
-  'nom_et_prenom': 'name',
-  'datedenaissance': 'birth_date',
-  'date de naissance': 'birth_date',
-  'date_de_naissance': 'birth_date',
-  'courriel': 'email',
-  'adresse courriel': 'email',
-  'adresse_courriel': 'email',
-  'telephone': 'phone',
-  'numero de telephone': 'phone',
-  'numero_de_telephone': 'phone',
-  'adresse': 'address',
-  'ville': 'city',
-  'etat': 'state',
-  'code_postal': 'zip',
-  'pays': 'country',
-  'entreprise': 'company',
-  'titre': 'job_title',
-  'departement': 'department',
-  'status_fr': 'status',
-  'statut': 'status',
-  
-  // English
-  'id': 'external_id',
-  'identifier': 'external_id',
-  'name': 'name',
-  'full name': 'name',
-  'fullname': 'name',
-  'full_name': 'name',
-  'first name': 'first_name',
-  'first_name': 'first_name',
-  'firstname': 'first_name',
-  'last name': 'last_name',
-  'last_name': 'last_name',
-  'lastname': 'last_name',
-  'email': 'email',
-  'email address': 'email',
-  'email_address': 'email',
-  'phone': 'phone',
-  'phone number': 'phone',
-  'phone_number': 'phone',
-  'address': 'address',
-  'city': 'city',
-  'state': 'state',
-  'zip': 'zip',
-  'zip code': 'zip',
-  'zip_code': 'zip',
-  'postal code': 'zip',
-  'postal_code': 'zip',
-  'country': 'country',
-  'company': 'company',
-  'job title': 'job_title',
-  'job_title': 'job_title',
-  'department': 'department',
-  'birth date': 'birth_date',
-  'birth_date': 'birth_date',
-  'date of birth': 'birth_date',
-  'date_of_birth': 'birth_date',
-  'status': 'status',
-  
-  // Additional English variations with different casing
-  'ID': 'external_id',
-  'Id': 'external_id',
-  'Name': 'name',
-  'Full Name': 'name',
-  'FullName': 'name',
-  'First Name': 'first_name',
-  'FirstName': 'first_name',
-  'Last Name': 'last_name',
-  'LastName': 'last_name',
-  'Email': 'email',
-  'Email Address': 'email',
-  'Phone': 'phone',
-  'Phone Number': 'phone',
-  'Address': 'address',
-  'City': 'city',
-  'State': 'state',
-  'Zip': 'zip',
-  'Zip Code': 'zip',
-  'Postal Code': 'zip',
-  'Country': 'country',
-  'Company': 'company',
-  'Job Title': 'job_title',
-  'Department': 'department',
-  'Birth Date': 'birth_date',
-  'BirthDate': 'birth_date',
-  'Date of Birth': 'birth_date',
-  'DOB': 'birth_date',
-  'Status': 'status',
-  
-  // Russian
-  'идентификатор': 'external_id',
-  'фамилия': 'last_name',
-  'имя': 'first_name',
-  'полное имя': 'name',
-  'полное_имя': 'name',
-  'дата рождения': 'birth_date',
-  'дата_рождения': 'birth_date',
-  'электронная почта': 'email',
-  'электронная_почта': 'email',
-  'телефон': 'phone',
-  'номер телефона': 'phone',
-  'номер_телефона': 'phone',
-  'адрес': 'address',
-  'город': 'city',
-  'область': 'state',
-  'почтовый индекс': 'zip',
-  'почтовый_индекс': 'zip',
-  'страна': 'country',
-  'компания': 'company',
-  'должность': 'job_title',
-  'отдел': 'department',
-  'статус': 'status',
-  
-  // Arabic
-  'رقم_التعريف': 'external_id',
-  'معرف': 'external_id',
-  'اسم_العائلة': 'last_name',
-  'الاسم_الأول': 'first_name',
-  'الاسم_الكامل': 'name',
-  'تاريخ_الميلاد': 'birth_date',
-  'البريد_الإلكتروني': 'email',
-  'هاتف': 'phone',
-  'رقم_الهاتف': 'phone',
-  'عنوان': 'address',
-  'مدينة': 'city',
-  'ولاية': 'state',
-  'الرمز_البريدي': 'zip',
-  'بلد': 'country',
-  'شركة': 'company',
-  'المسمى_الوظيفي': 'job_title',
-  'قسم': 'department',
-  'الحالة': 'status',
+function readWorkbook(source, options = {}) {
+  if (Buffer.isBuffer(source)) {
+    return XLSX.read(source, { ...options, type: 'buffer' });
+  }
   
-  // Chinese
-  '标识符': 'external_id',
-  '姓': 'last_name',
-  '名': 'first_name',
-  '全名': 'name',
-  '出生日期': 'birth_date',
-  '电子邮件': 'email',
-  '电话': 'phone',
-  '电话号码': 'phone',
-  '地址': 'address',
-  '城市': 'city',
-  '州': 'state',
-  '邮政编码': 'zip',
-  '国家': 'country',
-  '公司': 'company',
-  '职位': 'job_title',
-  '部门': 'department',
-  '状态': 'status'
-};
+  return XLSX.readFile(source, options);
+}
 
 /**
- * Parse an Excel file and extract people data
+ * Describe a workbook source for log messages
  * 
- * @param {string} filePath - Path to the Excel file
+ * @param {string|Buffer} source - Path to the Excel file or its contents
+ * @returns {string} - Printable description of the source
+ */
+function describeSource(source) {
+  return Buffer.isBuffer(source) ? `stdin (${source.length} bytes)` : source;
+}
+
+/**
+ * Convert a cell value to text
+ * 
+ * Date cells become ISO dates (YYYY-MM-DD) rather than Date#toString output.
+ * 
+ * @param {*} cell - Cell value
+ * @returns {string} - Cell text
+ */
+function cellToString(cell) {
+  if (cell === undefined || cell === null) {
+    return '';
+  }
+  if (cell instanceof Date) {
+    return formatDate(cell) || '';
+  }
+  return cell.toString();
+}
+
+/**
+ * Fields read as text whatever the type of their cells
+ */
+const TEXT_FIELDS = ['external_id', 'first_name', 'last_name', 'name', 'birth_date', 'status'];
+
+/**
+ * Convert a cell value to the value of an extra field
+ * 
+ * Numbers and booleans keep their type, so that additional_data holds them
+ * as JSON numbers and booleans; date cells become ISO dates (YYYY-MM-DD).
+ * 
+ * @param {*} cell - Cell value
+ * @returns {string|number|boolean} - Cell value
+ */
+function cellToValue(cell) {
+  if (typeof cell === 'number' || typeof cell === 'boolean') {
+    return cell;
+  }
+  return cellToString(cell);
+}
+
+/**
+ * Check whether a row has no non-empty cells
+ * 
+ * @param {Array} row - Row of cell values
+ * @returns {boolean} - True if the row is empty
+ */
+function isEmptyRow(row) {
+  return row.length === 0 || !row.some(cell => cell !== undefined && cell !== null && cell !== '');
+}
+
+/**
+ * Build a function converting data rows to people objects from a header row
+ * 
+ * Validates that the headers carry enough information to identify people
+ * (or, for a table schema, that a column holds its key) and throws if they
+ * do not. Columns whose header is mapped as ignored are dropped.
+ * Logs a mapping report, and hands it to options.onHeaderMapping if given.
+ * 
+ * @param {Array} headerRow - Header row of the sheet
  * @param {Object} options - Options for parsing
- * @param {boolean} options.useStreaming - Whether to use streaming for large files
- * @param {number} options.chunkSize - Size of chunks when processing large files
- * @returns {Promise<Array>} - Array of people objects
+ * @param {Object} options.mapper - Header mapper (default: the built-in mappings)
+ * @param {boolean} options.strictHeaders - Throw on low-confidence header matches
+ * @param {boolean} options.acceptFuzzyHeaders - Apply low-confidence fuzzy header matches instead of
+ *   keeping the columns under their own names
+ * @param {Object} options.schema - Table schema the rows are imported into (see table-schema.js), optional
+ * @param {Function} options.onHeaderMapping - Receives the mapping report (see buildMappingReport) and the sheet name
+ * @param {string} options.sheetName - Name of the sheet, passed to onHeaderMapping
+ * @returns {Function} - Function converting a data row to a person object
  */
-async function parseExcel(filePath, options = {}) {
-  try {
-    logger.info(`Parsing Excel file: ${filePath}`);
-    
-    // For very large files, use the streaming approach
-    if (options.useStreaming) {
-      return await parseExcelStreaming(filePath, options);
+function createRowMapper(headerRow, options = {}) {
+  const mapper = options.mapper || getDefaultHeaderMapper();
+  const originalHeaders = Array.from(headerRow, header =>
+    header ? header.toString().trim() : ''
+  );
+  
+  // Map headers to standardized field names
+  const report = buildMappingReport(originalHeaders, mapper, { acceptFuzzyHeaders: options.acceptFuzzyHeaders });
+  const mappedHeaders = originalHeaders.map(() => '');
+  report.forEach(({ column, field }) => {
+    mappedHeaders[column - 1] = field;
+  });
+  
+  logger.debug('Original headers:', { headers: originalHeaders });
+  logger.debug('Mapped headers:', { headers: mappedHeaders });
+  
+  report.forEach(({ header, field, match, confidence }) => {
+    logger.info(`Header "${header}" → ${field === null ? '(ignored)' : field} (${match}, confidence ${confidence})`);
+  });
+  
+  const doubtful = report.filter(entry => entry.lowConfidence)
+    .map(({ header, field, confidence, candidate }) => `"${header}" → ${candidate ? candidate.field : field} (${candidate ? candidate.confidence : confidence})`);
+  if (doubtful.length > 0) {
+    if (options.strictHeaders) {
+      throw new Error(`Low-confidence header matches: ${doubtful.join(', ')}. Add these headers to a mapping file or correct them in the spreadsheet.`);
     }
-    
-    // Read the Excel file with options to minimize memory usage
-    const workbook = XLSX.readFile(filePath, {
-      cellFormula: false, // Don't parse formulas
-      cellHTML: false,    // Don't parse HTML
-      cellStyles: false,  // Don't parse styles
-      cellDates: true,    // Convert dates
-      dense: true,        // Use dense array format (uses less memory)
-      sheetStubs: false   // Don't create stubs for empty cells
-    });
-    
-    // Get the first sheet
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Convert the sheet to JSON
-    const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-    
-    if (rawData.length < 2) {
-      throw new Error('Excel file does not contain enough data. Expected at least a header row and one data row.');
+    if (options.acceptFuzzyHeaders) {
+      logger.warn(`Low-confidence header matches: ${doubtful.join(', ')}`);
+    } else {
+      logger.warn(`Low-confidence header matches not applied: ${doubtful.join(', ')}. The columns are kept under their own names; use --accept-fuzzy-headers to apply them.`);
     }
-    
-    // Extract headers (first row)
-    const originalHeaders = rawData[0].map(header => 
-      header ? header.toString().trim() : ''
-    );
-    
-    // Create a case-insensitive mapping function
-    const mapHeader = (header) => {
-      // First try exact match
-      if (HEADER_MAPPINGS[header]) {
-        return HEADER_MAPPINGS[header];
-      }
-      
-      // Try lowercase match
-      const lowerHeader = header.toLowerCase();
-      if (HEADER_MAPPINGS[lowerHeader]) {
-        return HEADER_MAPPINGS[lowerHeader];
-      }
-      
-      // Try lowercase with spaces replaced by underscores
-      const normalizedHeader = lowerHeader.replace(/\s+/g, '_');
-      if (HEADER_MAPPINGS[normalizedHeader]) {
-        return HEADER_MAPPINGS[normalizedHeader];
-      }
-      
-      // If no mapping found, use the normalized header
-      return normalizedHeader;
-    };
-    
-    // Map headers to standardized field names
-    const mappedHeaders = originalHeaders.map(mapHeader);
-    
-    logger.debug('Original headers:', { headers: originalHeaders });
-    logger.debug('Mapped headers:', { headers: mappedHeaders });
-    
+  }
+  
+  if (options.onHeaderMapping) {
+    options.onHeaderMapping(report, options.sheetName);
+  }
+  
+  const hasName = mappedHeaders.includes('name');
+  const hasFirstName = mappedHeaders.includes('first_name');
+  const hasLastName = mappedHeaders.includes('last_name');
+  const hasNameComponents = hasFirstName && hasLastName;
+  
+  if (options.schema) {
+    // Another register: only the key of its table is required
+    const keyField = schemaKeyField(options.schema);
+    if (keyField && !mappedHeaders.includes(keyField)) {
+      throw new Error(`Excel file has no column for ${keyField}, the key of the ${options.schema.table} table`);
+    }
+  } else {
     // Check for required headers based on the sample CSV format
     const requiredHeaders = ['external_id', 'last_name', 'first_name', 'birth_date', 'status'];
     const missingHeaders = requiredHeaders.filter(header => !mappedHeaders.includes(header));
@@ -257,222 +172,608 @@ async function parseExcel(filePath, options = {}) {
     
     // Check if we have enough information to identify a person
     // We need at least one of: name, first_name+last_name, email, or external_id
-    const hasName = mappedHeaders.includes('name');
-    const hasFirstName = mappedHeaders.includes('first_name');
-    const hasLastName = mappedHeaders.includes('last_name');
     const hasEmail = mappedHeaders.includes('email');
     const hasId = mappedHeaders.includes('external_id');
     
-    const hasNameComponents = hasFirstName && hasLastName;
-    
     if (!hasName && !hasNameComponents && !hasEmail && !hasId) {
       throw new Error('Excel file does not contain enough information to identify people. Need at least one of: name, first_name+last_name, email, or external_id.');
     }
+  }
+  
+  const lastNameIndex = mappedHeaders.indexOf('last_name');
+  const firstNameIndex = mappedHeaders.indexOf('first_name');
+  
+  return (row) => {
+    const person = {};
     
-    // Process data rows (skip header row)
-    const people = rawData.slice(1)
-      .filter(row => row.length > 0 && row.some(cell => cell !== undefined && cell !== null && cell !== ''))
-      .map(row => {
-        const person = {};
-        
-        // Map each cell to its corresponding standardized header
-        mappedHeaders.forEach((header, index) => {
-          if (index < row.length && header) {
-            person[header] = row[index] !== undefined ? row[index].toString() : '';
-          }
-        });
-        
-        // Combine first and last name if we have both but no full name
-        if (!person.name && person.first_name && person.last_name) {
-          person.name = `${person.last_name} ${person.first_name}`.trim();
-        }
-        
-        // Special case for French format: if we have both 'nom' and 'prenom' columns mapped to last_name and first_name
-        if (!hasName && hasFirstName && hasLastName) {
-          const lastNameIndex = mappedHeaders.indexOf('last_name');
-          const firstNameIndex = mappedHeaders.indexOf('first_name');
-          
-          if (lastNameIndex >= 0 && firstNameIndex >= 0 && lastNameIndex < row.length && firstNameIndex < row.length) {
-            const lastName = row[lastNameIndex] !== undefined ? row[lastNameIndex].toString() : '';
-            const firstName = row[firstNameIndex] !== undefined ? row[firstNameIndex].toString() : '';
-            person.name = `${lastName} ${firstName}`.trim();
-          }
-        }
-        
-        return person;
-      });
+    // Map each cell to its corresponding standardized header
+    mappedHeaders.forEach((header, index) => {
+      if (index < row.length && header) {
+        person[header] = TEXT_FIELDS.includes(header) ? cellToString(row[index]) : cellToValue(row[index]);
+      }
+    });
     
-    logger.info(`Successfully parsed ${people.length} records from Excel file`);
-    return people;
-  } catch (error) {
-    logger.error('Error parsing Excel file', { error: error.message });
-    throw new Error(`Failed to parse Excel file: ${error.message}`);
+    // Combine first and last name if we have both but no full name
+    if (!person.name && person.first_name && person.last_name) {
+      person.name = `${person.last_name} ${person.first_name}`.trim();
+    }
+    
+    // Special case for French format: if we have both 'nom' and 'prenom' columns mapped to last_name and first_name
+    if (!hasName && hasNameComponents && lastNameIndex < row.length && firstNameIndex < row.length) {
+      const lastName = cellToString(row[lastNameIndex]);
+      const firstName = cellToString(row[firstNameIndex]);
+      person.name = `${lastName} ${firstName}`.trim();
+    }
+    
+    return person;
+  };
+}
+
+/**
+ * Column added to each person with the name of its sheet when several sheets are imported
+ */
+const SHEET_COLUMN = 'source_sheet';
+
+/**
+ * Convert a sheet name glob (* and ?) to a regular expression
+ * 
+ * @param {string} glob - Glob pattern, e.g. "Region*"
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a sheet selection can pick several sheets
+ * 
+ * @param {Object} options - Sheet selection options
+ * @returns {boolean} - True for --all-sheets and glob selectors
+ */
+function isMultiSheet(options = {}) {
+  return Boolean(options.allSheets) || (typeof options.sheet === 'string' && /[*?]/.test(options.sheet));
+}
+
+/**
+ * Pick the sheets to import
+ * 
+ * The selector is a sheet name, a glob such as "Region*", a one-based index
+ * given as text (e.g. "2" from the command line) or a zero-based index given
+ * as a number. Names take precedence over indices.
+ * 
+ * @param {Array<string>} sheetNames - Sheet names in workbook order
+ * @param {Object} options - Sheet selection options
+ * @param {string|number} options.sheet - Sheet selector (default: the first sheet)
+ * @param {boolean} options.allSheets - Select every sheet
+ * @returns {Array<string>} - Selected sheet names, in workbook order
+ */
+function selectSheetNames(sheetNames, options = {}) {
+  const selector = options.sheet;
+  const available = () => `Available sheets: ${sheetNames.join(', ')}`;
+  
+  if (sheetNames.length === 0) {
+    throw new Error('Workbook does not contain any sheets');
+  }
+  if (options.allSheets) {
+    return sheetNames.slice();
+  }
+  if (selector === undefined || selector === null || selector === '') {
+    return sheetNames.slice(0, 1);
+  }
+  
+  if (typeof selector === 'number') {
+    if (!sheetNames[selector]) {
+      throw new Error(`Sheet not found in workbook: ${selector}. ${available()}`);
+    }
+    return [sheetNames[selector]];
+  }
+  
+  if (sheetNames.includes(selector)) {
+    return [selector];
+  }
+  
+  if (isMultiSheet(options)) {
+    const pattern = globToRegExp(selector);
+    const matches = sheetNames.filter(name => pattern.test(name));
+    if (matches.length === 0) {
+      throw new Error(`No sheet matches ${selector}. ${available()}`);
+    }
+    return matches;
+  }
+  
+  if (/^\d+$/.test(selector) && sheetNames[parseInt(selector, 10) - 1]) {
+    return [sheetNames[parseInt(selector, 10) - 1]];
+  }
+  
+  throw new Error(`Sheet not found in workbook: ${selector}. ${available()}`);
+}
+
+/**
+ * Report a sheet without data rows
+ * 
+ * A single selected sheet must hold data; when several sheets are imported,
+ * empty ones are skipped with a warning.
+ * 
+ * @param {string} sheetName - Sheet name
+ * @param {boolean} multiSheet - Whether several sheets are being imported
+ */
+function handleEmptySheet(sheetName, multiSheet) {
+  if (!multiSheet) {
+    throw new Error('Excel file does not contain enough data. Expected at least a header row and one data row.');
   }
+  logger.warn(`Skipping sheet ${sheetName}: no header row and data rows`);
 }
 
 /**
- * Parse an Excel file using a streaming approach for large files
+ * Tag a person with its sheet when several sheets are imported
  * 
- * @param {string} filePath - Path to the Excel file
- * @param {Object} options - Options for parsing
- * @returns {Promise<Array>} - Array of people objects
+ * @param {Object} person - Person object
+ * @param {string} sheetName - Sheet name
+ * @param {boolean} multiSheet - Whether several sheets are being imported
+ * @returns {Object} - Person object
  */
-async function parseExcelStreaming(filePath, options = {}) {
-  try {
-    logger.info(`Parsing Excel file using streaming approach: ${filePath}`);
-    
-    // First, read the file headers to get the column mappings
-    const headerWorkbook = XLSX.readFile(filePath, {
-      sheetRows: 1, // Only read the first row (headers)
-      cellFormula: false,
-      cellHTML: false,
-      cellStyles: false,
-      cellDates: true,
-      dense: true,
-      sheetStubs: false
-    });
-    
-    const sheetName = headerWorkbook.SheetNames[0];
-    const headerWorksheet = headerWorkbook.Sheets[sheetName];
-    const headerRow = XLSX.utils.sheet_to_json(headerWorksheet, { header: 1 })[0];
-    
-    // Map headers
-    const originalHeaders = headerRow.map(header => 
-      header ? header.toString().trim() : ''
-    );
-    
-    // Create a case-insensitive mapping function
-    const mapHeader = (header) => {
-      // First try exact match
-      if (HEADER_MAPPINGS[header]) {
-        return HEADER_MAPPINGS[header];
+function tagSheet(person, sheetName, multiSheet) {
+  if (multiSheet) {
+    person[SHEET_COLUMN] = sheetName;
+  }
+  return person;
+}
+
+/**
+ * Number of rows at the top of a sheet searched for the header row
+ */
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Leading words of footer rows such as "Total: 1234" or "Page 2 of 3"
+ * (matched against folded text, see header-mapping.foldHeader)
+ */
+const FOOTER_PATTERN = /^(?:total|totaux|sous total|subtotal|grand total|nombre|count|somme|sum|genere|generated|page|итого|всего|المجموع|合计|总计|共计)(?=\s|\d|$)/u;
+
+/**
+ * Score a row as a header row against the known header vocabulary
+ * 
+ * @param {Array} cells - Row of cell values
+ * @param {Object} mapper - Header mapper
+ * @returns {number} - Sum of the confidences of the text cells matching a known header
+ */
+function scoreHeaderRow(cells, mapper) {
+  return Array.from(cells).reduce((score, cell) => {
+    if (typeof cell !== 'string' || cell.trim() === '') {
+      return score;
+    }
+    const { match, confidence } = mapper.resolve(cell.trim());
+    return match === 'none' ? score : score + confidence;
+  }, 0);
+}
+
+/**
+ * Find the header row among the first rows of a sheet
+ * 
+ * The row scoring best against the known headers wins (the earliest one on
+ * a tie). When no row contains a known header, the first row is used.
+ * 
+ * @param {Array<Object>} rows - Non-empty rows { rowNumber, cells } from the top of the sheet
+ * @param {Object} mapper - Header mapper
+ * @returns {number} - Index of the header row in rows
+ */
+function detectHeaderRow(rows, mapper) {
+  let best = 0;
+  let bestScore = 0;
+
+  rows.forEach(({ cells }, index) => {
+    const score = scoreHeaderRow(cells, mapper);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Check whether a row looks like a footer ("Total: 1234", "Page 2 of 3", ...)
+ * 
+ * Footer rows fill at most half of the header columns (and at most two
+ * cells for narrow sheets) and start with a footer word.
+ * 
+ * @param {Array} cells - Row of cell values
+ * @param {number} headerWidth - Number of non-empty header cells
+ * @returns {boolean} - True if the row is a footer
+ */
+function isFooterRow(cells, headerWidth) {
+  const filled = Array.from(cells).filter(cell => cell !== undefined && cell !== null && cell !== '');
+  if (filled.length > Math.max(2, Math.floor(headerWidth / 2))) {
+    return false;
+  }
+  return typeof filled[0] === 'string' && FOOTER_PATTERN.test(foldHeader(filled[0]));
+}
+
+/**
+ * Create the handler turning the rows of one sheet into people entries
+ * 
+ * Rows are pushed in sheet order as they are read. Title rows above the
+ * header row are skipped: the header row is either given as
+ * options.headerRow or detected among the first HEADER_SCAN_ROWS non-empty
+ * rows. Footer rows are dropped, as are the last options.skipFooterRows
+ * data rows.
+ * 
+ * @param {string} sheetName - Sheet name
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @returns {Object} - Handler { push(rowNumber, cells) → entries, finish() → entries }
+ */
+function createSheetRowHandler(sheetName, options = {}) {
+  const mapper = options.mapper || getDefaultHeaderMapper();
+  const multiSheet = isMultiSheet(options);
+  const skipFooterRows = options.skipFooterRows || 0;
+
+  const scanned = [];
+  const heldBack = [];
+  let header = null;
+  let toPerson = null;
+  let headerWidth = 0;
+  let dataRows = 0;
+  let footerRows = 0;
+
+  const useHeader = (row, how) => {
+    header = row;
+    headerWidth = Array.from(row.cells).filter(cell => cell !== undefined && cell !== null && cell !== '').length;
+    logger.info(`Using row ${row.rowNumber} of sheet ${sheetName} as the header row (${how})`);
+  };
+
+  const addDataRow = ({ rowNumber, cells }) => {
+    if (isEmptyRow(cells)) {
+      return [];
+    }
+    if (isFooterRow(cells, headerWidth)) {
+      footerRows++;
+      logger.info(`Skipping footer row ${rowNumber} of sheet ${sheetName}`);
+      return [];
+    }
+
+    // The last skipFooterRows rows are held back until more rows arrive
+    heldBack.push({ rowNumber, cells });
+    if (heldBack.length <= skipFooterRows) {
+      return [];
+    }
+
+    const row = heldBack.shift();
+    // The headers are checked once the sheet is known to hold data
+    if (!toPerson) {
+      toPerson = createRowMapper(header.cells, { ...options, sheetName });
+    }
+    dataRows++;
+    return [{ rowNumber: row.rowNumber, sheet: sheetName, person: tagSheet(toPerson(row.cells), sheetName, multiSheet) }];
+  };
+
+  const detect = () => {
+    const index = detectHeaderRow(scanned, mapper);
+    useHeader(scanned[index], 'detected');
+    if (index > 0) {
+      logger.info(`Skipping ${index} title rows above the header of sheet ${sheetName}`);
+    }
+    return scanned.slice(index + 1).flatMap(addDataRow);
+  };
+
+  return {
+    push(rowNumber, cells) {
+      if (header) {
+        return addDataRow({ rowNumber, cells });
       }
-      
-      // Try lowercase match
-      const lowerHeader = header.toLowerCase();
-      if (HEADER_MAPPINGS[lowerHeader]) {
-        return HEADER_MAPPINGS[lowerHeader];
+
+      if (options.headerRow) {
+        if (rowNumber === options.headerRow && !isEmptyRow(cells)) {
+          useHeader({ rowNumber, cells }, 'given');
+        } else if (rowNumber >= options.headerRow) {
+          throw new Error(`Header row ${options.headerRow} of sheet ${sheetName} is empty`);
+        }
+        return [];
       }
-      
-      // Try lowercase with spaces replaced by underscores
-      const normalizedHeader = lowerHeader.replace(/\s+/g, '_');
-      if (HEADER_MAPPINGS[normalizedHeader]) {
-        return HEADER_MAPPINGS[normalizedHeader];
+
+      if (!isEmptyRow(cells)) {
+        scanned.push({ rowNumber, cells });
       }
-      
-      // If no mapping found, use the normalized header
-      return normalizedHeader;
-    };
+      return scanned.length >= HEADER_SCAN_ROWS ? detect() : [];
+    },
+
+    finish() {
+      let entries = [];
+      if (!header && options.headerRow) {
+        throw new Error(`Header row ${options.headerRow} of sheet ${sheetName} is empty`);
+      }
+      if (!header && scanned.length > 0) {
+        entries = detect();
+      }
+
+      if (heldBack.length > 0) {
+        logger.info(`Skipping the last ${heldBack.length} rows of sheet ${sheetName} (--skip-footer-rows)`);
+      }
+      if (footerRows > 0) {
+        logger.info(`Skipped ${footerRows} footer rows in sheet ${sheetName}`);
+      }
+      if (dataRows === 0) {
+        handleEmptySheet(sheetName, multiSheet);
+      }
+      return entries;
+    }
+  };
+}
+
+/**
+ * Read the selected sheets of a workbook into memory as people entries
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @returns {Array<Object>} - Entries of the form { rowNumber, sheet, person }
+ */
+function readPeopleEntries(filePath, options = {}) {
+  // Read the Excel file with options to minimize memory usage
+  const workbook = readWorkbook(filePath, {
+    cellFormula: false, // Don't parse formulas
+    cellHTML: false,    // Don't parse HTML
+    cellStyles: false,  // Don't parse styles
+    cellDates: true,    // Convert dates
+    dense: true,        // Use dense array format (uses less memory)
+    sheetStubs: false   // Don't create stubs for empty cells
+  });
+  
+  const entries = [];
+  
+  selectSheetNames(workbook.SheetNames, options).forEach((sheetName) => {
+    const worksheet = workbook.Sheets[sheetName];
     
-    const mappedHeaders = originalHeaders.map(mapHeader);
+    // Convert the sheet to JSON (blank rows are kept so indices map to row numbers)
+    const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true });
+    const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
     
-    logger.debug('Original headers:', { headers: originalHeaders });
-    logger.debug('Mapped headers:', { headers: mappedHeaders });
+    logger.info(`Reading sheet: ${sheetName}`);
     
-    // Check for required headers
-    const requiredHeaders = ['external_id', 'last_name', 'first_name', 'birth_date', 'status'];
-    const missingHeaders = requiredHeaders.filter(header => !mappedHeaders.includes(header));
+    const handler = createSheetRowHandler(sheetName, options);
+    rawData.forEach((row, index) => {
+      entries.push(...handler.push(firstRow + index, row));
+    });
+    entries.push(...handler.finish());
+  });
+  
+  return entries;
+}
+
+/**
+ * Name under which the rows of a text file are counted, in place of a sheet name
+ * 
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @returns {string} - File name, or "stdin"
+ */
+function textSourceName(source) {
+  return Buffer.isBuffer(source) ? 'stdin' : path.basename(source);
+}
+
+/**
+ * Convert a JSON value to a cell value (nested objects and arrays are kept as JSON)
+ * 
+ * @param {*} value - JSON value
+ * @returns {*} - Cell value
+ */
+function jsonToCell(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Read the people of a CSV or TSV file
+ * 
+ * The rows go through the same header row detection and footer handling as
+ * the rows of a sheet.
+ * 
+ * @param {string|Buffer} filePath - Path to the file, or a buffer holding its contents
+ * @param {string} format - csv or tsv
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @returns {AsyncGenerator<Object>} - Entries of the form { rowNumber, sheet, person }
+ */
+async function* readDelimitedPeople(filePath, format, options = {}) {
+  const sheetName = textSourceName(filePath);
+  const handler = createSheetRowHandler(sheetName, { ...options, sheet: undefined, allSheets: false });
+  const rows = readDelimitedRows(filePath, {
+    delimiter: options.delimiter || (format === 'tsv' ? '\t' : undefined),
+    quote: options.quote,
+    encoding: options.encoding
+  });
+  
+  for await (const { rowNumber, cells } of rows) {
+    yield* handler.push(rowNumber, cells);
+  }
+  yield* handler.finish();
+}
+
+/**
+ * Read the people of a JSON-lines file
+ * 
+ * The keys of the records are the headers. Records may add keys as they
+ * go; the headers are mapped again whenever they do.
+ * 
+ * @param {string|Buffer} filePath - Path to the file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @returns {AsyncGenerator<Object>} - Entries of the form { rowNumber, sheet, person }, numbered by line
+ */
+async function* readJsonLinesPeople(filePath, options = {}) {
+  const sheetName = textSourceName(filePath);
+  const columns = [];
+  const known = new Set();
+  let toPerson = null;
+  let records = 0;
+  
+  for await (const { rowNumber, record } of readJsonLines(filePath, { encoding: options.encoding })) {
+    const added = Object.keys(record).filter(key => !known.has(key));
     
-    if (missingHeaders.length > 0) {
-      logger.warn(`Excel file missing some standard headers: ${missingHeaders.join(', ')}`);
-      logger.info('Will attempt to process with available fields');
+    if (added.length > 0 || !toPerson) {
+      if (toPerson) {
+        logger.info(`New fields on line ${rowNumber}: ${added.join(', ')}`);
+      }
+      
+      // Only the new columns are handed to onHeaderMapping
+      const reported = columns.length;
+      added.forEach(key => known.add(key));
+      columns.push(...added);
+      toPerson = createRowMapper(columns, {
+        ...options,
+        sheetName,
+        onHeaderMapping: options.onHeaderMapping &&
+          ((report, sheet) => options.onHeaderMapping(report.filter(entry => entry.column > reported), sheet))
+      });
     }
     
-    // Check if we have enough information to identify a person
-    const hasName = mappedHeaders.includes('name');
-    const hasFirstName = mappedHeaders.includes('first_name');
-    const hasLastName = mappedHeaders.includes('last_name');
-    const hasEmail = mappedHeaders.includes('email');
-    const hasId = mappedHeaders.includes('external_id');
-    
-    const hasNameComponents = hasFirstName && hasLastName;
-    
-    if (!hasName && !hasNameComponents && !hasEmail && !hasId) {
-      throw new Error('Excel file does not contain enough information to identify people. Need at least one of: name, first_name+last_name, email, or external_id.');
+    records++;
+    yield { rowNumber, sheet: sheetName, person: toPerson(columns.map(column => jsonToCell(record[column]))) };
+  }
+  
+  if (records === 0) {
+    handleEmptySheet(sheetName, false);
+  }
+}
+
+/**
+ * Read the people of an input file in any supported format
+ * 
+ * @param {string|Buffer} filePath - Path to the file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @returns {AsyncGenerator<Object>} - Entries of the form { rowNumber, sheet, person }
+ */
+async function* readPeople(filePath, options = {}) {
+  const format = await detectInputFormat(filePath, options);
+  logger.info(`Reading ${describeSource(filePath)} as ${format}`);
+  
+  if (format === 'csv' || format === 'tsv' || format === 'ndjson') {
+    if (options.sheet !== undefined || options.allSheets) {
+      logger.warn(`Sheet selection does not apply to ${format} input and is ignored`);
+    }
+    yield* format === 'ndjson' ? readJsonLinesPeople(filePath, options) : readDelimitedPeople(filePath, format, options);
+  } else if (options.useStreaming && format === 'xlsx') {
+    yield* streamPeople(filePath, options);
+  } else {
+    if (options.useStreaming) {
+      logger.info(`Streaming is only available for .xlsx workbooks, reading the ${format} workbook in memory`);
     }
+    yield* readPeopleEntries(filePath, options);
+  }
+}
+
+/**
+ * Parse an Excel file and extract people data
+ * 
+ * Other input formats are detected and read as well (see iteratePeople).
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing (see iteratePeople)
+ * @param {boolean} options.useStreaming - Whether to use streaming for large files
+ * @param {number} options.chunkSize - Size of chunks when processing large files
+ * @returns {Promise<Array>} - Array of people objects
+ */
+async function parseExcel(filePath, options = {}) {
+  try {
+    logger.info(`Parsing Excel file: ${describeSource(filePath)}`);
     
-    // Now read the data in chunks
-    const chunkSize = options.chunkSize || 1000;
     const people = [];
+    for await (const { person } of readPeople(filePath, options)) {
+      people.push(person);
+    }
     
-    // Function to process a chunk of rows
-    const processChunk = (startRow, endRow) => {
-      const chunkWorkbook = XLSX.readFile(filePath, {
-        sheetRows: endRow,
-        cellFormula: false,
-        cellHTML: false,
-        cellStyles: false,
-        cellDates: true,
-        dense: true,
-        sheetStubs: false
-      });
-      
-      const chunkSheetName = chunkWorkbook.SheetNames[0];
-      const chunkWorksheet = chunkWorkbook.Sheets[chunkSheetName];
-      const chunkData = XLSX.utils.sheet_to_json(chunkWorksheet, { header: 1 });
-      
-      // Skip the header row and any rows before startRow
-      const rowsToProcess = chunkData.slice(startRow);
-      
-      return rowsToProcess
-        .filter(row => row.length > 0 && row.some(cell => cell !== undefined && cell !== null && cell !== ''))
-        .map(row => {
-          const person = {};
-          
-          // Map each cell to its corresponding standardized header
-          mappedHeaders.forEach((header, index) => {
-            if (index < row.length && header) {
-              person[header] = row[index] !== undefined ? row[index].toString() : '';
-            }
-          });
-          
-          // Combine first and last name if we have both but no full name
-          if (!person.name && person.first_name && person.last_name) {
-            person.name = `${person.last_name} ${person.first_name}`.trim();
-          }
-          
-          // Special case for French format
-          if (!hasName && hasFirstName && hasLastName) {
-            const lastNameIndex = mappedHeaders.indexOf('last_name');
-            const firstNameIndex = mappedHeaders.indexOf('first_name');
-            
-            if (lastNameIndex >= 0 && firstNameIndex >= 0 && lastNameIndex < row.length && firstNameIndex < row.length) {
-              const lastName = row[lastNameIndex] !== undefined ? row[lastNameIndex].toString() : '';
-              const firstName = row[firstNameIndex] !== undefined ? row[firstNameIndex].toString() : '';
-              person.name = `${lastName} ${firstName}`.trim();
-            }
-          }
-          
-          return person;
-        });
-    };
-    
-    // Get the total number of rows
-    const infoWorkbook = XLSX.readFile(filePath, {
-      sheetRows: 0, // Just get sheet info, not the data
-      cellFormula: false,
-      cellHTML: false,
-      cellStyles: false
-    });
-    
-    const sheetRef = infoWorkbook.Sheets[sheetName]['!ref'];
-    const range = XLSX.utils.decode_range(sheetRef);
-    const totalRows = range.e.r + 1;
+    logger.info(`Successfully parsed ${people.length} records from Excel file`);
+    return people;
+  } catch (error) {
+    logger.error('Error parsing Excel file', { error: error.message });
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+}
+
+/**
+ * Iterate over the people of an Excel file
+ * 
+ * The input format is detected (see input-format.detectInputFormat) unless
+ * `inputFormat` is given. .xlsx workbooks are read with the row-streaming
+ * reader when `useStreaming` is set, and other workbooks are parsed in
+ * memory; CSV, TSV and JSON-lines files are always read incrementally.
+ * Either way the entries are yielded one by one so that callers can
+ * process them as a pipeline.
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing
+ * @param {boolean} options.useStreaming - Whether to use the row-streaming reader
+ * @param {Object} options.mapper - Header mapper (default: the built-in mappings)
+ * @param {boolean} options.strictHeaders - Throw on low-confidence header matches
+ * @param {boolean} options.acceptFuzzyHeaders - Apply low-confidence fuzzy header matches
+ * @param {Object} options.schema - Table schema the rows are imported into, optional
+ * @param {Function} options.onHeaderMapping - Receives the header mapping report and the sheet name
+ * @param {string|number} options.sheet - Sheet selector (see selectSheetNames; defaults to the first sheet)
+ * @param {boolean} options.allSheets - Read every sheet
+ * @param {number} options.headerRow - One-based row number of the header row (default: detected)
+ * @param {number} options.skipFooterRows - Number of trailing data rows to drop (default: 0)
+ * @param {string} options.inputFormat - Input format (see input-format.INPUT_FORMATS; default: detected)
+ * @param {string} options.delimiter - CSV delimiter (default: detected; tab for TSV)
+ * @param {string} options.quote - CSV quote character (default: ")
+ * @param {string} options.encoding - Text encoding of CSV, TSV and JSON-lines files (default: detected)
+ * @returns {AsyncGenerator<Object>} - Entries of the form { rowNumber, sheet, person }
+ */
+async function* iteratePeople(filePath, options = {}) {
+  logger.info(`Parsing Excel file${options.useStreaming ? ' using streaming approach' : ''}: ${describeSource(filePath)}`);
+  
+  try {
+    yield* readPeople(filePath, options);
+  } catch (error) {
+    logger.error('Error parsing Excel file', { error: error.message });
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+}
+
+/**
+ * Stream people from an .xlsx workbook row by row
+ * 
+ * The sheet XML is parsed incrementally, so memory use does not grow with
+ * the number of rows. Each yielded entry carries the one-based row number
+ * and the name of its source sheet alongside the person object. Selected
+ * sheets are read one after the other, each with its own header row.
+ * Memory use is bounded by the rows scanned for the header row and the
+ * rows held back by skipFooterRows.
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing
+ * @param {string|number} options.sheet - Sheet selector (see selectSheetNames; defaults to the first sheet)
+ * @param {boolean} options.allSheets - Read every sheet
+ * @param {Object} options.mapper - Header mapper (default: the built-in mappings)
+ * @returns {AsyncGenerator<Object>} - Entries of the form { rowNumber, sheet, person }
+ */
+async function* streamPeople(filePath, options = {}) {
+  const sheetNames = selectSheetNames(await listSheets(filePath), options);
+  
+  for (const sheetName of sheetNames) {
+    logger.info(`Reading sheet: ${sheetName}`);
     
-    logger.info(`Excel file has ${totalRows} rows, processing in chunks of ${chunkSize}`);
+    const handler = createSheetRowHandler(sheetName, options);
+    for await (const { rowNumber, cells } of readRows(filePath, { sheet: sheetName })) {
+      yield* handler.push(rowNumber, cells);
+    }
+    yield* handler.finish();
+  }
+}
+
+/**
+ * Parse an Excel file using a streaming approach for large files
+ * 
+ * Rows are read through the streaming XLSX reader and collected into an
+ * array. Callers that can process rows incrementally should consume
+ * `streamPeople` directly instead.
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or a buffer holding its contents
+ * @param {Object} options - Options for parsing
+ * @returns {Promise<Array>} - Array of people objects
+ */
+async function parseExcelStreaming(filePath, options = {}) {
+  try {
+    logger.info(`Parsing Excel file using streaming approach: ${describeSource(filePath)}`);
     
-    // Process in chunks
-    for (let startRow = 1; startRow < totalRows; startRow += chunkSize) {
-      const endRow = Math.min(startRow + chunkSize, totalRows);
-      logger.info(`Processing rows ${startRow} to ${endRow}`);
-      
-      const chunk = processChunk(startRow, endRow);
-      people.push(...chunk);
-      
-      // Free memory
-      if (global.gc) {
-        global.gc();
-      }
+    const people = [];
+    for await (const { person } of streamPeople(filePath, options)) {
+      people.push(person);
     }
     
     logger.info(`Successfully parsed ${people.length} records from Excel file using streaming approach`);
@@ -486,5 +787,8 @@ async function parseExcelStreaming(filePath, options = {}) {
 module.exports = {
   parseExcel,
   parseExcelStreaming,
-  HEADER_MAPPINGS // Export for testing
-}; 
\ No newline at end of file
+  iteratePeople,
+  streamPeople,
+  selectSheetNames,
+  SHEET_COLUMN
+};
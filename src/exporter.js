@@ -0,0 +1,394 @@
+/**
+ * Exporter Module
+ *
+ * This module writes the people table back out as an XLSX workbook, a CSV
+ * file or JSON lines. Rows are read in pages ordered by id (keyset
+ * pagination), so that the table is never loaded in one query. The fields
+ * kept in additional_data, and those promoted to columns of their own, are
+ * expanded back into columns.
+ *
+ * CSV and JSON-lines files are streamed to disk page by page; for CSV the
+ * table is read twice, once to collect the columns of additional_data.
+ * XLSX workbooks cannot be streamed and are built in memory, so XLSX
+ * exports are refused beyond MAX_XLSX_ROWS rows: large tables are exported
+ * as CSV or JSON lines.
+ *
+ * An export of one import batch instead writes the rows of that batch in the
+ * layout of the source file: its original headers, in their original order,
+ * one worksheet per imported sheet.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { toCsvField, openOutput, send, finish } = require('./rejects-writer');
+const { getImportBatch, loadImportLayout } = require('./import-batches');
+const { loadPromotedColumns } = require('./promoted-columns');
+const { logger } = require('./logger');
+
+const EXPORT_FORMATS = ['xlsx', 'csv', 'ndjson'];
+
+/**
+ * Columns of the people table written first, in the order of the import files
+ */
+const BASE_COLUMNS = ['external_id', 'last_name', 'first_name', 'birth_date', 'status'];
+
+/**
+ * Default number of rows read per query
+ */
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Largest number of rows exported as XLSX, which is built in memory
+ */
+const MAX_XLSX_ROWS = 100000;
+
+/**
+ * Resolve the export format from an explicit format or the file extension
+ *
+ * @param {string} filePath - Output file path
+ * @param {string} format - Explicit format (xlsx, csv or ndjson), optional
+ * @returns {string} - Format
+ */
+function resolveExportFormat(filePath, format) {
+  const extension = path.extname(filePath || '').slice(1).toLowerCase();
+  const resolved = (format || (extension === 'jsonl' ? 'ndjson' : extension) || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(resolved)) {
+    throw new Error(`Invalid export format: ${resolved}. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Turn a row of the people table into a flat record
+ *
+ * @param {Object} row - Row with the base columns and additional_data
+ * @param {Array<string>} columns - Columns read from the row (default: BASE_COLUMNS)
+ * @returns {Object} - Record with the additional fields as properties
+ */
+function toRecord(row, columns = BASE_COLUMNS) {
+  const record = {};
+  columns.forEach((column) => {
+    record[column] = row[column] === undefined ? null : row[column];
+  });
+
+  // MySQL and PostgreSQL return JSON columns parsed; SQLite returns text
+  let additional = row.additional_data;
+  if (typeof additional === 'string') {
+    try {
+      additional = JSON.parse(additional);
+    } catch (error) {
+      logger.warn(`Unreadable additional_data for person ${row.id}: ${error.message}`);
+      additional = { additional_data: row.additional_data };
+    }
+  }
+
+  return { ...record, ...(additional || {}) };
+}
+
+/**
+ * Read the people table page by page, in id order
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Reading options
+ * @param {number} options.pageSize - Rows per query (default: 1000)
+ * @param {number} options.batchId - Only read the rows last written by this import batch
+ * @returns {AsyncGenerator<Object>} - Records (see toRecord)
+ */
+async function* readPeople(db, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const [first, second] = db.dialect === 'postgres' ? ['$1', '$2'] : ['?', '?'];
+  const where = options.batchId ? `batch_id = ${first} AND id > ${second}` : `id > ${first}`;
+  const columns = [...BASE_COLUMNS, ...(await loadPromotedColumns(db))];
+  const sql = `SELECT id, ${columns.join(', ')}, additional_data FROM people WHERE ${where} ORDER BY id LIMIT ${pageSize}`;
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await db.query(sql, options.batchId ? [options.batchId, lastId] : [lastId]);
+    yield* rows.map(row => toRecord(row, columns));
+
+    if (rows.length < pageSize) {
+      return;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Add the fields of a record missing from a column list
+ *
+ * @param {Array<string>} columns - Columns, extended in place
+ * @param {Set<string>} known - The same columns as a set
+ * @param {Object} record - Record
+ */
+function addColumns(columns, known, record) {
+  Object.keys(record).forEach((column) => {
+    if (!known.has(column)) {
+      known.add(column);
+      columns.push(column);
+    }
+  });
+}
+
+/**
+ * Convert a field value to a cell value (nested values are written as JSON)
+ *
+ * @param {*} value - Field value
+ * @returns {*} - Cell value
+ */
+function toCell(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Count a row of an XLSX export, refusing exports beyond the row limit
+ *
+ * @param {number} rows - Rows read so far, including this one
+ * @param {Object} options - Export options
+ * @param {number} options.maxXlsxRows - Row limit (default: MAX_XLSX_ROWS)
+ */
+function checkXlsxRows(rows, options) {
+  const limit = options.maxXlsxRows || MAX_XLSX_ROWS;
+  if (rows > limit) {
+    throw new Error(`The export has more than ${limit} rows, too many for an XLSX workbook built in memory; export it as csv or ndjson`);
+  }
+}
+
+/**
+ * Open the output file, run a function writing to it, and close it
+ *
+ * Errors opening or writing the file reject the returned promise; on any
+ * error the file is closed without waiting for it to be flushed.
+ *
+ * @param {string} filePath - Output file path
+ * @param {Function} writeAll - Async function receiving write(text)
+ * @returns {Promise<void>}
+ */
+async function writeOutput(filePath, writeAll) {
+  const output = await openOutput(filePath, `export file ${filePath}`);
+  try {
+    await writeAll(text => send(output, text));
+  } catch (error) {
+    output.stream.destroy();
+    throw error;
+  }
+  await finish(output);
+}
+
+/**
+ * Export the people table to a file
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} filePath - Output file path
+ * @param {Object} options - Export options
+ * @param {string} options.format - xlsx, csv or ndjson (default: from the file extension, else csv)
+ * @param {Object} options.headers - Header written for each field (default: the field names)
+ * @param {number} options.pageSize - Rows per query (default: 1000)
+ * @param {number} options.maxXlsxRows - Rows an XLSX export may hold (default: MAX_XLSX_ROWS)
+ * @returns {Promise<Object>} - { format, file, rows, columns } where columns are the headers written
+ */
+async function exportPeople(db, filePath, options = {}) {
+  const format = resolveExportFormat(filePath, options.format);
+  const headers = options.headers || {};
+  const headerOf = column => headers[column] || column;
+  const columns = [...BASE_COLUMNS];
+  const known = new Set(columns);
+  let rows = 0;
+
+  logger.info(`Exporting people to ${filePath} as ${format}`);
+
+  if (format === 'xlsx') {
+    const records = [];
+    for await (const record of readPeople(db, options)) {
+      checkXlsxRows(records.length + 1, options);
+      addColumns(columns, known, record);
+      records.push(record);
+    }
+    rows = records.length;
+
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      columns.map(headerOf),
+      ...records.map(record => columns.map(column => toCell(record[column])))
+    ]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'People');
+    XLSX.writeFile(workbook, filePath);
+  } else {
+    if (format === 'csv') {
+      // The header row needs every additional field up front
+      for await (const record of readPeople(db, options)) {
+        addColumns(columns, known, record);
+      }
+    }
+
+    await writeOutput(filePath, async (write) => {
+      if (format === 'csv') {
+        // A byte order mark lets spreadsheet applications detect UTF-8
+        await write(`\uFEFF${columns.map(headerOf).map(toCsvField).join(',')}\r\n`);
+      }
+
+      for await (const record of readPeople(db, options)) {
+        rows++;
+        if (format === 'csv') {
+          await write(`${columns.map(column => toCsvField(toCell(record[column]))).join(',')}\r\n`);
+        } else {
+          addColumns(columns, known, record);
+          const line = {};
+          Object.entries(record).forEach(([column, value]) => {
+            line[headerOf(column)] = value;
+          });
+          await write(`${JSON.stringify(line)}\n`);
+        }
+      }
+    });
+  }
+
+  logger.info(`Exported ${rows} people to ${filePath}`);
+  return { format, file: filePath, rows, columns: columns.map(headerOf) };
+}
+
+/**
+ * Characters Excel does not allow in worksheet names
+ */
+const INVALID_SHEET_NAME = /[\\/?*[\]:]/g;
+
+/**
+ * Turn a source sheet name into a valid, unused worksheet name
+ *
+ * @param {string} name - Source sheet name (a file name for text imports)
+ * @param {Set<string>} used - Worksheet names already taken, extended in place
+ * @returns {string} - Worksheet name
+ */
+function worksheetName(name, used) {
+  const base = String(name).replace(INVALID_SHEET_NAME, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let suffix = 2; used.has(candidate.toLowerCase()); suffix++) {
+    candidate = `${base.slice(0, 31 - String(suffix).length - 1)}_${suffix}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Value of a source column for a record
+ *
+ * Birth dates that could not be read were kept as birth_date_raw, which is
+ * what the source file held.
+ *
+ * @param {Object} record - Record (see toRecord)
+ * @param {Object} column - Column of the layout { header, field }
+ * @returns {*} - Cell value
+ */
+function layoutCell(record, column) {
+  if (!column.field) {
+    return null;
+  }
+  const value = record[column.field];
+  if ((value === null || value === undefined) && column.field === 'birth_date') {
+    return toCell(record.birth_date_raw === undefined ? null : record.birth_date_raw);
+  }
+  return toCell(value === undefined ? null : value);
+}
+
+/**
+ * Export the rows of one import batch in the layout of its source file
+ *
+ * Rows are matched to their source sheet through source_sheet; a row last
+ * written by a later batch belongs to that batch and is not exported here.
+ * CSV and JSON-lines files hold a single layout, so batches imported from
+ * several sheets can only be exported as XLSX.
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} filePath - Output file path
+ * @param {Object} options - Export options
+ * @param {number} options.batchId - Import batch
+ * @param {string} options.format - xlsx, csv or ndjson (default: from the file extension, else csv)
+ * @param {number} options.pageSize - Rows per query (default: 1000)
+ * @param {number} options.maxXlsxRows - Rows an XLSX export may hold (default: MAX_XLSX_ROWS)
+ * @returns {Promise<Object>} - { format, file, rows, columns, batchId, sheets } where columns are the headers
+ *   of the first sheet and sheets holds the number of rows written per source sheet
+ */
+async function exportBatch(db, filePath, options = {}) {
+  const format = resolveExportFormat(filePath, options.format);
+  const { batchId } = options;
+
+  const batch = await getImportBatch(db, batchId);
+  if (!batch) {
+    throw new Error(`Unknown import batch: ${batchId}`);
+  }
+  if (batch.target_table && batch.target_table !== 'people') {
+    throw new Error(`Import batch ${batchId} wrote the ${batch.target_table} table; only imports into people can be exported by batch`);
+  }
+  const layouts = await loadImportLayout(db, batchId);
+  if (layouts.length === 0) {
+    throw new Error(`No header row was recorded for import batch ${batchId}`);
+  }
+  if (layouts.length > 1 && format !== 'xlsx') {
+    throw new Error(`Import batch ${batchId} was read from ${layouts.length} sheets; export it as xlsx`);
+  }
+
+  logger.info(`Exporting import batch ${batchId} to ${filePath} as ${format}`);
+
+  const sheets = {};
+  layouts.forEach((layout) => {
+    sheets[layout.sheet] = 0;
+  });
+  const layoutOf = (record) => {
+    const layout = layouts.find(candidate => candidate.sheet === record.source_sheet) || layouts[0];
+    sheets[layout.sheet]++;
+    return layout;
+  };
+  let rows = 0;
+
+  if (format === 'xlsx') {
+    const data = new Map(layouts.map(layout => [layout, [layout.columns.map(column => column.header)]]));
+    for await (const record of readPeople(db, options)) {
+      checkXlsxRows(rows + 1, options);
+      const layout = layoutOf(record);
+      data.get(layout).push(layout.columns.map(column => layoutCell(record, column)));
+      rows++;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const used = new Set();
+    layouts.forEach((layout) => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data.get(layout)), worksheetName(layout.sheet, used));
+    });
+    XLSX.writeFile(workbook, filePath);
+  } else {
+    const { columns } = layouts[0];
+    await writeOutput(filePath, async (write) => {
+      if (format === 'csv') {
+        await write(`\uFEFF${columns.map(column => toCsvField(column.header)).join(',')}\r\n`);
+      }
+
+      for await (const record of readPeople(db, options)) {
+        layoutOf(record);
+        rows++;
+        if (format === 'csv') {
+          await write(`${columns.map(column => toCsvField(layoutCell(record, column))).join(',')}\r\n`);
+        } else {
+          const line = {};
+          columns.filter(column => column.header).forEach((column) => {
+            line[column.header] = layoutCell(record, column);
+          });
+          await write(`${JSON.stringify(line)}\n`);
+        }
+      }
+    });
+  }
+
+  logger.info(`Exported ${rows} people of import batch ${batchId} to ${filePath}`);
+  return { format, file: filePath, rows, columns: layouts[0].columns.map(column => column.header), batchId, sheets };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_XLSX_ROWS,
+  resolveExportFormat,
+  readPeople,
+  exportPeople,
+  exportBatch
+};
@@ -0,0 +1,540 @@
+/**
+ * Header Mapping Module
+ *
+ * This module maps spreadsheet headers to standardized field names. It is
+ * the single source of header mappings for the Excel parser and for the
+ * field normalization applied before saving.
+ *
+ * Mappings are read from JSON files. The built-in mappings are the default
+ * file (src/mappings/default.json); files found on the MAPPING_PATH search
+ * path and files given with --mapping are layered on top of it, later files
+ * taking precedence:
+ *
+ *   {
+ *     "packs": {
+ *       "fr": {
+ *         "headers": { "matricule": "external_id", "date de naissance": "birth_date" },
+ *         "patterns": [{ "pattern": "^n° ?agent$", "field": "external_id" }],
+ *         "ignore": ["commentaire"]
+ *       }
+ *     },
+ *     "headers": { "code agent": "external_id" }
+ *   }
+ *
+ * Each language pack (and the top level of the file) holds exact headers,
+ * regular expression patterns and headers to ignore. Exact headers are
+ * compared case-insensitively with runs of whitespace and underscores
+ * treated alike. A pattern entry either names a field or sets
+ * "ignore": true. Ignored columns are dropped from the imported rows.
+ *
+ * Headers that match no entry exactly are compared again with accents,
+ * punctuation and spacing removed, then fuzzily (edit distance and shared
+ * words) against the known headers. Each match carries a confidence
+ * between 0 and 1 so that imports can report or refuse doubtful matches.
+ * Fuzzy matching only applies to the header row of a sheet (see
+ * buildMappingReport), where a field already claimed by another column is
+ * never offered again. Field names looked up on their own (see lookup) are
+ * not matched fuzzily.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Built-in mappings
+ */
+const DEFAULT_MAPPING_FILE = path.join(__dirname, 'mappings', 'default.json');
+
+/**
+ * Keys accepted in a mapping file and in each of its packs
+ */
+const SECTION_KEYS = ['headers', 'patterns', 'ignore'];
+
+/**
+ * Confidence of matches that only differ by accents, punctuation or spacing
+ */
+const NORMALIZED_CONFIDENCE = 0.95;
+
+/**
+ * Fuzzy matches scoring below this are not used
+ */
+const MIN_FUZZY_SCORE = 0.75;
+
+/**
+ * Fuzzy matches below this confidence are reported as low confidence and
+ * only applied on request (they fail the import with --strict-headers)
+ */
+const LOW_CONFIDENCE = 0.9;
+
+let defaultMapper = null;
+
+/**
+ * Canonical form of a header used for exact lookups
+ *
+ * @param {string} header - Header text
+ * @returns {string} - Lowercased header with runs of whitespace and underscores replaced by one underscore
+ */
+function canonicalHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_]+/g, '_');
+}
+
+/**
+ * Fold a header for accent- and punctuation-insensitive comparisons
+ *
+ * Applies NFKD normalization (which also turns non-breaking spaces into
+ * spaces), strips diacritics, and replaces punctuation, symbols and
+ * underscores with single spaces.
+ *
+ * @param {string} header - Header text
+ * @returns {string} - Folded header, e.g. "N° matricule" → "n matricule"
+ */
+function foldHeader(header) {
+  return String(header)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}\s_]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits turning a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the known header closest to a folded header
+ *
+ * Scores each candidate by edit distance (ignoring spaces) and by the share
+ * of characters in tokens both headers have in common, keeping the better
+ * of the two.
+ *
+ * @param {string} foldedKey - Folded header
+ * @param {Array<Object>} candidates - Known headers { key, field, compact, tokens }
+ * @returns {Object|null} - { field, match: 'fuzzy', confidence, matchedHeader } or null below MIN_FUZZY_SCORE
+ */
+function fuzzyMatch(foldedKey, candidates) {
+  const compact = foldedKey.replace(/ /g, '');
+  if (!compact) {
+    return null;
+  }
+
+  const tokens = foldedKey.split(' ');
+  const length = list => list.reduce((total, token) => total + token.length, 0);
+  let best = null;
+
+  candidates.forEach((candidate) => {
+    const distanceScore = 1 - editDistance(compact, candidate.compact) / Math.max(compact.length, candidate.compact.length);
+    const common = tokens.filter(token => candidate.tokens.includes(token));
+    const tokenScore = (2 * length(common)) / (length(tokens) + length(candidate.tokens));
+    const score = Math.max(distanceScore, tokenScore);
+
+    if (!best || score > best.score) {
+      best = { score, candidate };
+    }
+  });
+
+  if (!best || best.score < MIN_FUZZY_SCORE) {
+    return null;
+  }
+
+  return {
+    field: best.candidate.field,
+    match: 'fuzzy',
+    confidence: Math.round(best.score * 100) / 100,
+    matchedHeader: best.candidate.key
+  };
+}
+
+/**
+ * Load and check a mapping file
+ *
+ * @param {string} filePath - Path to the JSON mapping file
+ * @returns {Object} - Mapping { file, packs: { <language>: section }, headers, patterns, ignore }
+ */
+function loadMappingFile(filePath) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read mapping file ${filePath}: ${error.message}`);
+  }
+
+  const invalid = message => new Error(`Invalid mapping file ${filePath}: ${message}`);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw invalid('expected a JSON object');
+  }
+
+  Object.keys(mapping).forEach((key) => {
+    if (key !== 'packs' && !SECTION_KEYS.includes(key)) {
+      throw invalid(`unknown key "${key}". Expected packs, ${SECTION_KEYS.join(', ')}`);
+    }
+  });
+
+  const packs = {};
+  Object.entries(mapping.packs || {}).forEach(([language, pack]) => {
+    packs[language] = checkSection(pack, `packs.${language}`, invalid);
+  });
+
+  return { file: filePath, packs, ...checkSection(mapping, null, invalid) };
+}
+
+/**
+ * Check the headers, patterns and ignore entries of a mapping section
+ *
+ * @param {Object} section - Pack or top level of a mapping file
+ * @param {string} label - Location of the section for error messages (null for the top level)
+ * @param {Function} invalid - Builds the error thrown for invalid entries
+ * @returns {Object} - Section { headers, patterns, ignore }
+ */
+function checkSection(section, label, invalid) {
+  const at = key => (label ? `${label}.${key}` : key);
+
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw invalid(`${label} must be an object`);
+  }
+  if (label) {
+    Object.keys(section).forEach((key) => {
+      if (!SECTION_KEYS.includes(key)) {
+        throw invalid(`unknown key "${at(key)}". Expected ${SECTION_KEYS.join(', ')}`);
+      }
+    });
+  }
+
+  const headers = section.headers || {};
+  Object.entries(headers).forEach(([header, field]) => {
+    if (typeof field !== 'string' || field === '') {
+      throw invalid(`${at('headers')}["${header}"] must be a field name`);
+    }
+  });
+
+  const patterns = (section.patterns || []).map((entry, index) => {
+    if (!entry || typeof entry.pattern !== 'string' || (typeof entry.field !== 'string' && entry.ignore !== true)) {
+      throw invalid(`${at('patterns')}[${index}] must have a "pattern" and either a "field" or "ignore": true`);
+    }
+    try {
+      return { regex: new RegExp(entry.pattern, entry.flags === undefined ? 'iu' : entry.flags), field: entry.ignore === true ? null : entry.field };
+    } catch (error) {
+      throw invalid(`${at('patterns')}[${index}] is not a valid regular expression: ${error.message}`);
+    }
+  });
+
+  const ignore = section.ignore || [];
+  if (!Array.isArray(ignore) || ignore.some(header => typeof header !== 'string')) {
+    throw invalid(`${at('ignore')} must be a list of headers`);
+  }
+
+  return { headers, patterns, ignore };
+}
+
+/**
+ * List the mapping files found on a search path
+ *
+ * Entries are separated by the platform path delimiter and name either a
+ * mapping file or a directory whose .json files are read in name order.
+ *
+ * @param {string} searchPath - Search path (default: the MAPPING_PATH environment variable)
+ * @returns {Array<string>} - Mapping file paths
+ */
+function findMappingFiles(searchPath = process.env.MAPPING_PATH) {
+  if (!searchPath) {
+    return [];
+  }
+
+  return searchPath.split(path.delimiter).filter(Boolean).flatMap((entry) => {
+    if (!fs.existsSync(entry)) {
+      throw new Error(`Mapping path not found: ${entry}`);
+    }
+    if (!fs.statSync(entry).isDirectory()) {
+      return [entry];
+    }
+    return fs.readdirSync(entry)
+      .filter(name => name.toLowerCase().endsWith('.json'))
+      .sort()
+      .map(name => path.join(entry, name));
+  });
+}
+
+/**
+ * Create a header mapper from loaded mapping files
+ *
+ * Headers are resolved in order by an exact lookup, an accent- and
+ * punctuation-insensitive lookup, the regular expression patterns, and
+ * finally (by resolve only) by fuzzy matching against the known headers.
+ * The standardized field names always map to themselves.
+ *
+ * @param {Array<Object>} mappings - Mappings from loadMappingFile, lowest precedence first
+ * @param {Object} options - Mapper options
+ * @param {Array<string>} options.languages - Language packs to use (default: every pack)
+ * @returns {Object} - Mapper { resolve(header), lookup(header), mapHeader(header), headersFor(language), languages }
+ */
+function createHeaderMapper(mappings, options = {}) {
+  const exact = new Map();
+  const patterns = [];
+  const languages = new Set();
+  // Header written for each field in each language: the first one listed in the pack
+  const localHeaders = new Map();
+
+  mappings.forEach((mapping) => {
+    const packNames = Object.keys(mapping.packs)
+      .filter(language => !options.languages || options.languages.includes(language));
+    packNames.forEach(language => languages.add(language));
+
+    packNames.forEach((language) => {
+      const headers = {};
+      Object.entries(mapping.packs[language].headers).forEach(([header, field]) => {
+        if (!(field in headers)) {
+          headers[field] = header;
+        }
+      });
+      localHeaders.set(language, { ...localHeaders.get(language), ...headers });
+    });
+
+    [...packNames.map(language => mapping.packs[language]), mapping].forEach((section) => {
+      section.ignore.forEach(header => exact.set(canonicalHeader(header), null));
+      Object.entries(section.headers).forEach(([header, field]) => exact.set(canonicalHeader(header), field));
+      // Patterns of later files are tried first
+      patterns.unshift(...section.patterns);
+    });
+  });
+
+  if (options.languages) {
+    const unknown = options.languages.filter(language => !languages.has(language));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown mapping language: ${unknown.join(', ')}`);
+    }
+  }
+
+  [...new Set(exact.values())].filter(Boolean).forEach((field) => {
+    if (!exact.has(canonicalHeader(field))) {
+      exact.set(canonicalHeader(field), field);
+    }
+  });
+
+  // Folded forms of the known headers, for the normalized and fuzzy matches
+  const compactForm = key => key.replace(/ /g, '');
+  const folded = new Map();
+  const candidates = [];
+  exact.forEach((field, key) => {
+    const foldedKey = foldHeader(key);
+    folded.set(compactForm(foldedKey), field);
+    if (foldedKey && field) {
+      candidates.push({ key: foldedKey, field, compact: compactForm(foldedKey), tokens: foldedKey.split(' ') });
+    }
+  });
+
+  const cache = new Map();
+  const fuzzyCache = new Map();
+
+  /**
+   * Resolve a header by exact, normalized or pattern match
+   *
+   * @param {string} text - Header text
+   * @returns {Object} - { field, match, confidence }, match being none when nothing matched
+   */
+  const resolveKnown = (text) => {
+    if (cache.has(text)) {
+      return cache.get(text);
+    }
+
+    let result;
+    const key = canonicalHeader(text);
+    const foldedKey = foldHeader(text);
+    const pattern = patterns.find(({ regex }) => regex.test(text.trim()));
+
+    if (exact.has(key)) {
+      result = { field: exact.get(key), match: 'exact', confidence: 1 };
+    } else if (foldedKey && folded.has(compactForm(foldedKey))) {
+      result = { field: folded.get(compactForm(foldedKey)), match: 'normalized', confidence: NORMALIZED_CONFIDENCE };
+    } else if (pattern) {
+      result = { field: pattern.field, match: 'pattern', confidence: 1 };
+    } else {
+      result = { field: undefined, match: 'none', confidence: 0 };
+    }
+
+    cache.set(text, result);
+    return result;
+  };
+
+  /**
+   * Resolve a header to a field and say how it was matched
+   *
+   * @param {string} header - Header text
+   * @param {Object} resolveOptions - Resolve options
+   * @param {boolean} resolveOptions.fuzzy - Fall back to fuzzy matching (default: true)
+   * @param {Set<string>} resolveOptions.claimed - Fields not offered to fuzzy matches
+   * @returns {Object} - { field, match, confidence } where field is null for ignored headers and
+   *   undefined for unknown ones, match is exact, normalized, pattern, fuzzy or none, and
+   *   confidence is between 0 and 1
+   */
+  const resolve = (header, resolveOptions = {}) => {
+    const text = String(header);
+    const known = resolveKnown(text);
+    if (known.match !== 'none' || resolveOptions.fuzzy === false) {
+      return known;
+    }
+
+    if (resolveOptions.claimed && resolveOptions.claimed.size > 0) {
+      const offered = candidates.filter(candidate => !resolveOptions.claimed.has(candidate.field));
+      return fuzzyMatch(foldHeader(text), offered) || known;
+    }
+    if (!fuzzyCache.has(text)) {
+      fuzzyCache.set(text, fuzzyMatch(foldHeader(text), candidates) || known);
+    }
+    return fuzzyCache.get(text);
+  };
+
+  /**
+   * Find the field a header maps to, without fuzzy matching
+   *
+   * @param {string} header - Header text
+   * @returns {string|null|undefined} - Field name, null for ignored headers, undefined for unknown ones
+   */
+  const lookup = header => resolve(header, { fuzzy: false }).field;
+
+  return {
+    languages: [...languages],
+    resolve,
+    lookup,
+
+    /**
+     * Map a header to its field name; unknown headers keep their canonical form
+     *
+     * @param {string} header - Header text
+     * @returns {string|null} - Field name, or null for ignored headers
+     */
+    mapHeader(header) {
+      const field = lookup(header);
+      return field === undefined ? canonicalHeader(header) : field;
+    },
+
+    /**
+     * Headers of a language pack, for writing fields back out
+     *
+     * @param {string} language - Language pack
+     * @returns {Object} - Field name → header (the first header listed for the field)
+     */
+    headersFor(language) {
+      if (!localHeaders.has(language)) {
+        throw new Error(`Unknown mapping language: ${language}`);
+      }
+      return { ...localHeaders.get(language) };
+    }
+  };
+}
+
+/**
+ * Map the headers of a sheet and describe how each was mapped
+ *
+ * Exact, normalized and pattern matches are resolved first and claim their
+ * fields. The remaining headers are then matched fuzzily against the fields
+ * nobody claimed, the closest match first, so that each field goes to one
+ * fuzzily matched column at most. Fuzzy matches below LOW_CONFIDENCE are
+ * not applied unless options.acceptFuzzyHeaders is set: the column is kept
+ * under its own name and the declined field reported as its candidate.
+ *
+ * @param {Array<string>} headers - Header texts, in column order
+ * @param {Object} mapper - Header mapper
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.acceptFuzzyHeaders - Apply low-confidence fuzzy matches too
+ * @returns {Array<Object>} - One entry per non-empty header { column, header, field, match, confidence,
+ *   lowConfidence } where field is null for ignored columns and the stored name for unknown ones.
+ *   Declined fuzzy matches add candidate { field, confidence }
+ */
+function buildMappingReport(headers, mapper, options = {}) {
+  const entries = headers
+    .map((header, index) => ({ header, column: index + 1 }))
+    .filter(({ header }) => header)
+    .map(entry => ({ ...entry, ...mapper.resolve(entry.header, { fuzzy: false }) }));
+
+  const claimed = new Set(entries.map(entry => entry.field).filter(Boolean));
+  let unmatched = entries.filter(entry => entry.match === 'none');
+
+  while (unmatched.length > 0) {
+    const [closest] = unmatched
+      .map(entry => ({ entry, result: mapper.resolve(entry.header, { claimed }) }))
+      .filter(({ result }) => result.match === 'fuzzy')
+      .sort((a, b) => b.result.confidence - a.result.confidence);
+    if (!closest) {
+      break;
+    }
+
+    const { entry, result } = closest;
+    if (result.confidence >= LOW_CONFIDENCE || options.acceptFuzzyHeaders) {
+      Object.assign(entry, { field: result.field, match: 'fuzzy', confidence: result.confidence });
+      claimed.add(result.field);
+    } else {
+      entry.candidate = { field: result.field, confidence: result.confidence };
+    }
+    unmatched = unmatched.filter(other => other !== entry);
+  }
+
+  return entries.map(({ column, header, field, match, confidence, candidate }) => ({
+    column,
+    header,
+    field: field === undefined ? canonicalHeader(header) : field,
+    match,
+    confidence,
+    lowConfidence: Boolean(candidate) || (match === 'fuzzy' && confidence < LOW_CONFIDENCE),
+    ...(candidate ? { candidate } : {})
+  }));
+}
+
+/**
+ * Build the header mapper used for an import
+ *
+ * @param {Object} options - Mapping options
+ * @param {Array<string>} options.files - Mapping files given on the command line
+ * @param {string} options.searchPath - Mapping search path (default: MAPPING_PATH)
+ * @param {Array<string>} options.languages - Language packs to use (default: every pack)
+ * @param {Array<Object>} options.mappings - Mappings layered over the files, such as the headers of a
+ *   table schema (see table-schema.schemaHeaderMapping)
+ * @returns {Object} - Header mapper
+ */
+function loadHeaderMapper(options = {}) {
+  const files = [DEFAULT_MAPPING_FILE, ...findMappingFiles(options.searchPath), ...(options.files || [])];
+  return createHeaderMapper([...files.map(loadMappingFile), ...(options.mappings || [])], { languages: options.languages });
+}
+
+/**
+ * Header mapper built from the default mapping file only
+ *
+ * @returns {Object} - Header mapper
+ */
+function getDefaultHeaderMapper() {
+  if (!defaultMapper) {
+    defaultMapper = createHeaderMapper([loadMappingFile(DEFAULT_MAPPING_FILE)]);
+  }
+  return defaultMapper;
+}
+
+module.exports = {
+  DEFAULT_MAPPING_FILE,
+  LOW_CONFIDENCE,
+  canonicalHeader,
+  foldHeader,
+  editDistance,
+  loadMappingFile,
+  findMappingFiles,
+  createHeaderMapper,
+  buildMappingReport,
+  loadHeaderMapper,
+  getDefaultHeaderMapper
+};
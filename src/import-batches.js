@@ -0,0 +1,375 @@
+/**
+ * Import Batches Module
+ *
+ * Each import is recorded as a batch (see migrations 004 and 005) with its
+ * provenance: the source file with its SHA-256 and size, the sheets read,
+ * the number of rows, the database type, the CLI version, the start and
+ * end times and the outcome. Along with the batch, the header row of every
+ * imported sheet is kept in import_columns: the original header text of
+ * each column, its position and the field it was mapped to. This is what
+ * lets an export of the batch give the file back in the layout it was
+ * received in.
+ *
+ * A batch can be rolled back: the people it inserted are deleted and the
+ * people it updated get back the values saved in import_before_images by
+ * the upsert (see adapter-utils.buildBeforeImageSql), in one transaction.
+ * Batches that wrote a schema table instead of people (see table-schema.js,
+ * migration 009) have no before-images and are not rolled back.
+ *
+ * An interrupted batch can be resumed: each committed chunk records its last
+ * source row in import_progress (see adapter-utils.buildCheckpointSql), and
+ * a new run over the same file continues the batch after those rows.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { version: CLI_VERSION } = require('../package.json');
+const { UPSERT_COLUMNS } = require('./adapters/adapter-utils');
+const { loadPromotedColumns } = require('./promoted-columns');
+const { logger } = require('./logger');
+
+/**
+ * Outcomes of an import batch
+ * - running: the import has not finished (or the process died)
+ * - succeeded: every row was read and written
+ * - failed: the import stopped with an error (see import_batches.error)
+ * - rolled_back: the rows of the batch were rolled back (see rollbackImportBatch)
+ */
+const BATCH_OUTCOMES = ['running', 'succeeded', 'failed', 'rolled_back'];
+
+/**
+ * Build the placeholders of a statement for the database dialect
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} count - Number of placeholders
+ * @returns {Array<string>} - Placeholders
+ */
+function placeholders(db, count) {
+  return Array.from({ length: count }, (_, index) => (db.dialect === 'postgres' ? `$${index + 1}` : '?'));
+}
+
+/**
+ * Compute the SHA-256 and size of an import source
+ *
+ * @param {string|Buffer} source - File path, or the bytes read from stdin
+ * @returns {Promise<Object>} - { sha256, size }
+ */
+async function hashSource(source) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  if (Buffer.isBuffer(source)) {
+    hash.update(source);
+    size = source.length;
+  } else {
+    for await (const chunk of fs.createReadStream(source)) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+  }
+
+  return { sha256: hash.digest('hex'), size };
+}
+
+/**
+ * Create an import batch, with the outcome "running"
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Batch details
+ * @param {string} options.sourceFile - Imported file (null for stdin)
+ * @param {string} options.sha256 - SHA-256 of the source (see hashSource)
+ * @param {number} options.size - Size of the source in bytes
+ * @param {string} options.mode - Import mode (append, upsert or replace)
+ * @param {string} options.targetTable - Table the import writes (default: people)
+ * @returns {Promise<number>} - Id of the new batch
+ */
+async function createImportBatch(db, options = {}) {
+  const sql = `INSERT INTO import_batches (source_file, source_sha256, source_size, db_type, cli_version, mode, outcome, target_table)
+    VALUES (${placeholders(db, 8).join(', ')})`;
+  const params = [
+    options.sourceFile || null,
+    options.sha256 || null,
+    options.size === undefined ? null : options.size,
+    db.type || db.dialect,
+    CLI_VERSION,
+    options.mode || 'append',
+    'running',
+    options.targetTable || 'people'
+  ];
+
+  let batchId;
+  if (db.dialect === 'postgres') {
+    const [row] = await db.query(`${sql} RETURNING id`, params);
+    batchId = row.id;
+  } else {
+    const result = await db.execute(sql, params);
+    batchId = db.dialect === 'mysql' ? result.insertId : result.lastID;
+  }
+
+  logger.info(`Created import batch ${batchId}`);
+  return Number(batchId);
+}
+
+/**
+ * Record how an import batch ended
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @param {Object} options - Outcome details
+ * @param {string} options.outcome - succeeded or failed
+ * @param {Array<string>} options.sheets - Names of the sheets read
+ * @param {number} options.rowCount - Number of data rows read (null if unknown)
+ * @param {string} options.error - Error message of a failed import
+ * @returns {Promise<void>}
+ */
+async function finishImportBatch(db, batchId, options = {}) {
+  if (!BATCH_OUTCOMES.includes(options.outcome)) {
+    throw new Error(`Invalid import batch outcome: ${options.outcome}. Expected one of: ${BATCH_OUTCOMES.join(', ')}`);
+  }
+
+  const [outcome, sheet, rowCount, error, id] = placeholders(db, 5);
+  await db.execute(
+    `UPDATE import_batches SET finished_at = CURRENT_TIMESTAMP, outcome = ${outcome}, sheet = ${sheet}, row_count = ${rowCount}, error = ${error} WHERE id = ${id}`,
+    [
+      options.outcome,
+      options.sheets && options.sheets.length > 0 ? options.sheets.join(', ') : null,
+      options.rowCount === undefined ? null : options.rowCount,
+      options.error || null,
+      batchId
+    ]
+  );
+  logger.info(`Import batch ${batchId} ${options.outcome}`);
+}
+
+/**
+ * Record the header rows of a batch
+ *
+ * Sheets are numbered in the order they first appear in the report.
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @param {Array<Object>} headerMapping - Mapping report entries { sheet, column, header, field, match, confidence }
+ *   (see header-mapping.buildMappingReport)
+ * @returns {Promise<void>}
+ */
+async function recordImportColumns(db, batchId, headerMapping) {
+  const sheets = [];
+  const sql = `INSERT INTO import_columns (batch_id, sheet_index, sheet, position, header, field, match_type, confidence)
+    VALUES (${placeholders(db, 8).join(', ')})`;
+
+  for (const entry of headerMapping) {
+    if (!sheets.includes(entry.sheet)) {
+      sheets.push(entry.sheet);
+    }
+    await db.execute(sql, [
+      batchId,
+      sheets.indexOf(entry.sheet) + 1,
+      entry.sheet,
+      entry.column,
+      entry.header,
+      entry.field,
+      entry.match,
+      entry.confidence
+    ]);
+  }
+}
+
+/**
+ * Read an import batch
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @returns {Promise<Object|null>} - Row of import_batches, or null if there is no such batch
+ */
+async function getImportBatch(db, batchId) {
+  const [row] = await db.query(`SELECT * FROM import_batches WHERE id = ${placeholders(db, 1)[0]}`, [batchId]);
+  return row || null;
+}
+
+/**
+ * Read the column layout of a batch
+ *
+ * Columns without a header in the source file have no entry of their own;
+ * they come back as { header: '', field: null } so that positions line up.
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @returns {Promise<Array<Object>>} - Sheets in import order { sheet, columns: [{ header, field }] }
+ */
+async function loadImportLayout(db, batchId) {
+  const rows = await db.query(
+    `SELECT sheet_index, sheet, position, header, field FROM import_columns WHERE batch_id = ${placeholders(db, 1)[0]} ORDER BY sheet_index, position`,
+    [batchId]
+  );
+
+  const sheets = [];
+  rows.forEach((row) => {
+    let layout = sheets[sheets.length - 1];
+    if (!layout || layout.sheet !== row.sheet) {
+      layout = { sheet: row.sheet, columns: [] };
+      sheets.push(layout);
+    }
+
+    while (layout.columns.length < row.position - 1) {
+      layout.columns.push({ header: '', field: null });
+    }
+    layout.columns.push({ header: row.header, field: row.field });
+  });
+
+  return sheets;
+}
+
+/**
+ * Find the import batch an import of a source would resume
+ *
+ * Only the latest batch of the source is considered, and only when it did
+ * not finish: it is still marked running (most likely interrupted) or it
+ * failed.
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} sha256 - SHA-256 of the source (see hashSource)
+ * @returns {Promise<Object|null>} - Row of import_batches, or null if there is nothing to resume
+ */
+async function findResumableBatch(db, sha256) {
+  const [batch] = await db.query(
+    `SELECT * FROM import_batches WHERE source_sha256 = ${placeholders(db, 1)[0]} ORDER BY id DESC LIMIT 1`,
+    [sha256]
+  );
+  return batch && (batch.outcome === 'running' || batch.outcome === 'failed') ? batch : null;
+}
+
+/**
+ * Read the last committed source row of each sheet of a batch
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @returns {Promise<Object>} - Last committed row number per sheet ('' for sources without sheets)
+ */
+async function loadImportProgress(db, batchId) {
+  const rows = await db.query(
+    `SELECT sheet, last_row_number FROM import_progress WHERE batch_id = ${placeholders(db, 1)[0]}`,
+    [batchId]
+  );
+
+  const progress = {};
+  rows.forEach((row) => {
+    progress[row.sheet] = Number(row.last_row_number);
+  });
+  return progress;
+}
+
+/**
+ * Mark an interrupted batch as running again
+ *
+ * The header rows recorded by the interrupted run are removed; the resumed
+ * run parses every sheet again and records them anew.
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @returns {Promise<void>}
+ */
+async function resumeImportBatch(db, batchId) {
+  const [id] = placeholders(db, 1);
+  await db.execute(`DELETE FROM import_columns WHERE batch_id = ${id}`, [batchId]);
+  await db.execute(`UPDATE import_batches SET outcome = 'running', finished_at = NULL, error = NULL WHERE id = ${id}`, [batchId]);
+  logger.info(`Resuming import batch ${batchId}`);
+}
+
+/**
+ * Number of rows a statement changed
+ *
+ * @param {Object} result - Result of db.execute (SQLite, MySQL or PostgreSQL)
+ * @returns {number} - Changed rows
+ */
+function changedRows(result) {
+  if (result.changes !== undefined) {
+    return result.changes;
+  }
+  return result.affectedRows !== undefined ? result.affectedRows : result.rowCount;
+}
+
+/**
+ * Roll back an import batch
+ *
+ * The people the batch updated get back their before-images, then the
+ * people it inserted are deleted. Only rows the batch still owns are
+ * touched: a row a later import changed belongs to that import, and is
+ * reported as superseded. Batches that are still marked running (most
+ * likely interrupted) and replace-mode batches, whose earlier rows were
+ * deleted without a trace, are only rolled back with options.force.
+ *
+ * @param {Object} db - Database connection object
+ * @param {number} batchId - Import batch
+ * @param {Object} options - Rollback options
+ * @param {boolean} options.force - Roll back running and replace-mode batches too
+ * @returns {Promise<Object>} - { batchId, restored, deleted, superseded }
+ */
+async function rollbackImportBatch(db, batchId, options = {}) {
+  const batch = await getImportBatch(db, batchId);
+  if (!batch) {
+    throw new Error(`Unknown import batch: ${batchId}`);
+  }
+  if (batch.outcome === 'rolled_back') {
+    throw new Error(`Import batch ${batchId} was already rolled back`);
+  }
+  if (batch.target_table && batch.target_table !== 'people') {
+    throw new Error(`Import batch ${batchId} wrote the ${batch.target_table} table; only imports into people can be rolled back`);
+  }
+  if (!options.force && batch.outcome === 'running') {
+    throw new Error(`Import batch ${batchId} is still running or was interrupted; use --force to roll back the rows it committed`);
+  }
+  if (!options.force && batch.mode === 'replace') {
+    throw new Error(`Import batch ${batchId} replaced the whole people table, whose earlier rows cannot be restored; use --force to delete its rows anyway`);
+  }
+
+  const columns = [...UPSERT_COLUMNS, ...(await loadPromotedColumns(db))];
+  const params = placeholders(db, columns.length + 2);
+  const assignments = columns.map((column, index) =>
+    `${column} = (SELECT i.${column} FROM import_before_images i WHERE i.import_batch_id = ${params[index]} AND i.person_id = people.id)`
+  );
+  const restoreSql = `UPDATE people SET ${assignments.join(', ')}
+    WHERE batch_id = ${params[params.length - 2]} AND id IN (SELECT person_id FROM import_before_images WHERE import_batch_id = ${params[params.length - 1]})`;
+  const [first, second] = placeholders(db, 2);
+
+  await db.execute(db.dialect === 'mysql' ? 'START TRANSACTION' : 'BEGIN');
+  try {
+    const [{ count }] = await db.query(
+      `SELECT COUNT(DISTINCT i.person_id) AS count FROM import_before_images i JOIN people p ON p.id = i.person_id
+        WHERE i.batch_id = ${first} AND p.batch_id <> ${second}`,
+      [batchId, batchId]
+    );
+    const restored = changedRows(await db.execute(restoreSql, params.map(() => batchId)));
+    const deleted = changedRows(await db.execute(`DELETE FROM people WHERE batch_id = ${first}`, [batchId]));
+    await db.execute(`DELETE FROM import_before_images WHERE import_batch_id = ${first}`, [batchId]);
+    await db.execute(`UPDATE import_batches SET outcome = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = ${first}`, [batchId]);
+    await db.execute('COMMIT');
+
+    const superseded = Number(count);
+    logger.info(`Rolled back import batch ${batchId}: ${restored} restored, ${deleted} deleted`);
+    if (superseded > 0) {
+      logger.warn(`${superseded} rows of import batch ${batchId} were changed by later imports and were left as they are`);
+    }
+    return { batchId, restored, deleted, superseded };
+  } catch (error) {
+    try {
+      await db.execute('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Error rolling back transaction', { error: rollbackError.message });
+    }
+    throw new Error(`Failed to roll back import batch ${batchId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  BATCH_OUTCOMES,
+  hashSource,
+  createImportBatch,
+  finishImportBatch,
+  recordImportColumns,
+  getImportBatch,
+  loadImportLayout,
+  findResumableBatch,
+  loadImportProgress,
+  resumeImportBatch,
+  rollbackImportBatch
+};
@@ -0,0 +1,339 @@
+/**
+ * Import Pipeline Module
+ *
+ * This module connects the parser to the database. Parsed rows are grouped
+ * into bounded batches, normalized (field names, then birth dates),
+ * validated, and handed to the database adapter while parsing continues.
+ * Rows failing validation are sent to a rejects writer instead of the
+ * database. With a deduplicator, people already seen in the file or in the
+ * database are then dropped, merged into the person seen first or rejected.
+ *
+ * When the database falls behind, the pipeline stops pulling rows from the
+ * parser until a batch has been written, so peak memory is bounded by the
+ * batch size rather than by the size of the file.
+ *
+ * When the writes belong to an import batch, each write carries a
+ * checkpoint, the last source row of its batch, which the adapter records
+ * with the rows. An interrupted import resumed from those checkpoints skips
+ * the rows that were already committed.
+ */
+
+const { normalizePersonFields } = require('./database');
+const { normalizePersonDate } = require('./date-normalizer');
+const { mergePeople } = require('./deduplicator');
+const { logger } = require('./logger');
+
+/**
+ * Maximum number of unparseable dates listed in the totals
+ */
+const MAX_REPORTED_DATE_ERRORS = 100;
+
+/**
+ * Maximum number of duplicates listed in the totals
+ */
+const MAX_REPORTED_DUPLICATES = 100;
+
+/**
+ * Rule key counting the duplicates rejected by the reject policy
+ */
+const DUPLICATE_RULE = 'duplicate';
+
+/**
+ * Run an import pipeline from a source of parsed rows into the database
+ *
+ * @param {AsyncIterable<Object>} entries - Parsed rows of the form { rowNumber, sheet, person } (sheet is optional)
+ * @param {Object} db - Database connection object (see database.getConnection)
+ * @param {Object} options - Pipeline options
+ * @param {number} options.batchSize - Number of rows written per batch (default: 1000)
+ * @param {number} options.maxQueuedBatches - Batches allowed to wait behind the one being written (default: 1)
+ * @param {Object} options.saveOptions - Options passed to the adapter's saveToDatabase (e.g. batchSize, mode),
+ *   along with the rowNumbers of the people in each batch
+ * @param {string} options.dateFormat - Date format hint for ambiguous birth dates (e.g. dd/mm/yyyy)
+ * @param {Object} options.mapper - Header mapper used to normalize field names (default: the built-in mappings)
+ * @param {string} options.nameLanguage - Strategy used to split full names (default: from their script,
+ *   see name-parser.js)
+ * @param {Function} options.validate - Validation function (see validator.createValidator), optional
+ * @param {Object} options.rejects - Writer receiving rejected rows (see rejects-writer.createRejectsWriter), optional
+ * @param {Object} options.dedup - Deduplicator applied to the valid rows (see deduplicator.createDeduplicator), optional
+ * @param {number} options.maxErrors - Rows the database may refuse before the import stops with an error
+ *   (default: no limit)
+ * @param {Object} options.resumeAfter - Last committed row per sheet ('' for sources without sheets) of an
+ *   interrupted import; rows up to it are skipped (see import-batches.loadImportProgress), optional
+ * @returns {Promise<Object>} - Totals of the import { inserted, updated, unchanged, errors, skipped, rows, batches,
+ *   invalidDates, invalidDateRows, rejected, ruleFailures, duplicates, duplicateRows, alreadyCommitted, sheets } where
+ *   invalidDateRows lists the first unparseable dates as { row, value, error }, ruleFailures counts failures per
+ *   validation rule (and the rejected duplicates), duplicateRows lists the first duplicates as
+ *   { row, sheet, key, duplicateOf: { row, sheet } or { id } },
+ *   alreadyCommitted counts the rows skipped by options.resumeAfter and sheets holds the counts of each
+ *   source sheet { rows, inserted, updated, unchanged, errors, skipped, rejected }
+ */
+async function runImportPipeline(entries, db, options = {}) {
+  const batchSize = options.batchSize || 1000;
+  const maxQueuedBatches = options.maxQueuedBatches !== undefined ? options.maxQueuedBatches : 1;
+  const saveOptions = options.saveOptions || {};
+  const resumeAfter = options.resumeAfter || {};
+
+  const dateOptions = { dateFormat: options.dateFormat };
+
+  const totals = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0,
+    rows: 0,
+    batches: 0,
+    invalidDates: 0,
+    invalidDateRows: [],
+    rejected: 0,
+    ruleFailures: {},
+    duplicates: 0,
+    duplicateRows: [],
+    alreadyCommitted: 0,
+    sheets: {}
+  };
+  const queue = [];
+  let lastWrite = Promise.resolve();
+  let failure = null;
+  let batch = [];
+
+  /**
+   * Counts of the sheet an entry comes from, if the parser named it
+   */
+  const sheetTotals = (entry) => {
+    if (entry.sheet === undefined) {
+      return null;
+    }
+    if (!totals.sheets[entry.sheet]) {
+      totals.sheets[entry.sheet] = { rows: 0, inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0, rejected: 0 };
+    }
+    return totals.sheets[entry.sheet];
+  };
+
+  /**
+   * Whether an entry was committed by the interrupted import being resumed
+   */
+  const committed = (entry) => {
+    const lastRow = resumeAfter[entry.sheet === undefined ? '' : entry.sheet];
+    return lastRow !== undefined && entry.rowNumber <= lastRow;
+  };
+
+  /**
+   * Add the counts of a database write to the totals and to the totals of its sheet
+   */
+  const addResult = (result, sheet) => {
+    [totals, sheet].filter(Boolean).forEach((target) => {
+      target.inserted += result.inserted || 0;
+      target.updated += result.updated || 0;
+      target.unchanged += result.unchanged || 0;
+      target.errors += result.errors || 0;
+      target.skipped += result.skipped || 0;
+    });
+  };
+
+  /**
+   * Normalize a person and its birth date, recording unparseable dates
+   */
+  const normalize = (entry) => {
+    const { person, error } = normalizePersonDate(normalizePersonFields(entry.person, { mapper: options.mapper, nameLanguage: options.nameLanguage }), dateOptions);
+
+    if (error) {
+      totals.invalidDates++;
+      logger.warn(`Row ${entry.rowNumber}: ${error}`);
+      if (totals.invalidDateRows.length < MAX_REPORTED_DATE_ERRORS) {
+        totals.invalidDateRows.push({ row: entry.rowNumber, value: person.birth_date_raw, error });
+      }
+    }
+
+    return person;
+  };
+
+  /**
+   * Reject a row, counting the failure under its rules
+   */
+  const reject = async (entry, rules, reason) => {
+    totals.rejected++;
+    if (sheetTotals(entry)) {
+      sheetTotals(entry).rejected++;
+    }
+    rules.forEach((rule) => {
+      totals.ruleFailures[rule] = (totals.ruleFailures[rule] || 0) + 1;
+    });
+
+    logger.warn(`Row ${entry.rowNumber} rejected: ${reason}`);
+    if (options.rejects) {
+      await options.rejects.write(entry, reason);
+    }
+  };
+
+  /**
+   * Validate a normalized person; rejected rows go to the rejects writer
+   *
+   * @returns {Promise<boolean>} - True if the row can be saved
+   */
+  const accept = async (entry, person) => {
+    const failures = options.validate ? options.validate(person) : [];
+    if (failures.length === 0) {
+      return true;
+    }
+
+    await reject(entry, failures.map(({ rule }) => rule), failures.map(failure => failure.message).join('; '));
+    return false;
+  };
+
+  /**
+   * Apply the duplicate policy to a valid person; merges into people already written are added to merges
+   *
+   * @returns {Promise<boolean>} - True if the row is not a duplicate and can be saved
+   */
+  const deduplicate = async (entry, person, merges) => {
+    const duplicate = options.dedup ? options.dedup.check(entry, person) : null;
+    if (!duplicate) {
+      return true;
+    }
+
+    const { key, kept } = duplicate;
+    const duplicateOf = kept.id !== undefined ? { id: kept.id } : { row: kept.rowNumber, sheet: kept.sheet };
+    const description = kept.id !== undefined
+      ? `person ${kept.id}`
+      : `row ${kept.rowNumber}${kept.sheet !== undefined && kept.sheet !== entry.sheet ? ` of sheet ${kept.sheet}` : ''}`;
+
+    totals.duplicates++;
+    if (totals.duplicateRows.length < MAX_REPORTED_DUPLICATES) {
+      totals.duplicateRows.push({ row: entry.rowNumber, sheet: entry.sheet, key, duplicateOf });
+    }
+
+    if (options.dedup.policy === 'reject') {
+      await reject(entry, [DUPLICATE_RULE], `duplicate of ${description} (${key})`);
+    } else if (options.dedup.policy === 'merge' && kept.person) {
+      mergePeople(kept.person, person);
+      logger.info(`Row ${entry.rowNumber} merged into ${description} (${key})`);
+    } else if (options.dedup.policy === 'merge') {
+      merges.push({ entry, kept, person, description });
+    } else {
+      logger.info(`Row ${entry.rowNumber} dropped as a duplicate of ${description} (${key})`);
+    }
+    return false;
+  };
+
+  /**
+   * Normalize, validate and deduplicate a batch and queue it behind the previous write
+   */
+  const submit = async (entriesToWrite) => {
+    const people = [];
+    const rowNumbers = [];
+    const merges = [];
+    for (const entry of entriesToWrite) {
+      const person = normalize(entry);
+      if (await accept(entry, person) && await deduplicate(entry, person, merges)) {
+        people.push(person);
+        rowNumbers.push(entry.rowNumber);
+      }
+    }
+
+    // The people are handed to the database: later duplicates are merged into them there
+    if (options.dedup) {
+      options.dedup.release();
+    }
+
+    if (people.length === 0 && merges.length === 0) {
+      return;
+    }
+
+    const batchNumber = ++totals.batches;
+    const firstRow = entriesToWrite[0].rowNumber;
+    const lastRow = entriesToWrite[entriesToWrite.length - 1].rowNumber;
+    const writeOptions = { ...saveOptions, rowNumbers };
+    if (saveOptions.batchId) {
+      writeOptions.checkpoint = { sheet: entriesToWrite[0].sheet, lastRow };
+    }
+
+    const write = lastWrite.then(async () => {
+      logger.info(`Processing batch ${batchNumber} (${people.length} records, rows ${firstRow} to ${lastRow})`);
+
+      const result = people.length > 0 ? await db.saveToDatabase(people, writeOptions) : {};
+      addResult(result, sheetTotals(entriesToWrite[0]));
+
+      logger.info(`Batch ${batchNumber} processed: ${result.inserted || 0} inserted, ${result.updated || 0} updated, ${result.unchanged || 0} unchanged, ${result.errors || 0} errors`);
+
+      // Duplicates of people written earlier fill in their empty columns, after the rows they may refer to
+      for (const { entry, kept, person, description } of merges) {
+        if (await options.dedup.fill(db, kept, person, { table: saveOptions.table, batchId: saveOptions.batchId, promotedColumns: saveOptions.promotedColumns })) {
+          logger.info(`Row ${entry.rowNumber} merged into ${description}`);
+        } else {
+          logger.warn(`Row ${entry.rowNumber} could not be merged into ${description}, which has no external_id or import batch; it was dropped`);
+        }
+      }
+
+      if (options.maxErrors !== undefined && totals.errors > options.maxErrors) {
+        throw new Error(`Too many row errors: ${totals.errors} rows could not be written, at most ${options.maxErrors} allowed`);
+      }
+    });
+
+    // Record the first failure so that parsing stops as soon as possible
+    write.catch(error => {
+      if (!failure) {
+        failure = error;
+      }
+    });
+
+    lastWrite = write;
+    queue.push(write);
+
+    // Back-pressure: wait for the database before parsing any further
+    while (queue.length > maxQueuedBatches) {
+      await queue.shift();
+    }
+  };
+
+  try {
+    for await (const entry of entries) {
+      if (failure) {
+        break;
+      }
+      if (committed(entry)) {
+        totals.alreadyCommitted++;
+        continue;
+      }
+
+      // Batches never span sheets, so that write results can be counted per sheet
+      if (batch.length > 0 && batch[0].sheet !== entry.sheet) {
+        const full = batch;
+        batch = [];
+        await submit(full);
+      }
+
+      totals.rows++;
+      if (sheetTotals(entry)) {
+        sheetTotals(entry).rows++;
+      }
+      batch.push(entry);
+
+      if (batch.length >= batchSize) {
+        const full = batch;
+        batch = [];
+        await submit(full);
+      }
+    }
+
+    if (batch.length > 0 && !failure) {
+      await submit(batch);
+    }
+
+    await Promise.all(queue);
+  } catch (error) {
+    // Let queued writes settle before reporting, so nothing is left running
+    await Promise.allSettled(queue);
+    throw failure || error;
+  }
+
+  if (failure) {
+    throw failure;
+  }
+
+  return totals;
+}
+
+module.exports = {
+  runImportPipeline
+};
@@ -7,15 +7,93 @@
  * It is designed to be used in a Unix-like environment.
  * 
  * Usage: node src/index.js /path/to/file.xlsx
+ *        node src/index.js /path/to/file.csv|.tsv|.ods|.xls|.ndjson
+ *        cat /path/to/file.xlsx | node src/index.js [-]
+ * 
+ *        node src/index.js migrate up|down|status
+ *        node src/index.js export --out=<file> [--format=xlsx|csv|ndjson] [--lang=<language>] [--batch=<id>]
+ *        node src/index.js rollback <batch-id> [--force]
+ * 
+ * When no file path is given (or the path is "-"), the workbook is read from stdin.
+ * The input format is detected from the file contents and extension.
+ * Pending schema migrations are applied automatically before an import.
+ * 
+ * Migrate Options:
+ * --to=<version>         migrate up: apply up to this version; migrate down: revert to this version
+ * --steps=<n>            migrate down: number of migrations to revert (default: 1)
+ * 
+ * Export Options:
+ * --out=<file>           File to write
+ * --format=<fmt>         xlsx, csv or ndjson (default: from the --out extension, else csv)
+ * --lang=<language>      Write the headers of a mapping language pack (e.g. fr, ru) instead of field names
+ *                        (--mapping files are taken into account)
+ * --page-size=<n>        Rows read per query (default: 1000)
+ * --batch=<id>           Export the rows of one import batch with the headers and column order of
+ *                        its source file (the batchId printed by the import)
+ * 
+ * Rollback Options:
+ * --force                Also roll back a batch still marked running (an interrupted import)
+ *                        or a replace-mode batch, whose earlier rows cannot be restored
  * 
  * Options:
  * --db-path=<path>       Specify a custom database path (for SQLite)
  * --db-type=<type>       Specify database type (sqlite, mysql, or postgres)
  * --connection-id=<id>   Specify a connection ID (for multiple connections)
- * --chunk-size=<size>    Number of records to process at once (default: 100000)
+ * --chunk-size=<size>    Number of records saved per pipeline batch (default: 100000)
  * --use-streaming        Force use of streaming mode for Excel parsing
  * --stream               Alias for --use-streaming
  * --stream-threshold=<mb> File size threshold in MB to use streaming (default: 10)
+ * --mode=<mode>          Import mode (default: append):
+ *                          append  - insert every row
+ *                          upsert  - insert new external IDs, update existing ones
+ *                          replace - delete all existing people, then insert every row
+ * --date-format=<fmt>    Order of ambiguous birth dates, e.g. dd/mm/yyyy (default) or mm/dd/yyyy
+ * --input-format=<fmt>  Input format: xlsx, xls, ods, csv, tsv or ndjson (default: detected)
+ * --delimiter=<char>     CSV field delimiter, or "tab" (default: detected among , ; tab |)
+ * --quote=<char>         CSV quote character (default: ")
+ * --encoding=<enc>       Encoding of CSV, TSV and JSON-lines files, e.g. windows-1252 or windows-1251
+ *                        (default: from the byte order mark, else UTF-8, else windows-1252)
+ * --sheet=<sel>          Sheet to import: a name, a one-based index, or a glob such as "Region*"
+ *                        (default: the first sheet)
+ * --all-sheets           Import every sheet of the workbook
+ * --header-row=<n>       One-based row number of the header row (default: detected among the
+ *                        first 20 rows by matching the known headers; rows above it are skipped)
+ * --skip-footer-rows=<n> Number of trailing data rows to drop, on top of the detected footer rows
+ *                        such as "Total: 1234" (default: 0)
+ * --mapping=<file>      Header mapping file(s), comma-separated, layered over the built-in mappings
+ *                        and the files found on MAPPING_PATH
+ * --mapping-lang=<list>  Mapping language packs to use, comma-separated (default: all)
+ * --strict-headers       Fail when a header only matches a known header with low confidence
+ * --accept-fuzzy-headers Apply header matches of low confidence instead of keeping the columns
+ *                        under their own names
+ * --name-lang=<lang>     Strategy splitting full names into last and first names: default, ar or zh
+ *                        (default: from the script of each name)
+ * --promote-columns=<list> Extra fields to move from additional_data to indexed columns of their own,
+ *                        comma-separated (e.g. email,phone); later imports keep writing them there
+ * --schema=<file>        JSON or YAML table schema: import into the table it describes (created if missing)
+ *                        instead of people, with its column types, source fields and JSON overflow column
+ * --validation=<file>   JSON or YAML file with per-field validation rules
+ * --rejects=<file>       File receiving the rejected rows with a "reason" column
+ *                        (default: <input name>.rejects.csv, only created when rows are rejected)
+ * --rejects-format=<fmt> Rejects file format, csv or xlsx (default: from the file extension)
+ * --dedup=<policy>       Look for people appearing twice, in the file or already in the database, and keep the
+ *                        first (keep-first), fill in its empty fields from the duplicate (merge) or send the
+ *                        duplicate to the rejects file (reject)
+ * --dedup-keys=<keys>    Match keys, comma-separated, each a list of fields joined by "+"
+ *                        (default: external_id,name+birth_date)
+ * --dedup-match=<method> How names are compared: exact, phonetic or edit-distance (default: exact)
+ * --dedup-max-distance=<n> Largest edit distance between matching names (default: 2)
+ * --atomic               Import the whole file in one transaction: any failed chunk or more row errors
+ *                        than --max-errors leaves the people table untouched
+ * --max-errors=<n>       Rows the database may refuse before the import fails (default: 0 with --atomic,
+ *                        else no limit)
+ * --staging              With --mode=replace: load into a staging table without indexes, check it, then
+ *                        swap it with people in one step, keeping the old table as people_previous
+ * --resume               Resume the interrupted import of the same file (same SHA-256): rows up to the
+ *                        last committed chunk are skipped and the rest is added to the same batch
+ * --dry-run              Parse, map, normalize and validate every row and print the summary of the import
+ *                        without committing anything: SQLite imports run against an in-memory copy of the
+ *                        database, MySQL and PostgreSQL imports are planned with read queries only
  * 
  * MySQL Options:
  * --mysql-host=<host>    MySQL host (default: localhost)
@@ -23,6 +101,7 @@
  * --mysql-user=<user>    MySQL user (default: mysql)
  * --mysql-password=<pwd> MySQL password
  * --mysql-database=<db>  MySQL database name (default: people)
+ * --mysql-load-data      Bulk-load with LOAD DATA LOCAL INFILE (requires local_infile on the server)
  * 
  * PostgreSQL Options:
  * --pg-host=<host>       PostgreSQL host (default: localhost)
@@ -34,13 +113,38 @@
  * 
  * Performance Options:
  * --measure-performance  Measure and output performance metrics
- * --batch-size=<size>    Batch size for database operations (default: 100)
+ * --batch-size=<size>    Rows per multi-row INSERT / COPY / LOAD DATA statement (default: 1000)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { parseExcel } = require('./excel-parser');
-const { getConnection, closeConnection, saveToDatabase } = require('./database');
+const { iteratePeople } = require('./excel-parser');
+const { getConnection, closeConnection } = require('./database');
+const { resolveImportMode } = require('./adapters/adapter-utils');
+const { parseDateFormat } = require('./date-normalizer');
+const { runImportPipeline } = require('./import-pipeline');
+const {
+  hashSource,
+  createImportBatch,
+  finishImportBatch,
+  recordImportColumns,
+  findResumableBatch,
+  loadImportProgress,
+  resumeImportBatch
+} = require('./import-batches');
+const { stagingTableName, createStagingTable, validateStagingTable, swapStagingTable, dropStagingTable } = require('./people-staging');
+const { resolveInputFormat } = require('./input-format');
+const { loadHeaderMapper } = require('./header-mapping');
+const { loadValidationConfig, createValidator } = require('./validator');
+const { createRejectsWriter, resolveRejectsFormat } = require('./rejects-writer');
+const { createDeduplicator } = require('./deduplicator');
+const { resolveNameLanguage } = require('./name-parser');
+const { resolvePromotedColumns, promoteColumns, loadPromotedColumns } = require('./promoted-columns');
+const { loadTableSchema, schemaHeaderMapping, checkSchemaTable, ensureSchemaTable } = require('./table-schema');
+const { createPlanningConnection } = require('./dry-run');
+const { runMigrate } = require('./commands/migrate');
+const { runExport } = require('./commands/export');
+const { runRollback } = require('./commands/rollback');
 const { logger } = require('./logger');
 
 // Load environment variables
@@ -67,6 +171,90 @@ function parseArgs() {
   return { args, positionalArgs };
 }
 
+/**
+ * Build the database options from the command line arguments and environment
+ * 
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Object} - { dbType, dbOptions } for getConnection
+ */
+function buildDbOptions(args) {
+  const dbType = args['db-type'] || process.env.DB_TYPE || 'sqlite';
+  const dbOptions = { type: dbType };
+  
+  if (dbType === 'sqlite') {
+    dbOptions.path = args['db-path'] || process.env.DB_PATH;
+    logger.info(`Using SQLite database${dbOptions.path ? ` at ${dbOptions.path}` : ''}`);
+  } else if (dbType === 'mysql') {
+    dbOptions.config = {
+      host: args['mysql-host'] || process.env.MYSQL_HOST || 'localhost',
+      port: parseInt(args['mysql-port'] || process.env.MYSQL_PORT || '3308', 10),
+      user: args['mysql-user'] || process.env.MYSQL_USER || 'mysql',
+      password: args['mysql-password'] || process.env.MYSQL_PASSWORD || '',
+      database: args['mysql-database'] || process.env.MYSQL_DATABASE || 'people'
+    };
+    logger.info(`Using MySQL database at ${dbOptions.config.host}:${dbOptions.config.port}/${dbOptions.config.database}`);
+  } else if (dbType === 'postgres' || dbType === 'postgresql') {
+    dbOptions.config = {
+      host: args['pg-host'] || process.env.POSTGRES_HOST || 'localhost',
+      port: parseInt(args['pg-port'] || process.env.POSTGRES_PORT || '5432', 10),
+      user: args['pg-user'] || process.env.POSTGRES_USER || 'postgres',
+      password: args['pg-password'] || process.env.POSTGRES_PASSWORD || 'postgres',
+      database: args['pg-database'] || process.env.POSTGRES_DATABASE || 'people',
+      poolSize: parseInt(args['pg-pool-size'] || process.env.POSTGRES_POOL_SIZE || '10', 10)
+    };
+    logger.info(`Using PostgreSQL database at ${dbOptions.config.host}:${dbOptions.config.port}/${dbOptions.config.database}`);
+  }
+  
+  return { dbType, dbOptions };
+}
+
+/**
+ * Read the whole of a readable stream (stdin by default) into a buffer
+ * 
+ * @param {Object} stream - Readable stream to consume
+ * @returns {Promise<Buffer>} - Bytes read from the stream
+ */
+function readStdin(stream = process.stdin) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Default path of the rejects file: <input name>.rejects.csv in the working directory
+ * 
+ * @param {string|Buffer} filePath - Path to the Excel file, or the workbook bytes read from stdin
+ * @returns {string} - Rejects file path
+ */
+function defaultRejectsPath(filePath) {
+  const name = Buffer.isBuffer(filePath) ? 'stdin' : path.basename(filePath, path.extname(filePath));
+  return `${name}.rejects.csv`;
+}
+
+/**
+ * Parse an optional integer option
+ * 
+ * @param {Object} args - Parsed command line arguments
+ * @param {string} name - Option name
+ * @param {number} min - Smallest accepted value
+ * @returns {number|undefined} - Parsed value
+ */
+function parseIntegerOption(args, name, min) {
+  if (args[name] === undefined) {
+    return undefined;
+  }
+  
+  const value = Number(args[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid --${name} value: ${args[name]}`);
+  }
+  return value;
+}
+
 /**
  * Measure performance of a function
  * 
@@ -103,20 +291,76 @@ async function measurePerformance(fn, label, ...args) {
   };
 }
 
+/**
+ * Names of the sheets a header mapping report covers, in import order
+ * 
+ * @param {Array<Object>} headerMapping - Mapping report entries with their sheet
+ * @returns {Array<string>} - Sheet names
+ */
+function mappedSheets(headerMapping) {
+  return [...new Set(headerMapping.map(entry => entry.sheet))];
+}
+
 /**
  * Process an Excel file and save the data to the database
  * 
- * @param {string} filePath - Path to the Excel file
+ * @param {string|Buffer} filePath - Path to the Excel file, or the workbook bytes read from stdin
  * @param {Object} options - Processing options
- * @returns {Promise<Object>} - Result of the save operation
+ * @param {Array<string>} options.mapping - Header mapping files layered over the built-in mappings
+ * @param {Array<string>} options.mappingLanguages - Mapping language packs to use (default: all)
+ * @param {string} options.inputFormat - Input format (default: detected)
+ * @param {string} options.delimiter - CSV field delimiter (default: detected)
+ * @param {string} options.quote - CSV quote character (default: ")
+ * @param {string} options.encoding - Encoding of text input (default: detected)
+ * @param {string} options.sheet - Sheet name, one-based index or glob (default: the first sheet)
+ * @param {boolean} options.allSheets - Import every sheet
+ * @param {boolean} options.strictHeaders - Fail on low-confidence header matches
+ * @param {boolean} options.acceptFuzzyHeaders - Apply low-confidence header matches
+ * @param {string} options.nameLanguage - Strategy splitting full names (default: from the script of each name)
+ * @param {Array<string>} options.promoteColumns - Extra fields to promote to indexed columns of people
+ *   (see promoted-columns.js)
+ * @param {string} options.schema - Path to a JSON or YAML table schema to import into instead of people
+ *   (see table-schema.js), optional
+ * @param {number} options.headerRow - One-based row number of the header row (default: detected)
+ * @param {number} options.skipFooterRows - Number of trailing data rows to drop (default: 0)
+ * @param {string} options.validation - Path to a JSON or YAML validation config, optional
+ * @param {string} options.rejectsFile - Path of the rejects file (default: <input name>.rejects.csv)
+ * @param {string} options.rejectsFormat - Rejects file format, csv or xlsx (default: from the extension)
+ * @param {string} options.dedup - Duplicate policy: keep-first, merge or reject (default: no duplicate detection)
+ * @param {Array<string>} options.dedupKeys - Match keys such as name+birth_date (default: external_id, name+birth_date)
+ * @param {string} options.dedupMatch - How names are compared: exact, phonetic or edit-distance (default: exact)
+ * @param {number} options.dedupMaxDistance - Largest edit distance between matching names (default: 2)
+ * @param {boolean} options.resume - Resume the interrupted import of the same file, if there is one
+ * @param {boolean} options.atomic - Import the whole file in one transaction: on any failure, or more row errors
+ *   than options.maxErrors, the people table is left untouched
+ * @param {number} options.maxErrors - Rows the database may refuse before the import fails
+ *   (default: 0 for atomic and staged imports, else no limit)
+ * @param {boolean} options.staging - Replace mode only: load into a staging table, then swap it with people
+ *   (see people-staging.js)
+ * @param {boolean} options.dryRun - Report what the import would do without committing anything to the
+ *   database (see dry-run.js); the rejects file is still written
+ * @returns {Promise<Object>} - Result of the save operation, including the batchId of the import (null for a
+ *   dry run), whether it resumed an interrupted one and the number of rows that one had already committed
  */
 async function processExcelFile(filePath, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  // A dry run gets a connection of its own, never one already open on the database
+  const connectionId = dryRun ? `${options.connectionId || 'default'}-dry-run` : options.connectionId;
+  let rejects = null;
+  let db = null;
+  let planOnly = false;
+  let batchId = null;
+  let inTransaction = false;
+  let stagingTable = null;
+  const headerMapping = [];
+  
   try {
-    logger.info(`Processing Excel file: ${filePath}`);
+    const fromStdin = Buffer.isBuffer(filePath);
+    logger.info(`Processing Excel file: ${fromStdin ? 'stdin' : filePath}`);
     
-    // Check file size to determine if we should use streaming
-    const stats = fs.statSync(filePath);
-    const fileSizeMB = stats.size / (1024 * 1024);
+    // Check the input size to determine if we should use streaming
+    const fileSize = fromStdin ? filePath.length : fs.statSync(filePath).size;
+    const fileSizeMB = fileSize / (1024 * 1024);
     const streamThreshold = options.streamThreshold || 10; // Default to 10MB
     
     // Use streaming if explicitly requested or if file is larger than threshold
@@ -124,66 +368,314 @@ async function processExcelFile(filePath, options = {}) {
     
     logger.info(`File size: ${fileSizeMB.toFixed(2)} MB, ${useStreaming ? 'using' : 'not using'} streaming mode`);
     
-    // Parse the Excel file
-    const people = await parseExcel(filePath, { 
-      useStreaming, 
-      chunkSize: options.chunkSize || 100000 
+    const mode = resolveImportMode(options.mode);
+    parseDateFormat(options.dateFormat);
+    if (options.nameLanguage) {
+      resolveNameLanguage(options.nameLanguage);
+    }
+    const promote = resolvePromotedColumns(options.promoteColumns);
+    
+    // A staged load stands in for the replace, and is all-or-nothing by itself
+    const staged = Boolean(options.staging);
+    if (staged && mode !== 'replace') {
+      throw new Error('--staging requires --mode=replace');
+    }
+    if (staged && (options.atomic || options.resume)) {
+      throw new Error('--staging cannot be combined with --atomic or --resume');
+    }
+    
+    // A table schema replaces the people table, and the features built on its columns
+    const schema = options.schema ? loadTableSchema(options.schema) : null;
+    if (schema && (staged || options.dedup || promote.length > 0)) {
+      throw new Error('--schema cannot be combined with --staging, --dedup or --promote-columns');
+    }
+    if (schema && mode === 'upsert' && !schema.key) {
+      throw new Error(`Upserts into ${schema.table} need a key column in its schema`);
+    }
+    
+    // Header mappings shared by the parser and the field normalization, with the headers of the schema's columns
+    const mapper = loadHeaderMapper({
+      files: options.mapping,
+      languages: options.mappingLanguages,
+      mappings: schema ? [schemaHeaderMapping(schema)] : []
     });
     
-    // Get a database connection
-    const db = await getConnection(options.connectionId, options.dbOptions);
+    // Rows failing the validation rules (or lacking identifying information, or the schema's key) go to the rejects file
+    const validate = createValidator(options.validation ? loadValidationConfig(options.validation) : {}, { schema });
+    const rejectsFile = options.rejectsFile || defaultRejectsPath(filePath);
+    rejects = createRejectsWriter(rejectsFile, { format: options.rejectsFormat });
+    
+    // People seen before in the file or in the database are dropped, merged or rejected
+    const dedup = options.dedup
+      ? createDeduplicator({ policy: options.dedup, keys: options.dedupKeys, match: options.dedupMatch, maxDistance: options.dedupMaxDistance, mode })
+      : null;
+    
+    // Fingerprint the source for the provenance of the batch
+    const { sha256, size } = await hashSource(filePath);
+    
+    // Get a database connection; a dry run on SQLite works on an in-memory copy, other dry runs only read
+    db = await getConnection(connectionId, dryRun ? { ...options.dbOptions, dryRun } : options.dbOptions);
+    planOnly = dryRun && !db.inMemoryCopy;
+    
+    // Promoted fields get their columns before any row is written, and every promoted field is written to its column
+    if (promote.length > 0 && !planOnly) {
+      await promoteColumns(db, promote);
+    }
+    const promotedColumns = await loadPromotedColumns(db);
+    
+    // A resumed import continues the interrupted batch after its last committed rows
+    let resumeAfter = {};
+    const interrupted = options.resume ? await findResumableBatch(db, sha256) : null;
+    if (interrupted) {
+      const interruptedMode = interrupted.mode || 'append';
+      if (interruptedMode !== mode) {
+        throw new Error(`Import batch ${interrupted.id} was run in ${interruptedMode} mode; resume it with --mode=${interruptedMode}`);
+      }
+      const interruptedTable = interrupted.target_table || 'people';
+      if (interruptedTable !== (schema ? schema.table : 'people')) {
+        throw new Error(`Import batch ${interrupted.id} wrote the ${interruptedTable} table; resume it with the same --schema`);
+      }
+      batchId = Number(interrupted.id);
+      resumeAfter = await loadImportProgress(db, batchId);
+      if (!planOnly) {
+        await resumeImportBatch(db, batchId);
+      }
+    } else if (options.resume) {
+      logger.info('No interrupted import of this file to resume; importing every row');
+    }
+    
+    // Every row written by this import records the batch it came from
+    if (batchId === null && !planOnly) {
+      batchId = await createImportBatch(db, { sourceFile: fromStdin ? null : path.resolve(filePath), sha256, size, mode, targetTable: schema ? schema.table : 'people' });
+    }
+    
+    // The schema's table is created the first time it is imported into (a planned dry run only checks it)
+    let targetExists = true;
+    if (schema && planOnly) {
+      targetExists = await checkSchemaTable(db, schema);
+    } else if (schema) {
+      await ensureSchemaTable(db, schema);
+    }
+    
+    // A planned dry run hands the rows to a connection that works out the writes instead of making them
+    const writer = planOnly
+      ? createPlanningConnection(db, { empty: (mode === 'replace' && !interrupted) || !targetExists })
+      : db;
+    
+    // An atomic import writes every chunk, and empties the table in replace mode, in one transaction
+    const atomic = Boolean(options.atomic);
+    if (atomic && !planOnly) {
+      await db.execute(db.dialect === 'mysql' ? 'START TRANSACTION' : 'BEGIN');
+      inTransaction = true;
+    }
+    
+    // In replace mode the existing people are removed before importing (only once for a resumed import),
+    // unless the rows go to a staging table that replaces the people table at the end
+    if (staged && !planOnly) {
+      stagingTable = stagingTableName(batchId);
+      await createStagingTable(db, stagingTable);
+    } else if (mode === 'replace' && !interrupted) {
+      await writer.clearPeople(schema ? schema.table : undefined);
+    }
     
-    // Process data in chunks if needed
+    // Replace mode starts from an empty table, so only the file's own rows can be duplicates
+    if (dedup && mode !== 'replace') {
+      await dedup.loadExisting(db);
+    }
+    
+    // Parse, normalize and save the rows as a pipeline, in batches of chunkSize
     const chunkSize = options.chunkSize || 100000;
-    let totalInserted = 0;
-    let totalErrors = 0;
-    
-    // If the data is small enough, process it all at once
-    if (people.length <= chunkSize) {
-      const result = await saveToDatabase(db, people);
-      totalInserted = result.inserted;
-      totalErrors = result.errors;
-    } else {
-      // Process in chunks to avoid memory issues
-      logger.info(`Processing ${people.length} records in chunks of ${chunkSize}`);
-      
-      for (let i = 0; i < people.length; i += chunkSize) {
-        const chunk = people.slice(i, i + chunkSize);
-        logger.info(`Processing chunk ${Math.floor(i / chunkSize) + 1} of ${Math.ceil(people.length / chunkSize)} (${chunk.length} records)`);
-        
-        const result = await saveToDatabase(db, chunk);
-        totalInserted += result.inserted;
-        totalErrors += result.errors;
-        
-        logger.info(`Chunk processed: ${result.inserted} inserted, ${result.errors} errors`);
-        
-        // Free memory if possible
-        if (global.gc) {
-          global.gc();
-        }
+    const entries = iteratePeople(filePath, {
+      useStreaming,
+      mapper,
+      inputFormat: options.inputFormat,
+      delimiter: options.delimiter,
+      quote: options.quote,
+      encoding: options.encoding,
+      sheet: options.sheet,
+      allSheets: options.allSheets,
+      strictHeaders: options.strictHeaders,
+      acceptFuzzyHeaders: options.acceptFuzzyHeaders,
+      schema,
+      headerRow: options.headerRow,
+      skipFooterRows: options.skipFooterRows,
+      onHeaderMapping: (report, sheet) => {
+        headerMapping.push(...report.map(entry => ({ sheet, ...entry })));
       }
+    });
+    const totals = await runImportPipeline(entries, writer, {
+      batchSize: chunkSize,
+      dateFormat: options.dateFormat,
+      mapper,
+      nameLanguage: options.nameLanguage,
+      validate,
+      rejects,
+      dedup,
+      resumeAfter,
+      maxErrors: options.maxErrors !== undefined ? options.maxErrors : (atomic || staged ? 0 : undefined),
+      saveOptions: {
+        batchSize: options.batchSize,
+        loadData: options.mysqlLoadData,
+        mode,
+        batchId,
+        sourceSha256: sha256,
+        inTransaction: atomic && !planOnly,
+        table: stagingTable || undefined,
+        promotedColumns,
+        schema,
+        dateFormat: options.dateFormat
+      }
+    });
+    
+    // A staged load is checked, then swapped in whole
+    if (stagingTable) {
+      await validateStagingTable(db, stagingTable);
+      await swapStagingTable(db, stagingTable);
+      stagingTable = null;
+    }
+    
+    // The original header rows, for exporting the batch in its source layout
+    if (!planOnly) {
+      await recordImportColumns(db, batchId, headerMapping);
+      await finishImportBatch(db, batchId, { outcome: 'succeeded', sheets: mappedSheets(headerMapping), rowCount: totals.rows + totals.alreadyCommitted });
+    }
+    if (inTransaction) {
+      await db.execute('COMMIT');
+      inTransaction = false;
+    }
+    
+    // Close the database connection (discarding the in-memory copy of a dry run) and the rejects file
+    await closeConnection(connectionId);
+    await rejects.close();
+    
+    const { inserted, updated, unchanged, errors, skipped, invalidDates, invalidDateRows, rejected, ruleFailures, duplicates, duplicateRows, alreadyCommitted, sheets } = totals;
+    if (dryRun) {
+      logger.info(`Dry run: ${inserted} records would be inserted (${updated} updated, ${unchanged} unchanged, ${errors} errors); nothing was committed`);
+    } else {
+      logger.info(`Successfully saved ${inserted} records to the database (${updated} updated, ${unchanged} unchanged, ${errors} errors)`);
+    }
+    
+    if (alreadyCommitted > 0) {
+      logger.info(`Skipped ${alreadyCommitted} rows already committed by import batch ${batchId} before it was interrupted`);
     }
     
-    // Close the database connection
-    await closeConnection(options.connectionId);
+    if (invalidDates > 0) {
+      logger.warn(`${invalidDates} rows have an unparseable birth date; the raw values were kept in additional_data.birth_date_raw`);
+    }
     
-    logger.info(`Successfully saved ${totalInserted} records to the database (${totalErrors} errors)`);
+    if (duplicates > 0) {
+      logger.warn(`${duplicates} rows duplicate a person seen before (policy: ${options.dedup})`);
+    }
     
-    return { inserted: totalInserted, errors: totalErrors };
+    if (rejected > 0) {
+      logger.warn(`${rejected} rows failed validation and were written to ${rejects.filePath}`);
+    }
+    
+    return {
+      batchId: dryRun ? null : batchId,
+      dryRun,
+      resumed: interrupted !== null,
+      alreadyCommitted,
+      inserted,
+      updated,
+      unchanged,
+      errors,
+      skipped,
+      invalidDates,
+      invalidDateRows,
+      rejected,
+      ruleFailures,
+      duplicates,
+      duplicateRows,
+      rejectsFile: rejected > 0 ? rejects.filePath : null,
+      headerMapping,
+      sheets
+    };
   } catch (error) {
     logger.error('Error processing Excel file', { error: error.message });
     
+    // Leave the people table as it was before an atomic import
+    if (inTransaction) {
+      try {
+        await db.execute('ROLLBACK');
+        logger.info(`Rolled back every row of import batch ${batchId}`);
+      } catch (rollbackError) {
+        logger.error('Error rolling back transaction', { error: rollbackError.message });
+      }
+    }
+    
+    // A staged load that failed never reaches the people table
+    if (stagingTable) {
+      try {
+        await dropStagingTable(db, stagingTable);
+      } catch (dropError) {
+        logger.error('Error dropping the staging table', { error: dropError.message });
+      }
+    }
+    
+    // Keep a trace of the failed import
+    if (batchId !== null && !planOnly) {
+      try {
+        await recordImportColumns(db, batchId, headerMapping);
+        await finishImportBatch(db, batchId, { outcome: 'failed', sheets: mappedSheets(headerMapping), error: error.message });
+      } catch (batchError) {
+        logger.error('Error recording the failed import batch', { error: batchError.message });
+      }
+    }
+    
     // Make sure to close the database connection even if there's an error
     try {
-      await closeConnection(options.connectionId);
+      await closeConnection(connectionId);
     } catch (closeError) {
       logger.error('Error closing database connection', { error: closeError.message });
     }
     
+    // Keep the rows rejected before the failure
+    if (rejects) {
+      try {
+        await rejects.close();
+      } catch (closeError) {
+        logger.error('Error closing rejects file', { error: closeError.message });
+      }
+    }
+    
     throw error;
   }
 }
 
+/**
+ * Run a subcommand (migrate, export, rollback) and print its result as JSON
+ * 
+ * @param {Function} run - Command implementation, called with { args, dbOptions, connectionId }
+ * @param {Object} args - Parsed command line arguments
+ * @param {string} failureMessage - Message printed when the command fails
+ * @returns {Promise<void>}
+ */
+async function runCommand(run, args, failureMessage) {
+  try {
+    const { dbOptions } = buildDbOptions(args);
+    const result = await run({
+      args,
+      dbOptions,
+      connectionId: args['connection-id'] || 'default'
+    });
+    
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    logger.error(failureMessage, { error: error.message, stack: error.stack });
+    console.error(JSON.stringify({
+      success: false,
+      message: failureMessage,
+      error: error.message
+    }, null, 2));
+    
+    // Only exit the process if not in a test environment
+    if (process.env.NODE_ENV !== 'test') {
+      process.exit(1);
+    }
+  }
+}
+
 /**
  * Main function to process the Excel file and save to database
  */
@@ -195,16 +687,42 @@ async function main() {
     // Parse command line arguments
     const { args, positionalArgs } = parseArgs();
     
-    // Check if a file path was provided
-    if (positionalArgs.length === 0) {
-      throw new Error('No Excel file path provided. Usage: node src/index.js /path/to/file.xlsx');
+    if (positionalArgs[0] === 'migrate') {
+      return await runCommand(options => runMigrate(positionalArgs[1], options), args, 'Failed to run migrations');
+    }
+    if (positionalArgs[0] === 'export') {
+      return await runCommand(runExport, args, 'Failed to export people');
+    }
+    if (positionalArgs[0] === 'rollback') {
+      return await runCommand(options => runRollback(positionalArgs[1], options), args, 'Failed to roll back the import batch');
     }
     
-    const excelFilePath = positionalArgs[0];
+    // Read from stdin when no file path (or "-") was provided
+    const readFromStdin = positionalArgs.length === 0 || positionalArgs[0] === '-';
+    let excelInput;
+    let sourceFile;
     
-    // Verify the file exists
-    if (!fs.existsSync(excelFilePath)) {
-      throw new Error(`Excel file not found: ${excelFilePath}`);
+    if (readFromStdin) {
+      if (process.stdin.isTTY) {
+        throw new Error('No Excel file path provided and nothing piped to stdin. Usage: node src/index.js /path/to/file.xlsx or cat file.xlsx | node src/index.js');
+      }
+      
+      excelInput = await readStdin();
+      sourceFile = 'stdin';
+      
+      if (excelInput.length === 0) {
+        throw new Error('No data received on stdin');
+      }
+      
+      logger.info(`Read ${excelInput.length} bytes from stdin`);
+    } else {
+      excelInput = positionalArgs[0];
+      sourceFile = excelInput;
+      
+      // Verify the file exists
+      if (!fs.existsSync(excelInput)) {
+        throw new Error(`Excel file not found: ${excelInput}`);
+      }
     }
     
     const connectionId = args['connection-id'] || 'default';
@@ -212,35 +730,45 @@ async function main() {
     const chunkSize = parseInt(args['chunk-size'] || '100000', 10);
     const useStreaming = args['use-streaming'] === true || args['use-streaming'] === 'true' || args['stream'] === true || args['stream'] === 'true';
     const streamThreshold = parseInt(args['stream-threshold'] || '10', 10);
-    
-    // Database options
-    const dbType = args['db-type'] || process.env.DB_TYPE || 'sqlite';
-    const dbOptions = { type: dbType };
-    
-    if (dbType === 'sqlite') {
-      dbOptions.path = args['db-path'] || process.env.DB_PATH;
-      logger.info(`Using SQLite database${dbOptions.path ? ` at ${dbOptions.path}` : ''}`);
-    } else if (dbType === 'mysql') {
-      dbOptions.config = {
-        host: args['mysql-host'] || process.env.MYSQL_HOST || 'localhost',
-        port: parseInt(args['mysql-port'] || process.env.MYSQL_PORT || '3308', 10),
-        user: args['mysql-user'] || process.env.MYSQL_USER || 'mysql',
-        password: args['mysql-password'] || process.env.MYSQL_PASSWORD || '',
-        database: args['mysql-database'] || process.env.MYSQL_DATABASE || 'people'
-      };
-      logger.info(`Using MySQL database at ${dbOptions.config.host}:${dbOptions.config.port}/${dbOptions.config.database}`);
-    } else if (dbType === 'postgres' || dbType === 'postgresql') {
-      dbOptions.config = {
-        host: args['pg-host'] || process.env.POSTGRES_HOST || 'localhost',
-        port: parseInt(args['pg-port'] || process.env.POSTGRES_PORT || '5432', 10),
-        user: args['pg-user'] || process.env.POSTGRES_USER || 'postgres',
-        password: args['pg-password'] || process.env.POSTGRES_PASSWORD || 'postgres',
-        database: args['pg-database'] || process.env.POSTGRES_DATABASE || 'people',
-        poolSize: parseInt(args['pg-pool-size'] || process.env.POSTGRES_POOL_SIZE || '10', 10)
-      };
-      logger.info(`Using PostgreSQL database at ${dbOptions.config.host}:${dbOptions.config.port}/${dbOptions.config.database}`);
+    const batchSize = parseInt(args['batch-size'] || '1000', 10);
+    const mysqlLoadData = args['mysql-load-data'] === true || args['mysql-load-data'] === 'true';
+    const mode = resolveImportMode(args['mode']);
+    const dateFormat = args['date-format'];
+    parseDateFormat(dateFormat);
+    const mapping = typeof args['mapping'] === 'string' ? args['mapping'].split(',') : undefined;
+    const mappingLanguages = typeof args['mapping-lang'] === 'string' ? args['mapping-lang'].split(',') : undefined;
+    const inputFormat = typeof args['input-format'] === 'string' ? resolveInputFormat(args['input-format']) : undefined;
+    const delimiter = args['delimiter'] === 'tab' || args['delimiter'] === '\\t' ? '\t' : args['delimiter'];
+    const quote = typeof args['quote'] === 'string' ? args['quote'] : undefined;
+    const encoding = typeof args['encoding'] === 'string' ? args['encoding'] : undefined;
+    const sheet = typeof args['sheet'] === 'string' ? args['sheet'] : undefined;
+    const allSheets = args['all-sheets'] === true || args['all-sheets'] === 'true';
+    const strictHeaders = args['strict-headers'] === true || args['strict-headers'] === 'true';
+    const acceptFuzzyHeaders = args['accept-fuzzy-headers'] === true || args['accept-fuzzy-headers'] === 'true';
+    const nameLanguage = typeof args['name-lang'] === 'string' ? resolveNameLanguage(args['name-lang']) : undefined;
+    const promoteColumns = typeof args['promote-columns'] === 'string' ? resolvePromotedColumns(args['promote-columns']) : undefined;
+    const headerRow = parseIntegerOption(args, 'header-row', 1);
+    const skipFooterRows = parseIntegerOption(args, 'skip-footer-rows', 0);
+    const validation = typeof args['validation'] === 'string' ? args['validation'] : undefined;
+    const schema = typeof args['schema'] === 'string' ? args['schema'] : undefined;
+    const rejectsFile = typeof args['rejects'] === 'string' ? args['rejects'] : undefined;
+    const rejectsFormat = args['rejects-format'];
+    resolveRejectsFormat(rejectsFile || 'rejects.csv', rejectsFormat);
+    const resume = args['resume'] === true || args['resume'] === 'true';
+    const atomic = args['atomic'] === true || args['atomic'] === 'true';
+    const maxErrors = parseIntegerOption(args, 'max-errors', 0);
+    const staging = args['staging'] === true || args['staging'] === 'true';
+    const dryRun = args['dry-run'] === true || args['dry-run'] === 'true';
+    const dedup = typeof args['dedup'] === 'string' ? args['dedup'] : (args['dedup'] === true ? 'keep-first' : undefined);
+    const dedupKeys = typeof args['dedup-keys'] === 'string' ? args['dedup-keys'].split(',') : undefined;
+    const dedupMatch = typeof args['dedup-match'] === 'string' ? args['dedup-match'] : undefined;
+    const dedupMaxDistance = parseIntegerOption(args, 'dedup-max-distance', 0);
+    if (dedup) {
+      createDeduplicator({ policy: dedup, keys: dedupKeys, match: dedupMatch, maxDistance: dedupMaxDistance });
     }
     
+    const { dbType, dbOptions } = buildDbOptions(args);
+    
     logger.info(`Using connection ID: ${connectionId}`);
     
     // Performance metrics
@@ -254,17 +782,48 @@ async function main() {
       const processResult = await measurePerformance(
         processExcelFile, 
         'Process Excel File', 
-        excelFilePath, 
-        { connectionId, dbOptions, chunkSize, useStreaming, streamThreshold }
+        excelInput, 
+        { connectionId, dbOptions, chunkSize, batchSize, mysqlLoadData, mode, dateFormat, mapping, mappingLanguages, inputFormat, delimiter, quote, encoding, sheet, allSheets, strictHeaders, acceptFuzzyHeaders, nameLanguage, promoteColumns, schema, headerRow, skipFooterRows, validation, rejectsFile, rejectsFormat, dedup, dedupKeys, dedupMatch, dedupMaxDistance, resume, atomic, maxErrors, staging, dryRun, useStreaming, streamThreshold }
       );
       result = processResult.result;
       saveMetrics = processResult.performance;
       logger.info(`Processed Excel file in ${saveMetrics.durationSeconds.toFixed(2)} seconds`);
     } else {
-      result = await processExcelFile(excelFilePath, { 
+      result = await processExcelFile(excelInput, { 
         connectionId, 
         dbOptions, 
         chunkSize, 
+        batchSize, 
+        mysqlLoadData, 
+        mode, 
+        dateFormat, 
+        mapping, 
+        mappingLanguages, 
+        inputFormat, 
+        delimiter, 
+        quote, 
+        encoding, 
+        sheet, 
+        allSheets, 
+        strictHeaders, 
+        acceptFuzzyHeaders, 
+        nameLanguage, 
+        promoteColumns, 
+        schema, 
+        headerRow, 
+        skipFooterRows, 
+        validation, 
+        rejectsFile, 
+        rejectsFormat, 
+        dedup, 
+        dedupKeys, 
+        dedupMatch, 
+        dedupMaxDistance, 
+        resume, 
+        atomic, 
+        maxErrors, 
+        staging, 
+        dryRun, 
         useStreaming, 
         streamThreshold 
       });
@@ -276,12 +835,33 @@ async function main() {
     // Prepare the response
     const response = {
       success: true,
-      message: `Successfully imported ${result.inserted} records into the database`,
+      message: dryRun
+        ? `Dry run: ${result.inserted + result.updated} records would be imported into the database; nothing was committed`
+        : `Successfully imported ${result.inserted + result.updated} records into the database`,
       duration: `${duration.toFixed(2)} seconds`,
-      records: result.inserted,
+      mode,
+      staging,
+      dryRun,
+      batchId: result.batchId,
+      resumed: result.resumed,
+      alreadyCommitted: result.alreadyCommitted,
+      records: result.inserted + result.updated,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      errors: result.errors,
+      invalidDates: result.invalidDates,
+      invalidDateRows: result.invalidDateRows,
+      rejected: result.rejected,
+      ruleFailures: result.ruleFailures,
+      duplicates: result.duplicates,
+      duplicateRows: result.duplicateRows,
+      rejectsFile: result.rejectsFile,
+      headerMapping: result.headerMapping,
+      sheets: result.sheets,
       connectionId,
       databaseType: dbType,
-      sourceFile: excelFilePath
+      sourceFile
     };
     
     // Add performance metrics if measured
@@ -322,5 +902,6 @@ if (process.env.NODE_ENV !== 'test') {
 // Export functions for testing
 module.exports = {
   main,
-  processExcelFile
+  processExcelFile,
+  readStdin
 }; 
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Input Format Module
+ *
+ * This module works out the format of an input file: from an explicit
+ * --input-format, from the magic bytes of binary workbooks, and otherwise
+ * from the file extension or the first character of text files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listZipEntries } = require('./xlsx-stream-reader');
+
+const INPUT_FORMATS = ['xlsx', 'xls', 'ods', 'csv', 'tsv', 'ndjson'];
+
+/**
+ * Other names accepted for the formats
+ */
+const FORMAT_ALIASES = {
+  jsonl: 'ndjson',
+  txt: 'csv'
+};
+
+/**
+ * Formats of text files by extension
+ */
+const TEXT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+/**
+ * Number of bytes read to detect the format
+ */
+const SAMPLE_SIZE = 512;
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const ODS_MIMETYPE = 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet';
+
+/**
+ * Resolve an explicit input format name
+ *
+ * @param {string} format - Format name (case-insensitive)
+ * @returns {string} - One of INPUT_FORMATS
+ */
+function resolveInputFormat(format) {
+  const name = String(format).toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+  if (!INPUT_FORMATS.includes(resolved)) {
+    throw new Error(`Invalid input format: ${format}. Expected one of: ${INPUT_FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Read the first bytes of a file path or buffer
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @returns {Promise<Buffer>} - Up to SAMPLE_SIZE bytes
+ */
+async function readSample(source) {
+  if (Buffer.isBuffer(source)) {
+    return source.subarray(0, SAMPLE_SIZE);
+  }
+
+  const handle = await fs.promises.open(source, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Detect the format of an input file
+ *
+ * Zip archives are OpenDocument spreadsheets when they start with the ODS
+ * "mimetype" entry or hold a "content.xml" without "[Content_Types].xml",
+ * and .xlsx workbooks otherwise. OLE compound files are
+ * legacy .xls workbooks. Anything else is read as text: by extension, or as
+ * JSON lines when it starts with "{" and as delimited text otherwise.
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @param {Object} options - Detection options
+ * @param {string} options.inputFormat - Explicit format, skipping detection
+ * @returns {Promise<string>} - One of INPUT_FORMATS
+ */
+async function detectInputFormat(source, options = {}) {
+  if (options.inputFormat) {
+    return resolveInputFormat(options.inputFormat);
+  }
+
+  const sample = await readSample(source);
+
+  if (sample.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    // The ODS mimetype entry normally comes first, stored uncompressed right after its 30-byte local header
+    if (sample.toString('latin1', 30, 30 + ODS_MIMETYPE.length) === ODS_MIMETYPE) {
+      return 'ods';
+    }
+    const entries = await listZipEntries(source);
+    return entries.includes('content.xml') && !entries.includes('[Content_Types].xml') ? 'ods' : 'xlsx';
+  }
+  if (sample.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+    return 'xls';
+  }
+
+  const extension = Buffer.isBuffer(source) ? '' : path.extname(source).toLowerCase();
+  if (TEXT_EXTENSIONS[extension]) {
+    return TEXT_EXTENSIONS[extension];
+  }
+
+  // trimStart also drops a UTF-8 byte order mark
+  const text = sample.toString('utf8').trimStart();
+  return text.startsWith('{') ? 'ndjson' : 'csv';
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  resolveInputFormat,
+  detectInputFormat
+};
@@ -0,0 +1,92 @@
+/**
+ * Migration 001: create the people table
+ *
+ * Databases created before migrations existed may already have a people
+ * table with only some of the columns, so the missing ones are added.
+ */
+
+/**
+ * Column definitions per dialect, in table order
+ */
+const COLUMNS = {
+  sqlite: {
+    external_id: 'TEXT',
+    first_name: 'TEXT',
+    last_name: 'TEXT',
+    birth_date: 'TEXT',
+    status: 'TEXT',
+    created_at: 'TEXT DEFAULT CURRENT_TIMESTAMP',
+    additional_data: 'TEXT'
+  },
+  mysql: {
+    external_id: 'VARCHAR(255)',
+    first_name: 'VARCHAR(255)',
+    last_name: 'VARCHAR(255)',
+    birth_date: 'VARCHAR(50)',
+    status: 'VARCHAR(50)',
+    created_at: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    additional_data: 'JSON'
+  },
+  postgres: {
+    external_id: 'VARCHAR(255)',
+    first_name: 'VARCHAR(255)',
+    last_name: 'VARCHAR(255)',
+    birth_date: 'VARCHAR(50)',
+    status: 'VARCHAR(50)',
+    created_at: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    additional_data: 'JSONB'
+  }
+};
+
+const PRIMARY_KEY = {
+  sqlite: 'id INTEGER PRIMARY KEY AUTOINCREMENT',
+  mysql: 'id INT AUTO_INCREMENT PRIMARY KEY',
+  postgres: 'id SERIAL PRIMARY KEY'
+};
+
+const TABLE_OPTIONS = {
+  sqlite: '',
+  mysql: ' CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci',
+  postgres: ''
+};
+
+/**
+ * Build the CREATE TABLE statement for a dialect
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @returns {string} - SQL statement
+ */
+function createTable(dialect) {
+  const columns = Object.entries(COLUMNS[dialect]).map(([name, type]) => `${name} ${type}`);
+  return `CREATE TABLE IF NOT EXISTS people (${[PRIMARY_KEY[dialect], ...columns].join(', ')})${TABLE_OPTIONS[dialect]}`;
+}
+
+/**
+ * Add the columns missing from a people table created by an older version
+ *
+ * SQLite cannot add a column with a non-constant default, so created_at is
+ * added without one there.
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function addMissingColumns(ctx) {
+  for (const [name, type] of Object.entries(COLUMNS[ctx.dialect])) {
+    if (!(await ctx.hasColumn('people', name))) {
+      const columnType = ctx.dialect === 'sqlite' ? type.replace(/ DEFAULT CURRENT_TIMESTAMP$/, '') : type;
+      await ctx.execute(`ALTER TABLE people ADD COLUMN ${name} ${columnType}`);
+    }
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [createTable('sqlite'), addMissingColumns],
+    mysql: [createTable('mysql'), addMissingColumns],
+    postgres: [createTable('postgres'), addMissingColumns]
+  },
+  down: {
+    sqlite: ['DROP TABLE IF EXISTS people'],
+    mysql: ['DROP TABLE IF EXISTS people'],
+    postgres: ['DROP TABLE IF EXISTS people']
+  }
+};
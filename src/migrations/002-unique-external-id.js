@@ -0,0 +1,47 @@
+/**
+ * Migration 002: unique index on people.external_id
+ *
+ * The index is the conflict target of upsert imports. Older imports stored
+ * missing IDs as empty strings, which would collide, so they become NULL
+ * first. The migration fails if the table holds duplicate IDs; remove them
+ * and run it again.
+ */
+
+const { EXTERNAL_ID_INDEX } = require('../adapters/adapter-utils');
+
+const CLEAR_EMPTY_IDS = "UPDATE people SET external_id = NULL WHERE external_id = ''";
+
+/**
+ * MySQL has no CREATE INDEX IF NOT EXISTS
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function createIndexMysql(ctx) {
+  if (!(await ctx.hasIndex('people', EXTERNAL_ID_INDEX))) {
+    await ctx.execute(`CREATE UNIQUE INDEX ${EXTERNAL_ID_INDEX} ON people (external_id)`);
+  }
+}
+
+/**
+ * MySQL has no DROP INDEX IF EXISTS
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropIndexMysql(ctx) {
+  if (await ctx.hasIndex('people', EXTERNAL_ID_INDEX)) {
+    await ctx.execute(`DROP INDEX ${EXTERNAL_ID_INDEX} ON people`);
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [CLEAR_EMPTY_IDS, `CREATE UNIQUE INDEX IF NOT EXISTS ${EXTERNAL_ID_INDEX} ON people (external_id)`],
+    mysql: [CLEAR_EMPTY_IDS, createIndexMysql],
+    postgres: [CLEAR_EMPTY_IDS, `CREATE UNIQUE INDEX IF NOT EXISTS ${EXTERNAL_ID_INDEX} ON people (external_id)`]
+  },
+  down: {
+    sqlite: [`DROP INDEX IF EXISTS ${EXTERNAL_ID_INDEX}`],
+    mysql: [dropIndexMysql],
+    postgres: [`DROP INDEX IF EXISTS ${EXTERNAL_ID_INDEX}`]
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Migration 003: store people.birth_date as a DATE
+ *
+ * Existing values are first rewritten as ISO dates with the date normalizer
+ * (ambiguous day/month values are read day first). Values that cannot be
+ * read as a date are moved to additional_data.birth_date_raw and the column
+ * is set to NULL, so that the type change cannot fail on them.
+ *
+ * SQLite has no ALTER COLUMN, so the table is rebuilt with the new
+ * declared type, keeping its rows, ids and indexes.
+ */
+
+const { normalizeDate } = require('../date-normalizer');
+
+/**
+ * Rows read per query while rewriting existing dates
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Rewrite the existing birth dates as ISO dates
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function normalizeExistingDates(ctx) {
+  const [first, second] = ctx.dialect === 'postgres' ? ['$1', '$2'] : ['?', '?'];
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await ctx.query(
+      `SELECT id, birth_date, additional_data FROM people WHERE id > ${first} AND birth_date IS NOT NULL ORDER BY id LIMIT ${PAGE_SIZE}`,
+      [lastId]
+    );
+    if (rows.length === 0) {
+      return;
+    }
+
+    for (const row of rows) {
+      const raw = String(row.birth_date);
+      const result = normalizeDate(raw);
+
+      if (result.error) {
+        const additionalData = typeof row.additional_data === 'string'
+          ? JSON.parse(row.additional_data)
+          : (row.additional_data || {});
+        additionalData.birth_date_raw = raw;
+        await ctx.execute(
+          `UPDATE people SET birth_date = NULL, additional_data = ${first} WHERE id = ${second}`,
+          [JSON.stringify(additionalData), row.id]
+        );
+      } else if (result.date !== raw) {
+        await ctx.execute(`UPDATE people SET birth_date = ${first} WHERE id = ${second}`, [result.date, row.id]);
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Rebuild the SQLite people table with a different declared type for birth_date
+ *
+ * @param {string} type - New declared type
+ * @returns {Function} - Migration step
+ */
+function rebuildSqliteTable(type) {
+  return async (ctx) => {
+    const [table] = await ctx.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'people'");
+    const indexes = await ctx.query("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'people' AND sql IS NOT NULL");
+    const columns = (await ctx.query('PRAGMA table_info(people)')).map(column => column.name).join(', ');
+
+    const createSql = table.sql
+      .replace(/^CREATE TABLE (IF NOT EXISTS )?("?people"?)/i, 'CREATE TABLE people_rebuild')
+      .replace(/\bbirth_date\s+[A-Z]+(\s*\(\d+\))?/i, `birth_date ${type}`);
+
+    await ctx.execute(createSql);
+    await ctx.execute(`INSERT INTO people_rebuild (${columns}) SELECT ${columns} FROM people`);
+    await ctx.execute('DROP TABLE people');
+    await ctx.execute('ALTER TABLE people_rebuild RENAME TO people');
+
+    for (const index of indexes) {
+      await ctx.execute(index.sql);
+    }
+  };
+}
+
+module.exports = {
+  up: {
+    sqlite: [normalizeExistingDates, rebuildSqliteTable('DATE')],
+    mysql: [normalizeExistingDates, 'ALTER TABLE people MODIFY birth_date DATE NULL'],
+    postgres: [
+      normalizeExistingDates,
+      'ALTER TABLE people ALTER COLUMN birth_date TYPE DATE USING birth_date::date'
+    ]
+  },
+  down: {
+    sqlite: [rebuildSqliteTable('TEXT')],
+    mysql: ['ALTER TABLE people MODIFY birth_date VARCHAR(50) NULL'],
+    postgres: ["ALTER TABLE people ALTER COLUMN birth_date TYPE VARCHAR(50) USING to_char(birth_date, 'YYYY-MM-DD')"]
+  }
+};
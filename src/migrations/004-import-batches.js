@@ -0,0 +1,123 @@
+/**
+ * Migration 004: import batches and their column layout
+ *
+ * Each import creates a row in import_batches, and people.batch_id records
+ * the batch that last wrote a row. import_columns keeps the header row of
+ * every imported sheet, in sheet order: the original header text of each
+ * column, in order, with the field it was mapped to (NULL for ignored
+ * columns). Exports of a batch use it to rebuild the layout of the source
+ * file.
+ */
+
+const BATCH_INDEX = 'idx_people_batch_id';
+
+const CREATE_BATCHES = {
+  sqlite: `CREATE TABLE IF NOT EXISTS import_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_file TEXT,
+    started_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  mysql: `CREATE TABLE IF NOT EXISTS import_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_file VARCHAR(1024),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
+  postgres: `CREATE TABLE IF NOT EXISTS import_batches (
+    id SERIAL PRIMARY KEY,
+    source_file VARCHAR(1024),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`
+};
+
+const CREATE_COLUMNS = {
+  sqlite: `CREATE TABLE IF NOT EXISTS import_columns (
+    batch_id INTEGER NOT NULL,
+    sheet_index INTEGER NOT NULL,
+    sheet TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    header TEXT,
+    field TEXT,
+    match_type TEXT,
+    confidence REAL,
+    PRIMARY KEY (batch_id, sheet_index, position)
+  )`,
+  mysql: `CREATE TABLE IF NOT EXISTS import_columns (
+    batch_id INT NOT NULL,
+    sheet_index INT NOT NULL,
+    sheet VARCHAR(255) NOT NULL,
+    position INT NOT NULL,
+    header TEXT,
+    field VARCHAR(255),
+    match_type VARCHAR(20),
+    confidence DOUBLE,
+    PRIMARY KEY (batch_id, sheet_index, position)
+  ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
+  postgres: `CREATE TABLE IF NOT EXISTS import_columns (
+    batch_id INTEGER NOT NULL,
+    sheet_index INTEGER NOT NULL,
+    sheet VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL,
+    header TEXT,
+    field VARCHAR(255),
+    match_type VARCHAR(20),
+    confidence DOUBLE PRECISION,
+    PRIMARY KEY (batch_id, sheet_index, position)
+  )`
+};
+
+/**
+ * Add people.batch_id unless a previous partial run already did
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function addBatchColumn(ctx) {
+  if (!(await ctx.hasColumn('people', 'batch_id'))) {
+    await ctx.execute('ALTER TABLE people ADD COLUMN batch_id INTEGER');
+  }
+}
+
+/**
+ * Drop people.batch_id if it exists
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropBatchColumn(ctx) {
+  if (await ctx.hasColumn('people', 'batch_id')) {
+    await ctx.execute('ALTER TABLE people DROP COLUMN batch_id');
+  }
+}
+
+/**
+ * MySQL has no CREATE INDEX IF NOT EXISTS
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function createIndexMysql(ctx) {
+  if (!(await ctx.hasIndex('people', BATCH_INDEX))) {
+    await ctx.execute(`CREATE INDEX ${BATCH_INDEX} ON people (batch_id)`);
+  }
+}
+
+/**
+ * MySQL has no DROP INDEX IF EXISTS
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropIndexMysql(ctx) {
+  if (await ctx.hasIndex('people', BATCH_INDEX)) {
+    await ctx.execute(`DROP INDEX ${BATCH_INDEX} ON people`);
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [CREATE_BATCHES.sqlite, CREATE_COLUMNS.sqlite, addBatchColumn, `CREATE INDEX IF NOT EXISTS ${BATCH_INDEX} ON people (batch_id)`],
+    mysql: [CREATE_BATCHES.mysql, CREATE_COLUMNS.mysql, addBatchColumn, createIndexMysql],
+    postgres: [CREATE_BATCHES.postgres, CREATE_COLUMNS.postgres, addBatchColumn, `CREATE INDEX IF NOT EXISTS ${BATCH_INDEX} ON people (batch_id)`]
+  },
+  down: {
+    sqlite: [`DROP INDEX IF EXISTS ${BATCH_INDEX}`, dropBatchColumn, 'DROP TABLE IF EXISTS import_columns', 'DROP TABLE IF EXISTS import_batches'],
+    mysql: [dropIndexMysql, dropBatchColumn, 'DROP TABLE IF EXISTS import_columns', 'DROP TABLE IF EXISTS import_batches'],
+    postgres: [`DROP INDEX IF EXISTS ${BATCH_INDEX}`, dropBatchColumn, 'DROP TABLE IF EXISTS import_columns', 'DROP TABLE IF EXISTS import_batches']
+  }
+};
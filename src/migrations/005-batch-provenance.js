@@ -0,0 +1,93 @@
+/**
+ * Migration 005: provenance of import batches and people rows
+ *
+ * import_batches gains what an audit needs to trace a batch back to its
+ * source: the SHA-256 and size of the file, the sheets read, the number of
+ * rows, the database type, the CLI version, when the import finished and
+ * how it ended. people.source_row_number records the row of the source
+ * sheet each person was read from.
+ */
+
+/**
+ * Columns added to import_batches, per dialect
+ */
+const BATCH_COLUMNS = {
+  sqlite: {
+    source_sha256: 'TEXT',
+    source_size: 'INTEGER',
+    sheet: 'TEXT',
+    row_count: 'INTEGER',
+    db_type: 'TEXT',
+    cli_version: 'TEXT',
+    finished_at: 'TEXT',
+    outcome: 'TEXT',
+    error: 'TEXT'
+  },
+  mysql: {
+    source_sha256: 'CHAR(64)',
+    source_size: 'BIGINT',
+    sheet: 'TEXT',
+    row_count: 'INT',
+    db_type: 'VARCHAR(20)',
+    cli_version: 'VARCHAR(50)',
+    finished_at: 'TIMESTAMP NULL',
+    outcome: 'VARCHAR(20)',
+    error: 'TEXT'
+  },
+  postgres: {
+    source_sha256: 'CHAR(64)',
+    source_size: 'BIGINT',
+    sheet: 'TEXT',
+    row_count: 'INTEGER',
+    db_type: 'VARCHAR(20)',
+    cli_version: 'VARCHAR(50)',
+    finished_at: 'TIMESTAMP',
+    outcome: 'VARCHAR(20)',
+    error: 'TEXT'
+  }
+};
+
+/**
+ * Add the provenance columns that a previous partial run did not add
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function addColumns(ctx) {
+  for (const [name, type] of Object.entries(BATCH_COLUMNS[ctx.dialect])) {
+    if (!(await ctx.hasColumn('import_batches', name))) {
+      await ctx.execute(`ALTER TABLE import_batches ADD COLUMN ${name} ${type}`);
+    }
+  }
+  if (!(await ctx.hasColumn('people', 'source_row_number'))) {
+    await ctx.execute('ALTER TABLE people ADD COLUMN source_row_number INTEGER');
+  }
+}
+
+/**
+ * Drop the provenance columns
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropColumns(ctx) {
+  if (await ctx.hasColumn('people', 'source_row_number')) {
+    await ctx.execute('ALTER TABLE people DROP COLUMN source_row_number');
+  }
+  for (const name of Object.keys(BATCH_COLUMNS[ctx.dialect]).reverse()) {
+    if (await ctx.hasColumn('import_batches', name)) {
+      await ctx.execute(`ALTER TABLE import_batches DROP COLUMN ${name}`);
+    }
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [addColumns],
+    mysql: [addColumns],
+    postgres: [addColumns]
+  },
+  down: {
+    sqlite: [dropColumns],
+    mysql: [dropColumns],
+    postgres: [dropColumns]
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * Migration 006: before-images for rolling back import batches
+ *
+ * Before an upsert overwrites a person, the row as it was is copied to
+ * import_before_images, keyed on the overwriting batch and the person's id;
+ * the other columns are those of people. import_batches records the import
+ * mode, which decides how a batch can be rolled back, and when it was.
+ */
+
+const ADDITIONAL_DATA_TYPE = {
+  sqlite: 'TEXT',
+  mysql: 'JSON',
+  postgres: 'JSONB'
+};
+
+const TEXT_TYPE = {
+  sqlite: 'TEXT',
+  mysql: 'VARCHAR(255)',
+  postgres: 'VARCHAR(255)'
+};
+
+const TABLE_OPTIONS = {
+  sqlite: '',
+  mysql: ' CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci',
+  postgres: ''
+};
+
+/**
+ * Build the CREATE TABLE statement of import_before_images for a dialect
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @returns {string} - SQL statement
+ */
+function createBeforeImages(dialect) {
+  const text = TEXT_TYPE[dialect];
+  return `CREATE TABLE IF NOT EXISTS import_before_images (
+    import_batch_id INTEGER NOT NULL,
+    person_id INTEGER NOT NULL,
+    external_id ${text},
+    first_name ${text},
+    last_name ${text},
+    birth_date DATE,
+    status ${dialect === 'sqlite' ? 'TEXT' : 'VARCHAR(50)'},
+    additional_data ${ADDITIONAL_DATA_TYPE[dialect]},
+    batch_id INTEGER,
+    source_row_number INTEGER,
+    PRIMARY KEY (import_batch_id, person_id)
+  )${TABLE_OPTIONS[dialect]}`;
+}
+
+/**
+ * Columns added to import_batches, per dialect
+ */
+const BATCH_COLUMNS = {
+  sqlite: { mode: 'TEXT', rolled_back_at: 'TEXT' },
+  mysql: { mode: 'VARCHAR(20)', rolled_back_at: 'TIMESTAMP NULL' },
+  postgres: { mode: 'VARCHAR(20)', rolled_back_at: 'TIMESTAMP' }
+};
+
+/**
+ * Add the import_batches columns that a previous partial run did not add
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function addBatchColumns(ctx) {
+  for (const [name, type] of Object.entries(BATCH_COLUMNS[ctx.dialect])) {
+    if (!(await ctx.hasColumn('import_batches', name))) {
+      await ctx.execute(`ALTER TABLE import_batches ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+/**
+ * Drop the import_batches columns
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropBatchColumns(ctx) {
+  for (const name of Object.keys(BATCH_COLUMNS[ctx.dialect]).reverse()) {
+    if (await ctx.hasColumn('import_batches', name)) {
+      await ctx.execute(`ALTER TABLE import_batches DROP COLUMN ${name}`);
+    }
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [createBeforeImages('sqlite'), addBatchColumns],
+    mysql: [createBeforeImages('mysql'), addBatchColumns],
+    postgres: [createBeforeImages('postgres'), addBatchColumns]
+  },
+  down: {
+    sqlite: [dropBatchColumns, 'DROP TABLE IF EXISTS import_before_images'],
+    mysql: [dropBatchColumns, 'DROP TABLE IF EXISTS import_before_images'],
+    postgres: [dropBatchColumns, 'DROP TABLE IF EXISTS import_before_images']
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration 007: progress of import batches
+ *
+ * After each chunk of an import is committed, import_progress records the
+ * last source row of the chunk, per batch and sheet ('' for sources
+ * without sheets), along with the SHA-256 of the source file. The row is
+ * written in the transaction of the chunk, so it never runs ahead of the
+ * data. An interrupted import resumed with --resume skips the rows up to
+ * that point.
+ */
+
+const CREATE_PROGRESS = {
+  sqlite: `CREATE TABLE IF NOT EXISTS import_progress (
+    batch_id INTEGER NOT NULL,
+    sheet TEXT NOT NULL,
+    source_sha256 TEXT,
+    last_row_number INTEGER NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (batch_id, sheet)
+  )`,
+  mysql: `CREATE TABLE IF NOT EXISTS import_progress (
+    batch_id INT NOT NULL,
+    sheet VARCHAR(255) NOT NULL,
+    source_sha256 CHAR(64),
+    last_row_number INT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (batch_id, sheet)
+  ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
+  postgres: `CREATE TABLE IF NOT EXISTS import_progress (
+    batch_id INTEGER NOT NULL,
+    sheet VARCHAR(255) NOT NULL,
+    source_sha256 CHAR(64),
+    last_row_number INTEGER NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (batch_id, sheet)
+  )`
+};
+
+module.exports = {
+  up: {
+    sqlite: [CREATE_PROGRESS.sqlite],
+    mysql: [CREATE_PROGRESS.mysql],
+    postgres: [CREATE_PROGRESS.postgres]
+  },
+  down: {
+    sqlite: ['DROP TABLE IF EXISTS import_progress'],
+    mysql: ['DROP TABLE IF EXISTS import_progress'],
+    postgres: ['DROP TABLE IF EXISTS import_progress']
+  }
+};
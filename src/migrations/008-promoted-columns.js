@@ -0,0 +1,52 @@
+/**
+ * Migration 008: promoted columns
+ *
+ * Extra fields are kept in people.additional_data; --promote-columns moves
+ * chosen ones to indexed columns of their own (see promoted-columns.js).
+ * Those columns are added outside the migrations, so promoted_columns
+ * records them for imports to write. Reverting the migration demotes every
+ * promoted column first: its values go back to additional_data (as text)
+ * and the column is dropped.
+ */
+
+const { demoteColumns } = require('../promoted-columns');
+
+const CREATE_PROMOTED_COLUMNS = {
+  sqlite: `CREATE TABLE IF NOT EXISTS promoted_columns (
+    column_name TEXT PRIMARY KEY,
+    promoted_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  mysql: `CREATE TABLE IF NOT EXISTS promoted_columns (
+    column_name VARCHAR(64) PRIMARY KEY,
+    promoted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
+  postgres: `CREATE TABLE IF NOT EXISTS promoted_columns (
+    column_name VARCHAR(64) PRIMARY KEY,
+    promoted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`
+};
+
+/**
+ * Demote the promoted columns before their registry goes away
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function demoteAll(ctx) {
+  if (await ctx.hasTable('promoted_columns')) {
+    const rows = await ctx.query('SELECT column_name FROM promoted_columns ORDER BY column_name');
+    await demoteColumns(ctx, rows.map(row => row.column_name));
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [CREATE_PROMOTED_COLUMNS.sqlite],
+    mysql: [CREATE_PROMOTED_COLUMNS.mysql],
+    postgres: [CREATE_PROMOTED_COLUMNS.postgres]
+  },
+  down: {
+    sqlite: [demoteAll, 'DROP TABLE IF EXISTS promoted_columns'],
+    mysql: [demoteAll, 'DROP TABLE IF EXISTS promoted_columns'],
+    postgres: [demoteAll, 'DROP TABLE IF EXISTS promoted_columns']
+  }
+};
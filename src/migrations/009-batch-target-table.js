@@ -0,0 +1,53 @@
+/**
+ * Migration 009: target table of import batches
+ *
+ * Imports with a table schema (--schema) write a table of their own
+ * instead of people (see table-schema.js). import_batches.target_table
+ * records which table a batch wrote; batches recorded before it wrote
+ * people. Rollbacks and batch exports read people, so they refuse batches
+ * that wrote another table.
+ */
+
+/**
+ * Column type of import_batches.target_table, per dialect
+ */
+const TARGET_TABLE_TYPE = {
+  sqlite: 'TEXT',
+  mysql: 'VARCHAR(64)',
+  postgres: 'VARCHAR(64)'
+};
+
+/**
+ * Add the target table column, unless a previous partial run added it
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function addColumn(ctx) {
+  if (!(await ctx.hasColumn('import_batches', 'target_table'))) {
+    await ctx.execute(`ALTER TABLE import_batches ADD COLUMN target_table ${TARGET_TABLE_TYPE[ctx.dialect]} DEFAULT 'people'`);
+  }
+}
+
+/**
+ * Drop the target table column
+ *
+ * @param {Object} ctx - Migration context
+ */
+async function dropColumn(ctx) {
+  if (await ctx.hasColumn('import_batches', 'target_table')) {
+    await ctx.execute('ALTER TABLE import_batches DROP COLUMN target_table');
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [addColumn],
+    mysql: [addColumn],
+    postgres: [addColumn]
+  },
+  down: {
+    sqlite: [dropColumn],
+    mysql: [dropColumn],
+    postgres: [dropColumn]
+  }
+};
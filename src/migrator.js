@@ -0,0 +1,331 @@
+/**
+ * Migrator Module
+ *
+ * This module applies versioned schema migrations to any of the supported
+ * databases:
+ * - Migrations live in src/migrations as numbered files (001-create-people.js)
+ * - Each file exports `up` and `down` steps per dialect (sqlite, mysql, postgres)
+ * - A step is either an SQL string or an async function receiving a migration context
+ * - Applied versions are recorded in the schema_migrations table
+ *
+ * SQLite and PostgreSQL run each migration and its schema_migrations record in
+ * one transaction. MySQL commits DDL implicitly, so a failed MySQL migration
+ * may leave part of its steps applied.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Default directory holding the migration files
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Migration file names: three-digit version, dash, name
+ */
+const MIGRATION_FILE_PATTERN = /^(\d{3})-([a-z0-9-]+)\.js$/;
+
+/**
+ * Dialects whose DDL can be rolled back inside a transaction
+ */
+const TRANSACTIONAL_DDL = ['sqlite', 'postgres'];
+
+/**
+ * schema_migrations table definition per dialect
+ */
+const MIGRATIONS_TABLE_SQL = {
+  sqlite: 'CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT DEFAULT CURRENT_TIMESTAMP)',
+  mysql: 'CREATE TABLE IF NOT EXISTS schema_migrations (version INT PRIMARY KEY, name VARCHAR(255) NOT NULL, applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)',
+  postgres: 'CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name VARCHAR(255) NOT NULL, applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)'
+};
+
+/**
+ * Load the migrations from a directory, sorted by version
+ *
+ * @param {string} directory - Directory holding the migration files
+ * @returns {Array<Object>} - Migrations { version, name, up, down }
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(directory, file));
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: definition.up || {},
+        down: definition.down || {}
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Build a list of positional placeholders for a dialect
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @param {number} count - Number of placeholders
+ * @returns {Array<string>} - Placeholders
+ */
+function placeholders(dialect, count) {
+  return Array.from({ length: count }, (_, index) => (dialect === 'postgres' ? `$${index + 1}` : '?'));
+}
+
+/**
+ * Create the context passed to function steps
+ *
+ * @param {Object} db - Database connection object (see database.getConnection)
+ * @returns {Object} - Migration context
+ */
+function createContext(db) {
+  const { dialect } = db;
+  const [first, second] = placeholders(dialect, 2);
+
+  return {
+    dialect,
+    execute: (sql, params) => db.execute(sql, params),
+    query: (sql, params) => db.query(sql, params),
+
+    async hasTable(table) {
+      const sql = {
+        sqlite: `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ${first}`,
+        mysql: `SELECT table_name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ${first}`,
+        postgres: `SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ${first}`
+      }[dialect];
+      return (await db.query(sql, [table])).length > 0;
+    },
+
+    async hasColumn(table, column) {
+      if (dialect === 'sqlite') {
+        const columns = await db.query(`PRAGMA table_info(${table})`);
+        return columns.some(info => info.name === column);
+      }
+
+      const schema = dialect === 'mysql' ? 'DATABASE()' : 'current_schema()';
+      const rows = await db.query(
+        `SELECT column_name FROM information_schema.columns WHERE table_schema = ${schema} AND table_name = ${first} AND column_name = ${second}`,
+        [table, column]
+      );
+      return rows.length > 0;
+    },
+
+    async hasIndex(table, index) {
+      const sql = {
+        sqlite: `SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ${first} AND name = ${second}`,
+        mysql: `SELECT index_name FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ${first} AND index_name = ${second}`,
+        postgres: `SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ${first} AND indexname = ${second}`
+      }[dialect];
+      return (await db.query(sql, [table, index])).length > 0;
+    }
+  };
+}
+
+/**
+ * Create the schema_migrations table if it does not exist
+ *
+ * @param {Object} db - Database connection object
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(db) {
+  const sql = MIGRATIONS_TABLE_SQL[db.dialect];
+  if (!sql) {
+    throw new Error(`Unsupported database dialect for migrations: ${db.dialect}`);
+  }
+  await db.execute(sql);
+}
+
+/**
+ * Read the applied migrations
+ *
+ * @param {Object} db - Database connection object
+ * @returns {Promise<Map<number, Object>>} - Applied migrations keyed by version
+ */
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [Number(row.version), { name: row.name, appliedAt: row.applied_at }]));
+}
+
+/**
+ * Run one direction of a migration and record the result
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<void>}
+ */
+async function runMigration(db, migration, direction) {
+  const steps = migration[direction][db.dialect];
+  const label = `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+
+  if (!Array.isArray(steps)) {
+    throw new Error(`Migration ${label} has no ${direction} steps for ${db.dialect}`);
+  }
+
+  const transactional = TRANSACTIONAL_DDL.includes(db.dialect);
+  const context = createContext(db);
+  const [first, second] = placeholders(db.dialect, 2);
+
+  logger.info(`Running migration ${label} (${direction})`);
+
+  if (transactional) {
+    await db.execute('BEGIN');
+  }
+
+  try {
+    for (const step of steps) {
+      if (typeof step === 'function') {
+        await step(context);
+      } else {
+        await db.execute(step);
+      }
+    }
+
+    if (direction === 'up') {
+      await db.execute(`INSERT INTO schema_migrations (version, name) VALUES (${first}, ${second})`, [migration.version, migration.name]);
+    } else {
+      await db.execute(`DELETE FROM schema_migrations WHERE version = ${first}`, [migration.version]);
+    }
+
+    if (transactional) {
+      await db.execute('COMMIT');
+    }
+  } catch (error) {
+    if (transactional) {
+      try {
+        await db.execute('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error('Error rolling back migration', { error: rollbackError.message });
+      }
+    }
+
+    logger.error(`Migration ${label} (${direction}) failed`, { error: error.message });
+    throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Migration options
+ * @param {number} options.to - Highest version to apply (default: latest)
+ * @param {Array<Object>} options.migrations - Migrations to use (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} - Applied migrations { version, name }
+ */
+async function migrateUp(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const target = options.to !== undefined ? options.to : Infinity;
+
+  const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+
+  for (const migration of pending) {
+    await runMigration(db, migration, 'up');
+  }
+
+  if (pending.length > 0) {
+    logger.info(`Applied ${pending.length} migrations`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert applied migrations, newest first
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Migration options
+ * @param {number} options.to - Version to revert to; migrations above it are reverted
+ * @param {number} options.steps - Number of migrations to revert when `to` is not given (default: 1)
+ * @param {Array<Object>} options.migrations - Migrations to use (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} - Reverted migrations { version, name }
+ */
+async function migrateDown(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const versions = [...applied.keys()].sort((a, b) => b - a);
+
+  const toRevert = options.to !== undefined
+    ? versions.filter(version => version > options.to)
+    : versions.slice(0, options.steps !== undefined ? options.steps : 1);
+
+  for (const version of toRevert) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Cannot revert migration ${version}: migration file not found`);
+    }
+    await runMigration(db, migration, 'down');
+  }
+
+  return toRevert.map(version => ({ version, name: applied.get(version).name }));
+}
+
+/**
+ * Describe the migrations and whether each one has been applied
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Migration options
+ * @param {Array<Object>} options.migrations - Migrations to use (default: loadMigrations())
+ * @returns {Promise<Object>} - { currentVersion, pending, migrations: [{ version, name, applied, appliedAt }] }
+ */
+async function getMigrationStatus(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const applied = await getAppliedMigrations(db);
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+    appliedAt: applied.has(version) ? applied.get(version).appliedAt : null
+  }));
+
+  return {
+    currentVersion: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+    pending: status.filter(migration => !migration.applied).length,
+    migrations: status
+  };
+}
+
+/**
+ * List the migrations that have not been applied, with read queries only
+ *
+ * Unlike getMigrationStatus, this does not create schema_migrations when it
+ * is missing (used by dry runs, which must not write).
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} options - Migration options
+ * @param {Array<Object>} options.migrations - Migrations to use (default: loadMigrations())
+ * @returns {Promise<Array<Object>>} - Pending migrations { version, name }
+ */
+async function findPendingMigrations(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const applied = (await createContext(db).hasTable('schema_migrations'))
+    ? (await db.query('SELECT version FROM schema_migrations')).map(row => Number(row.version))
+    : [];
+
+  return migrations
+    .filter(migration => !applied.includes(migration.version))
+    .map(({ version, name }) => ({ version, name }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  createContext,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  findPendingMigrations
+};
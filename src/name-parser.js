@@ -0,0 +1,243 @@
+/**
+ * Name Parser Module
+ *
+ * This module splits a full name into a last name and a first name. Full
+ * names are written surname first ("Girard David"), but a plain split on the
+ * first space breaks compound surnames and given names. The split is done
+ * by a strategy chosen from the script of the name:
+ *
+ * - default (Latin, Cyrillic, ...): a run of words in capitals is the
+ *   surname ("DE LA FONTAINE Jean", "Anna VAN DER BERG"); otherwise
+ *   particles (de, van, bin, al, ...) join the word after them, a name
+ *   starting with particles keeps them in the surname ("Van der Berg Anna")
+ *   and a particle further on starts the surname ("Mohamed ben Ali"), as
+ *   does a word joined to al- or el- ("Mohamed al-Rashid")
+ * - ar (Arabic script): عبد and أبو form one name with the next word
+ *   ("عبد الله"), and بن / ابن / بنت start the surname, as particles do
+ * - zh (Han script): without spaces, the surname is the first character,
+ *   or the first two for the known compound surnames (欧阳, 司马, ...)
+ *
+ * Other strategies can be registered per language. Names that cannot be
+ * split (a single word) are left as they are.
+ */
+
+/**
+ * Words that belong to the surname word after them, compared in lower case
+ */
+const PARTICLES = [
+  'de', 'del', 'della', 'der', 'den', 'des', 'di', 'da', 'das', 'do', 'dos', 'du', 'la', 'le',
+  'van', 'von', 'ter', 'ten', 'bin', 'ben', 'ibn', 'bint', 'al', 'el', 'ait'
+];
+
+/**
+ * Words forming one given name or surname with the word after them ("Abdel Kader")
+ */
+const BOUND_PREFIXES = ['abd', 'abdel', 'abdul', 'abu', 'abou'];
+
+/**
+ * Arabic particles starting a surname (son / daughter of)
+ */
+const ARABIC_PARTICLES = ['بن', 'ابن', 'بنت'];
+
+/**
+ * Arabic words forming one name with the word after them
+ */
+const ARABIC_BOUND_PREFIXES = ['عبد', 'أبو', 'ابو'];
+
+/**
+ * Chinese surnames of two characters
+ */
+const CHINESE_COMPOUND_SURNAMES = [
+  '欧阳', '司马', '诸葛', '上官', '司徒', '东方', '皇甫', '尉迟', '公孙', '慕容', '令狐', '夏侯',
+  '长孙', '宇文', '轩辕', '端木', '独孤', '南宫', '西门', '澹台', '呼延', '歐陽', '諸葛'
+];
+
+/**
+ * Group words into name units, joining bound prefixes with the word after them
+ *
+ * @param {Array<string>} words - Words of the name
+ * @param {Array<string>} prefixes - Bound prefixes, in lower case
+ * @returns {Array<string>} - Units
+ */
+function groupBoundWords(words, prefixes) {
+  const units = [];
+  for (let i = 0; i < words.length; i++) {
+    if (prefixes.includes(words[i].toLowerCase()) && i + 1 < words.length) {
+      units.push(`${words[i]} ${words[i + 1]}`);
+      i++;
+    } else {
+      units.push(words[i]);
+    }
+  }
+  return units;
+}
+
+/**
+ * Split name units on their particles, the surname coming first unless a particle says otherwise
+ *
+ * @param {Array<string>} units - Name units
+ * @param {Array<string>} particles - Particles, in lower case
+ * @returns {Object|null} - { last_name, first_name }, or null for a single unit
+ */
+function splitOnParticles(units, particles) {
+  if (units.length < 2) {
+    return null;
+  }
+  const isParticle = unit => particles.includes(unit.toLowerCase());
+  // al- / el- joined to the surname word by a hyphen: "al-Rashid", "El-Amrani"
+  const isJoinedParticle = unit => /^(al|el)-./i.test(unit);
+  const join = (from, to) => units.slice(from, to).join(' ');
+
+  // Leading particles stay with the surname word after them: "Van der Berg Anna"
+  let end = 0;
+  while (end < units.length && isParticle(units[end])) {
+    end++;
+  }
+  if (end > 0 && end + 1 < units.length) {
+    return { last_name: join(0, end + 1), first_name: join(end + 1) };
+  }
+
+  // A particle after the first word starts the surname: "Anna van der Berg", "Mohamed al-Rashid"
+  const start = units.findIndex((unit, index) => index > 0 && (isParticle(unit) || isJoinedParticle(unit)));
+  if (end === 0 && start > 0 && (isJoinedParticle(units[start]) || start + 1 < units.length)) {
+    return { last_name: join(start), first_name: join(0, start) };
+  }
+
+  return { last_name: units[0], first_name: join(1) };
+}
+
+/**
+ * Whether a word is written in capitals (at least two letters, none in lower case)
+ *
+ * @param {string} word - Word
+ * @returns {boolean} - True for words such as FONTAINE or EL-AMRANI
+ */
+function isCapitalized(word) {
+  const letters = word.replace(/[^\p{L}]/gu, '');
+  return letters.length >= 2 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+}
+
+/**
+ * Take the words in capitals at the start or end of a name as its surname,
+ * along with the particles just before them
+ *
+ * @param {Array<string>} words - Words of the name
+ * @returns {Object|null} - { last_name, first_name }, or null when the name does not follow that convention
+ */
+function splitOnCapitals(words) {
+  const capitals = words.map(isCapitalized);
+  const first = capitals.indexOf(true);
+  const last = capitals.lastIndexOf(true);
+  if (first === -1 || capitals.slice(first, last + 1).includes(false) || (first === 0 && last === words.length - 1)) {
+    return null;
+  }
+
+  let start = first;
+  while (start > 0 && PARTICLES.includes(words[start - 1].toLowerCase())) {
+    start--;
+  }
+  if (start > 0 && last < words.length - 1) {
+    return null;
+  }
+
+  return {
+    last_name: words.slice(start, last + 1).join(' '),
+    first_name: [...words.slice(0, start), ...words.slice(last + 1)].join(' ')
+  };
+}
+
+/**
+ * Name splitting strategies, by language
+ *
+ * Each strategy takes the trimmed full name and returns { last_name, first_name },
+ * or null when the name cannot be split.
+ */
+const strategies = {
+  default: (name) => {
+    const words = name.split(/\s+/);
+    return splitOnCapitals(words) || splitOnParticles(groupBoundWords(words, BOUND_PREFIXES), PARTICLES);
+  },
+
+  ar: name => splitOnParticles(groupBoundWords(name.split(/\s+/), ARABIC_BOUND_PREFIXES), ARABIC_PARTICLES),
+
+  zh: (name) => {
+    const words = name.split(/\s+/);
+    if (words.length >= 2) {
+      return { last_name: words[0], first_name: words.slice(1).join(' ') };
+    }
+
+    const characters = [...name];
+    if (characters.length < 2) {
+      return null;
+    }
+    const surnameLength = characters.length > 2 && CHINESE_COMPOUND_SURNAMES.includes(characters.slice(0, 2).join('')) ? 2 : 1;
+    return { last_name: characters.slice(0, surnameLength).join(''), first_name: characters.slice(surnameLength).join('') };
+  }
+};
+
+/**
+ * Register a name splitting strategy for a language, replacing any existing one
+ *
+ * @param {string} language - Language code (e.g. fr, ar, zh), or "default"
+ * @param {Function} strategy - strategy(name) → { last_name, first_name } or null
+ */
+function registerNameStrategy(language, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`Invalid name strategy for ${language}: expected a function`);
+  }
+  strategies[language] = strategy;
+}
+
+/**
+ * Validate the language of a name strategy
+ *
+ * @param {string} language - Language code
+ * @returns {string} - The language, if a strategy is registered for it
+ */
+function resolveNameLanguage(language) {
+  if (!Object.prototype.hasOwnProperty.call(strategies, language)) {
+    throw new Error(`Invalid name language: ${language}. Expected one of: ${Object.keys(strategies).join(', ')}`);
+  }
+  return language;
+}
+
+/**
+ * Guess the language of a name from its script
+ *
+ * @param {string} name - Full name
+ * @returns {string} - ar, zh or default
+ */
+function detectNameLanguage(name) {
+  if (/\p{Script=Arabic}/u.test(name)) {
+    return 'ar';
+  }
+  if (/\p{Script=Han}/u.test(name)) {
+    return 'zh';
+  }
+  return 'default';
+}
+
+/**
+ * Split a full name into a last name and a first name
+ *
+ * @param {string} name - Full name, surname first unless its particles or capitals say otherwise
+ * @param {Object} options - Split options
+ * @param {string} options.language - Language whose strategy to use (default: detected from the script)
+ * @returns {Object|null} - { last_name, first_name }, or null when the name cannot be split
+ */
+function splitFullName(name, options = {}) {
+  const trimmed = String(name === undefined || name === null ? '' : name).trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  return strategies[resolveNameLanguage(options.language || detectNameLanguage(trimmed))](trimmed);
+}
+
+module.exports = {
+  PARTICLES,
+  registerNameStrategy,
+  resolveNameLanguage,
+  detectNameLanguage,
+  splitFullName
+};
@@ -0,0 +1,240 @@
+/**
+ * People Staging Module
+ *
+ * A staged replace loads the file into people_staging_<batch>, a copy of
+ * the people table without its secondary indexes, checks it there and then
+ * swaps it with people in one step: readers see the old table or the new
+ * one, never a half-loaded table. The old table is kept as people_previous
+ * (replacing the one kept by the previous staged load) for a quick restore.
+ *
+ * - SQLite: the renames run in one transaction, which also moves the
+ *   indexes from the old table to the new one
+ * - PostgreSQL: the indexes and the primary key are built on the staging
+ *   table beforehand and renamed along with the tables, in one transaction
+ * - MySQL: the indexes are built on the staging table beforehand and both
+ *   tables are renamed by a single RENAME TABLE statement
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Name the old people table is kept under after a swap
+ */
+const PREVIOUS_TABLE = 'people_previous';
+
+/**
+ * Number of duplicate external IDs listed in a validation error
+ */
+const MAX_REPORTED_DUPLICATES = 5;
+
+/**
+ * Name of the staging table of an import batch
+ *
+ * @param {number} batchId - Import batch
+ * @returns {string} - Table name
+ */
+function stagingTableName(batchId) {
+  return `people_staging_${batchId}`;
+}
+
+/**
+ * Secondary indexes of the people table on PostgreSQL, with the name of its primary key
+ *
+ * @param {Object} db - Database connection object
+ * @returns {Promise<Object>} - { primaryKey, indexes: [{ name, definition }] }
+ */
+async function postgresIndexes(db) {
+  const [constraint] = await db.query(
+    "SELECT conname FROM pg_constraint WHERE conrelid = 'people'::regclass AND contype = 'p'"
+  );
+  const primaryKey = constraint ? constraint.conname : null;
+  const rows = await db.query(
+    "SELECT indexname, indexdef FROM pg_indexes WHERE schemaname = current_schema() AND tablename = 'people' ORDER BY indexname"
+  );
+
+  return {
+    primaryKey,
+    indexes: rows
+      .filter(row => row.indexname !== primaryKey)
+      .map(row => ({ name: row.indexname, definition: row.indexdef }))
+  };
+}
+
+/**
+ * Secondary indexes of a table on MySQL
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} table - Table name
+ * @returns {Promise<Array<Object>>} - [{ name, unique, columns }]
+ */
+async function mysqlIndexes(db, table) {
+  const rows = await db.query(
+    `SELECT index_name AS name, non_unique AS nonUnique, column_name AS columnName FROM information_schema.statistics
+      WHERE table_schema = DATABASE() AND table_name = ? AND index_name <> 'PRIMARY' ORDER BY index_name, seq_in_index`,
+    [table]
+  );
+
+  const indexes = [];
+  rows.forEach((row) => {
+    let index = indexes[indexes.length - 1];
+    if (!index || index.name !== row.name) {
+      index = { name: row.name, unique: Number(row.nonUnique) === 0, columns: [] };
+      indexes.push(index);
+    }
+    index.columns.push(row.columnName);
+  });
+  return indexes;
+}
+
+/**
+ * Create the staging table of a batch: the columns, defaults and primary key
+ * column of people, without the secondary indexes
+ *
+ * New ids continue from those of people.
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} staging - Staging table name (see stagingTableName)
+ * @returns {Promise<void>}
+ */
+async function createStagingTable(db, staging) {
+  if (db.dialect === 'sqlite') {
+    const [table] = await db.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'people'");
+    await db.execute(table.sql.replace(/^CREATE TABLE (IF NOT EXISTS )?("?people"?)/i, `CREATE TABLE ${staging}`));
+
+    const [sequence] = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_sequence'");
+    if (sequence) {
+      await db.execute("INSERT INTO sqlite_sequence (name, seq) SELECT ?, seq FROM sqlite_sequence WHERE name = 'people'", [staging]);
+    }
+  } else if (db.dialect === 'mysql') {
+    await db.execute(`CREATE TABLE ${staging} LIKE people`);
+    for (const index of await mysqlIndexes(db, staging)) {
+      await db.execute(`ALTER TABLE ${staging} DROP INDEX ${index.name}`);
+    }
+
+    const [{ next }] = await db.query('SELECT COALESCE(MAX(id), 0) + 1 AS next FROM people');
+    await db.execute(`ALTER TABLE ${staging} AUTO_INCREMENT = ${Number(next)}`);
+  } else {
+    // The id default keeps drawing from the sequence of people
+    await db.execute(`CREATE TABLE ${staging} (LIKE people INCLUDING DEFAULTS)`);
+  }
+
+  logger.info(`Created staging table ${staging}`);
+}
+
+/**
+ * Check a loaded staging table before it is swapped in
+ *
+ * The staging table has no unique index, so external IDs that appear more
+ * than once are looked for here.
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} staging - Staging table name
+ * @returns {Promise<number>} - Number of rows in the staging table
+ */
+async function validateStagingTable(db, staging) {
+  const duplicates = `SELECT external_id FROM ${staging} WHERE external_id IS NOT NULL GROUP BY external_id HAVING COUNT(*) > 1`;
+  const [{ count }] = await db.query(`SELECT COUNT(*) AS count FROM (${duplicates}) duplicates`);
+
+  if (Number(count) > 0) {
+    const examples = await db.query(`${duplicates} ORDER BY external_id LIMIT ${MAX_REPORTED_DUPLICATES}`);
+    throw new Error(`${count} external IDs appear more than once (${examples.map(row => row.external_id).join(', ')}${Number(count) > examples.length ? ', ...' : ''}); the people table was left untouched`);
+  }
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM ${staging}`);
+  return Number(total);
+}
+
+/**
+ * Swap a loaded staging table with people, keeping the old table as people_previous
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} staging - Staging table name
+ * @returns {Promise<void>}
+ */
+async function swapStagingTable(db, staging) {
+  if (db.dialect === 'mysql') {
+    for (const index of await mysqlIndexes(db, 'people')) {
+      await db.execute(`ALTER TABLE ${staging} ADD ${index.unique ? 'UNIQUE ' : ''}INDEX ${index.name} (${index.columns.join(', ')})`);
+    }
+
+    // RENAME TABLE swaps both tables at once; it cannot run in a transaction
+    await db.execute(`DROP TABLE IF EXISTS ${PREVIOUS_TABLE}`);
+    await db.execute(`RENAME TABLE people TO ${PREVIOUS_TABLE}, ${staging} TO people`);
+    logger.info(`Swapped ${staging} in as people; the old table was kept as ${PREVIOUS_TABLE}`);
+    return;
+  }
+
+  let statements;
+  if (db.dialect === 'sqlite') {
+    // Index names are global in SQLite and cannot be renamed: they move to the new table in the swap
+    const indexes = await db.query("SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'people' AND sql IS NOT NULL");
+    statements = [
+      `DROP TABLE IF EXISTS ${PREVIOUS_TABLE}`,
+      `ALTER TABLE people RENAME TO ${PREVIOUS_TABLE}`,
+      ...indexes.map(index => `DROP INDEX ${index.name}`),
+      `ALTER TABLE ${staging} RENAME TO people`,
+      ...indexes.map(index => index.sql)
+    ];
+  } else {
+    const { primaryKey, indexes } = await postgresIndexes(db);
+    const [{ sequence }] = await db.query("SELECT pg_get_serial_sequence('people', 'id') AS sequence");
+    const stagedName = index => `${index.name}_${staging}`;
+
+    await db.execute(`ALTER TABLE ${staging} ADD CONSTRAINT ${staging}_pkey PRIMARY KEY (id)`);
+    for (const index of indexes) {
+      await db.execute(index.definition
+        .replace(` INDEX ${index.name} ON `, ` INDEX ${stagedName(index)} ON `)
+        .replace(/ ON ((?:\S+\.)?)people /, ` ON $1${staging} `));
+    }
+
+    statements = [
+      `DROP TABLE IF EXISTS ${PREVIOUS_TABLE}`,
+      `ALTER TABLE people RENAME TO ${PREVIOUS_TABLE}`,
+      ...(primaryKey ? [`ALTER TABLE ${PREVIOUS_TABLE} RENAME CONSTRAINT ${primaryKey} TO ${PREVIOUS_TABLE}_pkey`] : []),
+      ...indexes.map(index => `ALTER INDEX ${index.name} RENAME TO ${index.name}_previous`),
+      `ALTER TABLE ${staging} RENAME TO people`,
+      `ALTER TABLE people RENAME CONSTRAINT ${staging}_pkey TO ${primaryKey || 'people_pkey'}`,
+      ...indexes.map(index => `ALTER INDEX ${stagedName(index)} RENAME TO ${index.name}`),
+      // Dropping people_previous must not drop the sequence the new table draws its ids from
+      ...(sequence ? [`ALTER SEQUENCE ${sequence} OWNED BY people.id`] : [])
+    ];
+  }
+
+  await db.execute('BEGIN');
+  try {
+    for (const sql of statements) {
+      await db.execute(sql);
+    }
+    await db.execute('COMMIT');
+  } catch (error) {
+    try {
+      await db.execute('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Error rolling back transaction', { error: rollbackError.message });
+    }
+    throw new Error(`Failed to swap ${staging} with people: ${error.message}`);
+  }
+
+  logger.info(`Swapped ${staging} in as people; the old table was kept as ${PREVIOUS_TABLE}`);
+}
+
+/**
+ * Drop a staging table that will not be swapped in
+ *
+ * @param {Object} db - Database connection object
+ * @param {string} staging - Staging table name
+ * @returns {Promise<void>}
+ */
+async function dropStagingTable(db, staging) {
+  await db.execute(`DROP TABLE IF EXISTS ${staging}`);
+  logger.info(`Dropped staging table ${staging}`);
+}
+
+module.exports = {
+  PREVIOUS_TABLE,
+  stagingTableName,
+  createStagingTable,
+  validateStagingTable,
+  swapStagingTable,
+  dropStagingTable
+};
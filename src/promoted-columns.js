@@ -0,0 +1,231 @@
+/**
+ * Promoted Columns Module
+ *
+ * Extra fields of the source (those without a column of their own) are
+ * kept in people.additional_data as JSON. Fields that are searched on,
+ * such as email or phone, can be promoted with --promote-columns to real
+ * columns:
+ * - The column is added to people, with an index, and to import_before_images
+ *   so that rollbacks restore it
+ * - The values the field already has in additional_data are moved to the column
+ * - The column is recorded in promoted_columns (see migration 008), and every
+ *   later import writes the field to it (see adapter-utils.resolvePeopleColumns)
+ *
+ * Promoted columns hold text. Demoting a column (reverting migration 008)
+ * puts its values back in additional_data and drops it.
+ */
+
+const { PEOPLE_COLUMNS } = require('./adapters/adapter-utils');
+const { createContext } = require('./migrator');
+const { logger } = require('./logger');
+
+/**
+ * Names a promoted column may take: lower case letters, digits and underscores
+ */
+const COLUMN_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+/**
+ * Columns of people and import_before_images that cannot be promoted over
+ */
+const RESERVED_COLUMNS = ['id', 'created_at', 'import_batch_id', 'person_id', ...PEOPLE_COLUMNS];
+
+/**
+ * Tables holding a copy of each promoted column
+ */
+const PROMOTED_TABLES = ['people', 'import_before_images'];
+
+/**
+ * Column type of promoted columns, per dialect
+ */
+const COLUMN_TYPE = {
+  sqlite: 'TEXT',
+  mysql: 'VARCHAR(255)',
+  postgres: 'VARCHAR(255)'
+};
+
+/**
+ * Dialects whose DDL can be rolled back inside a transaction
+ */
+const TRANSACTIONAL_DDL = ['sqlite', 'postgres'];
+
+/**
+ * Validate the fields to promote
+ *
+ * @param {Array<string>|string} fields - Field names, as an array or a comma-separated list
+ * @returns {Array<string>} - Field names, without duplicates
+ */
+function resolvePromotedColumns(fields) {
+  const list = Array.isArray(fields) ? fields : String(fields || '').split(',');
+  const names = [...new Set(list.map(field => String(field).trim()).filter(Boolean))];
+
+  names.forEach((name) => {
+    if (!COLUMN_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid promoted column: ${name}. Use lower case letters, digits and underscores, starting with a letter`);
+    }
+    if (RESERVED_COLUMNS.includes(name)) {
+      throw new Error(`Invalid promoted column: ${name} is already a column of people`);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Build the statement moving the values of a field from additional_data to its column
+ *
+ * JSON nulls and empty strings become NULL; additional_data becomes NULL
+ * once it holds no field.
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @param {string} table - people or import_before_images
+ * @param {string} column - Promoted column
+ * @returns {string} - SQL statement
+ */
+function buildPromoteSql(dialect, table, column) {
+  const path = `'$.${column}'`;
+
+  if (dialect === 'mysql') {
+    const remaining = `JSON_REMOVE(additional_data, ${path})`;
+    return `UPDATE ${table} SET
+      ${column} = NULLIF(IF(JSON_TYPE(JSON_EXTRACT(additional_data, ${path})) = 'NULL', NULL, JSON_UNQUOTE(JSON_EXTRACT(additional_data, ${path}))), ''),
+      additional_data = IF(JSON_LENGTH(${remaining}) = 0, NULL, ${remaining})
+      WHERE JSON_CONTAINS_PATH(additional_data, 'one', ${path})`;
+  }
+
+  if (dialect === 'postgres') {
+    return `UPDATE ${table} SET
+      ${column} = NULLIF(additional_data ->> '${column}', ''),
+      additional_data = NULLIF(additional_data - '${column}', '{}'::jsonb)
+      WHERE additional_data ? '${column}'`;
+  }
+
+  // JSON booleans come back from json_extract as 1 and 0, and are written as true and false
+  const type = `json_type(additional_data, ${path})`;
+  return `UPDATE ${table} SET
+    ${column} = NULLIF(CASE WHEN ${type} IN ('true', 'false') THEN ${type} ELSE CAST(json_extract(additional_data, ${path}) AS TEXT) END, ''),
+    additional_data = NULLIF(json_remove(additional_data, ${path}), '{}')
+    WHERE json_valid(additional_data) AND ${type} IS NOT NULL`;
+}
+
+/**
+ * Build the statement putting the values of a column back in additional_data
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @param {string} table - people or import_before_images
+ * @param {string} column - Promoted column
+ * @returns {string} - SQL statement
+ */
+function buildDemoteSql(dialect, table, column) {
+  const merged = {
+    sqlite: `json_set(COALESCE(additional_data, '{}'), '$.${column}', ${column})`,
+    mysql: `JSON_SET(COALESCE(additional_data, JSON_OBJECT()), '$.${column}', ${column})`,
+    postgres: `COALESCE(additional_data, '{}'::jsonb) || jsonb_build_object('${column}', ${column})`
+  }[dialect];
+  return `UPDATE ${table} SET additional_data = ${merged} WHERE ${column} IS NOT NULL`;
+}
+
+/**
+ * Run steps in one transaction where the dialect allows it
+ *
+ * @param {Object} ctx - Migration context (see migrator)
+ * @param {Function} steps - Async function running the steps
+ * @returns {Promise<void>}
+ */
+async function inTransaction(ctx, steps) {
+  const transactional = TRANSACTIONAL_DDL.includes(ctx.dialect);
+  if (transactional) {
+    await ctx.execute('BEGIN');
+  }
+
+  try {
+    await steps();
+    if (transactional) {
+      await ctx.execute('COMMIT');
+    }
+  } catch (error) {
+    if (transactional) {
+      await ctx.execute('ROLLBACK');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the promoted columns
+ *
+ * @param {Object} db - Database connection object
+ * @returns {Promise<Array<string>>} - Promoted columns, in the order they were promoted
+ */
+async function loadPromotedColumns(db) {
+  const rows = await db.query('SELECT column_name FROM promoted_columns ORDER BY promoted_at, column_name');
+  return rows.map(row => row.column_name);
+}
+
+/**
+ * Promote extra fields to indexed columns of people
+ *
+ * Fields already promoted are left as they are. Each field is promoted in
+ * its own transaction on SQLite and PostgreSQL; MySQL commits DDL
+ * implicitly, and each step checks whether it already ran, so promoting
+ * again finishes an interrupted promotion.
+ *
+ * @param {Object} db - Database connection object
+ * @param {Array<string>|string} fields - Fields to promote (see resolvePromotedColumns)
+ * @returns {Promise<Array<string>>} - Fields newly promoted
+ */
+async function promoteColumns(db, fields) {
+  const ctx = createContext(db);
+  const promoted = await loadPromotedColumns(db);
+  const added = resolvePromotedColumns(fields).filter(column => !promoted.includes(column));
+  const placeholder = db.dialect === 'postgres' ? '$1' : '?';
+
+  for (const column of added) {
+    await inTransaction(ctx, async () => {
+      for (const table of PROMOTED_TABLES) {
+        if (!(await ctx.hasColumn(table, column))) {
+          await ctx.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${COLUMN_TYPE[ctx.dialect]}`);
+        }
+        await ctx.execute(buildPromoteSql(ctx.dialect, table, column));
+      }
+      if (!(await ctx.hasIndex('people', `idx_people_${column}`))) {
+        await ctx.execute(`CREATE INDEX idx_people_${column} ON people (${column})`);
+      }
+      await ctx.execute(`INSERT INTO promoted_columns (column_name) VALUES (${placeholder})`, [column]);
+    });
+    logger.info(`Promoted ${column} from additional_data to a column of people`);
+  }
+
+  return added;
+}
+
+/**
+ * Demote promoted columns: put their values back in additional_data and drop them
+ *
+ * @param {Object} ctx - Migration context (see migrator), run inside the migration's transaction
+ * @param {Array<string>} columns - Promoted columns
+ * @returns {Promise<void>}
+ */
+async function demoteColumns(ctx, columns) {
+  const placeholder = ctx.dialect === 'postgres' ? '$1' : '?';
+
+  for (const column of columns) {
+    if (await ctx.hasIndex('people', `idx_people_${column}`)) {
+      await ctx.execute(ctx.dialect === 'mysql' ? `DROP INDEX idx_people_${column} ON people` : `DROP INDEX idx_people_${column}`);
+    }
+    for (const table of PROMOTED_TABLES) {
+      if (await ctx.hasColumn(table, column)) {
+        await ctx.execute(buildDemoteSql(ctx.dialect, table, column));
+        await ctx.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+    await ctx.execute(`DELETE FROM promoted_columns WHERE column_name = ${placeholder}`, [column]);
+    logger.info(`Demoted ${column} back to additional_data`);
+  }
+}
+
+module.exports = {
+  resolvePromotedColumns,
+  loadPromotedColumns,
+  promoteColumns,
+  demoteColumns
+};
@@ -0,0 +1,264 @@
+/**
+ * Rejects Writer Module
+ *
+ * This module writes the rows rejected by validation to a CSV or XLSX file:
+ * the source row number, the row's fields as parsed, and a "reason" column
+ * listing the failed rules. The file is only created once a row is rejected.
+ *
+ * Rejected rows need not share their fields (the sheets of a workbook, the
+ * lines of a JSON-lines file), so the columns are the union of the fields of
+ * every row, in the order they were first seen, and the header is written on
+ * close. Rows are spooled to disk as they are rejected, to a ".part" file
+ * next to the rejects file which close turns into the CSV file, or reads
+ * back into an XLSX workbook. The ".part" file is created on the first
+ * rejected row, and a file that cannot be written fails the write, and so
+ * the import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const XLSX = require('xlsx');
+const { logger } = require('./logger');
+
+const REJECTS_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Resolve the rejects file format from an explicit format or the file extension
+ *
+ * @param {string} filePath - Rejects file path
+ * @param {string} format - Explicit format (csv or xlsx), optional
+ * @returns {string} - Format
+ */
+function resolveRejectsFormat(filePath, format) {
+  const resolved = (format || path.extname(filePath).slice(1) || 'csv').toLowerCase();
+  if (!REJECTS_FORMATS.includes(resolved)) {
+    throw new Error(`Invalid rejects format: ${resolved}. Expected one of: ${REJECTS_FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Wrap a file system error in an error naming the file written
+ *
+ * @param {string} label - Description of the file, e.g. "rejects file rejects.csv"
+ * @param {Error} error - File system error
+ * @returns {Error} - Error to reject with
+ */
+function writeError(label, error) {
+  return new Error(`Failed to write ${label}: ${error.message}`);
+}
+
+/**
+ * Open a file for writing, remembering the first error the stream raises
+ *
+ * Open errors reject the returned promise; later errors fail the next send
+ * or finish (see below) instead of going unhandled.
+ *
+ * @param {string} target - Path of the file to open
+ * @param {string} label - Description of the file for error messages (default: its path)
+ * @returns {Promise<Object>} - Output { stream, failure } once the file is open
+ */
+function openOutput(target, label = target) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(target, { encoding: 'utf8' });
+    const output = { stream, failure: null };
+    stream.once('error', error => reject(writeError(label, error)));
+    stream.once('open', () => {
+      stream.on('error', (error) => {
+        output.failure = output.failure || writeError(label, error);
+      });
+      resolve(output);
+    });
+  });
+}
+
+/**
+ * Write to an output, waiting for it to drain when its buffer is full
+ *
+ * @param {Object} output - Output from openOutput
+ * @param {string} text - Text to write
+ * @returns {Promise<void>}
+ */
+async function send(output, text) {
+  if (output.failure) {
+    throw output.failure;
+  }
+  if (!output.stream.write(text)) {
+    await new Promise((resolve, reject) => {
+      const onError = () => reject(output.failure);
+      output.stream.once('error', onError);
+      output.stream.once('drain', () => {
+        output.stream.removeListener('error', onError);
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Flush and close an output
+ *
+ * @param {Object} output - Output from openOutput
+ * @returns {Promise<void>}
+ */
+async function finish(output) {
+  if (output.failure) {
+    output.stream.destroy();
+    throw output.failure;
+  }
+  await new Promise((resolve, reject) => {
+    output.stream.once('error', () => reject(output.failure));
+    output.stream.end(resolve);
+  });
+}
+
+/**
+ * Create a writer for rejected rows
+ *
+ * @param {string} filePath - Path of the rejects file
+ * @param {Object} options - Writer options
+ * @param {string} options.format - csv or xlsx (default: from the file extension, else csv)
+ * @returns {Object} - Writer { write(entry, reason), close(), count, filePath }
+ */
+function createRejectsWriter(filePath, options = {}) {
+  const format = resolveRejectsFormat(filePath, options.format);
+  const partPath = `${filePath}.part`;
+  const columns = [];
+  const known = new Set();
+  // The .part file, holding one JSON array [rowNumber, reason, fields] per line
+  let spool = null;
+  let closed = false;
+
+  /**
+   * Cells of a rejected row under the final columns
+   *
+   * @param {Array} spooled - [rowNumber, reason, fields]
+   * @returns {Array} - Row number, one value per column, reason
+   */
+  const toCells = ([rowNumber, reason, fields]) => [rowNumber, ...columns.map(column => fields[column]), reason];
+
+  /**
+   * Read the rows spooled to the .part file
+   *
+   * @returns {AsyncIterable<Array>} - [rowNumber, reason, fields] per row
+   */
+  async function* readSpool() {
+    const lines = readline.createInterface({ input: fs.createReadStream(partPath, { encoding: 'utf8' }), crlfDelay: Infinity });
+    for await (const line of lines) {
+      yield JSON.parse(line);
+    }
+  }
+
+  /**
+   * Turn the .part file into the CSV file
+   *
+   * @returns {Promise<void>}
+   */
+  const writeCsv = async () => {
+    const output = await openOutput(filePath, `rejects file ${filePath}`);
+    try {
+      // A byte order mark lets spreadsheet applications detect UTF-8
+      await send(output, `\uFEFF${['row', ...columns, 'reason'].map(toCsvField).join(',')}\r\n`);
+      for await (const spooled of readSpool()) {
+        await send(output, `${toCells(spooled).map(toCsvField).join(',')}\r\n`);
+      }
+    } catch (error) {
+      output.stream.destroy();
+      throw error;
+    }
+    await finish(output);
+    await fs.promises.unlink(partPath);
+  };
+
+  /**
+   * Build the XLSX file from the .part file
+   *
+   * @returns {Promise<void>}
+   */
+  const writeXlsx = async () => {
+    const sheetRows = [['row', ...columns, 'reason']];
+    for await (const spooled of readSpool()) {
+      sheetRows.push(toCells(spooled));
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), 'Rejects');
+    XLSX.writeFile(workbook, filePath);
+    await fs.promises.unlink(partPath);
+  };
+
+  const writer = {
+    filePath,
+    format,
+    count: 0,
+
+    /**
+     * Write one rejected row
+     *
+     * @param {Object} entry - Parsed row { rowNumber, person }
+     * @param {string} reason - Why the row was rejected
+     * @returns {Promise<void>}
+     */
+    async write(entry, reason) {
+      const fields = entry.person;
+      Object.keys(fields).filter(column => !known.has(column)).forEach((column) => {
+        known.add(column);
+        columns.push(column);
+      });
+
+      if (!spool) {
+        spool = await openOutput(partPath, `rejects file ${filePath}`);
+      }
+      // CSV values are spooled as the text the CSV file shows, XLSX values as JSON
+      const values = format === 'xlsx'
+        ? fields
+        : Object.fromEntries(Object.entries(fields).map(([column, value]) => [column, value === undefined || value === null ? null : String(value)]));
+      await send(spool, `${JSON.stringify([entry.rowNumber, reason, values])}\n`);
+      writer.count++;
+    },
+
+    /**
+     * Write and close the file, if any row was written
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (closed || (writer.count === 0 && !spool)) {
+        return;
+      }
+      closed = true;
+
+      await finish(spool);
+      if (format === 'xlsx') {
+        await writeXlsx();
+      } else {
+        await writeCsv();
+      }
+
+      logger.info(`Wrote ${writer.count} rejected rows to ${filePath}`);
+    }
+  };
+
+  return writer;
+}
+
+module.exports = {
+  REJECTS_FORMATS,
+  toCsvField,
+  resolveRejectsFormat,
+  openOutput,
+  send,
+  finish,
+  createRejectsWriter
+};
@@ -0,0 +1,446 @@
+/**
+ * Table Schema Module
+ *
+ * By default people are imported into the people table, whose columns are
+ * managed by the migrations. A table schema file (--schema) imports another
+ * register (staff lists, beneficiaries, ...) into a table of its own,
+ * described in JSON or YAML:
+ *
+ *   table: staff
+ *   key: staff_id
+ *   columns:
+ *     - name: staff_id
+ *       field: external_id
+ *     - name: surname
+ *       field: last_name
+ *     - name: grade
+ *       type: integer
+ *       headers: [Grade, Échelon]
+ *     - name: hired_on
+ *       type: date
+ *   overflow: extra
+ *
+ * Each column takes the value of a source field (by default the field named
+ * like the column), converted to its type: text, integer, number, date or
+ * boolean. The headers of a column map to its field on top of the header
+ * mappings. The key column, if any, gets a unique index and is what upserts
+ * match on; rows without a key value are refused, but the people identity
+ * fields (external_id, names, birth date) are not required. The fields no
+ * column takes go to the JSON overflow column
+ * (additional_data by default), or are dropped with "overflow: false";
+ * values that cannot be converted are left NULL in their column and kept
+ * as they were in the overflow.
+ *
+ * The table is created from the schema, with an id, the overflow and the
+ * provenance columns (batch_id, source_row_number) of people, the first
+ * time it is imported into; an existing table must have every column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createContext } = require('./migrator');
+const { normalizeDate, formatDate } = require('./date-normalizer');
+const { logger } = require('./logger');
+
+/**
+ * Column types, with their SQL type per dialect
+ */
+const COLUMN_TYPES = {
+  text: { sqlite: 'TEXT', mysql: 'VARCHAR(255)', postgres: 'VARCHAR(255)' },
+  integer: { sqlite: 'INTEGER', mysql: 'BIGINT', postgres: 'BIGINT' },
+  number: { sqlite: 'REAL', mysql: 'DOUBLE', postgres: 'DOUBLE PRECISION' },
+  date: { sqlite: 'DATE', mysql: 'DATE', postgres: 'DATE' },
+  boolean: { sqlite: 'BOOLEAN', mysql: 'BOOLEAN', postgres: 'BOOLEAN' }
+};
+
+/**
+ * Keys accepted at the top level of a schema and in each column
+ */
+const SCHEMA_KEYS = ['table', 'key', 'columns', 'overflow'];
+const COLUMN_KEYS = ['name', 'type', 'field', 'headers'];
+
+/**
+ * Default name of the JSON overflow column
+ */
+const DEFAULT_OVERFLOW = 'additional_data';
+
+/**
+ * Names of tables and columns: lower case letters, digits and underscores
+ */
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+/**
+ * Columns every schema table has besides its own
+ */
+const RESERVED_COLUMNS = ['id', 'batch_id', 'source_row_number', 'created_at'];
+
+/**
+ * Tables of the tool itself, which a schema cannot target
+ */
+const RESERVED_TABLES = /^(people|people_.*|import_.*|schema_migrations|promoted_columns)$/;
+
+/**
+ * Cell values read as true and false in boolean columns, compared in lower case
+ */
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'oui', 'vrai'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'non', 'faux'];
+
+/**
+ * Column type of the JSON overflow column, per dialect
+ */
+const OVERFLOW_TYPE = {
+  sqlite: 'TEXT',
+  mysql: 'JSON',
+  postgres: 'JSONB'
+};
+
+const PRIMARY_KEY = {
+  sqlite: 'id INTEGER PRIMARY KEY AUTOINCREMENT',
+  mysql: 'id INT AUTO_INCREMENT PRIMARY KEY',
+  postgres: 'id SERIAL PRIMARY KEY'
+};
+
+const CREATED_AT = {
+  sqlite: 'created_at TEXT DEFAULT CURRENT_TIMESTAMP',
+  mysql: 'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  postgres: 'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+};
+
+const TABLE_OPTIONS = {
+  sqlite: '',
+  mysql: ' CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci',
+  postgres: ''
+};
+
+/**
+ * Dialects whose DDL can be rolled back inside a transaction
+ */
+const TRANSACTIONAL_DDL = ['sqlite', 'postgres'];
+
+/**
+ * Check a table schema and fill in its defaults
+ *
+ * @param {Object} definition - Parsed schema { table, key, columns, overflow }
+ * @param {string} label - Where the schema comes from, for error messages
+ * @returns {Object} - Schema { table, key, columns: [{ name, type, field, headers }], overflow }, the key
+ *   column first
+ */
+function validateTableSchema(definition, label = 'table schema') {
+  const invalid = message => new Error(`Invalid ${label}: ${message}`);
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalid('expected an object');
+  }
+  Object.keys(definition).forEach((key) => {
+    if (!SCHEMA_KEYS.includes(key)) {
+      throw invalid(`unknown key "${key}". Expected ${SCHEMA_KEYS.join(', ')}`);
+    }
+  });
+
+  const { table } = definition;
+  if (typeof table !== 'string' || !NAME_PATTERN.test(table)) {
+    throw invalid('"table" must be a name of lower case letters, digits and underscores');
+  }
+  if (RESERVED_TABLES.test(table)) {
+    throw invalid(`the ${table} table belongs to the importer; choose another name`);
+  }
+
+  const overflow = definition.overflow === undefined ? DEFAULT_OVERFLOW : definition.overflow;
+  if (overflow !== false && (typeof overflow !== 'string' || !NAME_PATTERN.test(overflow))) {
+    throw invalid('"overflow" must be a column name, or false to drop the other fields');
+  }
+
+  if (!Array.isArray(definition.columns) || definition.columns.length === 0) {
+    throw invalid('"columns" must be a non-empty list');
+  }
+  const names = new Set();
+  const columns = definition.columns.map((column, index) => {
+    const at = `columns[${index}]`;
+    if (!column || typeof column !== 'object' || Array.isArray(column)) {
+      throw invalid(`${at} must be an object`);
+    }
+    Object.keys(column).forEach((key) => {
+      if (!COLUMN_KEYS.includes(key)) {
+        throw invalid(`unknown key "${at}.${key}". Expected ${COLUMN_KEYS.join(', ')}`);
+      }
+    });
+    if (typeof column.name !== 'string' || !NAME_PATTERN.test(column.name)) {
+      throw invalid(`${at}.name must be a name of lower case letters, digits and underscores`);
+    }
+    if (RESERVED_COLUMNS.includes(column.name) || column.name === overflow || names.has(column.name)) {
+      throw invalid(`${at}.name ${column.name} is reserved or used twice`);
+    }
+    names.add(column.name);
+
+    const type = column.type === undefined ? 'text' : column.type;
+    if (!COLUMN_TYPES[type]) {
+      throw invalid(`${at}.type must be one of ${Object.keys(COLUMN_TYPES).join(', ')}`);
+    }
+    const field = column.field === undefined ? column.name : column.field;
+    if (typeof field !== 'string' || field === '') {
+      throw invalid(`${at}.field must be a field name`);
+    }
+    const headers = column.headers === undefined ? [] : column.headers;
+    if (!Array.isArray(headers) || headers.some(header => typeof header !== 'string')) {
+      throw invalid(`${at}.headers must be a list of headers`);
+    }
+
+    return { name: column.name, type, field, headers };
+  });
+
+  const key = definition.key === undefined ? null : definition.key;
+  if (key !== null && !names.has(key)) {
+    throw invalid(`"key" must be one of the columns (${[...names].join(', ')})`);
+  }
+
+  // The key column comes first: adapters find the key of each row there
+  columns.sort((a, b) => (b.name === key) - (a.name === key));
+  return { table, key, columns, overflow };
+}
+
+/**
+ * Load a table schema from a JSON or YAML file
+ *
+ * @param {string} filePath - Path to the schema file
+ * @returns {Object} - Schema (see validateTableSchema)
+ */
+function loadTableSchema(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read table schema ${filePath}: ${error.message}`);
+  }
+
+  let definition;
+  try {
+    definition = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse table schema ${filePath}: ${error.message}`);
+  }
+
+  return validateTableSchema(definition, `table schema ${filePath}`);
+}
+
+/**
+ * Header mapping holding the headers of the schema's columns, to layer
+ * over the other mappings (see header-mapping.createHeaderMapper)
+ *
+ * @param {Object} schema - Table schema
+ * @returns {Object} - Mapping { file, packs, headers, patterns, ignore }
+ */
+function schemaHeaderMapping(schema) {
+  const headers = {};
+  schema.columns.forEach((column) => {
+    column.headers.forEach((header) => {
+      headers[header] = column.field;
+    });
+  });
+  return { file: `table schema ${schema.table}`, packs: {}, headers, patterns: [], ignore: [] };
+}
+
+/**
+ * Field holding the key of a schema table
+ *
+ * @param {Object} schema - Table schema
+ * @returns {string|null} - Field of the key column, or null when the schema has no key
+ */
+function schemaKeyField(schema) {
+  const keyColumn = schema.columns.find(column => column.name === schema.key);
+  return keyColumn ? keyColumn.field : null;
+}
+
+/**
+ * Check that a record can be written to a schema table
+ *
+ * @param {Object} schema - Table schema
+ * @param {Object} person - Normalized record
+ * @returns {boolean} - True if the schema has no key or the record has a value for it
+ */
+function hasSchemaKey(schema, person) {
+  const field = schemaKeyField(schema);
+  return field === null || (person[field] !== undefined && person[field] !== null && String(person[field]).trim() !== '');
+}
+
+/**
+ * Columns written by an import into a schema table, in the order of the row values
+ *
+ * @param {Object} schema - Table schema
+ * @returns {Array<string>} - The schema's columns, the overflow column and the provenance columns
+ */
+function schemaColumnNames(schema) {
+  return [...schema.columns.map(column => column.name), ...(schema.overflow ? [schema.overflow] : []), 'batch_id', 'source_row_number'];
+}
+
+/**
+ * Marks a value that its column type cannot hold
+ */
+const INVALID = Symbol('invalid');
+
+/**
+ * Convert a field value to the type of a column
+ *
+ * @param {string} type - Column type
+ * @param {*} value - Field value
+ * @param {Object} options - { dateFormat } for ambiguous dates
+ * @returns {*} - Column value, null for empty values, or INVALID
+ */
+function convertValue(type, value, options = {}) {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    return null;
+  }
+  const text = String(value).trim();
+
+  switch (type) {
+    case 'integer':
+      if (typeof value === 'number') {
+        return Number.isInteger(value) ? value : INVALID;
+      }
+      return /^[+-]?\d+$/.test(text) ? parseInt(text, 10) : INVALID;
+    case 'number':
+      if (typeof value === 'number') {
+        return value;
+      }
+      return /^[+-]?(\d+([.,]\d*)?|[.,]\d+)$/.test(text) ? parseFloat(text.replace(',', '.')) : INVALID;
+    case 'date': {
+      if (value instanceof Date) {
+        return formatDate(value) || INVALID;
+      }
+      const { date } = normalizeDate(value, { dateFormat: options.dateFormat });
+      return date || INVALID;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (TRUE_VALUES.includes(text.toLowerCase())) {
+        return true;
+      }
+      return FALSE_VALUES.includes(text.toLowerCase()) ? false : INVALID;
+    default:
+      return value instanceof Date ? formatDate(value) : text;
+  }
+}
+
+/**
+ * Convert a normalized person to the column values of a schema table
+ *
+ * @param {Object} schema - Table schema
+ * @param {Object} person - Normalized person
+ * @param {Object} options - { dateFormat } for date columns
+ * @returns {Array} - Values of the schema's columns, followed by the overflow JSON if the schema has one
+ */
+function toSchemaValues(schema, person, options = {}) {
+  const overflow = { ...person };
+  const values = schema.columns.map((column) => {
+    const value = convertValue(column.type, person[column.field], options);
+    if (value === INVALID) {
+      logger.warn(`${column.field} "${person[column.field]}" is not a valid ${column.type}; ${column.name} is left NULL`);
+      return null;
+    }
+    delete overflow[column.field];
+    return value;
+  });
+
+  if (!schema.overflow) {
+    return values;
+  }
+  return [...values, Object.keys(overflow).length > 0 ? JSON.stringify(overflow) : null];
+}
+
+/**
+ * Build the statements creating a schema table and its indexes
+ *
+ * @param {string} dialect - sqlite, mysql or postgres
+ * @param {Object} schema - Table schema
+ * @returns {Array<string>} - SQL statements
+ */
+function buildCreateTableSql(dialect, schema) {
+  const columns = [
+    PRIMARY_KEY[dialect],
+    ...schema.columns.map(column => `${column.name} ${COLUMN_TYPES[column.type][dialect]}`),
+    ...(schema.overflow ? [`${schema.overflow} ${OVERFLOW_TYPE[dialect]}`] : []),
+    'batch_id INTEGER',
+    'source_row_number INTEGER',
+    CREATED_AT[dialect]
+  ];
+
+  return [
+    `CREATE TABLE ${schema.table} (${columns.join(', ')})${TABLE_OPTIONS[dialect]}`,
+    ...(schema.key ? [`CREATE UNIQUE INDEX idx_${schema.table}_${schema.key} ON ${schema.table} (${schema.key})`] : []),
+    `CREATE INDEX idx_${schema.table}_batch_id ON ${schema.table} (batch_id)`
+  ];
+}
+
+/**
+ * Check that the table of a schema, if it exists, has every column of the schema
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} schema - Table schema
+ * @returns {Promise<boolean>} - True when the table exists
+ */
+async function checkSchemaTable(db, schema) {
+  const ctx = createContext(db);
+  if (!(await ctx.hasTable(schema.table))) {
+    return false;
+  }
+
+  const missing = [];
+  for (const column of schemaColumnNames(schema)) {
+    if (!(await ctx.hasColumn(schema.table, column))) {
+      missing.push(column);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Table ${schema.table} does not match its schema: missing columns ${missing.join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * Create the table of a schema, or check that the existing one has its columns
+ *
+ * @param {Object} db - Database connection object
+ * @param {Object} schema - Table schema
+ * @returns {Promise<boolean>} - True when the table was created
+ */
+async function ensureSchemaTable(db, schema) {
+  if (await checkSchemaTable(db, schema)) {
+    return false;
+  }
+
+  const transactional = TRANSACTIONAL_DDL.includes(db.dialect);
+  if (transactional) {
+    await db.execute('BEGIN');
+  }
+  try {
+    for (const sql of buildCreateTableSql(db.dialect, schema)) {
+      await db.execute(sql);
+    }
+    if (transactional) {
+      await db.execute('COMMIT');
+    }
+  } catch (error) {
+    if (transactional) {
+      await db.execute('ROLLBACK');
+    }
+    throw new Error(`Failed to create table ${schema.table}: ${error.message}`);
+  }
+
+  logger.info(`Created table ${schema.table} from its schema`);
+  return true;
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  validateTableSchema,
+  loadTableSchema,
+  schemaHeaderMapping,
+  schemaColumnNames,
+  schemaKeyField,
+  hasSchemaKey,
+  toSchemaValues,
+  buildCreateTableSql,
+  checkSchemaTable,
+  ensureSchemaTable
+};
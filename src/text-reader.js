@@ -0,0 +1,313 @@
+/**
+ * Text Reader Module
+ *
+ * This module reads delimited text (CSV, TSV) and JSON-lines files row by
+ * row, from a file path or from a buffer read from stdin. The bytes are
+ * decoded incrementally, so memory use does not grow with the file size.
+ *
+ * Files starting with a byte order mark are decoded accordingly. Otherwise
+ * UTF-8 is assumed, falling back to Windows-1252 when the start of the file
+ * is not valid UTF-8; other encodings (such as Windows-1251) must be given
+ * explicitly. Only the first chunk (64 KB) is sampled: a file detected as
+ * UTF-8 that turns out to be invalid further on fails to read, since the
+ * rows before it have already been handed on.
+ */
+
+const fs = require('fs');
+const { TextDecoder } = require('util');
+const { logger } = require('./logger');
+
+/**
+ * Encoding used for files that are not valid UTF-8, unless one is given
+ */
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Delimiters considered when none is given, in order of preference on a tie
+ */
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Number of lines used to guess the delimiter
+ */
+const DELIMITER_SAMPLE_LINES = 20;
+
+/**
+ * Size of the chunks read from files
+ */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Read the bytes of a file path or buffer in chunks
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @returns {AsyncGenerator<Buffer>} - Chunks of bytes
+ */
+async function* readChunks(source) {
+  if (Buffer.isBuffer(source)) {
+    for (let offset = 0; offset < source.length; offset += CHUNK_SIZE) {
+      yield source.subarray(offset, offset + CHUNK_SIZE);
+    }
+    return;
+  }
+
+  yield* fs.createReadStream(source, { highWaterMark: CHUNK_SIZE });
+}
+
+/**
+ * Create a text decoder, reporting unknown encodings in the CLI's terms
+ *
+ * @param {string} encoding - WHATWG encoding label (utf-8, windows-1252, windows-1251, utf-16le, ...)
+ * @param {Object} options - TextDecoder options
+ * @returns {TextDecoder} - Decoder
+ */
+function createDecoder(encoding, options = {}) {
+  try {
+    return new TextDecoder(encoding, options);
+  } catch {
+    throw new Error(`Unknown encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Detect the encoding of a file from its first bytes
+ *
+ * @param {Buffer} sample - First bytes of the file
+ * @returns {string} - Encoding label
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) {
+    return 'utf-8';
+  }
+  if (sample[0] === 0xFF && sample[1] === 0xFE) {
+    return 'utf-16le';
+  }
+  if (sample[0] === 0xFE && sample[1] === 0xFF) {
+    return 'utf-16be';
+  }
+
+  try {
+    // Streaming mode tolerates a character cut at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch {
+    logger.warn(`Input is not valid UTF-8, reading it as ${FALLBACK_ENCODING} (use --encoding to override)`);
+    return FALLBACK_ENCODING;
+  }
+}
+
+/**
+ * Decode a file path or buffer into text chunks
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @param {Object} options - Decoding options
+ * @param {string} options.encoding - Encoding label (default: detected)
+ * @returns {AsyncGenerator<string>} - Text chunks, without the byte order mark
+ */
+async function* decodeText(source, options = {}) {
+  let decoder = options.encoding ? createDecoder(options.encoding) : null;
+  let offset = 0;
+
+  // Only a detected UTF-8 decoder is fatal: it throws on the first invalid sequence
+  const decode = (chunk, stream) => {
+    try {
+      return decoder.decode(chunk, { stream });
+    } catch {
+      throw new Error(`Input is not valid UTF-8 between bytes ${offset} and ${offset + chunk.length}, although its first ${CHUNK_SIZE / 1024} KB were. Give its encoding with --encoding (e.g. --encoding=${FALLBACK_ENCODING})`);
+    }
+  };
+
+  for await (const chunk of readChunks(source)) {
+    if (!decoder) {
+      const encoding = detectEncoding(chunk);
+      logger.info(`Reading text input as ${encoding} (detected from the first ${Math.min(chunk.length, CHUNK_SIZE)} bytes)`);
+      decoder = createDecoder(encoding, { fatal: encoding === 'utf-8' });
+    }
+    const text = decode(chunk, true);
+    offset += chunk.length;
+    yield text;
+  }
+
+  if (decoder) {
+    yield decode(Buffer.alloc(0), false);
+  }
+}
+
+/**
+ * Guess the delimiter of a delimited text from its first lines
+ *
+ * Several lines are sampled so that title lines without delimiters above
+ * the header do not hide it.
+ *
+ * @param {string} sample - Start of the text
+ * @param {string} quote - Quote character
+ * @returns {string} - The candidate delimiter occurring most often outside quotes (default: comma)
+ */
+function detectDelimiter(sample, quote = '"') {
+  const counts = new Map(CANDIDATE_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+  let lines = 0;
+
+  for (const char of sample) {
+    if (char === quote) {
+      quoted = !quoted;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    } else if (!quoted && char === '\n' && ++lines >= DELIMITER_SAMPLE_LINES) {
+      break;
+    }
+  }
+
+  return CANDIDATE_DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+}
+
+/**
+ * Read the records of a delimited text file (RFC 4180 quoting)
+ *
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * Each record is numbered like a spreadsheet row: the first record is row 1
+ * and blank lines are yielded as empty rows.
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @param {Object} options - Reading options
+ * @param {string} options.delimiter - Field delimiter (default: detected from the first lines)
+ * @param {string} options.quote - Quote character (default: ")
+ * @param {string} options.encoding - Encoding label (default: detected)
+ * @returns {AsyncGenerator<Object>} - Rows of the form { rowNumber, cells }
+ */
+async function* readDelimitedRows(source, options = {}) {
+  const quote = options.quote || '"';
+  let delimiter = options.delimiter;
+
+  if ([...quote].length !== 1) {
+    throw new Error(`Invalid quote character: ${quote}`);
+  }
+  if (delimiter !== undefined && ([...delimiter].length !== 1 || delimiter === quote)) {
+    throw new Error(`Invalid delimiter: ${delimiter}`);
+  }
+
+  let rowNumber = 0;
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  // A quote seen inside a quoted field: either the closing quote or the first of a doubled pair
+  let quotePending = false;
+  let lastWasCR = false;
+  let startRow = 1;
+
+  const endRecord = () => {
+    cells.push(field);
+    rowNumber++;
+    const row = { rowNumber, cells: cells.length === 1 && cells[0] === '' ? [] : cells };
+    cells = [];
+    field = '';
+    return row;
+  };
+
+  for await (const text of decodeText(source, options)) {
+    if (!delimiter && text) {
+      delimiter = detectDelimiter(text, quote);
+      logger.debug(`Detected delimiter ${JSON.stringify(delimiter)}`);
+    }
+
+    const rows = [];
+    for (const char of text) {
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (quoted) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === quote) {
+            field += quote;
+            continue;
+          }
+          quoted = false;
+        } else if (char === quote) {
+          quotePending = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === quote && field === '') {
+        quoted = true;
+        startRow = rowNumber + 1;
+      } else if (char === delimiter) {
+        cells.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        lastWasCR = char === '\r';
+        rows.push(endRecord());
+      } else {
+        field += char;
+      }
+    }
+
+    yield* rows;
+  }
+
+  if (quoted && !quotePending) {
+    throw new Error(`Unterminated quoted field starting on row ${startRow}`);
+  }
+  if (field !== '' || cells.length > 0 || quotePending) {
+    yield endRecord();
+  }
+}
+
+/**
+ * Read the records of a JSON-lines (NDJSON) file
+ *
+ * Every non-blank line must hold one JSON object. Records are numbered by
+ * their line number.
+ *
+ * @param {string|Buffer} source - Path to the file or its contents
+ * @param {Object} options - Reading options
+ * @param {string} options.encoding - Encoding label (default: detected)
+ * @returns {AsyncGenerator<Object>} - Records of the form { rowNumber, record }
+ */
+async function* readJsonLines(source, options = {}) {
+  let lineNumber = 0;
+  let pending = '';
+
+  const parseLine = (line) => {
+    lineNumber++;
+    if (line.trim() === '') {
+      return [];
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: expected an object`);
+    }
+    return [{ rowNumber: lineNumber, record }];
+  };
+
+  for await (const text of decodeText(source, options)) {
+    const lines = (pending + text).split('\n');
+    pending = lines.pop();
+    yield* lines.flatMap(parseLine);
+  }
+
+  yield* parseLine(pending);
+}
+
+module.exports = {
+  FALLBACK_ENCODING,
+  detectEncoding,
+  detectDelimiter,
+  decodeText,
+  readDelimitedRows,
+  readJsonLines
+};
@@ -0,0 +1,242 @@
+/**
+ * Validator Module
+ *
+ * This module checks normalized people against declarative validation rules
+ * loaded from a JSON or YAML file:
+ *
+ *   fields:
+ *     external_id:
+ *       required: true
+ *       pattern: "^[A-Z0-9]{8}$"
+ *     birth_date:
+ *       required: true
+ *       minDate: "1900-01-01"
+ *       maxDate: today
+ *     status:
+ *       allowed: [Actif, Inactif]
+ *       ignoreCase: true
+ *     last_name:
+ *       maxLength: 100
+ *
+ * Every failure is reported with a rule key of the form "<field>.<rule>".
+ * Records without enough identifying information always fail the built-in
+ * "identity" rule, with or without a configuration. Records imported into a
+ * schema table (--schema) only need a value for its key, if it has one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { normalizeDate } = require('./date-normalizer');
+const { hasSchemaKey } = require('./table-schema');
+
+/**
+ * Rules accepted for each field, and the options that modify them
+ */
+const FIELD_RULES = ['required', 'pattern', 'minDate', 'maxDate', 'allowed', 'maxLength'];
+const FIELD_OPTIONS = ['ignoreCase'];
+
+/**
+ * Rule key of the built-in identity check
+ */
+const IDENTITY_RULE = 'identity';
+
+/**
+ * Load a validation configuration from a JSON or YAML file
+ *
+ * @param {string} filePath - Path to the configuration file
+ * @returns {Object} - Parsed configuration
+ */
+function loadValidationConfig(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read validation config ${filePath}: ${error.message}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  try {
+    return extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse validation config ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve a date bound from the configuration ("today" or any date the normalizer reads)
+ *
+ * @param {string} field - Field name, for error messages
+ * @param {string} rule - Rule name, for error messages
+ * @param {*} value - Configured bound
+ * @returns {string} - ISO date
+ */
+function resolveDateBound(field, rule, value) {
+  if (value === 'today') {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  const { date } = normalizeDate(value instanceof Date ? value.toISOString().slice(0, 10) : value);
+  if (!date) {
+    throw new Error(`Invalid validation config: ${field}.${rule} must be a date or "today", got ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Compile the rules of one field into check functions
+ *
+ * @param {string} field - Field name
+ * @param {Object} rules - Rules configured for the field
+ * @returns {Array<Object>} - Checks { rule, test(value, person) → message or null }
+ */
+function compileFieldRules(field, rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Invalid validation config: rules for ${field} must be an object`);
+  }
+
+  Object.keys(rules).forEach((rule) => {
+    if (!FIELD_RULES.includes(rule) && !FIELD_OPTIONS.includes(rule)) {
+      throw new Error(`Invalid validation config: unknown rule ${field}.${rule}. Expected one of: ${FIELD_RULES.join(', ')}`);
+    }
+  });
+
+  const checks = [];
+
+  if (rules.required) {
+    checks.push({
+      rule: 'required',
+      test: value => (isEmpty(value) ? 'is required' : null)
+    });
+  }
+
+  if (rules.pattern !== undefined) {
+    let regex;
+    try {
+      regex = new RegExp(rules.pattern, 'u');
+    } catch (error) {
+      throw new Error(`Invalid validation config: ${field}.pattern is not a valid regular expression: ${error.message}`);
+    }
+    checks.push({
+      rule: 'pattern',
+      test: value => (!isEmpty(value) && !regex.test(String(value)) ? `does not match ${rules.pattern}` : null)
+    });
+  }
+
+  ['minDate', 'maxDate'].forEach((rule) => {
+    if (rules[rule] === undefined) {
+      return;
+    }
+    const bound = resolveDateBound(field, rule, rules[rule]);
+    checks.push({
+      rule,
+      test: (value, person) => {
+        // Dates the normalizer could not read are kept in <field>_raw
+        const raw = person[`${field}_raw`];
+        if (isEmpty(value)) {
+          return raw !== undefined ? `is not a valid date: ${raw}` : null;
+        }
+
+        const { date } = normalizeDate(value);
+        if (!date) {
+          return `is not a valid date: ${value}`;
+        }
+        if (rule === 'minDate' ? date < bound : date > bound) {
+          return `${date} is ${rule === 'minDate' ? 'before' : 'after'} ${bound}`;
+        }
+        return null;
+      }
+    });
+  });
+
+  if (rules.allowed !== undefined) {
+    if (!Array.isArray(rules.allowed)) {
+      throw new Error(`Invalid validation config: ${field}.allowed must be a list of values`);
+    }
+    const fold = value => (rules.ignoreCase ? String(value).toLowerCase() : String(value));
+    const allowed = new Set(rules.allowed.map(fold));
+    checks.push({
+      rule: 'allowed',
+      test: value => (!isEmpty(value) && !allowed.has(fold(String(value).trim())) ? `"${value}" is not one of: ${rules.allowed.join(', ')}` : null)
+    });
+  }
+
+  if (rules.maxLength !== undefined) {
+    if (!Number.isInteger(rules.maxLength) || rules.maxLength < 0) {
+      throw new Error(`Invalid validation config: ${field}.maxLength must be a non-negative integer`);
+    }
+    checks.push({
+      rule: 'maxLength',
+      test: value => (!isEmpty(value) && [...String(value)].length > rules.maxLength ? `is longer than ${rules.maxLength} characters` : null)
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Check whether a value counts as missing
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check that a record carries enough information to identify the person
+ * (the same condition the adapters use to skip records)
+ *
+ * @param {Object} person - Normalized person object
+ * @returns {boolean} - True if the person can be identified
+ */
+function hasIdentity(person) {
+  return Boolean(person.birth_date || person.external_id || (person.first_name && person.last_name));
+}
+
+/**
+ * Create a validation function from a configuration
+ *
+ * @param {Object} config - Validation configuration ({ fields: { <field>: { <rule>: ... } } }), optional
+ * @param {Object} options - Validator options
+ * @param {Object} options.schema - Table schema the records are imported into (see table-schema.js), whose key
+ *   replaces the people identity check, optional
+ * @returns {Function} - validate(person) → failures [{ rule, field, message }]
+ */
+function createValidator(config = {}, options = {}) {
+  const fields = (config && config.fields) || {};
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Invalid validation config: "fields" must map field names to rules');
+  }
+
+  const checks = Object.entries(fields).flatMap(([field, rules]) =>
+    compileFieldRules(field, rules).map(check => ({ ...check, field }))
+  );
+
+  return (person) => {
+    const failures = [];
+
+    if (options.schema && !hasSchemaKey(options.schema, person)) {
+      failures.push({ rule: IDENTITY_RULE, field: null, message: `missing the key ${options.schema.key}` });
+    } else if (!options.schema && !hasIdentity(person)) {
+      failures.push({ rule: IDENTITY_RULE, field: null, message: 'insufficient identifying information' });
+    }
+
+    checks.forEach(({ field, rule, test }) => {
+      const message = test(person[field], person);
+      if (message) {
+        failures.push({ rule: `${field}.${rule}`, field, message: `${field} ${message}` });
+      }
+    });
+
+    return failures;
+  };
+}
+
+module.exports = {
+  FIELD_RULES,
+  IDENTITY_RULE,
+  loadValidationConfig,
+  createValidator
+};
@@ -0,0 +1,610 @@
+/**
+ * XLSX Stream Reader Module
+ *
+ * This module reads the rows of an .xlsx workbook without loading the whole
+ * sheet into memory. The workbook is opened as a zip archive, the small parts
+ * (workbook, relationships, shared strings and styles) are read up front, and
+ * the sheet XML is then parsed with a SAX parser and emitted row by row
+ * through an async iterator.
+ */
+
+const yauzl = require('yauzl');
+const sax = require('sax');
+const { StringDecoder } = require('string_decoder');
+const { excelSerialToDate } = require('./date-normalizer');
+const { logger } = require('./logger');
+
+/**
+ * Built-in Excel number format IDs that represent dates or times
+ */
+const BUILTIN_DATE_FORMATS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22,
+  27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47,
+  50, 51, 52, 53, 54, 55, 56, 57, 58
+]);
+
+/**
+ * Open a zip archive from a file path or a buffer
+ *
+ * @param {string|Buffer} source - Path to the workbook or its contents
+ * @returns {Promise<Object>} - yauzl zip file opened with lazy entries
+ */
+function openZip(source) {
+  return new Promise((resolve, reject) => {
+    const callback = (err, zipFile) => (err ? reject(err) : resolve(zipFile));
+
+    if (Buffer.isBuffer(source)) {
+      yauzl.fromBuffer(source, { lazyEntries: true }, callback);
+    } else {
+      yauzl.open(source, { lazyEntries: true, autoClose: false }, callback);
+    }
+  });
+}
+
+/**
+ * Read the central directory of a zip archive
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @returns {Promise<Map>} - Map of entry file names to entries
+ */
+function readEntries(zipFile) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+
+    zipFile.on('entry', entry => {
+      entries.set(entry.fileName, entry);
+      zipFile.readEntry();
+    });
+    zipFile.on('end', () => resolve(entries));
+    zipFile.on('error', reject);
+
+    zipFile.readEntry();
+  });
+}
+
+/**
+ * List the file names of a zip archive
+ *
+ * @param {string|Buffer} source - Path to the archive or its contents
+ * @returns {Promise<Array<string>>} - Entry file names
+ */
+async function listZipEntries(source) {
+  const zipFile = await openZip(source);
+
+  try {
+    return [...(await readEntries(zipFile)).keys()];
+  } finally {
+    zipFile.close();
+  }
+}
+
+/**
+ * Open a read stream for a zip entry
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Object} entry - Zip entry
+ * @returns {Promise<Object>} - Readable stream of the uncompressed entry
+ */
+function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+  });
+}
+
+/**
+ * Feed a zip entry through a SAX parser
+ *
+ * The parser handlers are attached by the caller; this function only pumps
+ * the decompressed XML into it. It yields after every chunk, which lets
+ * callers hand off whatever the chunk produced.
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Object} entry - Zip entry
+ * @param {Object} parser - SAX parser
+ * @returns {AsyncGenerator<void>} - Yields once per parsed chunk
+ */
+async function* parseEntry(zipFile, entry, parser) {
+  const stream = await openEntryStream(zipFile, entry);
+  const decoder = new StringDecoder('utf8');
+
+  try {
+    for await (const chunk of stream) {
+      parser.write(decoder.write(chunk));
+      yield;
+    }
+
+    parser.write(decoder.end());
+    parser.close();
+    yield;
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Run an async iterator to its end, ignoring what it yields
+ *
+ * @param {AsyncIterator} iterator - Iterator to run
+ * @returns {Promise<void>}
+ */
+async function drain(iterator) {
+  for await (const item of iterator) {
+    void item;
+  }
+}
+
+/**
+ * Create a strict SAX parser that rethrows parse errors
+ *
+ * @returns {Object} - SAX parser
+ */
+function createParser() {
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  parser.onerror = (error) => {
+    throw new Error(`Invalid XML in workbook: ${error.message}`);
+  };
+  return parser;
+}
+
+/**
+ * Strip the namespace prefix from an XML element name
+ *
+ * @param {string} name - Element name, possibly prefixed (e.g. "x:row")
+ * @returns {string} - Local element name
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.substring(index + 1);
+}
+
+/**
+ * Read a small XML part completely and run handlers over it
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Object} entry - Zip entry
+ * @param {Function} setup - Function receiving the parser to attach handlers
+ * @returns {Promise<void>}
+ */
+async function readXmlPart(zipFile, entry, setup) {
+  const parser = createParser();
+  setup(parser);
+
+  // Small parts are consumed entirely
+  await drain(parseEntry(zipFile, entry, parser));
+}
+
+/**
+ * Resolve a relationship target against the folder of the part that owns it
+ *
+ * @param {string} target - Relationship target (e.g. "worksheets/sheet1.xml")
+ * @returns {string} - Zip entry name (e.g. "xl/worksheets/sheet1.xml")
+ */
+function resolveTarget(target) {
+  if (target.startsWith('/')) {
+    return target.substring(1);
+  }
+
+  const parts = ['xl'];
+  target.split('/').forEach(part => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.') {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+/**
+ * Read the list of sheets and workbook properties
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Map} entries - Zip entries
+ * @returns {Promise<Object>} - { sheets: [{ name, path }], date1904 }
+ */
+async function readWorkbookInfo(zipFile, entries) {
+  const workbookEntry = entries.get('xl/workbook.xml');
+  const relsEntry = entries.get('xl/_rels/workbook.xml.rels');
+
+  if (!workbookEntry || !relsEntry) {
+    throw new Error('File is not a valid XLSX workbook (missing xl/workbook.xml)');
+  }
+
+  const sheets = [];
+  let date1904 = false;
+
+  await readXmlPart(zipFile, workbookEntry, (parser) => {
+    parser.onopentag = (node) => {
+      const name = localName(node.name);
+      if (name === 'sheet') {
+        const relId = Object.keys(node.attributes)
+          .filter(key => localName(key) === 'id')
+          .map(key => node.attributes[key])[0];
+        sheets.push({ name: node.attributes.name, relId });
+      } else if (name === 'workbookPr') {
+        const value = node.attributes.date1904;
+        date1904 = value === '1' || value === 'true';
+      }
+    };
+  });
+
+  const targets = new Map();
+  await readXmlPart(zipFile, relsEntry, (parser) => {
+    parser.onopentag = (node) => {
+      if (localName(node.name) === 'Relationship') {
+        targets.set(node.attributes.Id, resolveTarget(node.attributes.Target));
+      }
+    };
+  });
+
+  return {
+    sheets: sheets.map(sheet => ({ name: sheet.name, path: targets.get(sheet.relId) })),
+    date1904
+  };
+}
+
+/**
+ * Read the shared strings table
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Map} entries - Zip entries
+ * @returns {Promise<Array<string>>} - Shared strings by index
+ */
+async function readSharedStrings(zipFile, entries) {
+  const entry = entries.get('xl/sharedStrings.xml');
+  const strings = [];
+
+  if (!entry) {
+    return strings;
+  }
+
+  await readXmlPart(zipFile, entry, (parser) => {
+    let current = null;
+    let inText = false;
+    let phoneticDepth = 0;
+
+    parser.onopentag = (node) => {
+      const name = localName(node.name);
+      if (name === 'si') {
+        current = '';
+      } else if (name === 'rPh') {
+        // Phonetic runs are reading hints, not part of the value
+        phoneticDepth++;
+      } else if (name === 't' && phoneticDepth === 0) {
+        inText = true;
+      }
+    };
+    parser.ontext = (text) => {
+      if (inText && current !== null) {
+        current += text;
+      }
+    };
+    parser.oncdata = parser.ontext;
+    parser.onclosetag = (tagName) => {
+      const name = localName(tagName);
+      if (name === 't') {
+        inText = false;
+      } else if (name === 'rPh') {
+        phoneticDepth--;
+      } else if (name === 'si') {
+        strings.push(current);
+        current = null;
+      }
+    };
+  });
+
+  return strings;
+}
+
+/**
+ * Check whether a custom number format code displays a date or time
+ *
+ * @param {string} formatCode - Excel number format code
+ * @returns {boolean} - True if the format is a date format
+ */
+function isDateFormatCode(formatCode) {
+  const cleaned = formatCode
+    .replace(/"[^"]*"/g, '')      // Quoted literals
+    .replace(/\\./g, '')          // Escaped characters
+    .replace(/\[[^\]]*\]/g, '')   // Colors, conditions and locales
+    .replace(/General/gi, '');
+
+  return /[dmyhs]/i.test(cleaned);
+}
+
+/**
+ * Read the cell styles and work out which style indices format dates
+ *
+ * @param {Object} zipFile - yauzl zip file
+ * @param {Map} entries - Zip entries
+ * @returns {Promise<Set<number>>} - Indices of cell styles with a date format
+ */
+async function readDateStyles(zipFile, entries) {
+  const entry = entries.get('xl/styles.xml');
+  const dateStyles = new Set();
+
+  if (!entry) {
+    return dateStyles;
+  }
+
+  const customDateFormats = new Set();
+  const styleFormats = [];
+
+  await readXmlPart(zipFile, entry, (parser) => {
+    let inCellXfs = false;
+
+    parser.onopentag = (node) => {
+      const name = localName(node.name);
+      if (name === 'numFmt' && isDateFormatCode(node.attributes.formatCode || '')) {
+        customDateFormats.add(parseInt(node.attributes.numFmtId, 10));
+      } else if (name === 'cellXfs') {
+        inCellXfs = true;
+      } else if (name === 'xf' && inCellXfs) {
+        styleFormats.push(parseInt(node.attributes.numFmtId || '0', 10));
+      }
+    };
+    parser.onclosetag = (tagName) => {
+      if (localName(tagName) === 'cellXfs') {
+        inCellXfs = false;
+      }
+    };
+  });
+
+  styleFormats.forEach((formatId, index) => {
+    if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+      dateStyles.add(index);
+    }
+  });
+
+  return dateStyles;
+}
+
+/**
+ * Convert a cell reference column (e.g. "AB12") to a zero-based column index
+ *
+ * @param {string} ref - Cell reference
+ * @returns {number} - Column index
+ */
+function columnIndex(ref) {
+  let index = 0;
+  for (let i = 0; i < ref.length; i++) {
+    const code = ref.charCodeAt(i);
+    if (code < 65 || code > 90) {
+      break;
+    }
+    index = index * 26 + (code - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Open a workbook and read the parts needed to stream its sheets
+ *
+ * @param {string|Buffer} source - Path to the workbook or its contents
+ * @returns {Promise<Object>} - Workbook context
+ */
+async function openWorkbook(source) {
+  const zipFile = await openZip(source);
+
+  try {
+    const entries = await readEntries(zipFile);
+    const info = await readWorkbookInfo(zipFile, entries);
+    const sharedStrings = await readSharedStrings(zipFile, entries);
+    const dateStyles = await readDateStyles(zipFile, entries);
+
+    return { zipFile, entries, sharedStrings, dateStyles, ...info };
+  } catch (error) {
+    zipFile.close();
+    throw error;
+  }
+}
+
+/**
+ * Pick a sheet from the workbook by name or zero-based index
+ *
+ * @param {Array<Object>} sheets - Sheets of the workbook
+ * @param {string|number} selector - Sheet name or index (defaults to the first sheet)
+ * @returns {Object} - Selected sheet
+ */
+function selectSheet(sheets, selector) {
+  if (sheets.length === 0) {
+    throw new Error('Workbook does not contain any sheets');
+  }
+
+  if (selector === undefined || selector === null) {
+    return sheets[0];
+  }
+
+  const sheet = typeof selector === 'number'
+    ? sheets[selector]
+    : sheets.find(candidate => candidate.name === selector);
+
+  if (!sheet) {
+    throw new Error(`Sheet not found in workbook: ${selector}`);
+  }
+
+  return sheet;
+}
+
+/**
+ * List the sheet names of an .xlsx workbook
+ *
+ * @param {string|Buffer} source - Path to the workbook or its contents
+ * @returns {Promise<Array<string>>} - Sheet names in workbook order
+ */
+async function listSheets(source) {
+  const workbook = await openWorkbook(source);
+  workbook.zipFile.close();
+  return workbook.sheets.map(sheet => sheet.name);
+}
+
+/**
+ * Stream the rows of a sheet
+ *
+ * Rows are yielded as `{ rowNumber, cells }`, where `rowNumber` is the
+ * one-based row number in the sheet and `cells` is an array indexed by
+ * column. Shared strings are resolved, booleans and numbers are typed, and
+ * numeric cells with a date format are converted to JS Dates. Rows without
+ * any cells are not emitted.
+ *
+ * @param {string|Buffer} source - Path to the workbook or its contents
+ * @param {Object} options - Reading options
+ * @param {string|number} options.sheet - Sheet name or zero-based index (defaults to the first sheet)
+ * @returns {AsyncGenerator<Object>} - Rows of the sheet
+ */
+async function* readRows(source, options = {}) {
+  const workbook = await openWorkbook(source);
+  const { zipFile, entries, sharedStrings, dateStyles, date1904 } = workbook;
+
+  try {
+    const sheet = selectSheet(workbook.sheets, options.sheet);
+    const entry = entries.get(sheet.path);
+
+    if (!entry) {
+      throw new Error(`Sheet data not found in workbook: ${sheet.name}`);
+    }
+
+    logger.debug(`Streaming rows from sheet: ${sheet.name}`);
+
+    const pending = [];
+    const parser = createParser();
+
+    let row = null;
+    let rowNumber = 0;
+    let cell = null;
+    let text = null;
+    let inInlineString = false;
+
+    parser.onopentag = (node) => {
+      switch (localName(node.name)) {
+        case 'row':
+          rowNumber = node.attributes.r ? parseInt(node.attributes.r, 10) : rowNumber + 1;
+          row = [];
+          break;
+        case 'c':
+          cell = {
+            column: node.attributes.r ? columnIndex(node.attributes.r) : row.length,
+            type: node.attributes.t || 'n',
+            style: node.attributes.s ? parseInt(node.attributes.s, 10) : 0,
+            value: null
+          };
+          break;
+        case 'v':
+          text = '';
+          break;
+        case 'is':
+          inInlineString = true;
+          cell.value = '';
+          break;
+        case 't':
+          if (inInlineString) {
+            text = '';
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    parser.ontext = (value) => {
+      if (text !== null) {
+        text += value;
+      }
+    };
+    parser.oncdata = parser.ontext;
+
+    parser.onclosetag = (tagName) => {
+      switch (localName(tagName)) {
+        case 'v':
+          if (cell) {
+            cell.value = text;
+          }
+          text = null;
+          break;
+        case 't':
+          if (inInlineString && text !== null) {
+            cell.value += text;
+            text = null;
+          }
+          break;
+        case 'is':
+          inInlineString = false;
+          break;
+        case 'c':
+          if (cell && cell.value !== null) {
+            const value = convertCell(cell, sharedStrings, dateStyles, date1904);
+            if (value !== undefined) {
+              row[cell.column] = value;
+            }
+          }
+          cell = null;
+          break;
+        case 'row':
+          if (row.length > 0) {
+            pending.push({ rowNumber, cells: row });
+          }
+          row = null;
+          break;
+        default:
+          break;
+      }
+    };
+
+    // Hand off the rows of each chunk before parsing the next one
+    const chunks = parseEntry(zipFile, entry, parser);
+    try {
+      while (!(await chunks.next()).done) {
+        while (pending.length > 0) {
+          yield pending.shift();
+        }
+      }
+    } finally {
+      await chunks.return();
+    }
+  } finally {
+    zipFile.close();
+  }
+}
+
+/**
+ * Convert the raw XML value of a cell to a JS value
+ *
+ * @param {Object} cell - Parsed cell ({ type, style, value })
+ * @param {Array<string>} sharedStrings - Shared strings table
+ * @param {Set<number>} dateStyles - Style indices that format dates
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {*} - Cell value
+ */
+function convertCell(cell, sharedStrings, dateStyles, date1904) {
+  switch (cell.type) {
+    case 's':
+      return sharedStrings[parseInt(cell.value, 10)];
+    case 'str':
+    case 'inlineStr':
+    case 'e':
+      return cell.value;
+    case 'b':
+      return cell.value === '1' || cell.value === 'true';
+    case 'd':
+      return new Date(cell.value);
+    default: {
+      if (cell.value === '') {
+        return undefined;
+      }
+
+      const number = Number(cell.value);
+      if (dateStyles.has(cell.style)) {
+        return excelSerialToDate(number, date1904);
+      }
+      return number;
+    }
+  }
+}
+
+module.exports = {
+  readRows,
+  listSheets,
+  listZipEntries,
+  isDateFormatCode // Export for testing
+};
@@ -8,6 +8,7 @@
 const path = require('path');
 const fs = require('fs');
 const { getConnection, closeConnection, saveToDatabase, closeAllConnections } = require('../src/database');
+const { prepareRecords, toBatches, splitOnDuplicateKeys, toTextFormatLine, buildBeforeImageSql, buildCheckpointSql, checkpointParams } = require('../src/adapters/adapter-utils');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '..', 'data');
@@ -80,6 +81,135 @@ describe('SQLite Adapter', () => {
     ]);
     expect(result.inserted).toBe(0);
   });
+  
+  test('should insert rows in multi-row batches', async () => {
+    const people = Array.from({ length: 25 }, (_, i) => ({ external_id: `BATCH${i}`, last_name: 'Batch', first_name: `P${i}` }));
+    
+    const result = await saveToDatabase(db, people, { batchSize: 10 });
+    
+    expect(result).toEqual({ inserted: 25, updated: 0, unchanged: 0, errors: 0, skipped: 0 });
+  });
+  
+  test('should count errors per row when a batch fails', async () => {
+    await new Promise((resolve, reject) => {
+      db.connection.run(`
+        CREATE TRIGGER reject_bad_rows BEFORE INSERT ON people
+        WHEN NEW.external_id = 'BAD'
+        BEGIN SELECT RAISE(ABORT, 'rejected by test trigger'); END
+      `, err => (err ? reject(err) : resolve()));
+    });
+    
+    const result = await saveToDatabase(db, [
+      { external_id: 'GOOD1', last_name: 'A', first_name: 'B' },
+      { external_id: 'BAD', last_name: 'C', first_name: 'D' },
+      { external_id: 'GOOD2', last_name: 'E', first_name: 'F' },
+      { status: 'Actif' }
+    ], { batchSize: 10 });
+    
+    expect(result).toEqual({ inserted: 2, updated: 0, unchanged: 0, errors: 1, skipped: 1 });
+  });
+  
+  test('should update existing external IDs in upsert mode', async () => {
+    const people = [
+      { external_id: 'UP1', last_name: 'Martin', first_name: 'Paul', status: 'Actif' },
+      { external_id: 'UP2', last_name: 'Bernard', first_name: 'Anne', status: 'Actif' }
+    ];
+    await saveToDatabase(db, people, { mode: 'upsert' });
+    
+    const result = await saveToDatabase(db, [
+      people[0],
+      { ...people[1], status: 'Inactif' },
+      { external_id: 'UP3', last_name: 'Petit', first_name: 'Luc' }
+    ], { mode: 'upsert', batchSize: 10 });
+    
+    expect(result).toEqual({ inserted: 1, updated: 1, unchanged: 1, errors: 0, skipped: 0 });
+    
+    const rows = await new Promise((resolve, reject) => {
+      db.connection.all("SELECT external_id, status FROM people WHERE external_id LIKE 'UP%' ORDER BY external_id", (err, result) => (err ? reject(err) : resolve(result)));
+    });
+    expect(rows).toEqual([
+      { external_id: 'UP1', status: 'Actif' },
+      { external_id: 'UP2', status: 'Inactif' },
+      { external_id: 'UP3', status: '' }
+    ]);
+  });
+  
+  test('should apply the last row when an external ID repeats within a batch', async () => {
+    const result = await saveToDatabase(db, [
+      { external_id: 'REP1', last_name: 'Roux', first_name: 'Marc', status: 'Actif' },
+      { external_id: 'REP1', last_name: 'Roux', first_name: 'Marc', status: 'Inactif' }
+    ], { mode: 'upsert' });
+    
+    expect(result).toMatchObject({ inserted: 1, updated: 1, errors: 0 });
+  });
+  
+  test('should reject duplicate external IDs in append mode', async () => {
+    const result = await saveToDatabase(db, [{ external_id: 'UP1', last_name: 'Martin', first_name: 'Paul' }]);
+    
+    expect(result).toMatchObject({ inserted: 0, errors: 1 });
+  });
+  
+  test('should allow several rows without an external ID', async () => {
+    const result = await saveToDatabase(db, [
+      { last_name: 'Sans', first_name: 'Id' },
+      { last_name: 'Sans', first_name: 'Id' }
+    ], { mode: 'upsert' });
+    
+    expect(result).toMatchObject({ inserted: 2, errors: 0 });
+  });
+  
+  test('should delete every person before a replace import', async () => {
+    await db.clearPeople();
+    
+    const count = await new Promise((resolve, reject) => {
+      db.connection.get('SELECT COUNT(*) AS count FROM people', (err, row) => (err ? reject(err) : resolve(row.count)));
+    });
+    expect(count).toBe(0);
+  });
+});
+
+describe('Adapter Utilities', () => {
+  test('should prepare column values and keep extra fields as JSON', () => {
+    const { records, skipped } = prepareRecords([
+      { external_id: 'X1', first_name: 'Jean', last_name: 'Dupont', city: 'Paris' },
+      { status: 'Actif' }
+    ], { batchId: 7, rowNumbers: [4, 5] });
+    
+    expect(skipped).toBe(1);
+    expect(records[0].values).toEqual(['X1', 'Jean', 'Dupont', null, '', '{"city":"Paris"}', 7, 4]);
+  });
+  
+  test('should split items into batches', () => {
+    expect(toBatches([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  });
+  
+  test('should keep repeated external IDs out of the same upsert group', () => {
+    const records = ['A', 'B', 'A', null, null, 'A'].map(id => ({ values: [id] }));
+    
+    const groups = splitOnDuplicateKeys(records).map(group => group.map(record => record.values[0]));
+    
+    expect(groups).toEqual([['A', 'B', null, null], ['A'], ['A']]);
+  });
+  
+  test('should keep only the first before-image of a person per batch', () => {
+    expect(buildBeforeImageSql('sqlite', 2)).toMatch(/^INSERT OR IGNORE INTO import_before_images[\s\S]*SELECT \?, id,[\s\S]*WHERE external_id IN \(\?, \?\)$/);
+    expect(buildBeforeImageSql('mysql', 1)).toMatch(/^INSERT IGNORE INTO/);
+    expect(buildBeforeImageSql('postgres', 2)).toMatch(/SELECT \$1::integer, id,[\s\S]*WHERE external_id IN \(\$2, \$3\) ON CONFLICT DO NOTHING$/);
+  });
+  
+  test('should record one checkpoint per batch and sheet', () => {
+    expect(buildCheckpointSql('sqlite')).toMatch(/VALUES \(\?, \?, \?, \?\)\s+ON CONFLICT \(batch_id, sheet\) DO UPDATE/);
+    expect(buildCheckpointSql('mysql')).toMatch(/ON DUPLICATE KEY UPDATE last_row_number = VALUES\(last_row_number\)/);
+    expect(buildCheckpointSql('postgres')).toMatch(/VALUES \(\$1, \$2, \$3, \$4\)/);
+    
+    expect(checkpointParams({ batchId: 3, sourceSha256: 'abc', checkpoint: { lastRow: 12 } })).toEqual([3, '', 'abc', 12]);
+    expect(checkpointParams({ batchId: 3, checkpoint: { sheet: 'Agents', lastRow: 12 } })).toEqual([3, 'Agents', null, 12]);
+    expect(checkpointParams({ checkpoint: { sheet: 'Agents', lastRow: 12 } })).toBeNull();
+  });
+  
+  test('should escape values for COPY and LOAD DATA', () => {
+    expect(toTextFormatLine(['a\tb', 'line\nbreak', 'back\\slash', null])).toBe('a\\tb\tline\\nbreak\tback\\\\slash\t\\N\n');
+  });
 });
 
 // Test MySQL adapter if environment variables are set
@@ -0,0 +1,106 @@
+/**
+ * Tests for the Date Normalizer module
+ */
+
+const { normalizeDate, normalizePersonDate, parseDateFormat, formatDate, excelSerialToDate } = require('../src/date-normalizer');
+
+describe('Date Normalizer', () => {
+  test('should parse ISO dates with or without a time', () => {
+    expect(normalizeDate('1984-09-21')).toEqual({ date: '1984-09-21' });
+    expect(normalizeDate('1984-9-1')).toEqual({ date: '1984-09-01' });
+    expect(normalizeDate('1984-09-21T00:00:00.000Z')).toEqual({ date: '1984-09-21' });
+    expect(normalizeDate('19840921')).toEqual({ date: '1984-09-21' });
+  });
+
+  test('should read French and Russian day-first dates', () => {
+    expect(normalizeDate('22/01/1978')).toEqual({ date: '1978-01-22' });
+    expect(normalizeDate('18.05.1979')).toEqual({ date: '1979-05-18' });
+    expect(normalizeDate('13-06-1987')).toEqual({ date: '1987-06-13' });
+  });
+
+  test('should read values that only make sense month first', () => {
+    expect(normalizeDate('03/13/1971')).toEqual({ date: '1971-03-13' });
+    expect(normalizeDate('03/13/1971', { dateFormat: 'dd/mm/yyyy' })).toEqual({ date: '1971-03-13' });
+  });
+
+  test('should use the date format hint for ambiguous values', () => {
+    expect(normalizeDate('04/09/1972')).toEqual({ date: '1972-09-04' });
+    expect(normalizeDate('04/09/1972', { dateFormat: 'mm/dd/yyyy' })).toEqual({ date: '1972-04-09' });
+    expect(normalizeDate('72/04/09', { dateFormat: 'yy/mm/dd' })).toEqual({ date: '1972-04-09' });
+  });
+
+  test('should expand two-digit years to the closest past century', () => {
+    const currentTwoDigits = new Date().getFullYear() % 100;
+    const nextYear = String((currentTwoDigits + 1) % 100).padStart(2, '0');
+
+    expect(normalizeDate('04/09/72')).toEqual({ date: '1972-09-04' });
+    expect(normalizeDate(`01/01/${nextYear}`).date.startsWith('19')).toBe(true);
+  });
+
+  test('should convert Excel serials given as numbers or text', () => {
+    expect(normalizeDate(29284)).toEqual({ date: '1980-03-04' });
+    expect(normalizeDate('29284')).toEqual({ date: '1980-03-04' });
+    expect(normalizeDate(29284.75)).toEqual({ date: '1980-03-04' });
+    expect(normalizeDate(-5).error).toMatch('Excel serial out of range');
+  });
+
+  test('should convert Excel serials to dates in both date systems', () => {
+    const date = excelSerialToDate(29284);
+    expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([1980, 2, 4]);
+
+    const date1904 = excelSerialToDate(27822, true);
+    expect([date1904.getFullYear(), date1904.getMonth(), date1904.getDate()]).toEqual([1980, 2, 4]);
+
+    // Serials before Excel's nonexistent 1900-02-29 count from 1899-12-31
+    expect(normalizeDate(1)).toEqual({ date: '1900-01-01' });
+    expect(normalizeDate(61)).toEqual({ date: '1900-03-01' });
+  });
+
+  test('should refuse a year given alone as text rather than read it as a serial', () => {
+    expect(normalizeDate('1980')).toEqual({ error: 'Partial date (year only): 1980' });
+    expect(normalizeDate('2100').error).toMatch('Partial date');
+    expect(normalizeDate('1799')).toEqual({ date: '1904-12-03' });
+    expect(normalizePersonDate({ birth_date: ' 1980 ' })).toEqual({
+      person: { birth_date: null, birth_date_raw: ' 1980 ' },
+      error: 'Partial date (year only): 1980'
+    });
+  });
+
+  test('should use the local calendar day of Date objects', () => {
+    expect(normalizeDate(new Date(1980, 2, 4))).toEqual({ date: '1980-03-04' });
+    expect(formatDate(new Date(1980, 2, 3, 23, 59, 17))).toBe('1980-03-04');
+  });
+
+  test('should read dates already turned into text by Date#toString', () => {
+    expect(normalizeDate('Tue Mar 04 1980 00:00:00 GMT+0100 (Central European Standard Time)')).toEqual({ date: '1980-03-04' });
+  });
+
+  test('should treat empty values as missing dates', () => {
+    expect(normalizeDate('')).toEqual({ date: null });
+    expect(normalizeDate('   ')).toEqual({ date: null });
+    expect(normalizeDate(undefined)).toEqual({ date: null });
+  });
+
+  test('should report values that are not dates', () => {
+    expect(normalizeDate('31/02/1980')).toEqual({ error: 'Unrecognized date: 31/02/1980' });
+    expect(normalizeDate('unknown')).toEqual({ error: 'Unrecognized date: unknown' });
+  });
+
+  test('should reject invalid date format hints', () => {
+    expect(parseDateFormat('dd.mm.yyyy')).toBe('dmy');
+    expect(parseDateFormat('MM/DD/YYYY')).toBe('mdy');
+    expect(() => parseDateFormat('dd/yyyy/mm')).toThrow('Invalid date format');
+  });
+
+  test('should keep unparseable birth dates as birth_date_raw', () => {
+    expect(normalizePersonDate({ external_id: 'A', birth_date: '21/09/1984' })).toEqual({
+      person: { external_id: 'A', birth_date: '1984-09-21' },
+      error: null
+    });
+    expect(normalizePersonDate({ external_id: 'B', birth_date: 'n/a' })).toEqual({
+      person: { external_id: 'B', birth_date: null, birth_date_raw: 'n/a' },
+      error: 'Unrecognized date: n/a'
+    });
+    expect(normalizePersonDate({ external_id: 'C' })).toEqual({ person: { external_id: 'C' }, error: null });
+  });
+});
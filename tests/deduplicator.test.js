@@ -0,0 +1,189 @@
+/**
+ * Tests for the Deduplicator module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { parseMatchKeys, soundex, mergePeople, createDeduplicator } = require('../src/deduplicator');
+const { processExcelFile } = require('../src/index');
+const { rollbackImportBatch } = require('../src/import-batches');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Deduplicator', () => {
+  const elAmrani = { last_name: 'EL AMRANI', first_name: 'Mohamed', birth_date: '1980-04-12' };
+
+  test('should parse match keys', () => {
+    expect(parseMatchKeys()).toEqual([['external_id'], ['name', 'birth_date']]);
+    expect(parseMatchKeys(['last_name + birth_date'])).toEqual([['last_name', 'birth_date']]);
+    expect(() => parseMatchKeys(['name+email'])).toThrow('Invalid match key field: email');
+  });
+
+  test('should compute Soundex codes', () => {
+    expect(soundex('mohamed')).toBe('M530');
+    expect(soundex('mohammed')).toBe('M530');
+    expect(soundex('ashcraft')).toBe('A261');
+    expect(soundex('tymczak')).toBe('T522');
+    expect(soundex('42')).toBe('42');
+  });
+
+  test('should match names regardless of case, accents, punctuation and word order', () => {
+    const dedup = createDeduplicator();
+
+    expect(dedup.check({ rowNumber: 2 }, elAmrani)).toBeNull();
+    expect(dedup.check({ rowNumber: 3 }, { last_name: 'El-Amrani', first_name: 'Mohamed', birth_date: '1980-04-12' }))
+      .toMatchObject({ key: 'name+birth_date', kept: { rowNumber: 2 } });
+    expect(dedup.check({ rowNumber: 4 }, { last_name: 'Mohamed', first_name: 'El Amrani', birth_date: '1980-04-12' }))
+      .toMatchObject({ key: 'name+birth_date', kept: { rowNumber: 2 } });
+
+    // Spelling variants and other birth dates are different people
+    expect(dedup.check({ rowNumber: 5 }, { ...elAmrani, first_name: 'Mohammed' })).toBeNull();
+    expect(dedup.check({ rowNumber: 6 }, { ...elAmrani, birth_date: '1981-04-12' })).toBeNull();
+  });
+
+  test('should match names by sound or by edit distance', () => {
+    const phonetic = createDeduplicator({ match: 'phonetic' });
+    phonetic.check({ rowNumber: 2 }, elAmrani);
+    expect(phonetic.check({ rowNumber: 3 }, { last_name: 'El-Amrani', first_name: 'Mohammed', birth_date: '1980-04-12' }))
+      .toMatchObject({ kept: { rowNumber: 2 } });
+
+    const fuzzy = createDeduplicator({ match: 'edit-distance', maxDistance: 1 });
+    fuzzy.check({ rowNumber: 2 }, elAmrani);
+    expect(fuzzy.check({ rowNumber: 3 }, { last_name: 'El-Amrani', first_name: 'Mohammed', birth_date: '1980-04-12' }))
+      .toMatchObject({ kept: { rowNumber: 2 } });
+    expect(fuzzy.check({ rowNumber: 4 }, { last_name: 'El-Amrani', first_name: 'Mohammad', birth_date: '1980-04-12' }))
+      .toBeNull();
+    expect(fuzzy.check({ rowNumber: 5 }, { ...elAmrani, birth_date: '1980-04-13' })).toBeNull();
+
+    expect(() => createDeduplicator({ match: 'edit-distance', keys: ['name'] })).toThrow('use a key such as name+birth_date');
+    expect(() => createDeduplicator({ policy: 'drop' })).toThrow('Invalid duplicate policy: drop');
+  });
+
+  test('should match on external IDs, except for upserts of existing people', async () => {
+    const db = {
+      dialect: 'sqlite',
+      query: jest.fn().mockResolvedValue([{ id: 7, external_id: 'A1', first_name: 'Hélène', last_name: 'Girard', birth_date: null }])
+    };
+
+    const append = createDeduplicator();
+    await append.loadExisting(db);
+    expect(append.check({ rowNumber: 2 }, { external_id: 'A1' })).toEqual({ key: 'external_id', kept: expect.objectContaining({ id: 7 }) });
+
+    const upsert = createDeduplicator({ mode: 'upsert' });
+    await upsert.loadExisting(db);
+    expect(upsert.check({ rowNumber: 2 }, { external_id: 'A1', last_name: 'Girard', first_name: 'Hélène' })).toBeNull();
+    expect(upsert.check({ rowNumber: 3 }, { external_id: 'A1' })).toMatchObject({ kept: { rowNumber: 2 } });
+  });
+
+  test('should fill the empty fields of the person kept', () => {
+    const kept = { external_id: 'A1', first_name: '', birth_date_raw: '31/02/1980', city: 'Rabat' };
+    mergePeople(kept, { external_id: 'B2', first_name: 'Hélène', birth_date: '1980-02-13', phone: '0600' });
+
+    expect(kept).toEqual({ external_id: 'A1', first_name: 'Hélène', birth_date: '1980-02-13', city: 'Rabat', phone: '0600' });
+  });
+});
+
+describe('Duplicate Detection on Import', () => {
+  const dataDir = path.join(__dirname, 'data');
+  const dbPath = path.join(dataDir, 'test-deduplicator.db');
+  const sourcePath = path.join(dataDir, 'test-deduplicator.xlsx');
+  const rejectsPath = path.join(dataDir, 'test-deduplicator.rejects.csv');
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'deduplicator-test', rejectsFile: rejectsPath };
+  let db;
+
+  /**
+   * Remove the test database, workbook and rejects file
+   */
+  function cleanUp() {
+    [dbPath, sourcePath, rejectsPath].forEach((filePath) => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  /**
+   * Write a workbook of people and import it
+   */
+  async function importRows(rows, importOptions = {}) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Matricule', 'Nom', 'Prénom', 'Date de naissance', 'Statut'], ...rows]), 'Agents');
+    XLSX.writeFile(workbook, sourcePath);
+    return processExcelFile(sourcePath, { ...options, ...importOptions });
+  }
+
+  /**
+   * Read the people table
+   */
+  async function readPeople() {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query('SELECT id, external_id, last_name, first_name, birth_date, status, batch_id FROM people ORDER BY id');
+  }
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    await importRows([['A1', 'EL AMRANI', 'Mohamed', '12/04/1980', '']]);
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should keep the first of the duplicates in the file and in the database', async () => {
+    const result = await importRows([
+      ['', 'El-Amrani', 'Mohamed', '12/04/1980', 'Actif'],
+      ['B2', 'Girard', 'Hélène', '03/05/1975', ''],
+      ['B2', 'Girard', 'Helene', '', 'Actif']
+    ], { dedup: 'keep-first' });
+
+    expect(result).toMatchObject({ inserted: 1, duplicates: 2 });
+    expect(result.duplicateRows).toEqual([
+      { row: 2, sheet: 'Agents', key: 'name+birth_date', duplicateOf: { id: 1 } },
+      { row: 4, sheet: 'Agents', key: 'external_id', duplicateOf: { row: 3, sheet: 'Agents' } }
+    ]);
+    expect((await readPeople()).map(person => person.external_id)).toEqual(['A1', 'B2']);
+  });
+
+  test('should merge duplicates into the person kept, in memory or in the database', async () => {
+    // One row per chunk: the second Girard row is merged into a row already written
+    const result = await importRows([
+      ['', 'El-Amrani', 'Mohamed', '12/04/1980', 'Actif'],
+      ['', 'Girard', 'Hélène', '03/05/1975', ''],
+      ['B2', 'GIRARD', 'Hélène', '03/05/1975', 'Inactif']
+    ], { dedup: 'merge', chunkSize: 1 });
+
+    expect(result).toMatchObject({ batchId: 2, inserted: 1, duplicates: 2 });
+    expect(await readPeople()).toEqual([
+      { id: 1, external_id: 'A1', last_name: 'EL AMRANI', first_name: 'Mohamed', birth_date: '1980-04-12', status: 'Actif', batch_id: 2 },
+      { id: 2, external_id: 'B2', last_name: 'Girard', first_name: 'Hélène', birth_date: '1975-05-03', status: 'Inactif', batch_id: 2 }
+    ]);
+
+    // The person of the database that the batch filled in is restored by a rollback
+    await rollbackImportBatch(db, 2);
+    expect(await readPeople()).toEqual([
+      { id: 1, external_id: 'A1', last_name: 'EL AMRANI', first_name: 'Mohamed', birth_date: '1980-04-12', status: '', batch_id: 1 }
+    ]);
+  });
+
+  test('should send duplicates to the rejects file', async () => {
+    const result = await importRows([
+      ['A1', 'Elamrani', 'Mohamed', '12/04/1980', ''],
+      ['B2', 'Girard', 'Hélène', '03/05/1975', '']
+    ], { dedup: 'reject' });
+
+    expect(result).toMatchObject({ inserted: 1, rejected: 1, duplicates: 1, ruleFailures: { duplicate: 1 }, rejectsFile: rejectsPath });
+    expect(fs.readFileSync(rejectsPath, 'utf8')).toContain('duplicate of person 1 (external_id)');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the Dry Run module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { findPendingMigrations } = require('../src/migrator');
+const { createPlanningConnection } = require('../src/dry-run');
+const { processExcelFile } = require('../src/index');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Dry Runs', () => {
+  const dataDir = path.join(__dirname, 'data');
+  const dbPath = path.join(dataDir, 'test-dry-run.db');
+  const sourcePath = path.join(dataDir, 'test-dry-run.xlsx');
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'dry-run-test' };
+  let db;
+
+  /**
+   * Remove the test database and workbook
+   */
+  function cleanUp() {
+    [dbPath, sourcePath].forEach((filePath) => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  /**
+   * Write a workbook of people
+   */
+  function writeWorkbook(rows) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Matricule', 'Nom', 'Prénom', 'Statut'], ...rows]), 'Agents');
+    XLSX.writeFile(workbook, sourcePath);
+  }
+
+  /**
+   * SHA-256 of the test database file
+   */
+  function hashDatabase() {
+    return crypto.createHash('sha256').update(fs.readFileSync(dbPath)).digest('hex');
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should run a SQLite import against an in-memory copy and leave the file as it was', async () => {
+    writeWorkbook([['A1', 'Girard', 'Hélène', 'Actif'], ['A2', 'Thomas', 'Rachel', 'Actif']]);
+    await processExcelFile(sourcePath, options);
+    const before = hashDatabase();
+
+    writeWorkbook([['A1', 'Girard', 'Hélène', 'Inactif'], ['A2', 'Thomas', 'Rachel', 'Actif'], ['A3', 'Martin', 'Paul', 'Actif']]);
+    const result = await processExcelFile(sourcePath, { ...options, mode: 'upsert', dryRun: true });
+
+    expect(result).toMatchObject({ batchId: null, dryRun: true, inserted: 1, updated: 1, unchanged: 1, errors: 0 });
+    expect(hashDatabase()).toBe(before);
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await db.query('SELECT external_id, status FROM people ORDER BY id')).toEqual([
+      { external_id: 'A1', status: 'Actif' },
+      { external_id: 'A2', status: 'Actif' }
+    ]);
+    expect(await db.query('SELECT COUNT(*) AS count FROM import_batches')).toEqual([{ count: 1 }]);
+  });
+
+  test('should not create a missing SQLite database', async () => {
+    writeWorkbook([['A1', 'Girard', 'Hélène', 'Actif']]);
+
+    const result = await processExcelFile(sourcePath, { ...options, dryRun: true });
+
+    expect(result).toMatchObject({ dryRun: true, inserted: 1 });
+    expect(fs.existsSync(dbPath)).toBe(false);
+  });
+
+  test('should plan inserts, updates and refused rows from the existing keys', async () => {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    await db.saveToDatabase([{ external_id: 'A1', last_name: 'Girard', first_name: 'Hélène' }]);
+    const people = [
+      { external_id: 'A1', last_name: 'Girard', first_name: 'Hélène' },
+      { external_id: 'A2', last_name: 'Thomas', first_name: 'Rachel' },
+      { last_name: 'Martin', first_name: 'Paul' },
+      { status: 'Actif' }
+    ];
+
+    const planner = createPlanningConnection(db);
+    expect(await planner.saveToDatabase(people, { mode: 'append' })).toEqual({ inserted: 2, updated: 0, unchanged: 0, errors: 1, skipped: 1 });
+    // A2 was planned by the previous chunk
+    expect(await planner.saveToDatabase(people.slice(1, 2), { mode: 'upsert' })).toMatchObject({ inserted: 0, updated: 1 });
+    expect(await createPlanningConnection(db, { empty: true }).saveToDatabase(people, { mode: 'replace' })).toMatchObject({ inserted: 3, errors: 0 });
+
+    await planner.execute('DELETE FROM people');
+    expect(await db.query('SELECT external_id FROM people')).toEqual([{ external_id: 'A1' }]);
+  });
+
+  test('should list pending migrations without creating the migrations table', async () => {
+    db = await getConnection(options.connectionId, { ...options.dbOptions, migrate: false });
+
+    expect((await findPendingMigrations(db))[0]).toEqual({ version: 1, name: 'create-people' });
+    expect(await db.query("SELECT name FROM sqlite_master WHERE name = 'schema_migrations'")).toEqual([]);
+  });
+});
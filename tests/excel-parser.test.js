@@ -5,7 +5,8 @@
 const path = require('path');
 const fs = require('fs');
 const XLSX = require('xlsx');
-const { parseExcel } = require('../src/excel-parser');
+const { parseExcel, streamPeople, iteratePeople, selectSheetNames } = require('../src/excel-parser');
+const { createHeaderMapper } = require('../src/header-mapping');
 
 // Mock the logger to avoid console output during tests
 jest.mock('../src/logger', () => ({
@@ -58,6 +59,17 @@ describe('Excel Parser', () => {
     }
   });
   
+  /**
+   * Collect the entries of iteratePeople
+   */
+  async function collect(options) {
+    const entries = [];
+    for await (const entry of iteratePeople(testFilePath, options)) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+  
   test('should parse Excel file correctly', async () => {
     // Parse the test Excel file
     const people = await parseExcel(testFilePath);
@@ -164,4 +176,275 @@ describe('Excel Parser', () => {
     // Expect the parseExcel function to throw an error
     await expect(parseExcel(testFilePath)).rejects.toThrow('Excel file does not contain enough data');
   });
-}); 
\ No newline at end of file
+  
+  test('should parse a workbook passed as a buffer', async () => {
+    // Workbooks piped through stdin arrive as a buffer rather than a path
+    const people = await parseExcel(fs.readFileSync(testFilePath));
+    
+    expect(people).toHaveLength(3);
+    expect(people[0].external_id).toBe('FRSE2X8S');
+    expect(people[2].name).toBe('Dupont Jean');
+  });
+  
+  test('should produce the same records in streaming mode', async () => {
+    const people = await parseExcel(testFilePath);
+    const streamedPeople = await parseExcel(testFilePath, { useStreaming: true });
+    
+    expect(streamedPeople).toEqual(people);
+  });
+  
+  test('should stream people with their source row numbers', async () => {
+    const entries = [];
+    for await (const entry of streamPeople(testFilePath)) {
+      entries.push(entry);
+    }
+    
+    expect(entries.map(entry => entry.rowNumber)).toEqual([2, 3, 4]);
+    expect(entries[0].person.external_id).toBe('FRSE2X8S');
+    expect(entries[2].person.name).toBe('Dupont Jean');
+  });
+  
+  test('should map headers with a custom mapper and drop ignored columns', async () => {
+    const mapper = createHeaderMapper([{
+      packs: {},
+      headers: { matricule: 'external_id', nom: 'last_name', prenom: 'first_name', datedenaissance: 'date_of_birth' },
+      patterns: [],
+      ignore: ['status']
+    }]);
+    
+    const people = await parseExcel(testFilePath, { mapper });
+    
+    expect(people[0]).toEqual({
+      external_id: 'FRSE2X8S',
+      last_name: 'Girard',
+      first_name: 'David',
+      date_of_birth: '1984-09-21',
+      name: 'Girard David'
+    });
+  });
+  
+  test('should report header matches and refuse low-confidence ones in strict mode', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['N° matricule', 'Nom', 'Prénom', 'Date de naissance\u00A0', 'Statuts'],
+      ['FRSE2X8S', 'Girard', 'David', '1984-09-21', 'Inactif']
+    ]), 'People');
+    XLSX.writeFile(workbook, testFilePath);
+    const onHeaderMapping = jest.fn();
+    
+    const people = await parseExcel(testFilePath, { onHeaderMapping });
+    
+    expect(people[0]).toMatchObject({ external_id: 'FRSE2X8S', first_name: 'David', birth_date: '1984-09-21', statuts: 'Inactif' });
+    expect(people[0].status).toBeUndefined();
+    expect(onHeaderMapping.mock.calls[0][0].map(({ header, field, match }) => [header, field, match])).toEqual([
+      ['N° matricule', 'external_id', 'fuzzy'],
+      ['Nom', 'last_name', 'exact'],
+      ['Prénom', 'first_name', 'normalized'],
+      ['Date de naissance', 'birth_date', 'exact'],
+      ['Statuts', 'statuts', 'none']
+    ]);
+    
+    const accepted = await parseExcel(testFilePath, { acceptFuzzyHeaders: true });
+    expect(accepted[0]).toMatchObject({ external_id: 'FRSE2X8S', status: 'Inactif' });
+    
+    await expect(parseExcel(testFilePath, { strictHeaders: true }))
+      .rejects.toThrow('Low-confidence header matches: "Statuts" → status (0.86)');
+  });
+  
+  test('should throw error for a header-only file in streaming mode', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['matricule', 'nom', 'prenom']]), 'People');
+    XLSX.writeFile(workbook, testFilePath);
+    
+    await expect(parseExcel(testFilePath, { useStreaming: true })).rejects.toThrow('Excel file does not contain enough data');
+  });
+  
+  describe('Sheet selection', () => {
+    /**
+     * Write a workbook with one sheet per region, plus an empty notes sheet
+     */
+    function writeRegionsWorkbook() {
+      const workbook = XLSX.utils.book_new();
+      const header = ['matricule', 'nom', 'prenom', 'datedenaissance', 'status'];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ['N1', 'Girard', 'David', '1984-09-21', 'Actif']]), 'Region Nord');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes']]), 'Notes');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        header,
+        ['S1', 'Thomas', 'Rachel', '1971-03-13', 'Actif'],
+        ['S2', 'Dupont', 'Jean', '1990-05-15', 'Inactif']
+      ]), 'Region Sud');
+      XLSX.writeFile(workbook, testFilePath);
+    }
+    
+    test('should select sheets by name, one-based index, glob or all', () => {
+      const names = ['Region Nord', 'Notes', 'Region Sud'];
+      
+      expect(selectSheetNames(names)).toEqual(['Region Nord']);
+      expect(selectSheetNames(names, { sheet: 'Notes' })).toEqual(['Notes']);
+      expect(selectSheetNames(names, { sheet: '3' })).toEqual(['Region Sud']);
+      expect(selectSheetNames(names, { sheet: 2 })).toEqual(['Region Sud']);
+      expect(selectSheetNames(names, { sheet: 'Region*' })).toEqual(['Region Nord', 'Region Sud']);
+      expect(selectSheetNames(names, { allSheets: true })).toEqual(names);
+      expect(() => selectSheetNames(names, { sheet: 'Est' })).toThrow('Sheet not found in workbook: Est. Available sheets: Region Nord, Notes, Region Sud');
+      expect(() => selectSheetNames(names, { sheet: 'Ouest*' })).toThrow('No sheet matches Ouest*');
+    });
+    
+    test('should read a single selected sheet without tagging its rows', async () => {
+      writeRegionsWorkbook();
+      
+      const entries = await collect({ sheet: 'Region Sud' });
+      
+      expect(entries.map(entry => [entry.sheet, entry.rowNumber, entry.person.external_id])).toEqual([
+        ['Region Sud', 2, 'S1'],
+        ['Region Sud', 3, 'S2']
+      ]);
+      expect(entries[0].person.source_sheet).toBeUndefined();
+    });
+    
+    test.each([false, true])('should tag rows with their sheet when importing several sheets (streaming: %s)', async (useStreaming) => {
+      writeRegionsWorkbook();
+      
+      const entries = await collect({ sheet: 'Region*', useStreaming });
+      const all = await collect({ allSheets: true, useStreaming });
+      
+      expect(entries.map(entry => [entry.sheet, entry.person.external_id, entry.person.source_sheet])).toEqual([
+        ['Region Nord', 'N1', 'Region Nord'],
+        ['Region Sud', 'S1', 'Region Sud'],
+        ['Region Sud', 'S2', 'Region Sud']
+      ]);
+      // The notes sheet has no data rows and is skipped
+      expect(all).toEqual(entries);
+    });
+  });
+  
+  describe('Header and footer rows', () => {
+    /**
+     * Write a report-style sheet: a title, a banner, the table and a totals footer
+     */
+    function writeReportWorkbook() {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Liste du personnel'],
+        ['Exporté le 2024-03-01', null, null, 'Service RH'],
+        [],
+        ['matricule', 'nom', 'prenom', 'datedenaissance', 'status'],
+        ['FRSE2X8S', 'Girard', 'David', '1984-09-21', 'Inactif'],
+        ['LKSTKRAH', 'Thomas', 'Rachel', '1971-03-13', 'Actif'],
+        ['ABC123XY', 'Dupont', 'Jean', '1990-05-15', 'Actif'],
+        [],
+        ['Total: 3'],
+        ['Généré par SIRH', 'Page 1/1']
+      ]), 'People');
+      XLSX.writeFile(workbook, testFilePath);
+    }
+    
+    test.each([false, true])('should detect the header row and drop footer rows (streaming: %s)', async (useStreaming) => {
+      writeReportWorkbook();
+      
+      const entries = await collect({ useStreaming });
+      
+      expect(entries.map(entry => [entry.rowNumber, entry.person.external_id, entry.person.last_name])).toEqual([
+        [5, 'FRSE2X8S', 'Girard'],
+        [6, 'LKSTKRAH', 'Thomas'],
+        [7, 'ABC123XY', 'Dupont']
+      ]);
+    });
+    
+    test.each([false, true])('should use the given header row and skip trailing rows (streaming: %s)', async (useStreaming) => {
+      writeReportWorkbook();
+      
+      const entries = await collect({ useStreaming, headerRow: 4, skipFooterRows: 1 });
+      
+      expect(entries.map(entry => entry.person.external_id)).toEqual(['FRSE2X8S', 'LKSTKRAH']);
+    });
+    
+    test('should keep data rows that only look like footers in part', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['nom', 'prenom', 'status'],
+        ['Page', 'Ellen', 'Actif'],
+        ['Total', 'Anna', 'Actif']
+      ]), 'People');
+      XLSX.writeFile(workbook, testFilePath);
+      
+      const entries = await collect({});
+      
+      expect(entries.map(entry => entry.person.first_name)).toEqual(['Ellen', 'Anna']);
+    });
+    
+    test('should refuse an empty header row', async () => {
+      writeReportWorkbook();
+      
+      await expect(collect({ headerRow: 3 })).rejects.toThrow('Header row 3 of sheet People is empty');
+    });
+  });
+  
+  describe('Input formats', () => {
+    const header = ['matricule', 'nom', 'prenom', 'datedenaissance', 'status'];
+    const expected = [
+      { external_id: 'FRSE2X8S', last_name: 'Girard', first_name: 'Hélène', birth_date: '1984-09-21', status: 'Inactif', name: 'Girard Hélène' },
+      { external_id: 'LKSTKRAH', last_name: 'Thomas', first_name: 'Rachel', birth_date: '03/13/1971', status: 'Actif', name: 'Thomas Rachel' }
+    ];
+    const rows = expected.map(person => [person.external_id, person.last_name, person.first_name, person.birth_date, person.status]);
+    let otherFilePath = null;
+    
+    afterEach(() => {
+      if (otherFilePath && fs.existsSync(otherFilePath)) {
+        fs.unlinkSync(otherFilePath);
+      }
+      otherFilePath = null;
+    });
+    
+    /**
+     * Write a test file next to the test workbook
+     */
+    function writeOtherFile(name, contents) {
+      otherFilePath = path.join(testDataDir, name);
+      fs.writeFileSync(otherFilePath, contents);
+      return otherFilePath;
+    }
+    
+    test('should read an ODS workbook', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...rows]), 'People');
+      
+      const people = await parseExcel(writeOtherFile('people.ods', XLSX.write(workbook, { type: 'buffer', bookType: 'ods' })), { useStreaming: true });
+      
+      expect(people).toEqual(expected);
+    });
+    
+    test('should read a Windows-1252 CSV file with semicolons and a title line', async () => {
+      const csv = ['Export RH', header.join(';'), ...rows.map(row => row.join(';')), 'Total;2'].join('\r\n');
+      const filePath = writeOtherFile('people.csv', Buffer.from(csv, 'latin1'));
+      
+      const entries = [];
+      for await (const entry of iteratePeople(filePath)) {
+        entries.push(entry);
+      }
+      
+      expect(entries.map(entry => [entry.rowNumber, entry.sheet])).toEqual([[3, 'people.csv'], [4, 'people.csv']]);
+      expect(entries.map(entry => entry.person)).toEqual(expected);
+    });
+    
+    test('should read TSV and JSON lines from stdin buffers', async () => {
+      const tsv = Buffer.from([header, ...rows].map(row => row.join('\t')).join('\n'));
+      const ndjson = Buffer.from(expected.map((person, index) => JSON.stringify({
+        matricule: person.external_id,
+        nom: person.last_name,
+        prenom: person.first_name,
+        datedenaissance: person.birth_date,
+        status: person.status,
+        ...(index === 1 ? { ville: 'Lyon', tags: ['a', 'b'] } : {})
+      })).join('\n'));
+      const reports = [];
+      
+      expect(await parseExcel(tsv, { inputFormat: 'tsv' })).toEqual(expected);
+      
+      const people = await parseExcel(ndjson, { onHeaderMapping: report => reports.push(report.map(entry => entry.header)) });
+      expect(people[0]).toEqual(expected[0]);
+      expect(people[1]).toEqual({ ...expected[1], city: 'Lyon', tags: '["a","b"]' });
+      // Fields first seen on a later line are reported once
+      expect(reports).toEqual([header, ['ville', 'tags']]);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Tests for the Exporter module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { exportPeople, exportBatch, readPeople, resolveExportFormat } = require('../src/exporter');
+const { runExport } = require('../src/commands/export');
+const { parseExcel } = require('../src/excel-parser');
+const { processExcelFile } = require('../src/index');
+const { loadImportLayout } = require('../src/import-batches');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const dataDir = path.join(__dirname, 'data');
+const dbPath = path.join(dataDir, 'test-export.db');
+const outPaths = ['csv', 'ndjson', 'xlsx'].map(extension => path.join(dataDir, `test-export.${extension}`));
+const sourcePath = path.join(dataDir, 'test-export-source.xlsx');
+const mappingPath = path.join(dataDir, 'test-export-mapping.json');
+
+const people = [
+  { external_id: 'FRSE2X8S', last_name: 'Girard', first_name: 'Hélène', birth_date: '1984-09-21', status: 'Inactif', city: 'Lyon' },
+  { external_id: 'LKSTKRAH', last_name: 'Thomas', first_name: 'Rachel', birth_date: '1971-03-13', status: 'Actif' },
+  { external_id: 'ABC123XY', last_name: 'Dupont, fils', first_name: 'Jean', status: 'Actif', phone: '0601020304', tags: ['a'] }
+];
+
+/**
+ * Remove the test database and export files
+ */
+function cleanUp() {
+  [dbPath, ...outPaths, sourcePath, mappingPath].forEach((filePath) => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+describe('Exporter', () => {
+  let db;
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    db = await getConnection('export-test', { type: 'sqlite', path: dbPath });
+    await db.saveToDatabase(people);
+  });
+
+  afterEach(async () => {
+    await closeConnection('export-test');
+    cleanUp();
+  });
+
+  test('should read the table in pages and expand additional_data', async () => {
+    const records = [];
+    for await (const record of readPeople(db, { pageSize: 2 })) {
+      records.push(record);
+    }
+
+    expect(records).toEqual([
+      { ...people[0] },
+      { ...people[1] },
+      { ...people[2], birth_date: null }
+    ]);
+  });
+
+  test('should write CSV with every additional column', async () => {
+    const result = await exportPeople(db, outPaths[0], { pageSize: 2 });
+
+    expect(result).toEqual({
+      format: 'csv',
+      file: outPaths[0],
+      rows: 3,
+      columns: ['external_id', 'last_name', 'first_name', 'birth_date', 'status', 'city', 'phone', 'tags']
+    });
+    expect(fs.readFileSync(outPaths[0], 'utf8').split('\r\n')).toEqual([
+      '\uFEFFexternal_id,last_name,first_name,birth_date,status,city,phone,tags',
+      'FRSE2X8S,Girard,Hélène,1984-09-21,Inactif,Lyon,,',
+      'LKSTKRAH,Thomas,Rachel,1971-03-13,Actif,,,',
+      'ABC123XY,"Dupont, fils",Jean,,Actif,,0601020304,"[""a""]"',
+      ''
+    ]);
+  });
+
+  test('should write JSON lines with the headers of a language', async () => {
+    await exportPeople(db, outPaths[1], { headers: { external_id: 'matricule', last_name: 'nom', city: 'ville' } });
+
+    const lines = fs.readFileSync(outPaths[1], 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toEqual({ matricule: 'FRSE2X8S', nom: 'Girard', first_name: 'Hélène', birth_date: '1984-09-21', status: 'Inactif', ville: 'Lyon' });
+    expect(lines[2].tags).toEqual(['a']);
+  });
+
+  test('should write an XLSX workbook that imports back to the same people', async () => {
+    await exportPeople(db, outPaths[2]);
+
+    const imported = await parseExcel(outPaths[2]);
+    expect(imported.map(({ external_id, last_name }) => [external_id, last_name])).toEqual([
+      ['FRSE2X8S', 'Girard'],
+      ['LKSTKRAH', 'Thomas'],
+      ['ABC123XY', 'Dupont, fils']
+    ]);
+    expect(imported[0]).toMatchObject({ first_name: 'Hélène', birth_date: '1984-09-21', city: 'Lyon' });
+    expect(XLSX.readFile(outPaths[2]).SheetNames).toEqual(['People']);
+  });
+
+  test('should fail when the output file cannot be written', async () => {
+    const missingDir = path.join(dataDir, 'missing');
+
+    for (const extension of ['csv', 'ndjson', 'xlsx']) {
+      await expect(exportPeople(db, path.join(missingDir, `out.${extension}`))).rejects.toThrow(/ENOENT/);
+    }
+    await expect(exportPeople(db, path.join(missingDir, 'out.csv'))).rejects.toThrow(/^Failed to write export file .*out\.csv: ENOENT/);
+    expect(fs.existsSync(missingDir)).toBe(false);
+  });
+
+  test('should refuse XLSX exports beyond the row limit', async () => {
+    await expect(exportPeople(db, outPaths[2], { maxXlsxRows: 2 })).rejects.toThrow('The export has more than 2 rows, too many for an XLSX workbook built in memory; export it as csv or ndjson');
+    expect(fs.existsSync(outPaths[2])).toBe(false);
+    await expect(exportPeople(db, outPaths[2], { maxXlsxRows: 3 })).resolves.toMatchObject({ rows: 3 });
+  });
+
+  test('should resolve the format from the option or the file extension', () => {
+    expect(resolveExportFormat('people.xlsx')).toBe('xlsx');
+    expect(resolveExportFormat('people.jsonl')).toBe('ndjson');
+    expect(resolveExportFormat('people.txt', 'CSV')).toBe('csv');
+    expect(() => resolveExportFormat('people.pdf')).toThrow('Invalid export format: pdf. Expected one of: xlsx, csv, ndjson');
+  });
+});
+
+describe('Batch Export', () => {
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'batch-export-test', mapping: [mappingPath] };
+  const header = ['Statut', 'Nom', 'Prénom', null, 'Matricule', 'Ville', 'Commentaire'];
+
+  /**
+   * Import rows laid out under the header above, returning the batch id
+   */
+  async function importRows(rows, mode) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...rows]), 'Agents');
+    XLSX.writeFile(workbook, sourcePath);
+    return (await processExcelFile(sourcePath, { ...options, mode })).batchId;
+  }
+
+  /**
+   * Read the cells of each sheet of a workbook
+   */
+  function readSheets(filePath) {
+    const workbook = XLSX.readFile(filePath);
+    return workbook.SheetNames.map(name => [name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' })]);
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    fs.writeFileSync(mappingPath, JSON.stringify({ ignore: ['commentaire'] }));
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should record the header row of the batch, keeping empty and ignored columns in place', async () => {
+    const batchId = await importRows([['Actif', 'Girard', 'Hélène', null, 'FRSE2X8S', 'Lyon', 'vu']]);
+
+    const db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await loadImportLayout(db, batchId)).toEqual([{
+      sheet: 'Agents',
+      columns: [
+        { header: 'Statut', field: 'status' },
+        { header: 'Nom', field: 'last_name' },
+        { header: 'Prénom', field: 'first_name' },
+        { header: '', field: null },
+        { header: 'Matricule', field: 'external_id' },
+        { header: 'Ville', field: 'city' },
+        { header: 'Commentaire', field: null }
+      ]
+    }]);
+  });
+
+  test('should export a batch with its original headers and column order', async () => {
+    const batchId = await importRows([
+      ['Actif', 'Girard', 'Hélène', null, 'FRSE2X8S', 'Lyon', 'vu'],
+      ['Inactif', 'Thomas', 'Rachel', null, 'LKSTKRAH', null, 'x']
+    ]);
+
+    const db = await getConnection(options.connectionId, options.dbOptions);
+    const result = await exportBatch(db, outPaths[2], { batchId });
+
+    expect(result).toMatchObject({ format: 'xlsx', rows: 2, batchId, sheets: { Agents: 2 } });
+    expect(readSheets(outPaths[2])).toEqual([['Agents', [
+      ['Statut', 'Nom', 'Prénom', '', 'Matricule', 'Ville', 'Commentaire'],
+      ['Actif', 'Girard', 'Hélène', '', 'FRSE2X8S', 'Lyon', ''],
+      ['Inactif', 'Thomas', 'Rachel', '', 'LKSTKRAH', '', '']
+    ]]]);
+
+    await exportBatch(db, outPaths[0], { batchId });
+    expect(fs.readFileSync(outPaths[0], 'utf8').split('\r\n')[0]).toBe('\uFEFFStatut,Nom,Prénom,,Matricule,Ville,Commentaire');
+  });
+
+  test('should leave out the rows a later batch changed', async () => {
+    const first = await importRows([
+      ['Actif', 'Girard', 'Hélène', null, 'FRSE2X8S', 'Lyon'],
+      ['Inactif', 'Thomas', 'Rachel', null, 'LKSTKRAH']
+    ]);
+    const second = await importRows([
+      ['Actif', 'Girard', 'Hélène', null, 'FRSE2X8S', 'Lyon'],
+      ['Actif', 'Thomas', 'Rachel', null, 'LKSTKRAH']
+    ], 'upsert');
+
+    const db = await getConnection(options.connectionId, options.dbOptions);
+    expect((await exportBatch(db, outPaths[2], { batchId: first })).rows).toBe(1);
+    expect(readSheets(outPaths[2])[0][1][1][4]).toBe('FRSE2X8S');
+    expect((await exportBatch(db, outPaths[2], { batchId: second })).rows).toBe(1);
+    expect(readSheets(outPaths[2])[0][1][1].slice(0, 2)).toEqual(['Actif', 'Thomas']);
+  });
+
+  test('should reject unknown batches and --lang with --batch', async () => {
+    await importRows([['Actif', 'Girard', 'Hélène', null, 'FRSE2X8S']]);
+    const db = await getConnection(options.connectionId, options.dbOptions);
+
+    await expect(exportBatch(db, outPaths[2], { batchId: 99 })).rejects.toThrow('Unknown import batch: 99');
+    await expect(runExport({ ...options, args: { out: outPaths[2], batch: '1', lang: 'fr' } }))
+      .rejects.toThrow('--lang cannot be combined with --batch');
+    await expect(runExport({ ...options, args: { out: outPaths[2], batch: 'x' } })).rejects.toThrow('Invalid --batch value: x');
+  });
+});
+
+describe('Export Command', () => {
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'export-command-test' };
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    const db = await getConnection(options.connectionId, options.dbOptions);
+    await db.saveToDatabase(people.slice(0, 1));
+    await closeConnection(options.connectionId);
+  });
+
+  afterEach(cleanUp);
+
+  test('should export with the headers of a mapping language pack', async () => {
+    const result = await runExport({ ...options, args: { out: outPaths[0], lang: 'fr' } });
+
+    expect(result).toMatchObject({ success: true, command: 'export', format: 'csv', rows: 1 });
+    expect(result.columns).toEqual(['matricule', 'nom', 'prenom', 'datedenaissance', 'statut', 'ville']);
+  });
+
+  test('should reject missing or invalid options', async () => {
+    await expect(runExport({ ...options, args: {} })).rejects.toThrow('Missing --out=<file>');
+    await expect(runExport({ ...options, args: { out: outPaths[0], lang: 'xx' } })).rejects.toThrow('Unknown mapping language: xx');
+    await expect(runExport({ ...options, args: { out: outPaths[0], 'page-size': '0' } })).rejects.toThrow('Invalid --page-size value: 0');
+  });
+});
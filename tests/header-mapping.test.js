@@ -0,0 +1,180 @@
+/**
+ * Tests for the Header Mapping module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+  loadMappingFile,
+  findMappingFiles,
+  createHeaderMapper,
+  loadHeaderMapper,
+  getDefaultHeaderMapper,
+  buildMappingReport,
+  foldHeader
+} = require('../src/header-mapping');
+const { normalizePersonFields } = require('../src/database');
+
+describe('Header Mapping', () => {
+  const mappingDir = path.join(__dirname, 'data', 'test-mappings');
+
+  /**
+   * Write a mapping file into the test directory and return its path
+   */
+  function writeMapping(name, mapping) {
+    const filePath = path.join(mappingDir, name);
+    fs.writeFileSync(filePath, typeof mapping === 'string' ? mapping : JSON.stringify(mapping));
+    return filePath;
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(mappingDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(mappingDir, { recursive: true, force: true });
+  });
+
+  test('should map headers of every built-in language pack', () => {
+    const mapper = getDefaultHeaderMapper();
+
+    expect(mapper.languages.sort()).toEqual(['ar', 'en', 'fr', 'ru', 'zh']);
+    expect(mapper.mapHeader('matricule')).toBe('external_id');
+    expect(mapper.mapHeader('Date de naissance')).toBe('birth_date');
+    expect(mapper.mapHeader('date_de_naissance')).toBe('birth_date');
+    expect(mapper.mapHeader('Дата рождения')).toBe('birth_date');
+    expect(mapper.mapHeader('الاسم_الأول')).toBe('first_name');
+    expect(mapper.mapHeader('出生日期')).toBe('birth_date');
+    expect(mapper.mapHeader('  Phone   Number ')).toBe('phone');
+  });
+
+  test('should keep the canonical form of unknown headers', () => {
+    const mapper = getDefaultHeaderMapper();
+
+    expect(mapper.lookup('Custom Field')).toBeUndefined();
+    expect(mapper.mapHeader('Custom Field')).toBe('custom_field');
+  });
+
+  test('should layer mapping files with patterns and ignored columns', () => {
+    const custom = writeMapping('ministry.json', {
+      packs: {
+        fr: {
+          headers: { 'nom': 'birth_name' },
+          patterns: [{ pattern: '^n° ?agent$', field: 'external_id' }],
+          ignore: ['commentaire']
+        }
+      },
+      patterns: [{ pattern: '^colonne\\d+$', ignore: true }]
+    });
+
+    const mapper = loadHeaderMapper({ files: [custom], searchPath: '' });
+
+    expect(mapper.mapHeader('N° Agent')).toBe('external_id');
+    expect(mapper.mapHeader('Commentaire')).toBeNull();
+    expect(mapper.mapHeader('colonne12')).toBeNull();
+    // Later files override the built-in mappings
+    expect(mapper.mapHeader('nom')).toBe('birth_name');
+    expect(mapper.mapHeader('prenom')).toBe('first_name');
+  });
+
+  test('should restrict the mapper to the requested language packs', () => {
+    const mapper = loadHeaderMapper({ languages: ['ru'], searchPath: '' });
+
+    expect(mapper.mapHeader('фамилия')).toBe('last_name');
+    expect(mapper.lookup('matricule')).toBeUndefined();
+    expect(() => loadHeaderMapper({ languages: ['xx'], searchPath: '' })).toThrow('Unknown mapping language: xx');
+  });
+
+  test('should read mapping files and directories from the search path', () => {
+    const single = writeMapping('single.json', { headers: { 'code agent': 'external_id' } });
+    const nested = path.join(mappingDir, 'nested');
+    fs.mkdirSync(nested);
+    fs.writeFileSync(path.join(nested, 'b.json'), '{}');
+    fs.writeFileSync(path.join(nested, 'a.json'), '{}');
+    fs.writeFileSync(path.join(nested, 'notes.txt'), '');
+
+    const searchPath = [single, nested].join(path.delimiter);
+
+    expect(findMappingFiles(searchPath)).toEqual([single, path.join(nested, 'a.json'), path.join(nested, 'b.json')]);
+    expect(loadHeaderMapper({ searchPath }).mapHeader('Code Agent')).toBe('external_id');
+    expect(() => findMappingFiles(path.join(mappingDir, 'missing'))).toThrow('Mapping path not found');
+  });
+
+  test('should reject invalid mapping files', () => {
+    expect(() => loadMappingFile(writeMapping('broken.json', '{'))).toThrow('Failed to read mapping file');
+    expect(() => loadMappingFile(writeMapping('keys.json', { aliases: {} }))).toThrow('unknown key "aliases"');
+    expect(() => loadMappingFile(writeMapping('field.json', { packs: { fr: { headers: { nom: 3 } } } })))
+      .toThrow('packs.fr.headers["nom"] must be a field name');
+    expect(() => loadMappingFile(writeMapping('regex.json', { patterns: [{ pattern: '(', field: 'name' }] })))
+      .toThrow('patterns[0] is not a valid regular expression');
+    expect(() => loadMappingFile(writeMapping('ignore.json', { ignore: 'commentaire' })))
+      .toThrow('ignore must be a list of headers');
+  });
+
+  test('should be the source of the field normalization', () => {
+    const mapper = createHeaderMapper([
+      loadMappingFile(writeMapping('normalize.json', { headers: { 'agent code': 'external_id' }, ignore: ['notes'] }))
+    ]);
+
+    expect(normalizePersonFields({ 'Agent Code': 'A1', notes: 'x', city: 'Lyon' }, { mapper }))
+      .toEqual({ external_id: 'A1', city: 'Lyon' });
+  });
+
+  test('should fold accents, punctuation and non-breaking spaces', () => {
+    expect(foldHeader('Prénom')).toBe('prenom');
+    expect(foldHeader('Date de naissance\u00A0')).toBe('date de naissance');
+    expect(foldHeader('N° matricule')).toBe('n matricule');
+    expect(foldHeader('E-mail_Address')).toBe('e mail address');
+  });
+
+  test('should match headers differing by accents or punctuation', () => {
+    const mapper = getDefaultHeaderMapper();
+
+    expect(mapper.resolve('Prénom')).toEqual({ field: 'first_name', match: 'normalized', confidence: 0.95 });
+    expect(mapper.resolve('E-mail')).toEqual({ field: 'email', match: 'normalized', confidence: 0.95 });
+    expect(mapper.resolve('Date\u00A0de\u00A0naissance')).toEqual({ field: 'birth_date', match: 'exact', confidence: 1 });
+  });
+
+  test('should match misspelled and decorated headers fuzzily', () => {
+    const mapper = getDefaultHeaderMapper();
+
+    expect(mapper.resolve('N° matricule')).toMatchObject({ field: 'external_id', match: 'fuzzy', confidence: 0.95 });
+    expect(mapper.resolve('Matricul')).toMatchObject({ field: 'external_id', match: 'fuzzy', confidence: 0.89 });
+    expect(mapper.resolve('Adresse email')).toEqual({ field: undefined, match: 'none', confidence: 0 });
+  });
+
+  test('should report how each header was mapped', () => {
+    const custom = writeMapping('report.json', { ignore: ['commentaire'] });
+    const mapper = loadHeaderMapper({ files: [custom], searchPath: '' });
+
+    expect(buildMappingReport(['Matricul', '', 'Prénom', 'Statuts', 'Commentaire', 'Ville natale'], mapper)).toEqual([
+      { column: 1, header: 'Matricul', field: 'matricul', match: 'none', confidence: 0, lowConfidence: true, candidate: { field: 'external_id', confidence: 0.89 } },
+      { column: 3, header: 'Prénom', field: 'first_name', match: 'normalized', confidence: 0.95, lowConfidence: false },
+      { column: 4, header: 'Statuts', field: 'statuts', match: 'none', confidence: 0, lowConfidence: true, candidate: { field: 'status', confidence: 0.86 } },
+      { column: 5, header: 'Commentaire', field: null, match: 'exact', confidence: 1, lowConfidence: false },
+      { column: 6, header: 'Ville natale', field: 'ville_natale', match: 'none', confidence: 0, lowConfidence: false }
+    ]);
+    expect(buildMappingReport(['Matricul', 'Statuts'], mapper, { acceptFuzzyHeaders: true }).map(({ field, match, lowConfidence }) => [field, match, lowConfidence]))
+      .toEqual([['external_id', 'fuzzy', true], ['status', 'fuzzy', true]]);
+  });
+
+  test('should not give a field claimed by one column to another one fuzzily', () => {
+    const mapper = getDefaultHeaderMapper();
+    const fields = headers => buildMappingReport(headers, mapper, { acceptFuzzyHeaders: true }).map(entry => entry.field);
+
+    // Both fold close to "date de naissance", which the first one matches exactly
+    expect(fields(['Date de naissance', 'Date de naissance de l enfant'])).toEqual(['birth_date', 'date_de_naissance_de_l_enfant']);
+    expect(fields(['Statut', 'Status date', 'Date de naissance', 'birth_date_raw'])).toEqual(['status', 'status_date', 'birth_date', 'birth_date_raw']);
+    // Among fuzzy matches, the closest column gets the field
+    expect(fields(['Matricul', 'N° matricule'])).toEqual(['matricul', 'external_id']);
+  });
+
+  test('should only look up field names exactly', () => {
+    const mapper = getDefaultHeaderMapper();
+
+    expect(mapper.lookup('Statuts')).toBeUndefined();
+    expect(mapper.mapHeader('birth_date_raw')).toBe('birth_date_raw');
+    expect(normalizePersonFields({ birth_date: '1980-04-12', date_de_naissance_de_l_enfant: '2010-01-01' }))
+      .toMatchObject({ birth_date: '1980-04-12', date_de_naissance_de_l_enfant: '2010-01-01' });
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Tests for the Import Batches module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { hashSource, createImportBatch, finishImportBatch, rollbackImportBatch, findResumableBatch } = require('../src/import-batches');
+const { runRollback } = require('../src/commands/rollback');
+const { processExcelFile } = require('../src/index');
+const { version } = require('../package.json');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const dataDir = path.join(__dirname, 'data');
+const dbPath = path.join(dataDir, 'test-import-batches.db');
+const sourcePath = path.join(dataDir, 'test-import-batches.xlsx');
+const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'import-batches-test' };
+
+/**
+ * Remove the test database and workbook
+ */
+function cleanUp() {
+  [dbPath, sourcePath].forEach((filePath) => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+/**
+ * Write a workbook with a title row above the header
+ */
+function writeWorkbook(rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Liste du personnel'],
+    ['Matricule', 'Nom', 'Prénom'],
+    ...rows
+  ]), 'Agents');
+  XLSX.writeFile(workbook, sourcePath);
+}
+
+describe('Import Batches', () => {
+  let db;
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should record the provenance of a batch and of each row', async () => {
+    writeWorkbook([['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel']]);
+
+    const result = await processExcelFile(sourcePath, options);
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const [batch] = await db.query('SELECT * FROM import_batches');
+    expect(batch).toMatchObject({
+      id: result.batchId,
+      source_file: path.resolve(sourcePath),
+      source_sha256: crypto.createHash('sha256').update(fs.readFileSync(sourcePath)).digest('hex'),
+      source_size: fs.statSync(sourcePath).size,
+      sheet: 'Agents',
+      row_count: 2,
+      db_type: 'sqlite',
+      cli_version: version,
+      outcome: 'succeeded',
+      error: null
+    });
+    expect(batch.started_at).toEqual(expect.any(String));
+    expect(batch.finished_at).toEqual(expect.any(String));
+
+    expect(await db.query('SELECT external_id, batch_id, source_row_number FROM people ORDER BY id')).toEqual([
+      { external_id: 'A1', batch_id: result.batchId, source_row_number: 3 },
+      { external_id: 'A2', batch_id: result.batchId, source_row_number: 4 }
+    ]);
+  });
+
+  test('should keep the provenance of rows an upsert left unchanged', async () => {
+    writeWorkbook([['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel']]);
+    const first = await processExcelFile(sourcePath, options);
+    writeWorkbook([['A2', 'Thomas', 'Rachel'], ['A1', 'Girard', 'Helene']]);
+    const second = await processExcelFile(sourcePath, { ...options, mode: 'upsert' });
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await db.query('SELECT external_id, batch_id, source_row_number FROM people ORDER BY id')).toEqual([
+      { external_id: 'A1', batch_id: second.batchId, source_row_number: 4 },
+      { external_id: 'A2', batch_id: first.batchId, source_row_number: 4 }
+    ]);
+  });
+
+  test('should mark a batch as failed with its error', async () => {
+    writeWorkbook([['A1', 'Girard', 'Hélène']]);
+
+    await expect(processExcelFile(sourcePath, { ...options, headerRow: 5 })).rejects.toThrow('Header row 5 of sheet Agents is empty');
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const [batch] = await db.query('SELECT outcome, error, row_count, finished_at FROM import_batches');
+    expect(batch).toMatchObject({ outcome: 'failed', error: 'Failed to parse Excel file: Header row 5 of sheet Agents is empty', row_count: null });
+    expect(batch.finished_at).toEqual(expect.any(String));
+    await expect(finishImportBatch(db, 1, { outcome: 'done' })).rejects.toThrow('Invalid import batch outcome: done');
+  });
+
+  test('should hash files and stdin buffers alike', async () => {
+    const contents = Buffer.from('matricule,nom\nA1,Girard\n');
+    fs.writeFileSync(sourcePath, contents);
+
+    const expected = { sha256: crypto.createHash('sha256').update(contents).digest('hex'), size: contents.length };
+    expect(await hashSource(sourcePath)).toEqual(expected);
+    expect(await hashSource(contents)).toEqual(expected);
+  });
+});
+
+describe('Import Batch Rollback', () => {
+  let db;
+
+  /**
+   * Import rows and return the batch id
+   */
+  async function importRows(rows, mode) {
+    writeWorkbook(rows);
+    return (await processExcelFile(sourcePath, { ...options, mode })).batchId;
+  }
+
+  /**
+   * Read the people with their provenance
+   */
+  async function readPeople() {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query('SELECT external_id, first_name, batch_id, source_row_number FROM people ORDER BY external_id');
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should delete the rows an append batch inserted', async () => {
+    const first = await importRows([['A1', 'Girard', 'Hélène']]);
+    const second = await importRows([['A2', 'Thomas', 'Rachel'], ['A3', 'Martin', 'Paul']]);
+
+    const result = await runRollback(String(second), options);
+
+    expect(result).toEqual({ success: true, command: 'rollback', batchId: second, restored: 0, deleted: 2, superseded: 0 });
+    expect(await readPeople()).toEqual([{ external_id: 'A1', first_name: 'Hélène', batch_id: first, source_row_number: 3 }]);
+    const [batch] = await db.query('SELECT outcome, rolled_back_at FROM import_batches WHERE id = ?', [second]);
+    expect(batch.outcome).toBe('rolled_back');
+    expect(batch.rolled_back_at).toEqual(expect.any(String));
+  });
+
+  test('should restore the values an upsert overwrote', async () => {
+    const first = await importRows([['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel']]);
+    const second = await importRows([['A3', 'Martin', 'Paul'], ['A2', 'Thomas', 'Rachel'], ['A1', 'Girard', 'Helene']], 'upsert');
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const result = await rollbackImportBatch(db, second);
+
+    expect(result).toEqual({ batchId: second, restored: 1, deleted: 1, superseded: 0 });
+    expect(await readPeople()).toEqual([
+      { external_id: 'A1', first_name: 'Hélène', batch_id: first, source_row_number: 3 },
+      { external_id: 'A2', first_name: 'Rachel', batch_id: first, source_row_number: 4 }
+    ]);
+    expect(await db.query('SELECT * FROM import_before_images')).toEqual([]);
+  });
+
+  test('should leave the rows later imports changed', async () => {
+    const first = await importRows([['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel']]);
+    const second = await importRows([['A1', 'Girard', 'Helene']], 'upsert');
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await rollbackImportBatch(db, first)).toEqual({ batchId: first, restored: 0, deleted: 1, superseded: 1 });
+    expect(await readPeople()).toEqual([{ external_id: 'A1', first_name: 'Helene', batch_id: second, source_row_number: 3 }]);
+  });
+
+  test('should refuse batches that cannot be rolled back safely', async () => {
+    const replaced = await importRows([['A1', 'Girard', 'Hélène']], 'replace');
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const running = await createImportBatch(db, { sourceFile: sourcePath });
+
+    await expect(rollbackImportBatch(db, 99)).rejects.toThrow('Unknown import batch: 99');
+    await expect(rollbackImportBatch(db, running)).rejects.toThrow(`Import batch ${running} is still running or was interrupted; use --force`);
+    await expect(rollbackImportBatch(db, replaced)).rejects.toThrow(`Import batch ${replaced} replaced the whole people table`);
+    expect(await rollbackImportBatch(db, replaced, { force: true })).toMatchObject({ deleted: 1 });
+    await expect(rollbackImportBatch(db, replaced, { force: true })).rejects.toThrow(`Import batch ${replaced} was already rolled back`);
+    await expect(runRollback('abc', options)).rejects.toThrow('Invalid batch id: abc. Usage: excel-to-db rollback <batch-id> [--force]');
+  });
+});
+
+describe('Import Batch Resume', () => {
+  let db;
+  const rows = [['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel'], ['A3', 'Martin', 'Paul'], ['A4', 'Petit', 'Anne'], ['A5', 'Roux', 'Marc']];
+
+  /**
+   * Import the workbook in chunks of two rows, losing the database on the second chunk
+   */
+  async function interruptedImport(mode) {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const save = db.saveToDatabase;
+    jest.spyOn(db, 'saveToDatabase')
+      .mockImplementationOnce(save)
+      .mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(processExcelFile(sourcePath, { ...options, chunkSize: 2, mode })).rejects.toThrow('Connection lost');
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    writeWorkbook(rows);
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should continue an interrupted batch after its last committed chunk', async () => {
+    await interruptedImport();
+
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await db.query('SELECT sheet, source_sha256, last_row_number FROM import_progress')).toEqual([
+      { sheet: 'Agents', source_sha256: (await hashSource(sourcePath)).sha256, last_row_number: 4 }
+    ]);
+    const interrupted = await findResumableBatch(db, (await hashSource(sourcePath)).sha256);
+    expect(interrupted).toMatchObject({ outcome: 'failed' });
+    await closeConnection(options.connectionId);
+
+    const result = await processExcelFile(sourcePath, { ...options, chunkSize: 2, resume: true });
+
+    expect(result).toMatchObject({ batchId: interrupted.id, resumed: true, alreadyCommitted: 2, inserted: 3 });
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await db.query('SELECT external_id, batch_id, source_row_number FROM people ORDER BY id')).toEqual(
+      rows.map(([id], index) => ({ external_id: id, batch_id: interrupted.id, source_row_number: index + 3 }))
+    );
+    const [batch] = await db.query('SELECT outcome, error, row_count FROM import_batches');
+    expect(batch).toEqual({ outcome: 'succeeded', error: null, row_count: 5 });
+    expect(await db.query('SELECT COUNT(*) AS count FROM import_columns')).toEqual([{ count: 3 }]);
+    expect(await findResumableBatch(db, (await hashSource(sourcePath)).sha256)).toBeNull();
+  });
+
+  test('should start a new batch when there is nothing to resume', async () => {
+    const first = await processExcelFile(sourcePath, options);
+    const second = await processExcelFile(sourcePath, { ...options, mode: 'upsert', resume: true });
+
+    expect(second).toMatchObject({ resumed: false, alreadyCommitted: 0, unchanged: 5 });
+    expect(second.batchId).not.toBe(first.batchId);
+  });
+
+  test('should resume in the mode of the interrupted batch', async () => {
+    await interruptedImport('replace');
+
+    await expect(processExcelFile(sourcePath, { ...options, resume: true })).rejects.toThrow('was run in replace mode; resume it with --mode=replace');
+
+    const result = await processExcelFile(sourcePath, { ...options, chunkSize: 2, mode: 'replace', resume: true });
+    expect(result).toMatchObject({ resumed: true, alreadyCommitted: 2, inserted: 3 });
+    db = await getConnection(options.connectionId, options.dbOptions);
+    expect(await db.query('SELECT COUNT(*) AS count FROM people')).toEqual([{ count: 5 }]);
+  });
+});
+
+describe('Atomic Imports', () => {
+  let db;
+
+  /**
+   * Read the external IDs of the people with their batch
+   */
+  async function readPeople() {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query('SELECT external_id, batch_id FROM people ORDER BY external_id');
+  }
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    writeWorkbook([['A1', 'Girard', 'Hélène']]);
+    await processExcelFile(sourcePath, options);
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should leave the people table untouched when a row is refused', async () => {
+    writeWorkbook([['A2', 'Thomas', 'Rachel'], ['A1', 'Girard', 'Helene']]);
+
+    await expect(processExcelFile(sourcePath, { ...options, atomic: true })).rejects.toThrow('Too many row errors: 1 rows could not be written, at most 0 allowed');
+
+    expect(await readPeople()).toEqual([{ external_id: 'A1', batch_id: 1 }]);
+    const [batch] = await db.query('SELECT outcome, error FROM import_batches WHERE id = 2');
+    expect(batch).toEqual({ outcome: 'failed', error: 'Too many row errors: 1 rows could not be written, at most 0 allowed' });
+  });
+
+  test('should commit an atomic import within the row error tolerance', async () => {
+    writeWorkbook([['A2', 'Thomas', 'Rachel'], ['A1', 'Girard', 'Helene']]);
+
+    const result = await processExcelFile(sourcePath, { ...options, atomic: true, maxErrors: 1 });
+
+    expect(result).toMatchObject({ inserted: 1, errors: 1 });
+    expect(await readPeople()).toEqual([{ external_id: 'A1', batch_id: 1 }, { external_id: 'A2', batch_id: 2 }]);
+    expect(await db.query('SELECT outcome FROM import_batches WHERE id = 2')).toEqual([{ outcome: 'succeeded' }]);
+  });
+
+  test('should roll back the committed chunks and the replace when a chunk fails', async () => {
+    writeWorkbook([['A2', 'Thomas', 'Rachel'], ['A3', 'Martin', 'Paul'], ['A4', 'Petit', 'Anne']]);
+    db = await getConnection(options.connectionId, options.dbOptions);
+    const save = db.saveToDatabase;
+    jest.spyOn(db, 'saveToDatabase')
+      .mockImplementationOnce(save)
+      .mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(processExcelFile(sourcePath, { ...options, atomic: true, mode: 'replace', chunkSize: 2 })).rejects.toThrow('Connection lost');
+
+    expect(await readPeople()).toEqual([{ external_id: 'A1', batch_id: 1 }]);
+    expect(await db.query('SELECT * FROM import_progress WHERE batch_id = 2')).toEqual([]);
+  });
+});
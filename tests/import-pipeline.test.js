@@ -0,0 +1,251 @@
+/**
+ * Tests for the Import Pipeline module
+ */
+
+const { runImportPipeline } = require('../src/import-pipeline');
+const { createValidator } = require('../src/validator');
+const { createDeduplicator } = require('../src/deduplicator');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+/**
+ * Generate parsed rows and count how many have been pulled
+ */
+function createSource(count, pulled = { rows: 0 }) {
+  return (async function* () {
+    for (let i = 0; i < count; i++) {
+      pulled.rows++;
+      yield { rowNumber: i + 2, person: { ID: `ID${i}`, Name: `Doe John${i}` } };
+    }
+  })();
+}
+
+describe('Import Pipeline', () => {
+  test('should save normalized rows in batches', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+
+    const result = await runImportPipeline(createSource(5), db, { batchSize: 2 });
+
+    expect(result).toEqual({
+      inserted: 5,
+      updated: 0,
+      unchanged: 0,
+      errors: 0,
+      skipped: 0,
+      rows: 5,
+      batches: 3,
+      invalidDates: 0,
+      invalidDateRows: [],
+      rejected: 0,
+      ruleFailures: {},
+      duplicates: 0,
+      duplicateRows: [],
+      alreadyCommitted: 0,
+      sheets: {}
+    });
+    expect(db.saveToDatabase.mock.calls.map(call => call[0].length)).toEqual([2, 2, 1]);
+
+    // Rows pass through normalizePersonFields on their way to the adapter
+    expect(db.saveToDatabase.mock.calls[0][0][0]).toMatchObject({
+      external_id: 'ID0',
+      name: 'Doe John0',
+      last_name: 'Doe',
+      first_name: 'John0'
+    });
+  });
+
+  test('should normalize birth dates and report unparseable ones', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const source = (async function* () {
+      yield { rowNumber: 2, person: { ID: 'A', 'Birth Date': '04/09/1972' } };
+      yield { rowNumber: 3, person: { ID: 'B', 'Birth Date': '29284' } };
+      yield { rowNumber: 4, person: { ID: 'C', 'Birth Date': 'unknown' } };
+    })();
+
+    const result = await runImportPipeline(source, db, { dateFormat: 'mm/dd/yyyy' });
+
+    const people = db.saveToDatabase.mock.calls[0][0];
+    expect(people.map(person => person.birth_date)).toEqual(['1972-04-09', '1980-03-04', null]);
+    expect(people[2].birth_date_raw).toBe('unknown');
+    expect(result.invalidDates).toBe(1);
+    expect(result.invalidDateRows).toEqual([{ row: 4, value: 'unknown', error: 'Unrecognized date: unknown' }]);
+  });
+
+  test('should pass the source row numbers of the saved people to the adapter', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const validate = createValidator({ fields: { status: { allowed: ['Actif'] } } });
+    const source = (async function* () {
+      yield { rowNumber: 2, person: { ID: 'A', Status: 'Actif' } };
+      yield { rowNumber: 3, person: { ID: 'B', Status: 'Retired' } };
+      yield { rowNumber: 5, person: { ID: 'C', Status: 'Actif' } };
+    })();
+
+    await runImportPipeline(source, db, { validate, saveOptions: { mode: 'upsert' } });
+
+    expect(db.saveToDatabase.mock.calls[0][1]).toEqual({ mode: 'upsert', rowNumbers: [2, 5] });
+  });
+
+  test('should checkpoint each batch and skip the rows committed before an interruption', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const source = (async function* () {
+      for (const sheet of ['North', 'South']) {
+        for (let rowNumber = 2; rowNumber <= 4; rowNumber++) {
+          yield { rowNumber, sheet, person: { ID: `${sheet}${rowNumber}`, Name: 'Doe John' } };
+        }
+      }
+    })();
+
+    const result = await runImportPipeline(source, db, {
+      batchSize: 2,
+      resumeAfter: { North: 4, South: 2 },
+      saveOptions: { batchId: 7 }
+    });
+
+    expect(result).toMatchObject({ rows: 2, inserted: 2, alreadyCommitted: 4 });
+    expect(db.saveToDatabase.mock.calls.map(call => call[0].map(person => person.external_id))).toEqual([['South3', 'South4']]);
+    expect(db.saveToDatabase.mock.calls[0][1]).toEqual({ batchId: 7, rowNumbers: [3, 4], checkpoint: { sheet: 'South', lastRow: 4 } });
+  });
+
+  test('should stop once the database refuses more rows than allowed', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length - 1, errors: 1 }))
+    };
+
+    await expect(runImportPipeline(createSource(6), db, { batchSize: 2, maxErrors: 1, maxQueuedBatches: 0 }))
+      .rejects.toThrow('Too many row errors: 2 rows could not be written, at most 1 allowed');
+    expect(db.saveToDatabase).toHaveBeenCalledTimes(2);
+  });
+
+  test('should send rows failing validation to the rejects writer', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const rejects = { write: jest.fn().mockResolvedValue() };
+    const validate = createValidator({ fields: { status: { allowed: ['Actif', 'Inactif'] } } });
+    const source = (async function* () {
+      yield { rowNumber: 2, person: { ID: 'A', Status: 'Actif' } };
+      yield { rowNumber: 3, person: { ID: 'B', Status: 'Retired' } };
+      yield { rowNumber: 4, person: { Status: 'Unknown' } };
+    })();
+
+    const result = await runImportPipeline(source, db, { validate, rejects, batchSize: 1 });
+
+    // Batches left empty by validation are not sent to the database
+    expect(db.saveToDatabase).toHaveBeenCalledTimes(1);
+    expect(db.saveToDatabase.mock.calls[0][0].map(person => person.external_id)).toEqual(['A']);
+    expect(result).toMatchObject({ inserted: 1, rejected: 2, batches: 1 });
+    expect(result.ruleFailures).toEqual({ 'status.allowed': 2, identity: 1 });
+    expect(rejects.write.mock.calls).toEqual([
+      [{ rowNumber: 3, person: { ID: 'B', Status: 'Retired' } }, 'status "Retired" is not one of: Actif, Inactif'],
+      [{ rowNumber: 4, person: { Status: 'Unknown' } }, 'insufficient identifying information; status "Unknown" is not one of: Actif, Inactif']
+    ]);
+  });
+
+  test('should merge duplicates into the person kept while it is still in the batch', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const dedup = createDeduplicator({ policy: 'merge' });
+    const source = (async function* () {
+      yield { rowNumber: 2, person: { Nom: 'Girard', Prénom: 'Hélène', 'Date de naissance': '1975-05-03' } };
+      yield { rowNumber: 3, person: { ID: 'B2', Nom: 'GIRARD', Prénom: 'Helene', 'Date de naissance': '1975-05-03' } };
+    })();
+
+    const result = await runImportPipeline(source, db, { dedup });
+
+    expect(result).toMatchObject({ inserted: 1, duplicates: 1, duplicateRows: [{ row: 3, key: 'name+birth_date', duplicateOf: { row: 2 } }] });
+    expect(db.saveToDatabase.mock.calls[0][0]).toEqual([expect.objectContaining({ external_id: 'B2', last_name: 'Girard' })]);
+    expect(db.saveToDatabase.mock.calls[0][1].rowNumbers).toEqual([2]);
+  });
+
+  test('should count rows per sheet without mixing sheets in a batch', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length - 1, errors: 1 }))
+    };
+    const source = (async function* () {
+      yield { rowNumber: 2, sheet: 'Nord', person: { ID: 'N1' } };
+      yield { rowNumber: 2, sheet: 'Sud', person: { ID: 'S1' } };
+      yield { rowNumber: 3, sheet: 'Sud', person: { ID: 'S2' } };
+      yield { rowNumber: 4, sheet: 'Sud', person: { Status: 'Actif' } };
+    })();
+
+    const result = await runImportPipeline(source, db, { batchSize: 10, validate: createValidator() });
+
+    expect(db.saveToDatabase.mock.calls.map(call => call[0].map(person => person.external_id))).toEqual([['N1'], ['S1', 'S2']]);
+    expect(result.sheets).toEqual({
+      Nord: { rows: 1, inserted: 0, updated: 0, unchanged: 0, errors: 1, skipped: 0, rejected: 0 },
+      Sud: { rows: 3, inserted: 1, updated: 0, unchanged: 0, errors: 1, skipped: 0, rejected: 1 }
+    });
+  });
+
+  test('should stop parsing while the database is behind', async () => {
+    const pulled = { rows: 0 };
+    const pendingWrites = [];
+    const db = {
+      saveToDatabase: jest.fn(people => new Promise(resolve => {
+        pendingWrites.push(() => resolve({ inserted: people.length, errors: 0 }));
+      }))
+    };
+
+    const run = runImportPipeline(createSource(100, pulled), db, { batchSize: 10, maxQueuedBatches: 1 });
+
+    // Let the pipeline run until it blocks on the first write
+    await new Promise(resolve => setImmediate(resolve));
+
+    // One batch being written, one queued, and the parser waiting on the third
+    expect(db.saveToDatabase).toHaveBeenCalledTimes(1);
+    expect(pulled.rows).toBeLessThanOrEqual(30);
+
+    // Release the writes one by one until the import finishes
+    while (pulled.rows < 100 || pendingWrites.length > 0) {
+      const release = pendingWrites.shift();
+      if (release) {
+        release();
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await expect(run).resolves.toMatchObject({ inserted: 100, batches: 10 });
+  });
+
+  test('should stop parsing after a failed write', async () => {
+    const pulled = { rows: 0 };
+    const db = {
+      saveToDatabase: jest.fn().mockRejectedValue(new Error('Database unavailable'))
+    };
+
+    await expect(runImportPipeline(createSource(1000, pulled), db, { batchSize: 10 }))
+      .rejects.toThrow('Database unavailable');
+
+    expect(pulled.rows).toBeLessThan(1000);
+  });
+
+  test('should report parser errors after queued writes settle', async () => {
+    const db = {
+      saveToDatabase: jest.fn(async people => ({ inserted: people.length, errors: 0 }))
+    };
+    const source = (async function* () {
+      yield { rowNumber: 2, person: { ID: 'A' } };
+      throw new Error('Failed to parse Excel file: corrupt sheet');
+    })();
+
+    await expect(runImportPipeline(source, db, { batchSize: 1 })).rejects.toThrow('corrupt sheet');
+    expect(db.saveToDatabase).toHaveBeenCalledTimes(1);
+  });
+});
@@ -23,8 +23,10 @@ jest.mock('../src/logger', () => ({
 }));
 
 // Import the mocked modules
-const { parseExcel, parseExcelStreaming } = require('../src/excel-parser');
-const { getConnection, closeConnection, saveToDatabase, closeAllConnections } = require('../src/database');
+const { parseExcel, parseExcelStreaming, iteratePeople } = require('../src/excel-parser');
+const { getConnection, closeConnection, saveToDatabase, closeAllConnections, normalizePersonFields } = require('../src/database');
+const { processExcelFile, readStdin } = require('../src/index');
+const { Readable } = require('stream');
 
 describe('Main Application', () => {
   const testDataDir = path.join(__dirname, 'data');
@@ -86,16 +88,26 @@ describe('Main Application', () => {
     
     parseExcel.mockResolvedValue(mockPeopleData);
     parseExcelStreaming.mockResolvedValue(mockPeopleData);
+    iteratePeople.mockImplementation(async function* () {
+      yield* mockPeopleData.map((person, index) => ({ rowNumber: index + 2, person }));
+    });
     
     // Mock the database functions
     const mockDb = {
       connection: {},
+      dialect: 'sqlite',
+      execute: jest.fn().mockResolvedValue({ changes: 1, lastID: 1 }),
+      query: jest.fn().mockResolvedValue([]),
       saveToDatabase: jest.fn().mockResolvedValue({ inserted: 2, errors: 0 }),
+      clearPeople: jest.fn().mockResolvedValue(0),
       close: jest.fn().mockResolvedValue()
     };
     getConnection.mockResolvedValue(mockDb);
     saveToDatabase.mockResolvedValue({ inserted: 2, errors: 0 });
     closeConnection.mockResolvedValue();
+    
+    // The rows are already in the standardized format
+    normalizePersonFields.mockImplementation(person => ({ ...person }));
   });
   
   // Clean up test files after each test
@@ -236,4 +248,130 @@ describe('Main Application', () => {
     // Check that saveToDatabase was called multiple times
     expect(saveToDatabase.mock.calls.length).toBe(4); // 2000 / 500 = 4 chunks
   });
-}); 
\ No newline at end of file
+  
+  test('should read all bytes piped to stdin', async () => {
+    const stream = Readable.from([Buffer.from('PK'), Buffer.from([3, 4]), 'rest']);
+    
+    const buffer = await readStdin(stream);
+    
+    expect(buffer).toEqual(Buffer.concat([Buffer.from('PK'), Buffer.from([3, 4]), Buffer.from('rest')]));
+  });
+  
+  test('should process a workbook buffer read from stdin', async () => {
+    const buffer = fs.readFileSync(testFilePath);
+    fs.statSync.mockClear();
+    
+    const result = await processExcelFile(buffer, { connectionId: 'stdin-test' });
+    
+    // The size check uses the bytes read, not the file system
+    expect(fs.statSync).not.toHaveBeenCalled();
+    expect(iteratePeople).toHaveBeenCalledWith(buffer, { useStreaming: false, mapper: expect.any(Object), schema: null, onHeaderMapping: expect.any(Function) });
+    expect(result).toEqual({ batchId: 1, dryRun: false, resumed: false, alreadyCommitted: 0, inserted: 2, updated: 0, unchanged: 0, errors: 0, skipped: 0, invalidDates: 0, invalidDateRows: [], rejected: 0, ruleFailures: {}, duplicates: 0, duplicateRows: [], rejectsFile: null, headerMapping: [], sheets: {} });
+  });
+  
+  test('should use streaming mode when stdin input exceeds the threshold', async () => {
+    const buffer = Buffer.alloc(2 * 1024 * 1024);
+    
+    await processExcelFile(buffer, { connectionId: 'stdin-test', streamThreshold: 1 });
+    
+    // Compare the buffer by identity; a deep comparison of 2MB is slow
+    const [source, parseOptions] = iteratePeople.mock.calls[0];
+    expect(source).toBe(buffer);
+    expect(parseOptions).toEqual({ useStreaming: true, mapper: expect.any(Object), schema: null, onHeaderMapping: expect.any(Function) });
+  });
+  
+  test('should save parsed rows in batches of the chunk size', async () => {
+    const db = await getConnection();
+    
+    const result = await processExcelFile(testFilePath, { connectionId: 'chunk-test', chunkSize: 1 });
+    
+    // Two rows with a chunk size of one give two batches
+    expect(db.saveToDatabase).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ batchId: 1, dryRun: false, resumed: false, alreadyCommitted: 0, inserted: 4, updated: 0, unchanged: 0, errors: 0, skipped: 0, invalidDates: 0, invalidDateRows: [], rejected: 0, ruleFailures: {}, duplicates: 0, duplicateRows: [], rejectsFile: null, headerMapping: [], sheets: {} });
+  });
+  
+  test('should pass the import mode to the adapter', async () => {
+    const db = await getConnection();
+    db.saveToDatabase.mockResolvedValue({ inserted: 1, updated: 1, unchanged: 0, errors: 0, skipped: 0 });
+    
+    const result = await processExcelFile(testFilePath, { connectionId: 'upsert-test', mode: 'upsert' });
+    
+    expect(db.saveToDatabase.mock.calls[0][1]).toMatchObject({ mode: 'upsert', batchId: 1 });
+    expect(db.clearPeople).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ inserted: 1, updated: 1, unchanged: 0 });
+  });
+  
+  test('should clear existing people before a replace import', async () => {
+    const db = await getConnection();
+    
+    await processExcelFile(testFilePath, { connectionId: 'replace-test', mode: 'replace' });
+    
+    expect(db.clearPeople).toHaveBeenCalledTimes(1);
+    expect(db.clearPeople.mock.invocationCallOrder[0]).toBeLessThan(db.saveToDatabase.mock.invocationCallOrder[0]);
+  });
+  
+  test('should plan a dry run with read queries only', async () => {
+    const db = await getConnection();
+    db.dialect = 'postgres';
+    db.query.mockImplementation(async sql => (sql.includes('FROM people WHERE external_id IN') ? [{ key_value: 'LKSTKRAH' }] : []));
+    
+    const result = await processExcelFile(testFilePath, { connectionId: 'dry-run-test', mode: 'upsert', atomic: true, dryRun: true });
+    
+    expect(getConnection).toHaveBeenCalledWith('dry-run-test-dry-run', { dryRun: true });
+    expect(db.execute).not.toHaveBeenCalled();
+    expect(db.saveToDatabase).not.toHaveBeenCalled();
+    db.query.mock.calls.forEach(([sql]) => expect(sql).toMatch(/^SELECT/));
+    expect(result).toMatchObject({ batchId: null, dryRun: true, inserted: 1, updated: 1, errors: 0 });
+  });
+  
+  test('should reject an invalid date format hint', async () => {
+    await expect(processExcelFile(testFilePath, { connectionId: 'date-test', dateFormat: 'dd/mm' }))
+      .rejects.toThrow('Invalid date format: dd/mm');
+  });
+  
+  test('should reject an unknown import mode', async () => {
+    await expect(processExcelFile(testFilePath, { connectionId: 'mode-test', mode: 'merge' }))
+      .rejects.toThrow('Invalid import mode: merge');
+  });
+  
+  test('should write rows failing validation to the rejects file', async () => {
+    const validationPath = path.join(testDataDir, 'test-index-validation.json');
+    const rejectsPath = path.join(testDataDir, 'test-index-rejects.csv');
+    fs.writeFileSync(validationPath, JSON.stringify({ fields: { status: { allowed: ['Actif'] } } }));
+    const db = await getConnection();
+    db.saveToDatabase.mockResolvedValue({ inserted: 1, errors: 0 });
+    
+    try {
+      const result = await processExcelFile(testFilePath, {
+        connectionId: 'validation-test',
+        validation: validationPath,
+        rejectsFile: rejectsPath
+      });
+      
+      expect(db.saveToDatabase.mock.calls[0][0].map(person => person.external_id)).toEqual(['LKSTKRAH']);
+      expect(result).toMatchObject({ inserted: 1, rejected: 1, ruleFailures: { 'status.allowed': 1 }, rejectsFile: rejectsPath });
+      expect(fs.readFileSync(rejectsPath, 'utf8')).toContain('2,FRSE2X8S,Girard,David,1984-09-21,Inactif,Girard David,"status ""Inactif"" is not one of: Actif"');
+    } finally {
+      [validationPath, rejectsPath].filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+    }
+  });
+  
+  test('should fail the import when the rejects file cannot be written', async () => {
+    const validationPath = path.join(testDataDir, 'test-index-validation.json');
+    fs.writeFileSync(validationPath, JSON.stringify({ fields: { status: { allowed: ['Actif'] } } }));
+    const db = await getConnection();
+    
+    try {
+      await expect(processExcelFile(testFilePath, {
+        connectionId: 'rejects-error-test',
+        validation: validationPath,
+        rejectsFile: path.join(testDataDir, 'missing', 'rejects.csv')
+      })).rejects.toThrow('Failed to write rejects file');
+      
+      const finish = db.execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE import_batches SET finished_at'));
+      expect(finish[1]).toEqual(['failed', null, null, expect.stringContaining('Failed to write rejects file'), 1]);
+    } finally {
+      fs.unlinkSync(validationPath);
+    }
+  });
+});
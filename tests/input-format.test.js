@@ -0,0 +1,53 @@
+/**
+ * Tests for the Input Format module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { detectInputFormat, resolveInputFormat } = require('../src/input-format');
+
+describe('Input Format', () => {
+  const testDataDir = path.join(__dirname, 'data');
+  const testFiles = [];
+
+  /**
+   * Write a temporary test file
+   */
+  function writeTestFile(name, contents) {
+    const filePath = path.join(testDataDir, name);
+    fs.mkdirSync(testDataDir, { recursive: true });
+    fs.writeFileSync(filePath, contents);
+    testFiles.push(filePath);
+    return filePath;
+  }
+
+  afterEach(() => {
+    testFiles.splice(0).forEach(filePath => fs.existsSync(filePath) && fs.unlinkSync(filePath));
+  });
+
+  test('should tell workbooks apart by their magic bytes', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['nom'], ['Dupont']]), 'People');
+
+    for (const format of ['xlsx', 'ods', 'xls']) {
+      const contents = XLSX.write(workbook, { type: 'buffer', bookType: format === 'xls' ? 'biff8' : format });
+      expect(await detectInputFormat(contents)).toBe(format);
+      // The extension does not matter for workbooks
+      expect(await detectInputFormat(writeTestFile('export.dat', contents))).toBe(format);
+    }
+  });
+
+  test('should detect text formats by extension or contents', async () => {
+    expect(await detectInputFormat(writeTestFile('people.tsv', 'nom\tprenom\n'))).toBe('tsv');
+    expect(await detectInputFormat(writeTestFile('people.jsonl', '{"nom":"Dupont"}\n'))).toBe('ndjson');
+    expect(await detectInputFormat(Buffer.from('﻿  {"nom":"Dupont"}\n'))).toBe('ndjson');
+    expect(await detectInputFormat(Buffer.from('nom;prenom\n'))).toBe('csv');
+  });
+
+  test('should use and validate an explicit format', async () => {
+    expect(await detectInputFormat(Buffer.from('{}'), { inputFormat: 'CSV' })).toBe('csv');
+    expect(resolveInputFormat('jsonl')).toBe('ndjson');
+    expect(() => resolveInputFormat('pdf')).toThrow('Invalid input format: pdf. Expected one of: xlsx, xls, ods, csv, tsv, ndjson');
+  });
+});
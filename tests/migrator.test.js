@@ -0,0 +1,194 @@
+/**
+ * Tests for the Migrator module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { getConnection, closeConnection } = require('../src/database');
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../src/migrator');
+const { runMigrate } = require('../src/commands/migrate');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const dbPath = path.join(__dirname, 'data', 'test-migrations.db');
+
+/**
+ * Run statements against a database file before the migrator sees it
+ */
+async function prepareDatabase(statements) {
+  const db = new sqlite3.Database(dbPath);
+  for (const sql of statements) {
+    await new Promise((resolve, reject) => db.run(sql, err => (err ? reject(err) : resolve())));
+  }
+  await new Promise(resolve => db.close(resolve));
+}
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    if (fs.existsSync(dbPath)) {
+      fs.unlinkSync(dbPath);
+    }
+  });
+
+  afterEach(async () => {
+    await closeConnection('migrations-test');
+    if (fs.existsSync(dbPath)) {
+      fs.unlinkSync(dbPath);
+    }
+  });
+
+  test('should load numbered migrations in order', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.slice(0, 2).map(({ version, name }) => ({ version, name }))).toEqual([
+      { version: 1, name: 'create-people' },
+      { version: 2, name: 'unique-external-id' }
+    ]);
+    migrations.forEach((migration) => {
+      expect(Object.keys(migration.up).sort()).toEqual(['mysql', 'postgres', 'sqlite']);
+      expect(Object.keys(migration.down).sort()).toEqual(['mysql', 'postgres', 'sqlite']);
+    });
+  });
+
+  test('should apply every migration when connecting to a new database', async () => {
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath });
+
+    const status = await getMigrationStatus(db);
+
+    expect(status.pending).toBe(0);
+    expect(status.currentVersion).toBe(loadMigrations().pop().version);
+    expect(await db.query("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_people_external_id'")).toHaveLength(1);
+  });
+
+  test('should leave the schema alone when connecting with migrate disabled', async () => {
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath, migrate: false });
+
+    expect(await db.query("SELECT name FROM sqlite_master WHERE name = 'people'")).toHaveLength(0);
+  });
+
+  test('should revert and re-apply migrations', async () => {
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath, migrate: false });
+    await migrateUp(db, { to: 2 });
+
+    const reverted = await migrateDown(db);
+
+    expect(reverted).toEqual([{ version: 2, name: 'unique-external-id' }]);
+    expect(await db.query("SELECT name FROM sqlite_master WHERE name = 'idx_people_external_id'")).toHaveLength(0);
+    expect((await getMigrationStatus(db)).currentVersion).toBe(1);
+
+    await migrateDown(db, { to: 0 });
+    expect(await db.query("SELECT name FROM sqlite_master WHERE name = 'people'")).toHaveLength(0);
+
+    expect(await migrateUp(db, { to: 2 })).toHaveLength(2);
+  });
+
+  test('should add missing columns to a table created by an older version', async () => {
+    await prepareDatabase([
+      'CREATE TABLE people (id INTEGER PRIMARY KEY AUTOINCREMENT, external_id TEXT, first_name TEXT, last_name TEXT)',
+      "INSERT INTO people (external_id, first_name, last_name) VALUES ('', 'Jean', 'Dupont')"
+    ]);
+
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath });
+
+    const columns = (await db.query('PRAGMA table_info(people)')).map(column => column.name);
+    expect(columns).toEqual(expect.arrayContaining(['birth_date', 'status', 'created_at', 'additional_data']));
+
+    // Empty IDs from older imports become NULL so they do not collide
+    expect(await db.query('SELECT external_id, first_name FROM people')).toEqual([{ external_id: null, first_name: 'Jean' }]);
+  });
+
+  test('should convert existing birth dates to a DATE column', async () => {
+    await prepareDatabase([
+      'CREATE TABLE people (id INTEGER PRIMARY KEY AUTOINCREMENT, external_id TEXT, first_name TEXT, last_name TEXT, birth_date TEXT, status TEXT, created_at TEXT, additional_data TEXT)',
+      "INSERT INTO people (external_id, birth_date, additional_data) VALUES ('A', '21/09/1984', NULL), ('B', 'unknown', '{\"city\":\"Lyon\"}'), ('C', '', NULL)"
+    ]);
+
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath });
+
+    const birthDate = (await db.query('PRAGMA table_info(people)')).find(column => column.name === 'birth_date');
+    expect(birthDate.type).toBe('DATE');
+    expect(await db.query('SELECT id, external_id, birth_date, additional_data FROM people ORDER BY id')).toEqual([
+      { id: 1, external_id: 'A', birth_date: '1984-09-21', additional_data: null },
+      { id: 2, external_id: 'B', birth_date: null, additional_data: '{"city":"Lyon","birth_date_raw":"unknown"}' },
+      { id: 3, external_id: 'C', birth_date: null, additional_data: null }
+    ]);
+
+    // The rebuilt table keeps its indexes
+    expect(await db.query("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_people_external_id'")).toHaveLength(1);
+
+    await migrateDown(db, { to: 2 });
+    const reverted = (await db.query('PRAGMA table_info(people)')).find(column => column.name === 'birth_date');
+    expect(reverted.type).toBe('TEXT');
+  });
+
+  test('should roll back a failed migration and keep it pending', async () => {
+    await prepareDatabase([
+      'CREATE TABLE people (id INTEGER PRIMARY KEY AUTOINCREMENT, external_id TEXT, first_name TEXT, last_name TEXT, birth_date TEXT, status TEXT, created_at TEXT, additional_data TEXT)',
+      "INSERT INTO people (external_id) VALUES ('DUP'), ('DUP')"
+    ]);
+
+    await expect(getConnection('migrations-test', { type: 'sqlite', path: dbPath }))
+      .rejects.toThrow('Migration 002-unique-external-id (up) failed');
+
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath, migrate: false });
+    const status = await getMigrationStatus(db);
+    expect(status.currentVersion).toBe(1);
+    expect(status.migrations.find(migration => migration.version === 2).applied).toBe(false);
+  });
+
+  test('should run the steps of custom migrations inside a transaction', async () => {
+    db = await getConnection('migrations-test', { type: 'sqlite', path: dbPath, migrate: false });
+    const migrations = [
+      {
+        version: 1,
+        name: 'broken',
+        up: { sqlite: ['CREATE TABLE half_done (id INTEGER)', 'NOT VALID SQL'] },
+        down: { sqlite: [] }
+      }
+    ];
+
+    await expect(migrateUp(db, { migrations })).rejects.toThrow('Migration 001-broken (up) failed');
+    expect(await db.query("SELECT name FROM sqlite_master WHERE name = 'half_done'")).toHaveLength(0);
+  });
+});
+
+describe('Migrate Command', () => {
+  afterEach(() => {
+    if (fs.existsSync(dbPath)) {
+      fs.unlinkSync(dbPath);
+    }
+  });
+
+  test('should report status, apply and revert migrations', async () => {
+    const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'migrate-command-test' };
+    const latest = loadMigrations().pop().version;
+
+    const before = await runMigrate('status', options);
+    expect(before).toMatchObject({ success: true, command: 'migrate status', currentVersion: 0, pending: latest });
+    expect(before.migrations[0]).toMatchObject({ version: 1, name: 'create-people', applied: false });
+
+    const up = await runMigrate('up', options);
+    expect(up.applied).toHaveLength(latest);
+    expect(up).toMatchObject({ currentVersion: latest, pending: 0 });
+
+    const down = await runMigrate('down', { ...options, args: { steps: '2' } });
+    expect(down.reverted.map(migration => migration.version)).toEqual([latest, latest - 1]);
+    expect(down.currentVersion).toBe(latest - 2);
+  });
+
+  test('should reject unknown actions', async () => {
+    await expect(runMigrate('sideways', {})).rejects.toThrow('Unknown migrate action: sideways');
+  });
+});
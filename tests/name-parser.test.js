@@ -0,0 +1,87 @@
+/**
+ * Tests for the Name Parser module
+ */
+
+const { registerNameStrategy, resolveNameLanguage, detectNameLanguage, splitFullName } = require('../src/name-parser');
+const { normalizePersonFields } = require('../src/database');
+const { prepareRecords } = require('../src/adapters/adapter-utils');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Name Parser', () => {
+  test('should split surname-first names on the first space', () => {
+    expect(splitFullName('Girard David')).toEqual({ last_name: 'Girard', first_name: 'David' });
+    expect(splitFullName('  Иванов Иван Иванович ')).toEqual({ last_name: 'Иванов', first_name: 'Иван Иванович' });
+    expect(splitFullName('Girard')).toBeNull();
+    expect(splitFullName('')).toBeNull();
+  });
+
+  test('should take the words in capitals as the surname', () => {
+    expect(splitFullName('DE LA FONTAINE Jean')).toEqual({ last_name: 'DE LA FONTAINE', first_name: 'Jean' });
+    expect(splitFullName('Jean DE LA FONTAINE')).toEqual({ last_name: 'DE LA FONTAINE', first_name: 'Jean' });
+    expect(splitFullName('EL AMRANI Mohamed')).toEqual({ last_name: 'EL AMRANI', first_name: 'Mohamed' });
+    expect(splitFullName('Anna van der BERG')).toEqual({ last_name: 'van der BERG', first_name: 'Anna' });
+    expect(splitFullName('J. SMITH')).toEqual({ last_name: 'SMITH', first_name: 'J.' });
+
+    // Names written entirely in capitals follow the surname-first order
+    expect(splitFullName('GIRARD DAVID')).toEqual({ last_name: 'GIRARD', first_name: 'DAVID' });
+  });
+
+  test('should keep particles with the surname', () => {
+    expect(splitFullName('Van der Berg Anna')).toEqual({ last_name: 'Van der Berg', first_name: 'Anna' });
+    expect(splitFullName('Anna van der Berg')).toEqual({ last_name: 'van der Berg', first_name: 'Anna' });
+    expect(splitFullName('Mohamed bin Salman')).toEqual({ last_name: 'bin Salman', first_name: 'Mohamed' });
+    expect(splitFullName('Abdel Kader Ahmed')).toEqual({ last_name: 'Abdel Kader', first_name: 'Ahmed' });
+
+    // al- and el- joined to the surname by a hyphen start it as well
+    expect(splitFullName('Mohamed al-Rashid')).toEqual({ last_name: 'al-Rashid', first_name: 'Mohamed' });
+    expect(splitFullName('Mohamed Ali El-Amrani')).toEqual({ last_name: 'El-Amrani', first_name: 'Mohamed Ali' });
+    expect(splitFullName('al-Rashid Mohamed Ali')).toEqual({ last_name: 'al-Rashid', first_name: 'Mohamed Ali' });
+
+    // A particle that would leave no first name is an ordinary word
+    expect(splitFullName('Ben Smith')).toEqual({ last_name: 'Ben', first_name: 'Smith' });
+  });
+
+  test('should keep Arabic compound names together', () => {
+    expect(detectNameLanguage('عبد الله')).toBe('ar');
+    expect(splitFullName('عبد الله')).toBeNull();
+    expect(splitFullName('عبد الله محمد')).toEqual({ last_name: 'عبد الله', first_name: 'محمد' });
+    expect(splitFullName('محمد بن سلمان')).toEqual({ last_name: 'بن سلمان', first_name: 'محمد' });
+  });
+
+  test('should split Chinese names without spaces', () => {
+    expect(detectNameLanguage('王小明')).toBe('zh');
+    expect(splitFullName('王小明')).toEqual({ last_name: '王', first_name: '小明' });
+    expect(splitFullName('欧阳修')).toEqual({ last_name: '欧阳', first_name: '修' });
+    expect(splitFullName('王 小明')).toEqual({ last_name: '王', first_name: '小明' });
+    expect(splitFullName('王')).toBeNull();
+  });
+
+  test('should use the strategy registered for a language', () => {
+    registerNameStrategy('given-first', (name) => {
+      const words = name.split(/\s+/);
+      return words.length < 2 ? null : { last_name: words[words.length - 1], first_name: words.slice(0, -1).join(' ') };
+    });
+
+    expect(splitFullName('David Girard', { language: 'given-first' })).toEqual({ last_name: 'Girard', first_name: 'David' });
+    expect(resolveNameLanguage('zh')).toBe('zh');
+    expect(() => resolveNameLanguage('xx')).toThrow('Invalid name language: xx');
+    expect(() => registerNameStrategy('xx', 'last first')).toThrow('Invalid name strategy for xx');
+  });
+
+  test('should split full names on normalization and keep the original in additional_data', () => {
+    const person = normalizePersonFields({ 'Full Name': 'DE LA FONTAINE Jean', ID: 'A1' });
+
+    expect(person).toMatchObject({ last_name: 'DE LA FONTAINE', first_name: 'Jean', name: 'DE LA FONTAINE Jean' });
+    const { records: [record] } = prepareRecords([person]);
+    expect(JSON.parse(record.values[5])).toEqual({ name: 'DE LA FONTAINE Jean' });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the People Staging module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { stagingTableName, PREVIOUS_TABLE } = require('../src/people-staging');
+const { processExcelFile } = require('../src/index');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const dataDir = path.join(__dirname, 'data');
+const dbPath = path.join(dataDir, 'test-people-staging.db');
+const sourcePath = path.join(dataDir, 'test-people-staging.xlsx');
+const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'people-staging-test' };
+
+/**
+ * Remove the test database and workbook
+ */
+function cleanUp() {
+  [dbPath, sourcePath].forEach((filePath) => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+/**
+ * Write a workbook of people and import it
+ */
+async function importRows(rows, importOptions = {}) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Matricule', 'Nom', 'Prénom'], ...rows]), 'Agents');
+  XLSX.writeFile(workbook, sourcePath);
+  return processExcelFile(sourcePath, { ...options, ...importOptions });
+}
+
+describe('People Staging', () => {
+  let db;
+
+  /**
+   * Read the rows of a table
+   */
+  async function readTable(table) {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query(`SELECT id, external_id, batch_id FROM ${table} ORDER BY id`);
+  }
+
+  /**
+   * Names of the tables and indexes of the database
+   */
+  async function schemaNames(type) {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query("SELECT name, tbl_name FROM sqlite_master WHERE type = ? AND name NOT LIKE 'sqlite_%' ORDER BY name", [type]);
+  }
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    await importRows([['A1', 'Girard', 'Hélène'], ['A2', 'Thomas', 'Rachel']]);
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should swap a staged load in as people and keep the old table', async () => {
+    const result = await importRows([['A3', 'Martin', 'Paul'], ['A4', 'Petit', 'Anne']], { mode: 'replace', staging: true });
+
+    expect(result).toMatchObject({ batchId: 2, inserted: 2 });
+    expect(await readTable('people')).toEqual([
+      { id: 3, external_id: 'A3', batch_id: 2 },
+      { id: 4, external_id: 'A4', batch_id: 2 }
+    ]);
+    expect(await readTable(PREVIOUS_TABLE)).toEqual([
+      { id: 1, external_id: 'A1', batch_id: 1 },
+      { id: 2, external_id: 'A2', batch_id: 1 }
+    ]);
+    expect((await schemaNames('table')).map(table => table.name)).not.toContain(stagingTableName(2));
+    expect(await schemaNames('index')).toEqual(expect.arrayContaining([
+      { name: 'idx_people_batch_id', tbl_name: 'people' },
+      { name: 'idx_people_external_id', tbl_name: 'people' }
+    ]));
+    await closeConnection(options.connectionId);
+
+    // The unique index is back in place for upserts and the next staged load
+    expect(await importRows([['A3', 'Martin', 'Pauline']], { mode: 'upsert' })).toMatchObject({ updated: 1 });
+    await importRows([['A5', 'Roux', 'Marc']], { mode: 'replace', staging: true });
+    const [person] = await readTable('people');
+    expect(person).toMatchObject({ external_id: 'A5', batch_id: 4 });
+    expect(person.id).toBeGreaterThan(4);
+    expect((await readTable(PREVIOUS_TABLE)).map(row => row.external_id)).toEqual(['A3', 'A4']);
+  });
+
+  test('should leave people untouched when the staged rows fail validation', async () => {
+    await expect(importRows([['A3', 'Martin', 'Paul'], ['A3', 'Martin', 'Paula']], { mode: 'replace', staging: true }))
+      .rejects.toThrow('1 external IDs appear more than once (A3); the people table was left untouched');
+
+    expect((await readTable('people')).map(row => row.external_id)).toEqual(['A1', 'A2']);
+    expect((await schemaNames('table')).map(table => table.name)).not.toContain(stagingTableName(2));
+    expect(await db.query('SELECT outcome FROM import_batches WHERE id = 2')).toEqual([{ outcome: 'failed' }]);
+  });
+
+  test('should only stage replace loads', async () => {
+    await expect(importRows([['A3', 'Martin', 'Paul']], { staging: true })).rejects.toThrow('--staging requires --mode=replace');
+    await expect(importRows([['A3', 'Martin', 'Paul']], { mode: 'replace', staging: true, atomic: true }))
+      .rejects.toThrow('--staging cannot be combined with --atomic or --resume');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the Promoted Columns module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { resolvePromotedColumns, promoteColumns, loadPromotedColumns } = require('../src/promoted-columns');
+const { prepareRecords } = require('../src/adapters/adapter-utils');
+const { migrateDown } = require('../src/migrator');
+const { rollbackImportBatch } = require('../src/import-batches');
+const { processExcelFile } = require('../src/index');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Promoted Columns', () => {
+  test('should validate the fields to promote', () => {
+    expect(resolvePromotedColumns('email, phone,email')).toEqual(['email', 'phone']);
+    expect(resolvePromotedColumns()).toEqual([]);
+    expect(() => resolvePromotedColumns(['E-mail'])).toThrow('Invalid promoted column: E-mail');
+    expect(() => resolvePromotedColumns(['status'])).toThrow('status is already a column of people');
+  });
+
+  test('should write promoted fields after the other columns, as text', () => {
+    const { records: [record] } = prepareRecords(
+      [{ external_id: 'A1', last_name: 'Girard', email: 'h.girard@example.org', phone: 612345678, age: 42 }],
+      { promotedColumns: ['email', 'phone', 'fax'] }
+    );
+
+    expect(record.values.slice(-3)).toEqual(['h.girard@example.org', '612345678', null]);
+    expect(JSON.parse(record.values[5])).toEqual({ age: 42 });
+  });
+});
+
+describe('Typed Extra Columns on Import', () => {
+  const dataDir = path.join(__dirname, 'data');
+  const dbPath = path.join(dataDir, 'test-promoted-columns.db');
+  const sourcePath = path.join(dataDir, 'test-promoted-columns.xlsx');
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'promoted-columns-test' };
+  let db;
+
+  /**
+   * Remove the test database and workbook
+   */
+  function cleanUp() {
+    [dbPath, sourcePath].forEach((filePath) => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  /**
+   * Write a workbook of people and import it
+   */
+  async function importRows(rows, importOptions = {}) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Matricule', 'Nom', 'Prénom', 'Email', 'Age', 'Titulaire', 'Embauche'], ...rows], { cellDates: true }), 'Agents');
+    XLSX.writeFile(workbook, sourcePath);
+    await closeConnection(options.connectionId);
+    return processExcelFile(sourcePath, { ...options, ...importOptions });
+  }
+
+  /**
+   * Read the people table
+   */
+  async function readPeople(columns = 'external_id, additional_data') {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query(`SELECT ${columns} FROM people ORDER BY id`);
+  }
+
+  beforeEach(async () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    await importRows([
+      ['A1', 'Girard', 'Hélène', 'h.girard@example.org', 42, true, new Date(2015, 8, 1)],
+      ['A2', 'Thomas', 'Rachel', '', 35, false, null]
+    ]);
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should keep the types of the extra cells in additional_data', async () => {
+    const people = await readPeople();
+
+    expect(JSON.parse(people[0].additional_data)).toMatchObject({ email: 'h.girard@example.org', age: 42, titulaire: true, embauche: '2015-09-01' });
+    expect(JSON.parse(people[1].additional_data)).toMatchObject({ email: '', age: 35, titulaire: false });
+  });
+
+  test('should move promoted fields out of additional_data into indexed columns', async () => {
+    const result = await importRows([['A3', 'Martin', 'Paul', 'p.martin@example.org', 28, true, null]], { promoteColumns: ['email'] });
+
+    expect(result).toMatchObject({ inserted: 1 });
+    const people = await readPeople('external_id, email, additional_data');
+    expect(people.map(person => [person.external_id, person.email])).toEqual([
+      ['A1', 'h.girard@example.org'],
+      ['A2', null],
+      ['A3', 'p.martin@example.org']
+    ]);
+    people.forEach(person => expect(JSON.parse(person.additional_data)).not.toHaveProperty('email'));
+    expect(await loadPromotedColumns(db)).toEqual(['email']);
+    expect(await db.query("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_people_email'")).toHaveLength(1);
+
+    // Later imports write the column without being asked, and rollbacks restore it
+    await importRows([['A1', 'Girard', 'Hélène', 'helene.girard@example.org', 42, true, null]], { mode: 'upsert' });
+    expect((await readPeople('email'))[0]).toEqual({ email: 'helene.girard@example.org' });
+    await rollbackImportBatch(db, 3);
+    expect((await readPeople('email'))[0]).toEqual({ email: 'h.girard@example.org' });
+  });
+
+  test('should put promoted fields back in additional_data when the migration is reverted', async () => {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    await promoteColumns(db, ['email']);
+    await migrateDown(db, { to: 7 });
+
+    const people = await readPeople();
+    expect(JSON.parse(people[0].additional_data)).toMatchObject({ email: 'h.girard@example.org', age: 42 });
+    expect((await db.query('PRAGMA table_info(people)')).map(column => column.name)).not.toContain('email');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the Rejects Writer module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { createRejectsWriter, resolveRejectsFormat } = require('../src/rejects-writer');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Rejects Writer', () => {
+  const testDataDir = path.join(__dirname, 'data');
+  const csvPath = path.join(testDataDir, 'test-rejects.csv');
+  const xlsxPath = path.join(testDataDir, 'test-rejects.xlsx');
+
+  beforeAll(() => {
+    fs.mkdirSync(testDataDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    [csvPath, xlsxPath].filter(fs.existsSync).forEach(fs.unlinkSync);
+  });
+
+  test('should write rejected rows as CSV with a reason column', async () => {
+    const writer = createRejectsWriter(csvPath);
+
+    await writer.write({ rowNumber: 3, person: { matricule: 'A1', nom: 'Dupont, Jean' } }, 'status is required');
+    await writer.write({ rowNumber: 7, person: { matricule: 'A2', nom: 'Say "hi"' } }, 'identity; status is required');
+    await writer.close();
+
+    expect(writer.count).toBe(2);
+    expect(fs.readFileSync(csvPath, 'utf8')).toBe(
+      '\uFEFFrow,matricule,nom,reason\r\n' +
+      '3,A1,"Dupont, Jean",status is required\r\n' +
+      '7,A2,"Say ""hi""",identity; status is required\r\n'
+    );
+  });
+
+  test('should write rejected rows as XLSX', async () => {
+    const writer = createRejectsWriter(xlsxPath);
+
+    await writer.write({ rowNumber: 3, person: { matricule: 'A1' } }, 'status is required');
+    await writer.close();
+
+    const workbook = XLSX.readFile(xlsxPath);
+    expect(workbook.SheetNames).toEqual(['Rejects']);
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets.Rejects, { header: 1 })).toEqual([
+      ['row', 'matricule', 'reason'],
+      [3, 'A1', 'status is required']
+    ]);
+  });
+
+  test('should write the columns of every rejected row', async () => {
+    const csvWriter = createRejectsWriter(csvPath);
+    const xlsxWriter = createRejectsWriter(xlsxPath);
+    const first = { rowNumber: 3, person: { matricule: 'A1', source_sheet: 'Nord' } };
+    const second = { rowNumber: 4, person: { matricule: 'B1', email: 'b1@example.org', source_sheet: 'Sud' } };
+
+    for (const writer of [csvWriter, xlsxWriter]) {
+      await writer.write(first, 'status is required');
+      await writer.write(second, 'identity');
+      await writer.close();
+    }
+
+    expect(fs.readFileSync(csvPath, 'utf8')).toBe(
+      '\uFEFFrow,matricule,source_sheet,email,reason\r\n' +
+      '3,A1,Nord,,status is required\r\n' +
+      '4,B1,Sud,b1@example.org,identity\r\n'
+    );
+    expect(fs.existsSync(`${csvPath}.part`)).toBe(false);
+    expect(fs.existsSync(`${xlsxPath}.part`)).toBe(false);
+    expect(XLSX.utils.sheet_to_json(XLSX.readFile(xlsxPath).Sheets.Rejects, { header: 1, defval: null })).toEqual([
+      ['row', 'matricule', 'source_sheet', 'email', 'reason'],
+      [3, 'A1', 'Nord', null, 'status is required'],
+      [4, 'B1', 'Sud', 'b1@example.org', 'identity']
+    ]);
+  });
+
+  test('should not create a file when nothing was rejected', async () => {
+    const writer = createRejectsWriter(csvPath);
+
+    await writer.close();
+
+    expect(fs.existsSync(csvPath)).toBe(false);
+  });
+
+  test('should fail the write when the file cannot be created', async () => {
+    const missingDir = path.join(testDataDir, 'missing');
+    const csvWriter = createRejectsWriter(path.join(missingDir, 'rejects.csv'));
+    const xlsxWriter = createRejectsWriter(path.join(missingDir, 'rejects.xlsx'));
+    const entry = { rowNumber: 3, person: { matricule: 'A1' } };
+
+    await expect(csvWriter.write(entry, 'status is required')).rejects.toThrow(/^Failed to write rejects file .*rejects\.csv: ENOENT/);
+    await expect(xlsxWriter.write(entry, 'status is required')).rejects.toThrow(/^Failed to write rejects file .*rejects\.xlsx: ENOENT/);
+    await csvWriter.close();
+    await xlsxWriter.close();
+    expect(fs.existsSync(missingDir)).toBe(false);
+  });
+
+  test('should resolve the format from the option or the extension', () => {
+    expect(resolveRejectsFormat('rejects.xlsx')).toBe('xlsx');
+    expect(resolveRejectsFormat('rejects')).toBe('csv');
+    expect(resolveRejectsFormat('rejects.txt', 'CSV')).toBe('csv');
+    expect(() => resolveRejectsFormat('rejects.txt')).toThrow('Invalid rejects format: txt');
+  });
+});
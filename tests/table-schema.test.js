@@ -0,0 +1,211 @@
+/**
+ * Tests for the Table Schema module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { getConnection, closeConnection } = require('../src/database');
+const { validateTableSchema, loadTableSchema, toSchemaValues, buildCreateTableSql } = require('../src/table-schema');
+const { prepareRecords } = require('../src/adapters/adapter-utils');
+const { rollbackImportBatch } = require('../src/import-batches');
+const { processExcelFile } = require('../src/index');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const STAFF_SCHEMA = {
+  table: 'staff',
+  key: 'staff_id',
+  columns: [
+    { name: 'surname', field: 'last_name' },
+    { name: 'staff_id', field: 'external_id' },
+    { name: 'grade', type: 'integer', headers: ['Échelon'] },
+    { name: 'hired_on', type: 'date', field: 'embauche' },
+    { name: 'tenured', type: 'boolean', headers: ['Titulaire'] }
+  ],
+  overflow: 'extra'
+};
+
+describe('Table Schema', () => {
+  test('should fill in the defaults and put the key column first', () => {
+    const schema = validateTableSchema({ table: 'staff', key: 'staff_id', columns: [{ name: 'surname' }, { name: 'staff_id' }] });
+
+    expect(schema).toEqual({
+      table: 'staff',
+      key: 'staff_id',
+      columns: [
+        { name: 'staff_id', type: 'text', field: 'staff_id', headers: [] },
+        { name: 'surname', type: 'text', field: 'surname', headers: [] }
+      ],
+      overflow: 'additional_data'
+    });
+  });
+
+  test('should reject invalid schemas', () => {
+    expect(() => validateTableSchema({ table: 'people', columns: [{ name: 'a' }] })).toThrow('the people table belongs to the importer');
+    expect(() => validateTableSchema({ table: 'staff', columns: [] })).toThrow('"columns" must be a non-empty list');
+    expect(() => validateTableSchema({ table: 'staff', columns: [{ name: 'a', type: 'money' }] })).toThrow('columns[0].type must be one of');
+    expect(() => validateTableSchema({ table: 'staff', columns: [{ name: 'batch_id' }] })).toThrow('batch_id is reserved');
+    expect(() => validateTableSchema({ table: 'staff', key: 'id_agent', columns: [{ name: 'a' }] })).toThrow('"key" must be one of the columns');
+    expect(() => validateTableSchema({ table: 'staff', columns: [{ name: 'a', size: 10 }] })).toThrow('unknown key "columns[0].size"');
+  });
+
+  test('should convert field values to the column types and keep the rest in the overflow', () => {
+    const schema = validateTableSchema(STAFF_SCHEMA);
+    const values = toSchemaValues(schema, { external_id: 'A1', last_name: 'Girard', first_name: 'Hélène', grade: '7', embauche: '01/09/2015', tenured: 'oui' });
+
+    expect(values.slice(0, -1)).toEqual(['A1', 'Girard', 7, '2015-09-01', true]);
+    expect(JSON.parse(values[5])).toEqual({ first_name: 'Hélène' });
+
+    // Values the type cannot hold are left NULL and kept in the overflow
+    const [, , grade, hiredOn, tenured, extra] = toSchemaValues(schema, { external_id: 'A2', grade: '7b', embauche: '', tenured: false });
+    expect([grade, hiredOn, tenured]).toEqual([null, null, false]);
+    expect(JSON.parse(extra)).toEqual({ grade: '7b' });
+
+    const { records: [record] } = prepareRecords([{ external_id: 'A1', last_name: 'Girard', grade: 7 }], { schema, batchId: 3, rowNumbers: [2] });
+    expect(record.values).toEqual(['A1', 'Girard', 7, null, null, null, 3, 2]);
+  });
+
+  test('should build the table and its indexes from the schema', () => {
+    const schema = validateTableSchema(STAFF_SCHEMA);
+
+    expect(buildCreateTableSql('postgres', schema)).toEqual([
+      'CREATE TABLE staff (id SERIAL PRIMARY KEY, staff_id VARCHAR(255), surname VARCHAR(255), grade BIGINT, hired_on DATE, tenured BOOLEAN, extra JSONB, batch_id INTEGER, source_row_number INTEGER, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)',
+      'CREATE UNIQUE INDEX idx_staff_staff_id ON staff (staff_id)',
+      'CREATE INDEX idx_staff_batch_id ON staff (batch_id)'
+    ]);
+  });
+});
+
+describe('Imports into a Schema Table', () => {
+  const dataDir = path.join(__dirname, 'data');
+  const dbPath = path.join(dataDir, 'test-table-schema.db');
+  const sourcePath = path.join(dataDir, 'test-table-schema.xlsx');
+  const schemaPath = path.join(dataDir, 'test-table-schema.yaml');
+  const options = { dbOptions: { type: 'sqlite', path: dbPath }, connectionId: 'table-schema-test', schema: schemaPath };
+  let db;
+
+  /**
+   * Remove the test database, workbook and schema
+   */
+  function cleanUp() {
+    [dbPath, sourcePath, schemaPath].forEach((filePath) => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  /**
+   * Write a workbook of staff and import it
+   */
+  async function importRows(rows, importOptions = {}) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Matricule', 'Nom', 'Prénom', 'Échelon', 'Embauche', 'Titulaire'], ...rows]), 'Agents');
+    XLSX.writeFile(workbook, sourcePath);
+    await closeConnection(options.connectionId);
+    return processExcelFile(sourcePath, { ...options, ...importOptions });
+  }
+
+  /**
+   * Read the staff table
+   */
+  async function readStaff() {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    return db.query('SELECT staff_id, surname, grade, hired_on, tenured, extra, batch_id FROM staff ORDER BY id');
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    cleanUp();
+    fs.writeFileSync(schemaPath, [
+      'table: staff',
+      'key: staff_id',
+      'columns:',
+      '  - { name: staff_id, field: external_id }',
+      '  - { name: surname, field: last_name }',
+      '  - { name: grade, type: integer, headers: [Échelon] }',
+      '  - { name: hired_on, type: date, field: embauche }',
+      '  - { name: tenured, type: boolean, headers: [Titulaire] }',
+      'overflow: extra',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await closeConnection(options.connectionId);
+    cleanUp();
+  });
+
+  test('should load a YAML schema', () => {
+    expect(loadTableSchema(schemaPath)).toMatchObject({ table: 'staff', key: 'staff_id', overflow: 'extra' });
+  });
+
+  test('should create the table on the first import and write typed columns', async () => {
+    const result = await importRows([
+      ['A1', 'Girard', 'Hélène', 7, '01/09/2015', 'oui'],
+      ['A2', 'Thomas', 'Rachel', 'n/a', '', 'non']
+    ]);
+
+    expect(result).toMatchObject({ inserted: 2, errors: 0 });
+    const staff = await readStaff();
+    expect(staff).toEqual([
+      { staff_id: 'A1', surname: 'Girard', grade: 7, hired_on: '2015-09-01', tenured: 1, extra: expect.any(String), batch_id: result.batchId },
+      { staff_id: 'A2', surname: 'Thomas', grade: null, hired_on: null, tenured: 0, extra: expect.any(String), batch_id: result.batchId }
+    ]);
+    expect(JSON.parse(staff[0].extra)).toEqual({ first_name: 'Hélène', name: 'Girard Hélène' });
+    expect(JSON.parse(staff[1].extra)).toEqual({ first_name: 'Rachel', name: 'Thomas Rachel', grade: 'n/a' });
+    expect(await db.query('SELECT COUNT(*) AS count FROM people')).toEqual([{ count: 0 }]);
+    expect(await db.query('SELECT target_table FROM import_batches')).toEqual([{ target_table: 'staff' }]);
+  });
+
+  test('should upsert on the key column and replace only the schema table', async () => {
+    await importRows([['A1', 'Girard', 'Hélène', 7, '01/09/2015', 'oui']]);
+    const upsert = await importRows([['A1', 'Girard', 'Hélène', 8, '01/09/2015', 'oui'], ['A2', 'Thomas', 'Rachel', 3, '', 'non']], { mode: 'upsert' });
+
+    expect(upsert).toMatchObject({ inserted: 1, updated: 1, unchanged: 0 });
+    expect((await readStaff()).map(row => [row.staff_id, row.grade])).toEqual([['A1', 8], ['A2', 3]]);
+    await expect(rollbackImportBatch(db, upsert.batchId)).rejects.toThrow('wrote the staff table; only imports into people can be rolled back');
+
+    await importRows([['A3', 'Martin', 'Paul', 1, '', 'non']], { mode: 'replace' });
+    expect((await readStaff()).map(row => row.staff_id)).toEqual(['A3']);
+  });
+
+  test('should import a register without person fields, requiring only its key', async () => {
+    const grantsPath = path.join(dataDir, 'test-table-schema-grants.csv');
+    fs.writeFileSync(schemaPath, 'table: grants\nkey: code\ncolumns:\n  - { name: code }\n  - { name: amount, type: number }\n  - { name: region }\n');
+    fs.writeFileSync(grantsPath, 'code,amount,region\nG-1,1500.5,Nord\n,200,Sud\nG-2,,Est\n');
+    
+    try {
+      const result = await processExcelFile(grantsPath, options);
+      
+      expect(result).toMatchObject({ inserted: 2, errors: 0, rejected: 1, ruleFailures: { identity: 1 } });
+      db = await getConnection(options.connectionId, options.dbOptions);
+      expect(await db.query('SELECT code, amount, region FROM grants ORDER BY id')).toEqual([
+        { code: 'G-1', amount: 1500.5, region: 'Nord' },
+        { code: 'G-2', amount: null, region: 'Est' }
+      ]);
+      
+      fs.writeFileSync(grantsPath, 'amount,region\n1500.5,Nord\n');
+      await closeConnection(options.connectionId);
+      await expect(processExcelFile(grantsPath, options)).rejects.toThrow('Excel file has no column for code, the key of the grants table');
+    } finally {
+      [grantsPath, path.join(process.cwd(), 'test-table-schema-grants.rejects.csv')].filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+    }
+  });
+
+  test('should refuse an existing table that does not match the schema', async () => {
+    db = await getConnection(options.connectionId, options.dbOptions);
+    await db.execute('CREATE TABLE staff (id INTEGER PRIMARY KEY, staff_id TEXT)');
+
+    await expect(importRows([['A1', 'Girard', 'Hélène', 7, '', 'oui']])).rejects.toThrow('Table staff does not match its schema: missing columns surname, grade');
+  });
+});
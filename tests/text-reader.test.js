@@ -0,0 +1,103 @@
+/**
+ * Tests for the Text Reader module
+ */
+
+const { detectEncoding, detectDelimiter, readDelimitedRows, readJsonLines } = require('../src/text-reader');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+/**
+ * Collect the items of an async generator
+ */
+async function collect(generator) {
+  const items = [];
+  for await (const item of generator) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('Text Reader', () => {
+  test('should read quoted fields with delimiters, doubled quotes and line breaks', async () => {
+    const csv = 'id,name,note\r\nA1,"Dupont, Jean","He said ""hi"""\r\n\r\nA2,Girard,"two\nlines"\r\n';
+
+    const rows = await collect(readDelimitedRows(Buffer.from(csv)));
+
+    expect(rows).toEqual([
+      { rowNumber: 1, cells: ['id', 'name', 'note'] },
+      { rowNumber: 2, cells: ['A1', 'Dupont, Jean', 'He said "hi"'] },
+      { rowNumber: 3, cells: [] },
+      { rowNumber: 4, cells: ['A2', 'Girard', 'two\nlines'] }
+    ]);
+  });
+
+  test('should read the last record without a trailing line break', async () => {
+    const rows = await collect(readDelimitedRows(Buffer.from('a;b\n1;"2"'), { delimiter: ';' }));
+
+    expect(rows.map(row => row.cells)).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('should use the configured quote character', async () => {
+    const rows = await collect(readDelimitedRows(Buffer.from("a,b\n'x, y',z\n"), { quote: "'" }));
+
+    expect(rows[1].cells).toEqual(['x, y', 'z']);
+  });
+
+  test('should report unterminated quoted fields and invalid options', async () => {
+    await expect(collect(readDelimitedRows(Buffer.from('a,b\n1,"open\n')))).rejects.toThrow('Unterminated quoted field starting on row 2');
+    await expect(collect(readDelimitedRows(Buffer.from('a'), { delimiter: ';;' }))).rejects.toThrow('Invalid delimiter: ;;');
+    await expect(collect(readDelimitedRows(Buffer.from('a'), { encoding: 'klingon' }))).rejects.toThrow('Unknown encoding: klingon');
+  });
+
+  test('should detect the delimiter below title lines', () => {
+    expect(detectDelimiter('id,name\n1,a')).toBe(',');
+    expect(detectDelimiter('Liste du personnel\nid;nom;"a,b"\n1;x;y')).toBe(';');
+    expect(detectDelimiter('id\tname\n')).toBe('\t');
+    expect(detectDelimiter('id')).toBe(',');
+  });
+
+  test('should decode byte order marks, Windows code pages and explicit encodings', async () => {
+    // "Hélène" in UTF-8 with a BOM, in Windows-1252 and in UTF-16LE with a BOM
+    const utf8 = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('nom\nHélène\n')]);
+    const cp1252 = Buffer.from([0x6E, 0x6F, 0x6D, 0x0A, 0x48, 0xE9, 0x6C, 0xE8, 0x6E, 0x65, 0x0A]);
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('nom\nHélène\n', 'utf16le')]);
+    // "Иван" in Windows-1251
+    const cp1251 = Buffer.from([0xE8, 0xEC, 0xFF, 0x0A, 0xC8, 0xE2, 0xE0, 0xED, 0x0A]);
+
+    expect(detectEncoding(utf8)).toBe('utf-8');
+    expect(detectEncoding(cp1252)).toBe('windows-1252');
+    expect(detectEncoding(utf16)).toBe('utf-16le');
+
+    for (const source of [utf8, cp1252, utf16]) {
+      expect((await collect(readDelimitedRows(source))).map(row => row.cells)).toEqual([['nom'], ['Hélène']]);
+    }
+    expect((await collect(readDelimitedRows(cp1251, { encoding: 'windows-1251' }))).map(row => row.cells)).toEqual([['имя'], ['Иван']]);
+  });
+
+  test('should fail when a file detected as UTF-8 is invalid past the sampled bytes', async () => {
+    // 64 KB of ASCII rows, then "Hélène" in Windows-1252
+    const source = Buffer.concat([Buffer.from(`nom\n${'Martin\n'.repeat(10000)}`), Buffer.from([0x48, 0xE9, 0x6C, 0xE8, 0x6E, 0x65, 0x0A])]);
+
+    await expect(collect(readDelimitedRows(source))).rejects.toThrow('Input is not valid UTF-8 between bytes 65536 and 70011, although its first 64 KB were');
+    expect((await collect(readDelimitedRows(source, { encoding: 'windows-1252' }))).pop().cells).toEqual(['Hélène']);
+  });
+
+  test('should read JSON lines numbered by line', async () => {
+    const ndjson = '{"id":"A1","name":"Dupont"}\n\n{"id":"A2","tags":["x"]}\n';
+
+    expect(await collect(readJsonLines(Buffer.from(ndjson)))).toEqual([
+      { rowNumber: 1, record: { id: 'A1', name: 'Dupont' } },
+      { rowNumber: 3, record: { id: 'A2', tags: ['x'] } }
+    ]);
+    await expect(collect(readJsonLines(Buffer.from('{"id":1}\n[1]\n')))).rejects.toThrow('Invalid JSON on line 2: expected an object');
+    await expect(collect(readJsonLines(Buffer.from('{"id":')))).rejects.toThrow('Invalid JSON on line 1');
+  });
+});
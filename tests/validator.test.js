@@ -0,0 +1,95 @@
+/**
+ * Tests for the Validator module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { loadValidationConfig, createValidator } = require('../src/validator');
+
+describe('Validator', () => {
+  const testDataDir = path.join(__dirname, 'data');
+  const yamlPath = path.join(testDataDir, 'test-validation.yaml');
+  const jsonPath = path.join(testDataDir, 'test-validation.json');
+
+  beforeAll(() => {
+    fs.mkdirSync(testDataDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    [yamlPath, jsonPath].filter(fs.existsSync).forEach(fs.unlinkSync);
+  });
+
+  test('should load YAML and JSON configurations', () => {
+    fs.writeFileSync(yamlPath, 'fields:\n  status:\n    allowed: [Actif, Inactif]\n');
+    fs.writeFileSync(jsonPath, JSON.stringify({ fields: { status: { allowed: ['Actif', 'Inactif'] } } }));
+
+    expect(loadValidationConfig(yamlPath)).toEqual({ fields: { status: { allowed: ['Actif', 'Inactif'] } } });
+    expect(loadValidationConfig(jsonPath)).toEqual(loadValidationConfig(yamlPath));
+  });
+
+  test('should report unreadable configurations', () => {
+    fs.writeFileSync(jsonPath, '{ "fields": ');
+
+    expect(() => loadValidationConfig(jsonPath)).toThrow(`Failed to parse validation config ${jsonPath}`);
+    expect(() => loadValidationConfig(yamlPath)).toThrow(`Failed to read validation config ${yamlPath}`);
+  });
+
+  test('should always check that a person can be identified', () => {
+    const validate = createValidator();
+
+    expect(validate({ external_id: 'A' })).toEqual([]);
+    expect(validate({ first_name: 'Jean', last_name: 'Dupont' })).toEqual([]);
+    expect(validate({ first_name: 'Jean', status: 'Actif' })).toEqual([
+      { rule: 'identity', field: null, message: 'insufficient identifying information' }
+    ]);
+  });
+
+  test('should apply required, pattern and maxLength rules', () => {
+    const validate = createValidator({
+      fields: {
+        external_id: { required: true, pattern: '^[A-Z0-9]{8}$' },
+        last_name: { maxLength: 5 }
+      }
+    });
+
+    expect(validate({ external_id: 'FRSE2X8S', last_name: 'Girard' }).map(failure => failure.rule)).toEqual(['last_name.maxLength']);
+    expect(validate({ external_id: 'frse', first_name: 'Jean', last_name: 'Dupont' })).toEqual([
+      { rule: 'external_id.pattern', field: 'external_id', message: 'external_id does not match ^[A-Z0-9]{8}$' },
+      { rule: 'last_name.maxLength', field: 'last_name', message: 'last_name is longer than 5 characters' }
+    ]);
+    expect(validate({ external_id: ' ', first_name: 'Jean', last_name: 'Roy' })).toEqual([
+      { rule: 'external_id.required', field: 'external_id', message: 'external_id is required' }
+    ]);
+  });
+
+  test('should check date ranges, including unparseable dates', () => {
+    const validate = createValidator({ fields: { birth_date: { minDate: '1900-01-01', maxDate: 'today' } } });
+
+    expect(validate({ external_id: 'A', birth_date: '1984-09-21' })).toEqual([]);
+    expect(validate({ external_id: 'A' })).toEqual([]);
+    expect(validate({ external_id: 'A', birth_date: '1850-01-01' })[0]).toMatchObject({
+      rule: 'birth_date.minDate',
+      message: 'birth_date 1850-01-01 is before 1900-01-01'
+    });
+    expect(validate({ external_id: 'A', birth_date: '2999-01-01' })[0].rule).toBe('birth_date.maxDate');
+    expect(validate({ external_id: 'A', birth_date: null, birth_date_raw: 'n/a' }).map(failure => failure.rule))
+      .toEqual(['birth_date.minDate', 'birth_date.maxDate']);
+  });
+
+  test('should check allowed values, optionally ignoring case', () => {
+    const strict = createValidator({ fields: { status: { allowed: ['Actif', 'Inactif'] } } });
+    const relaxed = createValidator({ fields: { status: { allowed: ['Actif', 'Inactif'], ignoreCase: true } } });
+
+    expect(strict({ external_id: 'A', status: 'actif' })[0].message).toBe('status "actif" is not one of: Actif, Inactif');
+    expect(relaxed({ external_id: 'A', status: 'actif' })).toEqual([]);
+    expect(strict({ external_id: 'A', status: '' })).toEqual([]);
+  });
+
+  test('should reject invalid configurations', () => {
+    expect(() => createValidator({ fields: { status: { oneOf: ['Actif'] } } })).toThrow('unknown rule status.oneOf');
+    expect(() => createValidator({ fields: { external_id: { pattern: '[' } } })).toThrow('external_id.pattern is not a valid regular expression');
+    expect(() => createValidator({ fields: { birth_date: { minDate: 'soon' } } })).toThrow('birth_date.minDate must be a date or "today"');
+    expect(() => createValidator({ fields: { status: { allowed: 'Actif' } } })).toThrow('status.allowed must be a list of values');
+    expect(() => createValidator({ fields: { last_name: { maxLength: -1 } } })).toThrow('last_name.maxLength must be a non-negative integer');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the XLSX Stream Reader module
+ */
+
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { readRows, listSheets, isDateFormatCode } = require('../src/xlsx-stream-reader');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../src/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+/**
+ * Collect all rows of an async iterator into an array
+ */
+async function collect(iterator) {
+  const rows = [];
+  for await (const row of iterator) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+describe('XLSX Stream Reader', () => {
+  const testDataDir = path.join(__dirname, 'data');
+  const testFilePath = path.join(testDataDir, 'test-stream.xlsx');
+
+  beforeAll(() => {
+    if (!fs.existsSync(testDataDir)) {
+      fs.mkdirSync(testDataDir, { recursive: true });
+    }
+
+    const workbook = XLSX.utils.book_new();
+
+    const people = XLSX.utils.aoa_to_sheet([
+      ['matricule', 'nom', 'prenom', 'datedenaissance', 'actif', 'score'],
+      ['FRSE2X8S', 'Girard', 'David', new Date(1984, 8, 21), true, 12.5],
+      [],
+      ['LKSTKRAH', 'Thomas', 'Rachel', new Date(1971, 2, 13), false, 7]
+    ], { cellDates: true });
+    XLSX.utils.book_append_sheet(workbook, people, 'People');
+
+    const other = XLSX.utils.aoa_to_sheet([['id'], ['OTHER1']]);
+    XLSX.utils.book_append_sheet(workbook, other, 'Other');
+
+    XLSX.writeFile(workbook, testFilePath);
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(testFilePath)) {
+      fs.unlinkSync(testFilePath);
+    }
+  });
+
+  test('should stream rows with their row numbers', async () => {
+    const rows = await collect(readRows(testFilePath));
+
+    // The empty third row is not emitted
+    expect(rows.map(row => row.rowNumber)).toEqual([1, 2, 4]);
+    expect(rows[0].cells).toEqual(['matricule', 'nom', 'prenom', 'datedenaissance', 'actif', 'score']);
+  });
+
+  test('should resolve strings, booleans, numbers and dates', async () => {
+    const rows = await collect(readRows(testFilePath));
+    const [id, lastName, firstName, birthDate, active, score] = rows[1].cells;
+
+    expect(id).toBe('FRSE2X8S');
+    expect(lastName).toBe('Girard');
+    expect(firstName).toBe('David');
+    expect(birthDate).toBeInstanceOf(Date);
+    expect([birthDate.getFullYear(), birthDate.getMonth(), birthDate.getDate()]).toEqual([1984, 8, 21]);
+    expect(active).toBe(true);
+    expect(score).toBe(12.5);
+  });
+
+  test('should read from a buffer', async () => {
+    const rows = await collect(readRows(fs.readFileSync(testFilePath)));
+
+    expect(rows).toHaveLength(3);
+    expect(rows[2].cells[0]).toBe('LKSTKRAH');
+  });
+
+  test('should select a sheet by name or index', async () => {
+    const byName = await collect(readRows(testFilePath, { sheet: 'Other' }));
+    const byIndex = await collect(readRows(testFilePath, { sheet: 1 }));
+
+    expect(byName).toEqual([{ rowNumber: 1, cells: ['id'] }, { rowNumber: 2, cells: ['OTHER1'] }]);
+    expect(byIndex).toEqual(byName);
+    await expect(collect(readRows(testFilePath, { sheet: 'Missing' }))).rejects.toThrow('Sheet not found in workbook: Missing');
+  });
+
+  test('should list sheet names', async () => {
+    await expect(listSheets(testFilePath)).resolves.toEqual(['People', 'Other']);
+  });
+
+  test('should reject files that are not workbooks', async () => {
+    await expect(collect(readRows(Buffer.from('not a zip file')))).rejects.toThrow();
+  });
+
+  test('should recognize date number formats', () => {
+    expect(isDateFormatCode('dd/mm/yyyy')).toBe(true);
+    expect(isDateFormatCode('[$-409]mmmm d, yyyy;@')).toBe(true);
+    expect(isDateFormatCode('#,##0.00')).toBe(false);
+    expect(isDateFormatCode('0" days"')).toBe(false);
+  });
+});